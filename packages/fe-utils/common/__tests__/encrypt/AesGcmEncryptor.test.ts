@@ -0,0 +1,73 @@
+import { AesGcmEncryptor } from '../..';
+
+describe('AesGcmEncryptor', () => {
+  it('should encrypt and decrypt a string', async () => {
+    const encryptor = new AesGcmEncryptor({ key: 'test-secret' });
+    const text = 'Hello, 世界! 🌍';
+
+    const encrypted = await encryptor.encrypt(text);
+
+    expect(encrypted).not.toContain('Hello');
+    expect(encrypted).toMatch(/^[A-Za-z0-9+/]+=*$/);
+    await expect(encryptor.decrypt(encrypted)).resolves.toBe(text);
+  });
+
+  it('should use a random IV for each value', async () => {
+    const encryptor = new AesGcmEncryptor({ key: 'test-secret' });
+
+    const first = await encryptor.encrypt('same value');
+    const second = await encryptor.encrypt('same value');
+
+    expect(first).not.toBe(second);
+  });
+
+  it('should decrypt with the same secret in another instance', async () => {
+    const encrypted = await new AesGcmEncryptor({ key: 'test-secret' }).encrypt(
+      'value'
+    );
+
+    await expect(
+      new AesGcmEncryptor({ key: 'test-secret' }).decrypt(encrypted)
+    ).resolves.toBe('value');
+    await expect(
+      new AesGcmEncryptor({ key: 'other-secret' }).decrypt(encrypted)
+    ).rejects.toBeDefined();
+  });
+
+  it('should reject modified data', async () => {
+    const encryptor = new AesGcmEncryptor({ key: 'test-secret' });
+    const encrypted = await encryptor.encrypt('token');
+
+    const bytes = Buffer.from(encrypted, 'base64');
+    bytes[bytes.length - 1] ^= 1;
+
+    await expect(
+      encryptor.decrypt(bytes.toString('base64'))
+    ).rejects.toBeDefined();
+    await expect(encryptor.decrypt('')).rejects.toThrow(
+      'Invalid encrypted data'
+    );
+  });
+
+  it('should use a CryptoKey', async () => {
+    const key = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 128 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+    const encryptor = new AesGcmEncryptor({ key });
+
+    await expect(
+      encryptor.decrypt(await encryptor.encrypt('value'))
+    ).resolves.toBe('value');
+  });
+
+  it('should encrypt large values', async () => {
+    const encryptor = new AesGcmEncryptor({ key: 'test-secret' });
+    const text = 'x'.repeat(200000);
+
+    await expect(
+      encryptor.decrypt(await encryptor.encrypt(text))
+    ).resolves.toBe(text);
+  });
+});
@@ -0,0 +1,148 @@
+import { ExecutorPlugin } from '../../../interface';
+import { AsyncExecutor, ExecutorTracer, SyncExecutor } from '../../executor';
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('ExecutorTracer', () => {
+  let time: number;
+  let tracer: ExecutorTracer;
+
+  beforeEach(() => {
+    time = 0;
+    // every call takes 1ms
+    tracer = new ExecutorTracer({ now: (): number => time++ });
+  });
+
+  it('should record spans of the run, hooks and task', async () => {
+    const executor = new AsyncExecutor({ name: 'test', tracer });
+
+    executor.use({
+      pluginName: 'a',
+      onBefore: (): void => {},
+      around: (_context, next): Promise<unknown> => next()
+    });
+    executor.use({
+      pluginName: 'b',
+      onSuccess: (): void => {}
+    });
+
+    await executor.exec(async () => 'result');
+
+    const events = tracer.getEvents();
+
+    expect(events.map((event) => [event.name, event.cat])).toEqual([
+      ['a.onBefore', 'hook'],
+      ['task', 'task'],
+      ['a.around', 'hook'],
+      ['b.onSuccess', 'hook'],
+      ['test', 'run']
+    ]);
+    expect(events.every((event) => event.tid === 1 && event.ph === 'X')).toBe(
+      true
+    );
+
+    const [, task, around, onSuccess, run] = events;
+    // around contains the task, the run contains everything
+    expect(around.ts).toBeLessThan(task.ts);
+    expect(around.ts + around.dur).toBeGreaterThan(task.ts + task.dur);
+    expect(run.ts).toBe(0);
+    expect(run.dur).toBeGreaterThan(0);
+    expect(run.ts + run.dur).toBeGreaterThan(onSuccess.ts + onSuccess.dur);
+    expect(onSuccess.args).toEqual({
+      pluginName: 'b',
+      hookName: 'onSuccess',
+      hasReturnValue: false
+    });
+    expect(run.args).toEqual({ hasReturnValue: true });
+  });
+
+  it('should record errors', async () => {
+    const executor = new AsyncExecutor({ tracer });
+
+    executor.use({
+      pluginName: 'a',
+      onError: (): void => {}
+    });
+
+    await expect(
+      executor.exec(async () => {
+        throw new Error('task failed');
+      })
+    ).rejects.toThrow();
+
+    const events = tracer.getEvents();
+
+    expect(events.map((event) => [event.name, event.args.error])).toEqual([
+      ['task', 'task failed'],
+      ['a.onError', undefined],
+      ['AsyncExecutor', 'task failed']
+    ]);
+  });
+
+  it('should record concurrent runs with different tid', async () => {
+    tracer = new ExecutorTracer();
+    const executor = new AsyncExecutor({ tracer });
+
+    await Promise.all([
+      executor.exec(() => sleep(10)),
+      executor.exec(() => sleep(10))
+    ]);
+
+    const runs = tracer.getEvents().filter((event) => event.cat === 'run');
+    expect(runs.map((event) => event.tid).sort()).toEqual([1, 2]);
+    expect(runs[0].dur).toBeGreaterThan(0);
+  });
+
+  it('should trace SyncExecutor', () => {
+    const executor = new SyncExecutor({ tracer });
+    const plugin: ExecutorPlugin = {
+      pluginName: 'a',
+      onExec: (): string => 'onExec'
+    };
+    executor.use(plugin);
+
+    expect(executor.exec(() => 'task')).toBe('onExec');
+    expect(tracer.getEvents().map((event) => event.name)).toEqual([
+      'a.onExec',
+      'SyncExecutor'
+    ]);
+  });
+
+  it('should not trace without tracer', async () => {
+    const executor = new AsyncExecutor();
+    const onBefore = jest.fn();
+    executor.use({ pluginName: 'a', onBefore });
+
+    await executor.exec(async () => 'result');
+
+    expect(onBefore.mock.calls[0][0].hooksRuntimes.traceSpan).toBeUndefined();
+  });
+
+  it('should keep the latest events and export the trace-event format', async () => {
+    tracer = new ExecutorTracer({ maxEvents: 2, now: (): number => time++ });
+    const executor = new AsyncExecutor({ tracer });
+
+    await executor.exec(async () => 'first');
+    await executor.exec(async () => 'second');
+
+    const json = JSON.parse(JSON.stringify(tracer));
+
+    expect(json.displayTimeUnit).toBe('ms');
+    expect(json.traceEvents).toHaveLength(2);
+    expect(json.traceEvents[1]).toEqual({
+      name: 'AsyncExecutor',
+      cat: 'run',
+      ph: 'X',
+      ts: 4000,
+      dur: 3000,
+      pid: 1,
+      tid: 2,
+      args: { hasReturnValue: true }
+    });
+
+    tracer.clear();
+    expect(tracer.getEvents()).toEqual([]);
+  });
+});
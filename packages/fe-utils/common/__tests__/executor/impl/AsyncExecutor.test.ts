@@ -1,5 +1,15 @@
-import { ExecutorError, ExecutorPlugin } from '../../../../interface';
-import { AsyncExecutor } from '../../..';
+import {
+  ExecutorContext,
+  ExecutorError,
+  ExecutorErrorID,
+  ExecutorPlugin
+} from '../../../../interface';
+import {
+  AsyncExecutor,
+  RequestAdapterFetch,
+  RequestScheduler,
+  RetryPlugin
+} from '../../..';
 
 function mockLogStdIo(): {
   spy: jest.SpyInstance;
@@ -42,7 +52,7 @@ describe('Executor Async implmentation', () => {
       executor.exec(() => {
         throw error;
       })
-    ).rejects.toThrow(error);
+    ).rejects.toMatchObject({ message: 'test error', cause: error });
   });
 
   it('should return ExecutorError in execNoError method', async () => {
@@ -816,3 +826,696 @@ describe('AsyncExecutor Additional Tests', () => {
     }
   });
 });
+
+describe('AsyncExecutor plugin order and scoped plugins', () => {
+  function createPlugin(
+    pluginName: string,
+    steps: string[],
+    priority?: number
+  ): ExecutorPlugin {
+    return {
+      pluginName,
+      priority,
+      onBefore: (): void => {
+        steps.push(pluginName);
+      }
+    };
+  }
+
+  it('should run plugins with higher priority first', async () => {
+    const executor = new AsyncExecutor();
+    const steps: string[] = [];
+
+    executor.use(createPlugin('a', steps));
+    executor.use(createPlugin('b', steps, -1));
+    executor.use(createPlugin('c', steps, 10));
+    executor.use(createPlugin('d', steps));
+
+    await executor.exec(async () => 'test');
+
+    expect(steps).toEqual(['c', 'a', 'd', 'b']);
+  });
+
+  it('should remove plugins by instance or name', async () => {
+    const executor = new AsyncExecutor();
+    const steps: string[] = [];
+    const pluginA = createPlugin('a', steps);
+
+    executor.use(pluginA);
+    executor.use(createPlugin('b', steps));
+    executor.use(createPlugin('b', steps));
+    executor.use(createPlugin('c', steps));
+
+    expect(executor.unuse(pluginA)).toBe(true);
+    expect(executor.unuse('b')).toBe(true);
+    expect(executor.unuse('unknown')).toBe(false);
+
+    await executor.exec(async () => 'test');
+
+    expect(steps).toEqual(['c']);
+    expect(executor.getPlugins().map((plugin) => plugin.pluginName)).toEqual([
+      'c'
+    ]);
+  });
+
+  it('should add and exclude plugins for a single exec', async () => {
+    const executor = new AsyncExecutor();
+    const steps: string[] = [];
+    const pluginB = createPlugin('b', steps);
+
+    executor.use(createPlugin('a', steps));
+    executor.use(pluginB);
+
+    await executor.exec('data', async () => 'test', {
+      plugins: [createPlugin('first', steps, 1), createPlugin('last', steps)],
+      exclude: ['a']
+    });
+    expect(steps).toEqual(['first', 'b', 'last']);
+
+    steps.length = 0;
+    await executor.exec('data', async () => 'test', { exclude: [pluginB] });
+    expect(steps).toEqual(['a']);
+
+    // the executor is not changed
+    steps.length = 0;
+    await executor.exec(async () => 'test');
+    expect(steps).toEqual(['a', 'b']);
+  });
+
+  it('should skip extra plugins that are already used', async () => {
+    const executor = new AsyncExecutor();
+    const steps: string[] = [];
+    const pluginA = createPlugin('a', steps);
+
+    class OnlyOnePlugin implements ExecutorPlugin {
+      readonly pluginName = 'OnlyOnePlugin';
+      readonly onlyOne = true;
+
+      onBefore(): void {
+        steps.push(this.pluginName);
+      }
+    }
+
+    executor.use(pluginA);
+    executor.use(new OnlyOnePlugin());
+
+    await executor.exec('data', async () => 'test', {
+      plugins: [pluginA, new OnlyOnePlugin()]
+    });
+
+    expect(steps).toEqual(['a', 'OnlyOnePlugin']);
+  });
+
+  it('should use scoped plugins in execNoError', async () => {
+    const executor = new AsyncExecutor();
+    const error = new ExecutorError('SCOPED_ERROR');
+
+    const result = await executor.execNoError(
+      'data',
+      async () => {
+        throw new Error('test');
+      },
+      {
+        plugins: [
+          { pluginName: 'handler', onError: (): ExecutorError => error }
+        ]
+      }
+    );
+
+    expect(result).toBe(error);
+  });
+});
+
+describe('AsyncExecutor around Lifecycle', () => {
+  it('should wrap the task like an onion', async () => {
+    const executor = new AsyncExecutor();
+    const steps: string[] = [];
+    const createPlugin = (pluginName: string): ExecutorPlugin => ({
+      pluginName,
+      async around(_context, next): Promise<unknown> {
+        steps.push(`${pluginName} before`);
+        const result = await next();
+        steps.push(`${pluginName} after`);
+        return `${pluginName}(${result})`;
+      }
+    });
+
+    executor.use(createPlugin('a'));
+    executor.use(createPlugin('b'));
+    executor.use({
+      pluginName: 'hooks',
+      onBefore: (): void => {
+        steps.push('onBefore');
+      },
+      onSuccess: ({ returnValue }): void => {
+        steps.push(`onSuccess ${returnValue}`);
+      }
+    });
+
+    const result = await executor.exec(async () => {
+      steps.push('task');
+      return 'result';
+    });
+
+    expect(result).toBe('a(b(result))');
+    expect(steps).toEqual([
+      'onBefore',
+      'a before',
+      'b before',
+      'task',
+      'b after',
+      'a after',
+      'onSuccess a(b(result))'
+    ]);
+  });
+
+  it('should skip the task if next is not called', async () => {
+    const executor = new AsyncExecutor();
+    const task = jest.fn(async () => 'result');
+
+    executor.use({
+      pluginName: 'cache',
+      around: async (): Promise<unknown> => 'cached'
+    });
+
+    await expect(executor.exec(task)).resolves.toBe('cached');
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('should pass a new context to the inner layers', async () => {
+    const executor = new AsyncExecutor();
+
+    executor.use({
+      pluginName: 'auth',
+      around: (context, next): Promise<unknown> =>
+        next({
+          ...context,
+          parameters: { ...(context.parameters as object), token: 'abc' }
+        })
+    });
+
+    const result = await executor.exec({ id: 1 }, async ({ parameters }) =>
+      JSON.stringify(parameters)
+    );
+
+    expect(result).toBe('{"id":1,"token":"abc"}');
+  });
+
+  it('should run onExec hooks inside the around hooks', async () => {
+    const executor = new AsyncExecutor();
+
+    executor.use({
+      pluginName: 'exec',
+      onExec: async (): Promise<string> => 'onExec'
+    });
+    executor.use({
+      pluginName: 'around',
+      around: async (_context, next): Promise<unknown> =>
+        `around(${await next()})`
+    });
+
+    await expect(executor.exec(async () => 'task')).resolves.toBe(
+      'around(onExec)'
+    );
+  });
+
+  it('should skip disabled around hooks', async () => {
+    const executor = new AsyncExecutor();
+    const around = jest.fn();
+
+    executor.use({
+      pluginName: 'disabled',
+      enabled: (name): boolean => name !== 'around',
+      around
+    });
+
+    await expect(executor.exec(async () => 'task')).resolves.toBe('task');
+    expect(around).not.toHaveBeenCalled();
+  });
+
+  it('should enter onError chain if around throws', async () => {
+    const executor = new AsyncExecutor();
+    const onError = jest.fn();
+
+    executor.use({
+      pluginName: 'around',
+      around: async (): Promise<unknown> => {
+        throw new Error('around error');
+      },
+      onError
+    });
+
+    await expect(executor.exec(async () => 'task')).rejects.toThrow(
+      'around error'
+    );
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('AsyncExecutor abort signal', () => {
+  it('should expose the signal on the context', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    let signal: AbortSignal | undefined;
+
+    await executor.exec(
+      1,
+      async (context) => {
+        signal = context.signal;
+      },
+      { signal: controller.signal }
+    );
+
+    expect(signal).toBe(controller.signal);
+  });
+
+  it('should not run the task if the signal is already aborted', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const task = jest.fn(async () => 'task');
+    const onError = jest.fn();
+
+    executor.use({ pluginName: 'error', onError });
+    controller.abort();
+
+    await expect(
+      executor.exec(1, task, { signal: controller.signal })
+    ).rejects.toMatchObject({ id: ExecutorErrorID.ABORT_ERROR });
+    expect(task).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop before the next hook when aborted', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const task = jest.fn(async () => 'task');
+    const onBefore = jest.fn();
+
+    executor.use({
+      pluginName: 'abort',
+      onBefore: (): void => controller.abort()
+    });
+    executor.use({ pluginName: 'next', onBefore });
+
+    await expect(
+      executor.exec(1, task, { signal: controller.signal })
+    ).rejects.toMatchObject({ id: ExecutorErrorID.ABORT_ERROR });
+    expect(onBefore).not.toHaveBeenCalled();
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('should reject at once when aborted during the task', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const onSuccess = jest.fn();
+    const reason = new Error('page unmounted');
+
+    executor.use({ pluginName: 'success', onSuccess });
+
+    const promise = executor.exec(
+      1,
+      () => new Promise((resolve) => setTimeout(resolve, 1000)),
+      { signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(reason), 10);
+
+    const error = await promise.catch((error: unknown) => error);
+
+    expect(error).toBeInstanceOf(ExecutorError);
+    expect(error).toMatchObject({
+      id: ExecutorErrorID.ABORT_ERROR,
+      message: 'page unmounted',
+      cause: reason
+    });
+    expect(onSuccess).not.toHaveBeenCalled();
+  });
+
+  it('should use the reason if it is an ExecutorError', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const reason = new ExecutorError('CUSTOM_ABORT');
+
+    controller.abort(reason);
+
+    await expect(
+      executor.exec(1, async () => 'task', { signal: controller.signal })
+    ).rejects.toBe(reason);
+  });
+
+  it('should not retry an aborted run', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const task = jest.fn(async () => {
+      controller.abort();
+      throw new Error('Test Error');
+    });
+
+    executor.use(new RetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+
+    await expect(
+      executor.exec(1, task, { signal: controller.signal })
+    ).rejects.toMatchObject({ id: ExecutorErrorID.ABORT_ERROR });
+
+    // the retry loop still running after the rejection must stop
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('AsyncExecutor task combinators', () => {
+  function sleep(ms: number): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  it('should run all tasks and keep the order of the results', async () => {
+    const executor = new AsyncExecutor();
+
+    const results = await executor.all([
+      async (): Promise<number> => {
+        await sleep(20);
+        return 1;
+      },
+      async (): Promise<string> => 'two'
+    ]);
+
+    expect(results).toEqual([1, 'two']);
+  });
+
+  it('should run every sub-task through the plugins with the parent context', async () => {
+    const executor = new AsyncExecutor();
+    const contexts: ExecutorContext<unknown>[] = [];
+
+    executor.use({
+      pluginName: 'collect',
+      onBefore: (context): void => {
+        contexts.push(context);
+      }
+    });
+
+    await executor.all(
+      [async (): Promise<number> => 1, async (): Promise<number> => 2],
+      { data: 'input' }
+    );
+
+    expect(contexts).toHaveLength(3);
+
+    const [group, ...children] = contexts;
+    expect(group.parent).toBeUndefined();
+    children.forEach((child) => {
+      expect(child.parent).toBe(group);
+      expect(child.parameters).toBe('input');
+    });
+  });
+
+  it('should limit the concurrency', async () => {
+    const executor = new AsyncExecutor();
+    let running = 0;
+    let maxRunning = 0;
+
+    const task = async (): Promise<void> => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(10);
+      running--;
+    };
+
+    await executor.all([task, task, task, task, task], { concurrency: 2 });
+
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should not hang with an invalid concurrency', async () => {
+    const executor = new AsyncExecutor();
+    let running = 0;
+    let maxRunning = 0;
+
+    const task = async (): Promise<void> => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(10);
+      running--;
+    };
+    const run = async (concurrency: number): Promise<number> => {
+      maxRunning = 0;
+      await executor.all([task, task, task], { concurrency });
+      return maxRunning;
+    };
+
+    await expect(run(NaN)).resolves.toBe(3);
+    await expect(run(0)).resolves.toBe(3);
+    await expect(run(-1)).resolves.toBe(1);
+    await expect(run(1.5)).resolves.toBe(1);
+  });
+
+  it('should fail fast and abort the running sub-tasks', async () => {
+    const executor = new AsyncExecutor();
+    let slowSignal: AbortSignal | undefined;
+
+    await expect(
+      executor.all([
+        async (context): Promise<void> => {
+          slowSignal = context.signal;
+          await sleep(100);
+        },
+        async (): Promise<void> => {
+          await sleep(10);
+          throw new Error('step failed');
+        }
+      ])
+    ).rejects.toThrow('step failed');
+
+    expect(slowSignal?.aborted).toBe(true);
+  });
+
+  it('should settle with the first task and abort the others in race', async () => {
+    const executor = new AsyncExecutor();
+    let slowSignal: AbortSignal | undefined;
+
+    const result = await executor.race([
+      async (context): Promise<string> => {
+        slowSignal = context.signal;
+        await sleep(100);
+        return 'slow';
+      },
+      async (): Promise<string> => {
+        await sleep(10);
+        return 'fast';
+      }
+    ]);
+
+    expect(result).toBe('fast');
+    expect(slowSignal?.aborted).toBe(true);
+  });
+
+  it('should wait for all tasks in allSettled', async () => {
+    const executor = new AsyncExecutor();
+
+    const results = await executor.allSettled(
+      [
+        async (): Promise<number> => 1,
+        async (): Promise<number> => {
+          throw new Error('step failed');
+        }
+      ],
+      { concurrency: 1 }
+    );
+
+    expect(results[0]).toEqual({ status: 'fulfilled', value: 1 });
+    expect(results[1].status).toBe('rejected');
+    if (results[1].status === 'rejected') {
+      expect(results[1].reason).toBeInstanceOf(ExecutorError);
+      expect(results[1].reason.message).toBe('step failed');
+    }
+  });
+
+  it('should pass the result of each step to the next step in pipeline', async () => {
+    const executor = new AsyncExecutor();
+    const third = jest.fn();
+
+    const result = await executor.pipeline<string>(
+      [
+        async ({ parameters }: ExecutorContext<number>): Promise<number> =>
+          parameters + 1,
+        async ({ parameters }: ExecutorContext<number>): Promise<string> =>
+          `result: ${parameters * 2}`
+      ],
+      { data: 1 }
+    );
+
+    expect(result).toBe('result: 4');
+
+    await expect(
+      executor.pipeline([
+        async (): Promise<void> => {
+          throw new Error('step failed');
+        },
+        third
+      ])
+    ).rejects.toThrow('step failed');
+    expect(third).not.toHaveBeenCalled();
+  });
+
+  it('should abort the sub-tasks with the signal of the group', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const second = jest.fn();
+
+    const promise = executor.pipeline(
+      [
+        async (): Promise<void> => {
+          controller.abort();
+        },
+        second
+      ],
+      { signal: controller.signal }
+    );
+
+    await expect(promise).rejects.toMatchObject({
+      id: ExecutorErrorID.ABORT_ERROR
+    });
+    expect(second).not.toHaveBeenCalled();
+  });
+});
+
+describe('AsyncExecutor events', () => {
+  it('should emit the events of a successful run in order', async () => {
+    const executor = new AsyncExecutor();
+    const events: string[] = [];
+
+    executor.use({
+      pluginName: 'order',
+      onBefore: () => {
+        events.push('onBefore');
+      },
+      onSuccess: () => {
+        events.push('onSuccess');
+      }
+    });
+    executor.on('before', () => events.push('before'));
+    executor.on('success', (context) =>
+      events.push(`success:${context.returnValue}`)
+    );
+    executor.on('error', () => events.push('error'));
+    executor.on('settled', () => events.push('settled'));
+
+    await executor.exec(1, async () => 'result');
+
+    expect(events).toEqual([
+      'before',
+      'onBefore',
+      'onSuccess',
+      'success:result',
+      'settled'
+    ]);
+  });
+
+  it('should emit the error after the onError hooks', async () => {
+    const executor = new AsyncExecutor();
+    const replaced = new ExecutorError('REPLACED', 'replaced');
+    const errors: unknown[] = [];
+    const settled = jest.fn();
+
+    executor.use({
+      pluginName: 'replace',
+      onError: () => replaced
+    });
+    executor.on('error', (context) => errors.push(context.error));
+    executor.on('settled', settled);
+
+    await expect(
+      executor.exec(1, async () => {
+        throw new Error('Test Error');
+      })
+    ).rejects.toBe(replaced);
+
+    expect(errors).toEqual([replaced]);
+    expect(settled).toHaveBeenCalledTimes(1);
+  });
+
+  it('should remove the listener and ignore listener errors', async () => {
+    const executor = new AsyncExecutor();
+    const listener = jest.fn();
+
+    const off = executor.on('settled', listener);
+    executor.on('before', () => {
+      throw new Error('listener error');
+    });
+
+    await expect(executor.exec(1, async () => 'result')).resolves.toBe(
+      'result'
+    );
+    off();
+    await executor.exec(2, async () => 'result');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should iterate the settled runs', async () => {
+    const executor = new AsyncExecutor();
+    const runs = executor.runs();
+
+    // runs before the first `next` are buffered
+    await executor.exec(1, async () => 'first');
+    await executor.execNoError(2, async () => {
+      throw new Error('Test Error');
+    });
+
+    const parameters: unknown[] = [];
+    const consumer = (async (): Promise<void> => {
+      for await (const context of runs) {
+        parameters.push(context.parameters);
+
+        if (parameters.length === 3) {
+          break;
+        }
+      }
+    })();
+
+    await executor.exec(3, async () => 'third');
+    await consumer;
+    await executor.exec(4, async () => 'fourth');
+
+    expect(parameters).toEqual([1, 2, 3]);
+  });
+
+  it('should end the iteration when the signal is aborted', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const runs = executor.runs({ signal: controller.signal, bufferSize: 1 });
+
+    await executor.exec(1, async () => 'first');
+    await executor.exec(2, async () => 'second');
+
+    await expect(runs.next()).resolves.toMatchObject({
+      value: { parameters: 2 },
+      done: false
+    });
+
+    const next = runs.next();
+    controller.abort();
+
+    await expect(next).resolves.toEqual({ value: undefined, done: true });
+    await executor.exec(3, async () => 'third');
+    await expect(runs.next()).resolves.toEqual({
+      value: undefined,
+      done: true
+    });
+  });
+
+  it('should observe the requests of a RequestScheduler', async () => {
+    const scheduler = new RequestScheduler(
+      new RequestAdapterFetch({
+        fetcher: async (): Promise<Response> => new Response('ok')
+      })
+    );
+    const urls: unknown[] = [];
+
+    scheduler.executor.on('before', (context) => {
+      urls.push((context.parameters as { url?: string }).url);
+    });
+
+    await scheduler.get('https://api.example.com/userinfo');
+
+    expect(urls).toEqual(['https://api.example.com/userinfo']);
+  });
+});
@@ -1,9 +1,10 @@
 import {
   ExecutorError,
+  ExecutorErrorID,
   ExecutorPlugin,
   ExecutorContext
 } from '../../../../interface';
-import { SyncExecutor } from '../../..';
+import { Logger, RetryPlugin, SyncExecutor } from '../../..';
 
 function mockLogStdIo(): {
   spy: jest.SpyInstance;
@@ -46,7 +47,9 @@ describe('Executor Sync implmentation', () => {
       executor.exec(() => {
         throw error;
       });
-    }).toThrow(error);
+    }).toThrow(
+      expect.objectContaining({ message: 'test error', cause: error })
+    );
   });
 
   it('should return ExecutorError in execNoError method', () => {
@@ -862,3 +865,180 @@ describe('SyncExecutor Additional Tests', () => {
     }
   });
 });
+
+describe('SyncExecutor plugin order and scoped plugins', () => {
+  it('should run plugins by priority and support scoped plugins', () => {
+    const executor = new SyncExecutor();
+    const steps: string[] = [];
+    const createPlugin = (
+      pluginName: string,
+      priority?: number
+    ): ExecutorPlugin => ({
+      pluginName,
+      priority,
+      onBefore: (): void => {
+        steps.push(pluginName);
+      }
+    });
+
+    executor.use(createPlugin('a'));
+    executor.use(createPlugin('b', 1));
+
+    executor.exec('data', () => 'test', {
+      plugins: [createPlugin('c', 2)],
+      exclude: ['a']
+    });
+    expect(steps).toEqual(['c', 'b']);
+
+    steps.length = 0;
+    executor.unuse('b');
+    executor.exec(() => 'test');
+    expect(steps).toEqual(['a']);
+  });
+});
+
+describe('SyncExecutor abort signal', () => {
+  it('should stop before the next hook and run onError when aborted', () => {
+    const executor = new SyncExecutor();
+    const controller = new AbortController();
+    const task = jest.fn(() => 'task');
+    const onError = jest.fn();
+
+    executor.use({
+      pluginName: 'abort',
+      onBefore: (context): void => {
+        expect(context.signal).toBe(controller.signal);
+        controller.abort();
+      },
+      onError
+    });
+
+    expect(() => executor.exec(1, task, { signal: controller.signal })).toThrow(
+      expect.objectContaining({ id: ExecutorErrorID.ABORT_ERROR })
+    );
+    expect(task).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('SyncExecutor async hooks', () => {
+  function createLogger(): Logger {
+    const logger = new Logger({ silent: true });
+    jest.spyOn(logger, 'warn');
+    jest.spyOn(logger, 'error');
+    return logger;
+  }
+
+  it('should warn when a hook returns a Promise', async () => {
+    const logger = createLogger();
+    const executor = new SyncExecutor({ logger });
+
+    executor.use({
+      pluginName: 'asyncBefore',
+      onBefore: async (): Promise<void> => {
+        throw new Error('detached error');
+      }
+    });
+
+    expect(executor.exec(() => 'task')).toBe('task');
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('asyncBefore.onBefore returned a Promise')
+    );
+
+    // the rejection is logged instead of being unhandled
+    await Promise.resolve();
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('asyncBefore.onBefore'),
+      expect.objectContaining({ message: 'detached error' })
+    );
+  });
+
+  it('should not use a Promise returned by a hook as its value', () => {
+    const executor = new SyncExecutor({ logger: createLogger() });
+
+    executor.use({
+      pluginName: 'asyncError',
+      onError: async (): Promise<Error> => new Error('async error')
+    });
+
+    expect(() =>
+      executor.exec(() => {
+        throw new Error('task error');
+      })
+    ).toThrow('task error');
+  });
+
+  it('should throw in strict mode when a hook returns a Promise', () => {
+    const executor = new SyncExecutor({ strict: true });
+    const task = jest.fn(() => 'task');
+
+    executor.use({
+      pluginName: 'asyncBefore',
+      onBefore: async (): Promise<void> => {}
+    });
+
+    expect(() => executor.exec(task)).toThrow(
+      expect.objectContaining({ id: ExecutorErrorID.ASYNC_HOOK })
+    );
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('should report async plugins when they are used', () => {
+    const logger = createLogger();
+
+    new SyncExecutor({ logger }).use({
+      pluginName: 'declaredAsync',
+      mode: 'async'
+    } as ExecutorPlugin);
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('Plugin declaredAsync is async')
+    );
+
+    expect(() =>
+      new SyncExecutor({ strict: true }).use(
+        new RetryPlugin() as ExecutorPlugin
+      )
+    ).toThrow('Plugin RetryPlugin is async');
+  });
+
+  it('should reject async plugin types at compile time', () => {
+    const executor = new SyncExecutor({ logger: createLogger() });
+
+    // @ts-expect-error RetryPlugin has an around hook
+    executor.use(new RetryPlugin());
+    // @ts-expect-error the plugin is declared async
+    executor.use({ pluginName: 'declaredAsync', mode: 'async' as const });
+
+    executor.use({ pluginName: 'declaredSync', mode: 'sync' as const });
+  });
+});
+
+describe('SyncExecutor events', () => {
+  it('should emit the events of the runs in order', () => {
+    const executor = new SyncExecutor();
+    const events: string[] = [];
+
+    executor.on('before', (context) =>
+      events.push(`before:${context.parameters}`)
+    );
+    executor.on('success', () => events.push('success'));
+    executor.on('error', (context) =>
+      events.push(`error:${(context.error as Error).message}`)
+    );
+    executor.on('settled', () => events.push('settled'));
+
+    executor.exec(1, () => 'result');
+    executor.execNoError(2, () => {
+      throw new Error('Test Error');
+    });
+
+    expect(events).toEqual([
+      'before:1',
+      'success',
+      'settled',
+      'before:2',
+      'error:Test Error',
+      'settled'
+    ]);
+  });
+});
@@ -0,0 +1,223 @@
+import {
+  ExecutorError,
+  ExecutorErrorID,
+  RequestError,
+  RequestErrorID
+} from '../../../../interface';
+import {
+  AsyncExecutor,
+  CircuitBreakerPlugin,
+  CircuitBreakerStateChange,
+  RetryPlugin
+} from '../../../executor';
+
+describe('CircuitBreakerPlugin', () => {
+  let now: number;
+  let executor: AsyncExecutor;
+  let breaker: CircuitBreakerPlugin;
+
+  const fail = async (): Promise<never> => {
+    throw new Error('Service unavailable');
+  };
+  const succeed = async (): Promise<string> => 'success';
+
+  beforeEach(() => {
+    now = 0;
+    executor = new AsyncExecutor();
+    breaker = new CircuitBreakerPlugin({
+      failureThreshold: 3,
+      windowTime: 1000,
+      resetTimeout: 5000,
+      now: (): number => now
+    });
+    executor.use(breaker);
+  });
+
+  it('should open after the failure threshold and fail fast', async () => {
+    for (let i = 0; i < 3; i++) {
+      await expect(executor.exec(fail)).rejects.toThrow('Service unavailable');
+    }
+
+    expect(breaker.getState()).toBe('open');
+
+    const task = jest.fn(succeed);
+    const error = await executor.exec(task).catch((error: unknown) => error);
+
+    expect(task).not.toHaveBeenCalled();
+    expect(error).toBeInstanceOf(ExecutorError);
+    expect(error).toMatchObject({
+      id: ExecutorErrorID.CIRCUIT_OPEN,
+      details: { key: '', retryAfter: 5000 }
+    });
+  });
+
+  it('should only count the failures within the window', async () => {
+    await executor.exec(fail).catch(() => {});
+    await executor.exec(fail).catch(() => {});
+
+    now = 1500;
+    await executor.exec(fail).catch(() => {});
+
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should close after a successful trial in half-open state', async () => {
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(fail).catch(() => {});
+    }
+
+    now = 5000;
+    expect(breaker.getState()).toBe('half-open');
+
+    await expect(executor.exec(succeed)).resolves.toBe('success');
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should open again after a failed trial', async () => {
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(fail).catch(() => {});
+    }
+
+    now = 5000;
+    await executor.exec(fail).catch(() => {});
+
+    expect(breaker.getState()).toBe('open');
+    await expect(executor.exec(succeed)).rejects.toMatchObject({
+      id: ExecutorErrorID.CIRCUIT_OPEN
+    });
+  });
+
+  it('should allow only halfOpenMaxCalls trials at the same time', async () => {
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(fail).catch(() => {});
+    }
+
+    now = 5000;
+
+    const results = await Promise.allSettled([
+      executor.exec(succeed),
+      executor.exec(succeed)
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      'fulfilled',
+      'rejected'
+    ]);
+  });
+
+  it('should keep a circuit per key', async () => {
+    const keyed = new AsyncExecutor();
+    const keyedBreaker = new CircuitBreakerPlugin({
+      failureThreshold: 1,
+      getKey: ({ parameters }): string => parameters as string
+    });
+    keyed.use(keyedBreaker);
+
+    await keyed.exec('api.a.com', fail).catch(() => {});
+
+    expect(keyedBreaker.getState('api.a.com')).toBe('open');
+    expect(keyedBreaker.getState('api.b.com')).toBe('closed');
+    await expect(keyed.exec('api.b.com', succeed)).resolves.toBe('success');
+    await expect(keyed.exec('api.a.com', succeed)).rejects.toThrow(
+      'Circuit breaker is open: api.a.com'
+    );
+  });
+
+  it('should count the results with a 5xx status as failures', async () => {
+    const serverError = async (): Promise<{ status: number }> => ({
+      status: 503
+    });
+
+    await executor.exec(async () => ({ status: 404 }));
+    for (let i = 0; i < 3; i++) {
+      await expect(executor.exec(serverError)).resolves.toEqual({
+        status: 503
+      });
+    }
+
+    expect(breaker.getState()).toBe('open');
+  });
+
+  it('should not count the errors with a 4xx status as failures', async () => {
+    const clientError = (status: number) => async (): Promise<never> => {
+      throw new RequestError(RequestErrorID.RESPONSE_NOT_OK, 'Not ok', {
+        details: { status }
+      });
+    };
+
+    for (const status of [400, 404, 422, 401]) {
+      await executor.exec(clientError(status)).catch(() => {});
+    }
+    expect(breaker.getState()).toBe('closed');
+
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(clientError(i ? 503 : 429)).catch(() => {});
+    }
+    expect(breaker.getState()).toBe('open');
+  });
+
+  it('should keep the failures of the tasks running when another succeeds', async () => {
+    let rejectAll: (error: Error) => void = () => {};
+    const failed = new Promise<never>((_, reject) => {
+      rejectAll = reject;
+    });
+    const slowFail = (): Promise<never> => failed;
+
+    const running = [
+      executor.exec(slowFail),
+      executor.exec(slowFail),
+      executor.exec(slowFail)
+    ].map((promise) => promise.catch(() => {}));
+
+    await expect(executor.exec(succeed)).resolves.toBe('success');
+    rejectAll(new Error('Service unavailable'));
+    await Promise.all(running);
+
+    expect(breaker.getState()).toBe('open');
+  });
+
+  it('should not count aborted runs as failures', async () => {
+    const abort = async (): Promise<never> => {
+      throw new ExecutorError(ExecutorErrorID.ABORT_ERROR);
+    };
+
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(abort).catch(() => {});
+    }
+
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should emit state changes', async () => {
+    const events: CircuitBreakerStateChange[] = [];
+    const unsubscribe = breaker.onStateChange((event) => events.push(event));
+
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(fail).catch(() => {});
+    }
+    now = 5000;
+    await executor.exec(succeed);
+
+    unsubscribe();
+    breaker.reset();
+
+    expect(events).toEqual([
+      { key: '', from: 'closed', to: 'open', failures: 3 },
+      { key: '', from: 'open', to: 'half-open', failures: 3 },
+      { key: '', from: 'half-open', to: 'closed', failures: 0 }
+    ]);
+  });
+
+  it('should not retry while the circuit is open when used before RetryPlugin', async () => {
+    executor.use(new RetryPlugin({ maxRetries: 2, retryDelay: 0 }));
+    const task = jest.fn(fail);
+
+    for (let i = 0; i < 3; i++) {
+      await executor.exec(task).catch(() => {});
+    }
+    expect(task).toHaveBeenCalledTimes(9);
+
+    await executor.exec(task).catch(() => {});
+    expect(task).toHaveBeenCalledTimes(9);
+  });
+});
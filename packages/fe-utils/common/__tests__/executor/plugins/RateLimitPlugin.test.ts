@@ -0,0 +1,266 @@
+import { ExecutorError, ExecutorErrorID } from '../../../../interface';
+import {
+  AsyncExecutor,
+  JSONStorage,
+  RateLimitPlugin,
+  RequestAdapterFetch
+} from '../../..';
+
+describe('RateLimitPlugin', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function runAll(
+    executor: AsyncExecutor,
+    count: number,
+    key?: string
+  ): Promise<number[]> {
+    const starts: number[] = [];
+    const start = Date.now();
+
+    const promises = Array.from({ length: count }, () =>
+      executor.exec(key, async () => {
+        starts.push(Date.now() - start);
+      })
+    );
+
+    await jest.advanceTimersByTimeAsync(10000);
+    await Promise.all(promises);
+
+    return starts;
+  }
+
+  it('should allow a burst and then refill evenly with the token bucket', async () => {
+    const executor = new AsyncExecutor();
+    executor.use(new RateLimitPlugin({ limit: 2, interval: 1000 }));
+
+    const starts = await runAll(executor, 4);
+
+    expect(starts).toEqual([0, 0, 500, 1000]);
+  });
+
+  it('should start at most limit tasks within an interval with the sliding window', async () => {
+    const executor = new AsyncExecutor();
+    executor.use(
+      new RateLimitPlugin({
+        limit: 2,
+        interval: 1000,
+        strategy: 'sliding-window'
+      })
+    );
+
+    const starts = await runAll(executor, 5);
+
+    expect(starts).toEqual([0, 0, 1000, 1000, 2000]);
+  });
+
+  it('should reject the tasks over the limit in reject mode', async () => {
+    const executor = new AsyncExecutor();
+    executor.use(
+      new RateLimitPlugin({ limit: 1, interval: 1000, mode: 'reject' })
+    );
+
+    await expect(executor.exec(async () => 'first')).resolves.toBe('first');
+
+    const error = await executor
+      .exec(async () => 'second')
+      .catch((error: unknown) => error);
+
+    expect(error).toBeInstanceOf(ExecutorError);
+    expect(error).toMatchObject({
+      id: ExecutorErrorID.RATE_LIMITED,
+      details: { key: '', retryAfter: 1000 }
+    });
+  });
+
+  it('should reject the tasks that would wait longer than maxDelay', () => {
+    const plugin = new RateLimitPlugin({
+      limit: 1,
+      interval: 1000,
+      maxDelay: 1500
+    });
+
+    expect(plugin.acquire()).toBe(0);
+    expect(plugin.acquire()).toBe(1000);
+    expect(() => plugin.acquire()).toThrow('Rate limit exceeded');
+  });
+
+  it('should keep a bucket per key', async () => {
+    const executor = new AsyncExecutor();
+    executor.use(
+      new RateLimitPlugin({
+        limit: 1,
+        interval: 1000,
+        getKey: ({ parameters }): string => parameters as string
+      })
+    );
+
+    const [a, b] = await Promise.all([
+      runAll(executor, 2, 'api.a.com'),
+      runAll(executor, 1, 'api.b.com')
+    ]);
+
+    expect(a).toEqual([0, 1000]);
+    expect(b).toEqual([0]);
+  });
+
+  it('should persist the bucket state in the storage', () => {
+    const storage = new JSONStorage();
+    const options = {
+      limit: 1,
+      interval: 1000,
+      mode: 'reject' as const,
+      storage
+    };
+
+    new RateLimitPlugin(options).acquire('api');
+
+    // e.g. after a page reload
+    expect(() => new RateLimitPlugin(options).acquire('api')).toThrow(
+      'Rate limit exceeded: api'
+    );
+
+    new RateLimitPlugin(options).reset('api');
+    expect(new RateLimitPlugin(options).acquire('api')).toBe(0);
+  });
+
+  it('should stop waiting when the run is aborted', async () => {
+    const executor = new AsyncExecutor();
+    const controller = new AbortController();
+    const task = jest.fn(async () => 'task');
+
+    executor.use(new RateLimitPlugin({ limit: 1, interval: 60000 }));
+    await executor.exec(task);
+
+    const promise = executor.exec(1, task, { signal: controller.signal });
+    const result = expect(promise).rejects.toMatchObject({
+      id: ExecutorErrorID.ABORT_ERROR
+    });
+
+    await jest.advanceTimersByTimeAsync(100);
+    controller.abort();
+    await result;
+
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it.each(['token-bucket', 'sliding-window'] as const)(
+    'should give back the slot of an aborted run with the %s',
+    async (strategy) => {
+      const plugin = new RateLimitPlugin({
+        limit: 1,
+        interval: 1000,
+        strategy
+      });
+      const executor = new AsyncExecutor();
+      const controller = new AbortController();
+
+      executor.use(plugin);
+      await executor.exec(async () => 'first');
+
+      const aborted = executor
+        .exec(1, async () => 'aborted', { signal: controller.signal })
+        .catch((error: unknown) => error);
+
+      await jest.advanceTimersByTimeAsync(100);
+      controller.abort();
+      await expect(aborted).resolves.toMatchObject({
+        id: ExecutorErrorID.ABORT_ERROR
+      });
+
+      // the next task gets the slot of the aborted one
+      expect(plugin.acquire()).toBe(900);
+    }
+  );
+
+  it('should drop the idle buckets from memory', async () => {
+    const plugin = new RateLimitPlugin({ limit: 1, interval: 1000 });
+
+    plugin.acquire('api.a.com');
+    plugin.acquire('api.b.com');
+    expect(plugin.size).toBe(2);
+
+    jest.advanceTimersByTime(500);
+    plugin.acquire('api.c.com');
+    expect(plugin.size).toBe(3);
+
+    // the buckets of a and b are refilled
+    jest.advanceTimersByTime(500);
+    plugin.acquire('api.d.com');
+    expect(plugin.size).toBe(2);
+
+    const windowPlugin = new RateLimitPlugin({
+      limit: 1,
+      interval: 1000,
+      strategy: 'sliding-window'
+    });
+
+    windowPlugin.acquire('api.a.com');
+    jest.advanceTimersByTime(1000);
+    windowPlugin.acquire('api.b.com');
+    expect(windowPlugin.size).toBe(1);
+    expect(windowPlugin.acquire('api.a.com')).toBe(0);
+  });
+
+  it('should stop waiting when the signal of the request is aborted', async () => {
+    const fetchMock = jest.fn(async () => new Response('ok'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    const plugin = new RateLimitPlugin({ limit: 1, interval: 60000 });
+    const controller = new AbortController();
+
+    request.usePlugin(plugin);
+    await request.request({ url: 'https://api.example.com/a' });
+
+    const promise = request
+      .request({
+        url: 'https://api.example.com/b',
+        signal: controller.signal
+      })
+      .catch((error: unknown) => error);
+
+    await jest.advanceTimersByTimeAsync(100);
+    controller.abort(new Error('cancelled'));
+
+    await expect(promise).resolves.toMatchObject({ message: 'cancelled' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    // the slot is given back
+    expect(plugin.acquire()).toBeCloseTo(59900);
+  });
+
+  it('should remove the idle bucket states from the storage', () => {
+    const storage = new JSONStorage();
+    const plugin = new RateLimitPlugin({ limit: 1, interval: 1000, storage });
+
+    plugin.acquire('api.a.com');
+    expect(storage.length).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    plugin.acquire('api.b.com');
+
+    expect(storage.getItem('RateLimitPlugin:api.a.com')).toBeNull();
+    expect(storage.getItem('RateLimitPlugin:api.b.com')).not.toBeNull();
+  });
+
+  it('should limit the requests of RequestAdapterFetch', async () => {
+    const fetchMock = jest.fn(async () => new Response('ok'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin(new RateLimitPlugin({ limit: 1, interval: 1000 }));
+
+    const promises = [
+      request.request({ url: 'https://api.example.com/a' }),
+      request.request({ url: 'https://api.example.com/b' })
+    ];
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all(promises);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
@@ -1,6 +1,11 @@
-import { AsyncExecutor, RetryPlugin } from '../../../executor';
+import { ExecutorContext, ExecutorError } from '../../../../interface';
+import { AsyncExecutor, RetryAttempt, RetryPlugin } from '../../../executor';
 
 describe('RetryPlugin', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
   it('should retry 2 times', async () => {
     const executor = new AsyncExecutor();
     executor.use(new RetryPlugin({ maxRetries: 2 }));
@@ -32,6 +37,25 @@ describe('RetryPlugin', () => {
     expect(calls).toBe(3); // init call + 2 retries
   });
 
+  it('should keep the last error as cause of the retry error', async () => {
+    const executor = new AsyncExecutor();
+    executor.use(new RetryPlugin({ maxRetries: 2, retryDelay: 0 }));
+
+    const lastError = new Error('Test Error');
+    const error = await executor
+      .exec(async () => {
+        throw lastError;
+      })
+      .catch((error: unknown) => error);
+
+    expect(error).toBeInstanceOf(ExecutorError);
+    expect(error).toMatchObject({
+      id: 'RETRY_ERROR',
+      cause: lastError,
+      details: { attempt: 3, maxRetries: 2 }
+    });
+  });
+
   it('should respect retry delay', async () => {
     const executor = new AsyncExecutor();
     const delayMs = 50;
@@ -86,4 +110,166 @@ describe('RetryPlugin', () => {
 
     expect(calls).toBe(4); // init call + 3 retries
   });
+
+  it('should pass the context to shouldRetry', async () => {
+    const executor = new AsyncExecutor();
+    const shouldRetry = jest.fn(
+      (_error: Error, context: ExecutorContext<unknown>): boolean =>
+        (context.parameters as { retry: boolean }).retry
+    );
+    executor.use(
+      new RetryPlugin({ maxRetries: 2, retryDelay: 0, shouldRetry })
+    );
+
+    let calls = 0;
+    await expect(
+      executor.exec({ retry: false }, async () => {
+        calls++;
+        throw new Error('Test Error');
+      })
+    ).rejects.toThrow('Test Error');
+
+    expect(calls).toBe(1);
+    expect(shouldRetry).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ parameters: { retry: false } })
+    );
+  });
+
+  it('should expose attempt metadata on the context', async () => {
+    jest.useFakeTimers();
+    const executor = new AsyncExecutor();
+    const attempts: RetryAttempt[] = [];
+    let successAttempt: RetryAttempt | undefined;
+
+    executor.use(new RetryPlugin({ maxRetries: 3, retryDelay: 10 }));
+    executor.use({
+      pluginName: 'LogPlugin',
+      onSuccess(context): void {
+        successAttempt = context.hooksRuntimes.retry as RetryAttempt;
+      }
+    });
+
+    const promise = executor.exec(async (context) => {
+      const attempt = context.hooksRuntimes.retry as RetryAttempt;
+      attempts.push({ ...attempt });
+
+      if (attempt.attempt < 3) {
+        throw new Error('Test Error');
+      }
+      return 'success';
+    });
+
+    await jest.advanceTimersByTimeAsync(20);
+    await promise;
+
+    expect(attempts.map((item) => item.attempt)).toEqual([1, 2, 3]);
+    expect(attempts[1].delay).toBe(10);
+    expect((attempts[1].error as Error).message).toBe('Test Error');
+    expect(successAttempt).toMatchObject({ attempt: 3, maxRetries: 3 });
+    expect(successAttempt!.elapsed).toBe(20);
+  });
+
+  it('should randomize the delay with jitter', async () => {
+    const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const executor = new AsyncExecutor();
+    const delays: number[] = [];
+
+    executor.use(
+      new RetryPlugin({
+        maxRetries: 2,
+        retryDelay: 20,
+        useExponentialBackoff: true,
+        jitter: 1
+      })
+    );
+
+    await expect(
+      executor.exec(async (context) => {
+        delays.push((context.hooksRuntimes.retry as RetryAttempt).delay);
+        throw new Error('Test Error');
+      })
+    ).rejects.toThrow('Test Error');
+
+    randomSpy.mockRestore();
+
+    // 20 * 2^n * (1 - 0.5)
+    expect(delays).toEqual([0, 10, 20]);
+  });
+
+  it('should stop retrying when maxElapsedTime is exceeded', async () => {
+    const executor = new AsyncExecutor();
+    executor.use(
+      new RetryPlugin({ maxRetries: 5, retryDelay: 30, maxElapsedTime: 50 })
+    );
+
+    let calls = 0;
+    await expect(
+      executor.exec(async () => {
+        calls++;
+        throw new Error('Test Error');
+      })
+    ).rejects.toThrow('Test Error');
+
+    // 0ms, 30ms, the next attempt would start at 60ms
+    expect(calls).toBe(2);
+  });
+
+  it('should retry the inner around plugins', async () => {
+    const executor = new AsyncExecutor();
+    const steps: string[] = [];
+
+    executor.use({
+      pluginName: 'Outer',
+      async around(_context, next): Promise<unknown> {
+        steps.push('outer start');
+        const result = await next();
+        steps.push('outer end');
+        return result;
+      }
+    });
+    executor.use(new RetryPlugin({ maxRetries: 2, retryDelay: 0 }));
+    executor.use({
+      pluginName: 'Inner',
+      async around(_context, next): Promise<unknown> {
+        steps.push('inner');
+        return next();
+      }
+    });
+
+    let calls = 0;
+    const result = await executor.exec(async () => {
+      if (++calls < 3) {
+        throw new Error('Test Error');
+      }
+      return 'success';
+    });
+
+    expect(result).toBe('success');
+    expect(steps).toEqual([
+      'outer start',
+      'inner',
+      'inner',
+      'inner',
+      'outer end'
+    ]);
+  });
+
+  it('should keep the deprecated onExec for the direct calls', async () => {
+    const plugin = new RetryPlugin({ maxRetries: 2, retryDelay: 0 });
+    const context = {
+      parameters: 'data',
+      hooksRuntimes: {}
+    } as ExecutorContext<unknown>;
+    const task = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Test Error'))
+      .mockResolvedValue('success');
+
+    await expect(plugin.onExec(context, task)).resolves.toBe('success');
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(task).toHaveBeenCalledWith(context);
+    expect(plugin.enabled('onExec')).toBe(false);
+    expect(plugin.enabled('around')).toBe(true);
+  });
 });
@@ -1,4 +1,8 @@
-import { RequestErrorID, RequestError } from '../../../interface';
+import {
+  RequestErrorID,
+  RequestError,
+  isRequestError
+} from '../../../interface';
 import { FetchURLPlugin, RequestAdapterFetch } from '../..';
 
 describe('RequestError', () => {
@@ -72,7 +76,42 @@ describe('RequestError', () => {
     await expect(request.request({ url: '/users' })).rejects.toMatchObject({
       message: 'Request failed with status: 404 Not Found',
       id: RequestErrorID.RESPONSE_NOT_OK,
-      response: mockResponse
+      response: mockResponse,
+      details: {
+        status: 404,
+        statusText: 'Not Found',
+        url: 'https://api.example.com/users'
+      }
     });
   });
+
+  it('should keep the response out of toJSON', () => {
+    const response = new Response('Not Found', { status: 404 });
+    const error = new RequestError(RequestErrorID.RESPONSE_NOT_OK, 'failed', {
+      details: { status: 404, url: '/users' },
+      response
+    });
+
+    expect(error.response).toBe(response);
+    expect(error.name).toBe('RequestError');
+
+    const json = JSON.parse(JSON.stringify(error));
+    expect(json).not.toHaveProperty('response');
+    expect(json.details).toEqual({ status: 404, url: '/users' });
+
+    const restored = RequestError.fromJSON(json);
+    expect(restored).toBeInstanceOf(RequestError);
+    expect(restored.id).toBe(RequestErrorID.RESPONSE_NOT_OK);
+    expect(restored.details.status).toBe(404);
+  });
+
+  it('should check the error id with isRequestError', () => {
+    const error: unknown = new RequestError(RequestErrorID.TIMEOUT);
+
+    expect(isRequestError(error)).toBe(true);
+    expect(isRequestError(error, RequestErrorID.TIMEOUT)).toBe(true);
+    expect(isRequestError(error, RequestErrorID.ABORT_ERROR)).toBe(false);
+    expect(isRequestError(new Error('TIMEOUT'))).toBe(false);
+    expect(isRequestError(undefined)).toBe(false);
+  });
 });
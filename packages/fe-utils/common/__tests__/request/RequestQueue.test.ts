@@ -0,0 +1,196 @@
+import { RequestErrorID } from '../../../interface';
+import {
+  FetchAbortPlugin,
+  RequestAdapterMock,
+  RequestAdapterMockConfig,
+  RequestQueue,
+  RequestQueueStats,
+  RequestScheduler
+} from '../../request';
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('RequestQueue', () => {
+  let adapter: RequestAdapterMock;
+  let running: number;
+  let maxRunning: number;
+  let order: string[];
+
+  beforeEach(() => {
+    running = 0;
+    maxRunning = 0;
+    order = [];
+    adapter = new RequestAdapterMock({ responseType: 'text' }).mock(
+      '*',
+      '*',
+      async ({ url }) => {
+        order.push(url);
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(20);
+        running--;
+        return { data: url };
+      }
+    );
+  });
+
+  function createScheduler(
+    queue: RequestQueue
+  ): RequestScheduler<RequestAdapterMockConfig> {
+    return new RequestScheduler(adapter, { queue });
+  }
+
+  it('should limit the concurrent requests', async () => {
+    const scheduler = createScheduler(new RequestQueue({ maxConcurrent: 2 }));
+
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map((index) => scheduler.get(`/api/${index}`))
+    );
+
+    expect(maxRunning).toBe(2);
+    expect(results.map((result) => result.data)).toEqual([
+      '/api/1',
+      '/api/2',
+      '/api/3',
+      '/api/4',
+      '/api/5'
+    ]);
+  });
+
+  it('should not limit without a queue', async () => {
+    const scheduler = new RequestScheduler(adapter);
+
+    await Promise.all([1, 2, 3].map((index) => scheduler.get(`/api/${index}`)));
+
+    expect(maxRunning).toBe(3);
+  });
+
+  it('should limit the concurrent requests per host', async () => {
+    const scheduler = createScheduler(
+      new RequestQueue({ maxConcurrent: 3, maxPerHost: 1 })
+    );
+
+    await Promise.all([
+      scheduler.get('https://a.example.com/1'),
+      scheduler.get('https://a.example.com/2'),
+      scheduler.get('https://b.example.com/1'),
+      scheduler.get('/2', { baseURL: 'https://b.example.com' }),
+      scheduler.get('https://c.example.com/1')
+    ]);
+
+    expect(maxRunning).toBe(3);
+    // the second request of each host waits for the first one
+    expect(order.slice(0, 3)).toEqual([
+      'https://a.example.com/1',
+      'https://b.example.com/1',
+      'https://c.example.com/1'
+    ]);
+  });
+
+  it('should run requests with higher priority first', async () => {
+    const scheduler = createScheduler(new RequestQueue({ maxConcurrent: 1 }));
+
+    await Promise.all([
+      scheduler.get('/first'),
+      scheduler.get('/low', { priority: 'low' }),
+      scheduler.get('/normal'),
+      scheduler.get('/high', { priority: 'high' }),
+      scheduler.get('/highest', { priority: 10 }),
+      scheduler.get('/normal2', { priority: 'auto' })
+    ]);
+
+    expect(order).toEqual([
+      '/first',
+      '/highest',
+      '/high',
+      '/normal',
+      '/normal2',
+      '/low'
+    ]);
+  });
+
+  it('should cancel queued requests with FetchAbortPlugin', async () => {
+    const queue = new RequestQueue({ maxConcurrent: 1 });
+    const scheduler = createScheduler(queue);
+    const abortPlugin = new FetchAbortPlugin();
+    scheduler.usePlugin(abortPlugin);
+
+    const first = scheduler.get('/first');
+    const queued = scheduler.get('/queued', { requestId: 'queued' });
+    await sleep(5);
+
+    expect(queue.getStats()).toEqual({ pending: 1, active: 1 });
+    abortPlugin.abort('queued');
+
+    await expect(queued).rejects.toMatchObject({
+      id: RequestErrorID.ABORT_ERROR
+    });
+    expect(queue.getStats()).toEqual({ pending: 0, active: 1 });
+    await expect(first).resolves.toMatchObject({ data: '/first' });
+    expect(order).toEqual(['/first']);
+  });
+
+  it('should reject a request with an aborted signal', async () => {
+    const scheduler = createScheduler(new RequestQueue());
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+
+    await expect(
+      scheduler.get('/api', { signal: controller.signal })
+    ).rejects.toThrow('cancelled');
+    expect(order).toEqual([]);
+  });
+
+  it('should not start a request whose signal was aborted after it was queued', async () => {
+    const queue = new RequestQueue({ maxConcurrent: 1 });
+    const first = queue.run({ url: '/first' }, () => sleep(20));
+    const config: RequestAdapterMockConfig = { url: '/queued' };
+    const task = jest.fn(async () => 'queued');
+    const queued = queue.run(config, task);
+
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+    config.signal = controller.signal;
+
+    await first;
+    await expect(queued).rejects.toThrow('cancelled');
+    expect(task).not.toHaveBeenCalled();
+    expect(queue.getStats()).toEqual({ pending: 0, active: 0 });
+  });
+
+  it('should report the statistics', async () => {
+    const queue = new RequestQueue({ maxConcurrent: 1 });
+    const scheduler = createScheduler(queue);
+    const stats: RequestQueueStats[] = [];
+    const unsubscribe = queue.onChange((item) => stats.push(item));
+
+    await Promise.all([scheduler.get('/1'), scheduler.get('/2')]);
+    unsubscribe();
+    await scheduler.get('/3');
+
+    expect(stats[0]).toEqual({ pending: 0, active: 1 });
+    expect(stats).toContainEqual({ pending: 1, active: 1 });
+    expect(stats[stats.length - 1]).toEqual({ pending: 0, active: 0 });
+    expect(queue.getStats()).toEqual({ pending: 0, active: 0 });
+  });
+
+  it('should continue after a failed request', async () => {
+    adapter.reset();
+    adapter
+      .mock('GET', '/fail', async () => {
+        throw new Error('fail');
+      })
+      .mock('GET', '/ok', { data: 'ok' });
+    const scheduler = createScheduler(new RequestQueue({ maxConcurrent: 1 }));
+
+    const [fail, ok] = await Promise.allSettled([
+      scheduler.get('/fail'),
+      scheduler.get('/ok')
+    ]);
+
+    expect(fail.status).toBe('rejected');
+    expect(ok).toMatchObject({ status: 'fulfilled', value: { data: 'ok' } });
+  });
+});
@@ -1,6 +1,6 @@
 import axios from 'axios';
 import { RequestAdapterAxios } from '../../request/adapter';
-import { RequestAdapterFetch } from '../../request/adapter';
+import { RequestAdapterFetch, RequestAdapterMock } from '../../request/adapter';
 import { RequestScheduler } from '../../request/RequestScheduler';
 
 async function checkNetworkConnection(): Promise<boolean> {
@@ -31,7 +31,8 @@ describe.skip('Use RequestScheduler with network', () => {
     const scheduler = new RequestScheduler(adapter);
 
     const response = await scheduler.request({
-      url: 'https://api.github.com/users/octocat'
+      url: 'https://api.github.com/users/octocat',
+      responseType: 'json'
     });
 
     expect(response.status).toBe(200);
@@ -48,7 +49,8 @@ describe.skip('Use RequestScheduler with network', () => {
     const scheduler = new RequestScheduler(adapter);
 
     const response = await scheduler.request({
-      url: 'https://api.github.com/users/octocat'
+      url: 'https://api.github.com/users/octocat',
+      responseType: 'json'
     });
 
     expect(response.status).toBe(200);
@@ -74,3 +76,24 @@ describe.skip('Use RequestScheduler with network', () => {
     expect(response.data).toBeDefined();
   });
 });
+
+describe('Use RequestScheduler with RequestAdapterMock', () => {
+  it('should handle mock response json type', async () => {
+    const adapter = new RequestAdapterMock().mock(
+      'GET',
+      'https://api.github.com/users/:name',
+      ({ params }) => ({ data: { login: params.name } })
+    );
+    const scheduler = new RequestScheduler(adapter);
+
+    const response = await scheduler.request({
+      url: 'https://api.github.com/users/octocat',
+      responseType: 'json'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.statusText).toBe('OK');
+    expect(response.data).toEqual({ login: 'octocat' });
+    adapter.expectCalled('GET', 'https://api.github.com/users/:name', 1);
+  });
+});
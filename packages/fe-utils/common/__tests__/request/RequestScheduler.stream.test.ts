@@ -0,0 +1,280 @@
+import { RequestError, RequestErrorID } from '../../../interface';
+import {
+  RequestAdapterFetch,
+  RequestScheduler,
+  FetchAbortPlugin,
+  ServerSentEvent
+} from '../../request';
+
+function createStream(
+  chunks: string[],
+  options: { fail?: boolean; hang?: boolean; onCancel?: () => void } = {}
+): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  let index = 0;
+
+  return new ReadableStream({
+    pull(controller): Promise<void> | void {
+      if (index < chunks.length) {
+        controller.enqueue(encoder.encode(chunks[index++]));
+        return;
+      }
+
+      if (options.fail) {
+        controller.error(new Error('Network error'));
+        return;
+      }
+
+      if (options.hang) {
+        return new Promise(() => {
+          // never ends
+        });
+      }
+
+      controller.close();
+    },
+    cancel: options.onCancel
+  });
+}
+
+function streamResponse(
+  chunks: string[],
+  options: { fail?: boolean; hang?: boolean } = {}
+): Response {
+  return new Response(createStream(chunks, options), {
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+/**
+ * A stream response that errors when the request is aborted, like fetch
+ */
+function abortableStreamResponse(request: Request): Response {
+  const reader = createStream(['data: a\n\n'], { hang: true }).getReader();
+
+  const body = new ReadableStream<Uint8Array>({
+    pull(controller): Promise<void> {
+      return new Promise((resolve) => {
+        request.signal.addEventListener('abort', () => {
+          controller.error(request.signal.reason);
+          resolve();
+        });
+        reader.read().then(({ value }) => {
+          if (value) {
+            controller.enqueue(value);
+            resolve();
+          }
+        });
+      });
+    }
+  });
+
+  return new Response(body);
+}
+
+async function collect(
+  iterator: AsyncGenerator<ServerSentEvent, void, undefined>
+): Promise<ServerSentEvent[]> {
+  const events: ServerSentEvent[] = [];
+
+  for await (const event of iterator) {
+    events.push(event);
+  }
+
+  return events;
+}
+
+describe('RequestScheduler.stream', () => {
+  let fetchMock: jest.Mock;
+  let scheduler: RequestScheduler<RequestAdapterFetch['config']>;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    scheduler = new RequestScheduler(
+      new RequestAdapterFetch({ fetcher: fetchMock })
+    );
+  });
+
+  it('should yield the parsed events', async () => {
+    fetchMock.mockResolvedValueOnce(
+      streamResponse(['data: hel', 'lo\n\nevent: end\n', 'data: bye\n\n'])
+    );
+
+    const events = await collect(
+      scheduler.stream('https://api.example.com/events')
+    );
+
+    expect(events).toEqual([
+      { event: 'message', data: 'hello', id: '' },
+      { event: 'end', data: 'bye', id: '' }
+    ]);
+
+    const request = fetchMock.mock.calls[0][0] as Request;
+    expect(request.url).toBe('https://api.example.com/events');
+    expect(request.method).toBe('GET');
+    expect(request.headers.get('Accept')).toBe('text/event-stream');
+    expect(request.headers.get('Last-Event-ID')).toBeNull();
+  });
+
+  it('should send the request data', async () => {
+    fetchMock.mockResolvedValueOnce(streamResponse(['data: ok\n\n']));
+
+    await collect(
+      scheduler.stream('https://api.example.com/chat', {
+        method: 'POST',
+        data: { message: 'hi' },
+        lastEventId: '5'
+      })
+    );
+
+    const request = fetchMock.mock.calls[0][0] as Request;
+    expect(request.method).toBe('POST');
+    expect(request.headers.get('Last-Event-ID')).toBe('5');
+    await expect(request.text()).resolves.toBe('{"message":"hi"}');
+  });
+
+  it('should reconnect with the last event id', async () => {
+    fetchMock
+      .mockResolvedValueOnce(
+        streamResponse(['retry: 10\nid: 1\ndata: a\n\ndata: incom'], {
+          fail: true
+        })
+      )
+      .mockResolvedValueOnce(streamResponse(['id: 2\ndata: b\n\n']))
+      // 204 tells the client to stop reconnecting
+      .mockResolvedValueOnce(new Response(null, { status: 204 }));
+
+    const events = await collect(
+      scheduler.stream('https://api.example.com/events', { reconnect: 1 })
+    );
+
+    expect(events.map((event) => event.data)).toEqual(['a', 'b']);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(
+      (fetchMock.mock.calls[1][0] as Request).headers.get('Last-Event-ID')
+    ).toBe('1');
+    expect(
+      (fetchMock.mock.calls[2][0] as Request).headers.get('Last-Event-ID')
+    ).toBe('2');
+  });
+
+  it('should fail when the reconnections are exhausted', async () => {
+    fetchMock.mockRejectedValue(new Error('Network error'));
+
+    await expect(
+      collect(
+        scheduler.stream('https://api.example.com/events', {
+          reconnect: 2,
+          retryDelay: 1
+        })
+      )
+    ).rejects.toBeDefined();
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not reconnect by default or on error response', async () => {
+    fetchMock.mockResolvedValueOnce(
+      streamResponse(['data: a\n\n'], { fail: true })
+    );
+
+    await expect(
+      collect(scheduler.stream('https://api.example.com/events'))
+    ).rejects.toThrow('Network error');
+
+    fetchMock.mockResolvedValue(new Response('Forbidden', { status: 403 }));
+
+    await expect(
+      collect(
+        scheduler.stream('https://api.example.com/events', { reconnect: true })
+      )
+    ).rejects.toMatchObject({ id: RequestErrorID.RESPONSE_NOT_OK });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should end on 204 response', async () => {
+    fetchMock.mockResolvedValue(new Response(null, { status: 204 }));
+
+    await expect(
+      collect(
+        scheduler.stream('https://api.example.com/events', { reconnect: true })
+      )
+    ).resolves.toEqual([]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should close the connection when the consumer stops', async () => {
+    const onCancel = jest.fn();
+    fetchMock.mockResolvedValueOnce(
+      new Response(createStream(['data: a\n\n'], { hang: true, onCancel }))
+    );
+
+    for await (const event of scheduler.stream(
+      'https://api.example.com/events',
+      {
+        reconnect: true
+      }
+    )) {
+      expect(event.data).toBe('a');
+      break;
+    }
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop with abort error when the signal is aborted', async () => {
+    const controller = new AbortController();
+    fetchMock.mockImplementation(async (request: Request) =>
+      abortableStreamResponse(request)
+    );
+
+    const events: ServerSentEvent[] = [];
+    const promise = (async (): Promise<void> => {
+      for await (const event of scheduler.stream(
+        'https://api.example.com/events',
+        {
+          reconnect: true,
+          signal: controller.signal
+        }
+      )) {
+        events.push(event);
+        controller.abort();
+      }
+    })();
+
+    await expect(promise).rejects.toBeInstanceOf(RequestError);
+    await expect(promise).rejects.toMatchObject({
+      id: RequestErrorID.ABORT_ERROR
+    });
+    expect(events.map((event) => event.data)).toEqual(['a']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should be aborted by FetchAbortPlugin', async () => {
+    const abortPlugin = new FetchAbortPlugin();
+    scheduler.usePlugin(abortPlugin);
+    fetchMock.mockImplementation(async (request: Request) =>
+      abortableStreamResponse(request)
+    );
+
+    const events: ServerSentEvent[] = [];
+    const promise = (async (): Promise<void> => {
+      for await (const event of scheduler.stream(
+        'https://api.example.com/events',
+        {
+          reconnect: true,
+          requestId: 'events'
+        }
+      )) {
+        events.push(event);
+        abortPlugin.abort('events');
+      }
+    })();
+
+    await expect(promise).rejects.toMatchObject({
+      id: RequestErrorID.ABORT_ERROR
+    });
+    expect(events.map((event) => event.data)).toEqual(['a']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -132,4 +132,34 @@ describe('RequestScheduler', () => {
     await expect(scheduler.get('/test/fail')).rejects.toThrow();
     expect(shouldRetry).toHaveBeenCalledTimes(2);
   });
+
+  it('should support scoped plugins of a request', async () => {
+    const adapter = new MockRequestAdapter();
+    const scheduler = new RequestScheduler(adapter);
+    const shouldRetry = jest.fn().mockReturnValue(true);
+
+    scheduler.usePlugin(
+      new RetryPlugin({ maxRetries: 2, retryDelay: 10, shouldRetry })
+    );
+
+    await expect(
+      scheduler.request({ url: '/test/fail' }, { exclude: ['RetryPlugin'] })
+    ).rejects.toThrow();
+    expect(shouldRetry).not.toHaveBeenCalled();
+
+    const response = await scheduler.request(
+      { url: '/test', data: 'data' },
+      {
+        plugins: [
+          {
+            pluginName: 'TestPlugin',
+            onSuccess: ({ returnValue }): void => {
+              (returnValue as RequestAdapterResponse).data = 'modified';
+            }
+          }
+        ]
+      }
+    );
+    expect(response.data).toBe('modified');
+  });
 });
@@ -0,0 +1,90 @@
+import { ServerSentEventParser } from '../../request';
+
+describe('ServerSentEventParser', () => {
+  let parser: ServerSentEventParser;
+
+  beforeEach(() => {
+    parser = new ServerSentEventParser();
+  });
+
+  it('should parse event, data, id and retry fields', () => {
+    const events = parser.feed(
+      'event: update\ndata: hello\nid: 1\nretry: 1000\n\n'
+    );
+
+    expect(events).toEqual([
+      { event: 'update', data: 'hello', id: '1', retry: 1000 }
+    ]);
+    expect(parser.lastEventId).toBe('1');
+    expect(parser.retry).toBe(1000);
+  });
+
+  it('should use message as default event type', () => {
+    expect(parser.feed('data: hello\n\n')).toEqual([
+      { event: 'message', data: 'hello', id: '' }
+    ]);
+  });
+
+  it('should join multiple data lines', () => {
+    expect(parser.feed('data: line1\ndata:line2\ndata\n\n')).toEqual([
+      { event: 'message', data: 'line1\nline2\n', id: '' }
+    ]);
+  });
+
+  it('should parse events split across chunks', () => {
+    expect(parser.feed('data: hel')).toEqual([]);
+    expect(parser.feed('lo\n')).toEqual([]);
+    expect(parser.feed('\ndata: world\n\n')).toEqual([
+      { event: 'message', data: 'hello', id: '' },
+      { event: 'message', data: 'world', id: '' }
+    ]);
+  });
+
+  it('should support CRLF and CR line endings split across chunks', () => {
+    expect(parser.feed('data: a\r')).toEqual([]);
+    expect(parser.feed('\n\r')).toEqual([]);
+    expect(parser.feed('\ndata: b\r\r')).toEqual([
+      { event: 'message', data: 'a', id: '' }
+    ]);
+    expect(parser.feed('')).toEqual([]);
+    expect(parser.feed('data: c\n\n')).toEqual([
+      { event: 'message', data: 'b', id: '' },
+      { event: 'message', data: 'c', id: '' }
+    ]);
+  });
+
+  it('should ignore comments, unknown fields and events without data', () => {
+    expect(
+      parser.feed(': ping\n\nfoo: bar\n\nevent: empty\n\ndata: ok\n\n')
+    ).toEqual([{ event: 'message', data: 'ok', id: '' }]);
+  });
+
+  it('should strip the BOM and only one leading space of the value', () => {
+    expect(parser.feed('﻿data:  indented\n\n')).toEqual([
+      { event: 'message', data: ' indented', id: '' }
+    ]);
+  });
+
+  it('should keep the last event id for following events', () => {
+    const events = parser.feed('id: 7\ndata: a\n\ndata: b\n\nid\ndata: c\n\n');
+
+    expect(events.map((event) => event.id)).toEqual(['7', '7', '']);
+  });
+
+  it('should ignore invalid retry and id with null character', () => {
+    parser.feed('retry: 1s\nid: a\0b\ndata: a\n\n');
+
+    expect(parser.retry).toBeUndefined();
+    expect(parser.lastEventId).toBe('');
+  });
+
+  it('should discard the incomplete event but keep id and retry on reset', () => {
+    parser.feed('id: 3\nretry: 500\ndata: a\n\ndata: incomplete\n');
+    parser.reset();
+
+    expect(parser.feed('data: b\n\n')).toEqual([
+      { event: 'message', data: 'b', id: '3' }
+    ]);
+    expect(parser.retry).toBe(500);
+  });
+});
@@ -1,6 +1,11 @@
 import { RequestError, RequestErrorID } from '../../../../interface';
 import { RequestAdapterFetch } from '../../../request';
-import { FetchURLPlugin } from '../../../request/plugins';
+import {
+  FetchAbortPlugin,
+  FetchRetryPlugin,
+  FetchURLPlugin
+} from '../../../request/plugins';
+import { RetryPlugin } from '../../../executor';
 
 describe('create a base requestAdapterFetch', () => {
   let fetchMock: jest.Mock;
@@ -202,3 +207,525 @@ describe('RequestAdapterFetch', () => {
     ).rejects.toEqual(new RequestError('Network error', networkError));
   });
 });
+
+describe('RequestAdapterFetch progress', () => {
+  it('should report download progress against Content-Length', async () => {
+    const fetchMock = jest.fn(
+      async () =>
+        new Response('hello world', { headers: { 'content-length': '11' } })
+    );
+    const onDownloadProgress = jest.fn();
+    const onStreamProgress = jest.fn();
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+
+    const result = await request.request({
+      url: 'https://api.example.com/export',
+      onDownloadProgress,
+      onStreamProgress
+    });
+
+    await expect((result.data as Response).text()).resolves.toBe('hello world');
+
+    expect(onDownloadProgress).toHaveBeenLastCalledWith({
+      loaded: 11,
+      total: 11,
+      percent: 100
+    });
+    expect(onStreamProgress).toHaveBeenLastCalledWith(100);
+  });
+
+  it('should report the end of download when total is unknown', async () => {
+    const fetchMock = jest.fn(async () => new Response('hello'));
+    const onDownloadProgress = jest.fn();
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+
+    const result = await request.request({
+      url: 'https://api.example.com/export',
+      onDownloadProgress
+    });
+    await (result.data as Response).text();
+
+    expect(onDownloadProgress).toHaveBeenCalledWith({
+      loaded: 5,
+      total: 0,
+      percent: 0
+    });
+    expect(onDownloadProgress).toHaveBeenLastCalledWith({
+      loaded: 5,
+      total: 5,
+      percent: 100
+    });
+  });
+
+  it('should report download progress to plugins', async () => {
+    const fetchMock = jest.fn(
+      async () => new Response('hello', { headers: { 'content-length': '5' } })
+    );
+    const onDownloadProgress = jest.fn();
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin({ pluginName: 'ProgressPlugin', onDownloadProgress });
+
+    const result = await request.request({
+      url: 'https://api.example.com/export'
+    });
+    await (result.data as Response).text();
+
+    expect(onDownloadProgress).toHaveBeenCalledWith(
+      expect.objectContaining({
+        parameters: expect.objectContaining({
+          url: 'https://api.example.com/export'
+        })
+      }),
+      { loaded: 5, total: 5, percent: 100 }
+    );
+  });
+
+  it('should report upload progress of Blob body', async () => {
+    let uploaded = '';
+    const fetchMock: jest.Mock = jest.fn(async (request: Request) => {
+      uploaded = await request.text();
+      return new Response('ok');
+    });
+    const onUploadProgress = jest.fn();
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+
+    await request.request({
+      url: 'https://api.example.com/upload',
+      method: 'POST',
+      data: new Blob(['abcdef']),
+      onUploadProgress
+    });
+
+    expect(uploaded).toBe('abcdef');
+    expect(onUploadProgress).toHaveBeenLastCalledWith({
+      loaded: 6,
+      total: 6,
+      percent: 100
+    });
+  });
+
+  it('should send ReadableStream body with duplex', async () => {
+    let uploaded = '';
+    const fetchMock: jest.Mock = jest.fn(async (request: Request) => {
+      uploaded = await request.text();
+      return new Response('ok');
+    });
+    const onUploadProgress = jest.fn();
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    const body = new Blob(['stream body']).stream();
+
+    await request.request({
+      url: 'https://api.example.com/upload',
+      method: 'POST',
+      data: body,
+      headers: { 'Content-Length': '11' },
+      onUploadProgress
+    });
+
+    expect(uploaded).toBe('stream body');
+    expect(onUploadProgress).toHaveBeenLastCalledWith({
+      loaded: 11,
+      total: 11,
+      percent: 100
+    });
+  });
+
+  it('should keep the type of a streamed Blob body', async () => {
+    const fetchMock: jest.Mock = jest.fn(async () => new Response('ok'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+
+    await request.request({
+      url: 'https://api.example.com/upload',
+      method: 'POST',
+      data: new Blob(['abc'], { type: 'text/plain' }),
+      onUploadProgress: jest.fn()
+    });
+
+    const sent = fetchMock.mock.calls[0][0] as Request;
+    expect(sent.headers.get('Content-Type')).toBe('text/plain');
+  });
+
+  it('should send Blob body as it is without request streams', async () => {
+    class NoStreamAdapter extends RequestAdapterFetch {
+      protected supportsRequestStream(): boolean {
+        return false;
+      }
+    }
+
+    const fetchMock: jest.Mock = jest.fn(async () => new Response('ok'));
+    const onUploadProgress = jest.fn();
+    const request = new NoStreamAdapter({ fetcher: fetchMock });
+    const toRequest = jest.spyOn(request, 'parametersToRequest');
+    const body = new Blob(['abcdef'], { type: 'image/png' });
+
+    await request.request({
+      url: 'https://api.example.com/upload',
+      method: 'POST',
+      data: body,
+      onUploadProgress
+    });
+
+    expect(toRequest.mock.calls[0][0].data).toBe(body);
+    const sent = fetchMock.mock.calls[0][0] as Request;
+    expect(sent.headers.get('Content-Type')).toBe('image/png');
+    await expect(sent.text()).resolves.toBe('abcdef');
+    expect(onUploadProgress).toHaveBeenCalledTimes(1);
+    expect(onUploadProgress).toHaveBeenCalledWith({
+      loaded: 6,
+      total: 6,
+      percent: 100
+    });
+  });
+
+  it('should not track upload when only plugins listen to it', async () => {
+    const fetchMock: jest.Mock = jest.fn(async () => new Response('ok'));
+    const onUploadProgress = jest.fn();
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin({ pluginName: 'ProgressPlugin', onUploadProgress });
+
+    await request.request({
+      url: 'https://api.example.com/upload',
+      method: 'POST',
+      data: new Blob(['abc'], { type: 'text/plain' })
+    });
+
+    const sent = fetchMock.mock.calls[0][0] as Request;
+    expect(sent.headers.get('Content-Type')).toBe('text/plain');
+    await expect(sent.text()).resolves.toBe('abc');
+    expect(onUploadProgress).not.toHaveBeenCalled();
+  });
+
+  it('should keep url, redirected and type of the tracked response', async () => {
+    const fetchMock = jest.fn(async () => {
+      const response = new Response('hello');
+      Object.defineProperties(response, {
+        url: { value: 'https://cdn.example.com/export' },
+        redirected: { value: true },
+        type: { value: 'cors' }
+      });
+      return response;
+    });
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+
+    const result = await request.request({
+      url: 'https://api.example.com/export',
+      onDownloadProgress: jest.fn()
+    });
+
+    expect(result.response.url).toBe('https://cdn.example.com/export');
+    expect(result.response.redirected).toBe(true);
+    expect(result.response.type).toBe('cors');
+    await expect(result.response.text()).resolves.toBe('hello');
+  });
+});
+
+describe('RequestAdapterFetch timeout', () => {
+  function delayFetch(ms: number, body = 'response') {
+    return (request: Request): Promise<Response> =>
+      new Promise((resolve, reject) => {
+        if (request.signal.aborted) {
+          reject(request.signal.reason);
+          return;
+        }
+
+        const timeoutId = setTimeout(() => resolve(new Response(body)), ms);
+
+        request.signal.addEventListener('abort', () => {
+          clearTimeout(timeoutId);
+          reject(request.signal.reason);
+        });
+      });
+  }
+
+  it('should fail with TIMEOUT error when timeout expires', async () => {
+    const request = new RequestAdapterFetch({
+      fetcher: jest.fn(delayFetch(200)) as jest.Mock
+    });
+
+    await expect(
+      request.request({ url: 'https://api.example.com/slow', timeout: 20 })
+    ).rejects.toMatchObject({
+      id: RequestErrorID.TIMEOUT,
+      message: 'Request timeout of 20ms exceeded'
+    });
+  });
+
+  it('should use timeout of the adapter config', async () => {
+    const request = new RequestAdapterFetch({
+      fetcher: jest.fn(delayFetch(200)) as jest.Mock,
+      timeout: 20
+    });
+
+    await expect(
+      request.request({ url: 'https://api.example.com/slow' })
+    ).rejects.toBeInstanceOf(RequestError);
+  });
+
+  it('should resolve when response is received before timeout', async () => {
+    const request = new RequestAdapterFetch({
+      fetcher: jest.fn(delayFetch(10)) as jest.Mock
+    });
+
+    const result = await request.request({
+      url: 'https://api.example.com/fast',
+      timeout: 200
+    });
+
+    expect(result.status).toBe(200);
+  });
+
+  it('should fail with TIMEOUT error even if fetcher ignores the reason', async () => {
+    const request = new RequestAdapterFetch({
+      fetcher: jest.fn(
+        (request: Request) =>
+          new Promise((_resolve, reject) => {
+            request.signal.addEventListener('abort', () =>
+              reject(new DOMException('aborted', 'AbortError'))
+            );
+          })
+      ) as jest.Mock
+    });
+
+    await expect(
+      request.request({ url: 'https://api.example.com/slow', timeout: 20 })
+    ).rejects.toMatchObject({ id: RequestErrorID.TIMEOUT });
+  });
+
+  it('should combine timeout with the user signal', async () => {
+    const request = new RequestAdapterFetch({
+      fetcher: jest.fn(delayFetch(200)) as jest.Mock
+    });
+    const controller = new AbortController();
+
+    const promise = request.request({
+      url: 'https://api.example.com/slow',
+      timeout: 1000,
+      signal: controller.signal
+    });
+    controller.abort(new Error('user abort'));
+
+    await expect(promise).rejects.toThrow('user abort');
+  });
+
+  it('should abort by FetchAbortPlugin when timeout is set', async () => {
+    const request = new RequestAdapterFetch({
+      fetcher: jest.fn(delayFetch(200)) as jest.Mock
+    });
+    const abortPlugin = new FetchAbortPlugin();
+    request.usePlugin(abortPlugin);
+
+    const config = { url: 'https://api.example.com/slow', timeout: 1000 };
+    const promise = request.request(config);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    abortPlugin.abort(config);
+
+    await expect(promise).rejects.toMatchObject({
+      id: RequestErrorID.ABORT_ERROR
+    });
+  });
+
+  it('should retry a timed-out attempt', async () => {
+    const fetchMock = jest
+      .fn()
+      .mockImplementationOnce(delayFetch(200))
+      .mockImplementationOnce(delayFetch(0, 'retry response'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin(new RetryPlugin({ maxRetries: 1, retryDelay: 0 }));
+
+    const result = await request.request({
+      url: 'https://api.example.com/slow',
+      timeout: 20
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    await expect(result.response.text()).resolves.toBe('retry response');
+  });
+});
+
+describe('RequestAdapterFetch body and response', () => {
+  let fetchMock: jest.Mock;
+  let request: RequestAdapterFetch;
+
+  beforeEach(() => {
+    fetchMock = jest.fn(async () => new Response('response'));
+    request = new RequestAdapterFetch({ fetcher: fetchMock });
+  });
+
+  function getRequest(): Request {
+    return fetchMock.mock.calls[0][0] as Request;
+  }
+
+  it('should serialize plain object to JSON', async () => {
+    await request.request({
+      url: 'https://api.example.com/users',
+      method: 'POST',
+      data: { name: 'test', tags: ['a'] }
+    });
+
+    const sent = getRequest();
+    expect(sent.headers.get('Content-Type')).toBe(
+      'application/json;charset=UTF-8'
+    );
+    await expect(sent.json()).resolves.toEqual({ name: 'test', tags: ['a'] });
+  });
+
+  it('should keep the Content-Type of the config', async () => {
+    await request.request({
+      url: 'https://api.example.com/users',
+      method: 'POST',
+      headers: { 'content-type': 'application/vnd.api+json' },
+      data: [1, 2]
+    });
+
+    const sent = getRequest();
+    expect(sent.headers.get('Content-Type')).toBe('application/vnd.api+json');
+    await expect(sent.text()).resolves.toBe('[1,2]');
+  });
+
+  it('should serialize URLSearchParams to form-urlencoded', async () => {
+    await request.request({
+      url: 'https://api.example.com/login',
+      method: 'POST',
+      data: new URLSearchParams({ user: 'test', password: '1' })
+    });
+
+    const sent = getRequest();
+    expect(sent.headers.get('Content-Type')).toBe(
+      'application/x-www-form-urlencoded;charset=UTF-8'
+    );
+    await expect(sent.text()).resolves.toBe('user=test&password=1');
+  });
+
+  it('should send FormData as multipart', async () => {
+    const formData = new FormData();
+    formData.append('name', 'test');
+
+    await request.request({
+      url: 'https://api.example.com/upload',
+      method: 'POST',
+      data: formData
+    });
+
+    const sent = getRequest();
+    expect(sent.headers.get('Content-Type')).toMatch(
+      /^multipart\/form-data; boundary=/
+    );
+    await expect(sent.formData()).resolves.toBeInstanceOf(FormData);
+  });
+
+  it('should only pass fetch priority values to fetch', async () => {
+    const spy = jest.spyOn(request, 'parametersToRequest');
+    await request.request({ url: 'https://api.example.com/a', priority: 10 });
+    await request.request({
+      url: 'https://api.example.com/b',
+      priority: 'low'
+    });
+
+    expect(spy.mock.results[0].value).toBeInstanceOf(Request);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send string data as it is', async () => {
+    await request.request({
+      url: 'https://api.example.com/users',
+      method: 'POST',
+      data: 'raw'
+    });
+
+    await expect(getRequest().text()).resolves.toBe('raw');
+  });
+
+  it('should parse response by responseType', async () => {
+    fetchMock.mockImplementation(
+      async () => new Response(JSON.stringify({ id: 1 }))
+    );
+    const url = 'https://api.example.com/users';
+
+    const json = await request.request({ url, responseType: 'json' });
+    expect(json.data).toEqual({ id: 1 });
+    expect(json.response).toBeInstanceOf(Response);
+
+    const text = await request.request({ url, responseType: 'text' });
+    expect(text.data).toBe('{"id":1}');
+
+    const blob = await request.request({ url, responseType: 'blob' });
+    expect(blob.data).toBeInstanceOf(Blob);
+
+    const buffer = await request.request({ url, responseType: 'arraybuffer' });
+    expect(buffer.data).toBeInstanceOf(ArrayBuffer);
+
+    const stream = await request.request({ url, responseType: 'stream' });
+    expect(stream.data).toBeInstanceOf(ReadableStream);
+
+    const raw = await request.request({ url });
+    expect(raw.data).toBeInstanceOf(Response);
+  });
+
+  it('should parse empty JSON response to null', async () => {
+    fetchMock.mockImplementation(
+      async () => new Response(null, { status: 204 })
+    );
+
+    const result = await request.request({
+      url: 'https://api.example.com/users',
+      responseType: 'json'
+    });
+
+    expect(result.data).toBeNull();
+  });
+
+  it('should fail when JSON response is invalid', async () => {
+    await expect(
+      request.request({
+        url: 'https://api.example.com/users',
+        responseType: 'json'
+      })
+    ).rejects.toThrow();
+  });
+
+  it('should keep the status of a failed response whose body is not JSON', async () => {
+    fetchMock.mockImplementation(
+      async () =>
+        new Response('<html>Service Unavailable</html>', {
+          status: 503,
+          statusText: 'Service Unavailable'
+        })
+    );
+
+    const result = await request.request({
+      url: 'https://api.example.com/users',
+      responseType: 'json'
+    });
+    expect(result.status).toBe(503);
+    expect(result.data).toBe('<html>Service Unavailable</html>');
+
+    request.usePlugin(new FetchURLPlugin());
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 2, retryDelay: 0 }));
+
+    await expect(
+      request.request({
+        url: 'https://api.example.com/users',
+        responseType: 'json'
+      })
+    ).rejects.toMatchObject({
+      id: RequestErrorID.RESPONSE_NOT_OK,
+      details: { status: 503 }
+    });
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+  });
+
+  it('should keep a failed response whose body can not be parsed', async () => {
+    fetchMock.mockImplementation(
+      async () => new Response('not a form', { status: 401 })
+    );
+
+    const result = await request.request({
+      url: 'https://api.example.com/users',
+      responseType: 'formdata'
+    });
+
+    expect(result.status).toBe(401);
+    expect(result.data).toBeNull();
+    expect(result.response).toBeInstanceOf(Response);
+  });
+});
@@ -0,0 +1,282 @@
+import { RequestError, RequestErrorID } from '../../../../interface';
+import {
+  FetchURLPlugin,
+  RequestAdapterMock,
+  RequestScheduler,
+  RequestAdapterMockConfig
+} from '../../../request';
+
+describe('RequestAdapterMock', () => {
+  let adapter: RequestAdapterMock;
+  let scheduler: RequestScheduler<RequestAdapterMockConfig>;
+
+  beforeEach(() => {
+    adapter = new RequestAdapterMock({ baseURL: 'https://api.example.com' });
+    scheduler = new RequestScheduler(adapter);
+  });
+
+  it('should respond with mock data', async () => {
+    adapter.mock('GET', '/users', { data: [{ id: 1 }] });
+
+    const result = await scheduler.get('/users', { responseType: 'json' });
+
+    expect(result.status).toBe(200);
+    expect(result.statusText).toBe('OK');
+    expect(result.data).toEqual([{ id: 1 }]);
+    expect(result.headers['content-type']).toBe('application/json');
+  });
+
+  it('should respond with the Response like fetch without responseType', async () => {
+    adapter.mock('GET', '/users', { data: [{ id: 1 }] });
+
+    const result = await scheduler.get('/users');
+
+    expect(result.data).toBeInstanceOf(Response);
+    await expect((result.data as Response).json()).resolves.toEqual([
+      { id: 1 }
+    ]);
+  });
+
+  it('should match path params and pass them to handler', async () => {
+    adapter.mock('GET', '/users/:id/posts/:postId', ({ params }) => ({
+      data: params
+    }));
+
+    const result = await scheduler.get('/users/1/posts/a%20b', {
+      responseType: 'json'
+    });
+
+    expect(result.data).toEqual({ id: '1', postId: 'a b' });
+  });
+
+  it('should match absolute URL and wildcard', async () => {
+    adapter
+      .mock('GET', 'https://cdn.example.com/files/*', { data: 'file' })
+      .mock('*', '/any', { data: 'any' });
+
+    const file = await scheduler.get('https://cdn.example.com/files/a/b.png', {
+      responseType: 'text'
+    });
+    const any = await scheduler.delete('/any', { responseType: 'text' });
+
+    expect(file.data).toBe('file');
+    expect(any.data).toBe('any');
+  });
+
+  it('should match query', async () => {
+    adapter
+      .mock('GET', '/users?page=2', { data: 'page 2' })
+      .mock('GET', '/users', { data: 'page 1' });
+
+    const page2 = await scheduler.get('/users', {
+      params: { page: 2 },
+      responseType: 'text'
+    });
+    const page2Url = await scheduler.get('/users?page=2&size=10', {
+      responseType: 'text'
+    });
+    const page1 = await scheduler.get('/users?page=1', {
+      responseType: 'text'
+    });
+
+    expect(page2.data).toBe('page 2');
+    expect(page2Url.data).toBe('page 2');
+    expect(page1.data).toBe('page 1');
+  });
+
+  it('should respond with status, headers and handler', async () => {
+    adapter.mock('POST', '/login', ({ data }) => ({
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: { 'x-reason': 'expired' },
+      data: { message: `invalid ${(data as { name: string }).name}` }
+    }));
+
+    const result = await scheduler.post('/login', {
+      data: { name: 'john' },
+      responseType: 'json'
+    });
+
+    expect(result.status).toBe(401);
+    expect(result.statusText).toBe('Unauthorized');
+    expect(result.headers['x-reason']).toBe('expired');
+    expect(result.response.ok).toBe(false);
+    expect(result.data).toEqual({ message: 'invalid john' });
+  });
+
+  it('should respond in sequence and repeat the last one', async () => {
+    adapter.mock('GET', '/status', { status: 503 }, { data: 'ready' });
+
+    const results = await Promise.all([
+      scheduler.get('/status'),
+      scheduler.get('/status'),
+      scheduler.get('/status')
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([503, 200, 200]);
+
+    adapter.resetHistory();
+    expect((await scheduler.get('/status')).status).toBe(503);
+  });
+
+  it('should respond 404 or fallback when no route matches', async () => {
+    const notFound = await scheduler.get('/none', { responseType: 'text' });
+    expect(notFound.status).toBe(404);
+    expect(notFound.data).toBe('No mock for GET https://api.example.com/none');
+
+    const fallbackAdapter = new RequestAdapterMock(
+      {},
+      { fallback: { data: 'default' } }
+    );
+    const fallback = await fallbackAdapter.request({
+      url: '/none',
+      responseType: 'text'
+    });
+    expect(fallback.data).toBe('default');
+  });
+
+  it('should load fixtures', async () => {
+    const fixtureAdapter = new RequestAdapterMock(
+      { responseType: 'json' },
+      {
+        fixtures: {
+          'GET /api/users/:id': { id: 1 },
+          'POST /api/login': { token: 'xxx' }
+        }
+      }
+    );
+
+    const user = await fixtureAdapter.request({ url: '/api/users/1' });
+    const login = await fixtureAdapter.request({
+      url: '/api/login',
+      method: 'post'
+    });
+
+    expect(user.data).toEqual({ id: 1 });
+    expect(login.data).toEqual({ token: 'xxx' });
+  });
+
+  it('should delay and can be aborted', async () => {
+    adapter.mock('GET', '/slow', { data: 'slow', delay: 50 });
+
+    const start = Date.now();
+    await scheduler.get('/slow');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+
+    const controller = new AbortController();
+    const promise = adapter.request({
+      url: '/slow',
+      signal: controller.signal
+    });
+    controller.abort(new RequestError(RequestErrorID.ABORT_ERROR));
+
+    await expect(promise).rejects.toMatchObject({
+      id: RequestErrorID.ABORT_ERROR
+    });
+  });
+
+  it('should record call history and assert calls', async () => {
+    adapter.mock('GET', '/users/:id', { data: {} });
+    adapter.mock('POST', '/users', { status: 201 });
+
+    await scheduler.get('/users/1', { headers: { 'x-id': '1' } });
+    await scheduler.get('/users/2');
+    await scheduler.post('/users', { data: { name: 'john' } });
+
+    expect(adapter.getCalls()).toHaveLength(3);
+    expect(adapter.getCalls('GET')).toHaveLength(2);
+
+    const [first] = adapter.expectCalled('GET', '/users/:id', 2);
+    expect(first).toMatchObject({
+      method: 'GET',
+      url: 'https://api.example.com/users/1',
+      path: '/users/1',
+      params: { id: '1' },
+      headers: { 'x-id': '1' }
+    });
+    expect(adapter.expectCalled('POST', '/users')[0].data).toEqual({
+      name: 'john'
+    });
+
+    expect(() => adapter.expectCalled('GET', '/users/:id', 1)).toThrow(
+      'Expected GET /users/:id to be called 1 times, but it was called 2 times'
+    );
+    expect(() => adapter.expectCalled('DELETE', '/users/:id')).toThrow(
+      'to be called at least once'
+    );
+
+    adapter.reset();
+    expect(adapter.getCalls()).toHaveLength(0);
+    expect((await scheduler.get('/users/1')).status).toBe(404);
+  });
+
+  it('should run the plugins of the adapter', async () => {
+    adapter.mock('GET', '/users', { data: [] });
+    const onBefore = jest.fn();
+    adapter.usePlugin({ pluginName: 'TestPlugin', onBefore });
+
+    await scheduler.get('/users');
+
+    expect(onBefore).toHaveBeenCalledWith(
+      expect.objectContaining({
+        parameters: expect.objectContaining({ url: '/users' })
+      })
+    );
+  });
+
+  it('should time out like RequestAdapterFetch', async () => {
+    adapter.mock('GET', '/slow', { data: 'slow', delay: 100 });
+
+    await expect(scheduler.get('/slow', { timeout: 10 })).rejects.toMatchObject(
+      { id: RequestErrorID.TIMEOUT }
+    );
+  });
+});
+
+describe('RequestAdapterMock with a relative baseURL', () => {
+  let adapter: RequestAdapterMock;
+  let scheduler: RequestScheduler<RequestAdapterMockConfig>;
+
+  beforeEach(() => {
+    adapter = new RequestAdapterMock({ baseURL: '/api' });
+    scheduler = new RequestScheduler(adapter);
+
+    adapter.mock('GET', '/users/:id', ({ params }) => ({
+      data: { id: params.id }
+    }));
+  });
+
+  it('should match routes relative to the baseURL', async () => {
+    const result = await scheduler.get('/users/1', { responseType: 'json' });
+
+    expect(result.data).toEqual({ id: '1' });
+    expect(adapter.expectCalled('GET', '/users/:id', 1)[0]).toMatchObject({
+      url: '/api/users/1',
+      path: '/users/1'
+    });
+  });
+
+  it('should not join the baseURL again', async () => {
+    const result = await scheduler.get('/api/users/2', {
+      responseType: 'json'
+    });
+
+    expect(result.data).toEqual({ id: '2' });
+    expect(adapter.getCalls()[0].url).toBe('/api/users/2');
+
+    // `/apis` is not under `/api`
+    const notFound = await scheduler.get('/apis/users/3', {
+      responseType: 'text'
+    });
+    expect(notFound.data).toBe('No mock for GET /api/apis/users/3');
+  });
+
+  it('should match the url joined by FetchURLPlugin', async () => {
+    adapter.usePlugin(new FetchURLPlugin());
+
+    const result = await scheduler.get('/users/1', { responseType: 'json' });
+
+    expect(result.data).toEqual({ id: '1' });
+    expect(adapter.getCalls()[0].url).toBe('/api/users/1');
+  });
+});
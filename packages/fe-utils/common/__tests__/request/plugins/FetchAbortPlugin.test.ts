@@ -161,6 +161,33 @@ describe('FetchAbortPlugin', () => {
     expect(onAbortMock).toHaveBeenCalledTimes(1);
     expect(fetchMock).toHaveBeenCalledTimes(2);
   });
+
+  it('should keep the controller of a stream response until it is consumed', async () => {
+    fetchMock.mockImplementation(
+      async () => new Response('data: a\n\n', { status: 200 })
+    );
+
+    const streaming = await request.request({
+      url: 'https://api.example.com/events',
+      requestId: 'events',
+      responseType: 'stream'
+    });
+
+    // the body is still readable, so it can be aborted
+    abortPlugin.abort('events');
+    expect((fetchMock.mock.calls[0][0] as Request).signal.aborted).toBe(true);
+
+    const consumed = await request.request({
+      url: 'https://api.example.com/events',
+      requestId: 'events',
+      responseType: 'stream'
+    });
+    await new Response(consumed.data as ReadableStream).text();
+
+    abortPlugin.abort('events');
+    expect((fetchMock.mock.calls[1][0] as Request).signal.aborted).toBe(false);
+    expect(streaming.data).toBeInstanceOf(ReadableStream);
+  });
 });
 
 describe('FetchAbortPlugin with multiple plugins', () => {
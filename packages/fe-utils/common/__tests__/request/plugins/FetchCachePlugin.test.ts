@@ -0,0 +1,360 @@
+import { AsyncStorage } from '../../../../interface';
+import {
+  RequestAdapterFetch,
+  FetchCachePlugin,
+  FetchURLPlugin,
+  JSONStorage,
+  RequestScheduler
+} from '../../..';
+
+function createAsyncStorage(): AsyncStorage<string> & {
+  store: Map<string, unknown>;
+} {
+  const store = new Map<string, unknown>();
+  return {
+    store,
+    get length(): number {
+      return store.size;
+    },
+    async setItem<T>(key: string, value: T): Promise<void> {
+      store.set(key, value);
+    },
+    async getItem<T>(key: string): Promise<T | null> {
+      return (store.get(key) as T) ?? null;
+    },
+    async removeItem(key: string): Promise<void> {
+      store.delete(key);
+    },
+    async clear(): Promise<void> {
+      store.clear();
+    }
+  };
+}
+
+describe('FetchCachePlugin', () => {
+  let fetchMock: jest.Mock;
+  let request: RequestAdapterFetch;
+  let now: number;
+  let nowSpy: jest.SpyInstance;
+
+  beforeEach(() => {
+    now = 1000;
+    nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    fetchMock = jest.fn(
+      async () => new Response('response', { status: 200, statusText: 'OK' })
+    );
+    request = new RequestAdapterFetch({ fetcher: fetchMock });
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  it('should return cached response for the same GET request', async () => {
+    request.usePlugin(new FetchCachePlugin());
+
+    const config = { url: 'https://api.example.com/dict' };
+    const first = await request.request(config);
+    const second = await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(first.fromCache).toBeUndefined();
+    expect(second.fromCache).toBe(true);
+    expect(second.status).toBe(200);
+    await expect((second.data as Response).text()).resolves.toBe('response');
+    await expect(second.response.text()).resolves.toBe('response');
+  });
+
+  it('should not cache non GET/HEAD requests', async () => {
+    request.usePlugin(new FetchCachePlugin());
+
+    const config = { url: 'https://api.example.com/dict', method: 'POST' };
+    await request.request(config);
+    await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip cache when cacheOptions is false', async () => {
+    request.usePlugin(new FetchCachePlugin());
+
+    const config = { url: 'https://api.example.com/dict', cacheOptions: false };
+    await request.request(config);
+    await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not cache failed responses', async () => {
+    request.usePlugin(new FetchCachePlugin());
+    fetchMock.mockImplementation(
+      async () => new Response('error', { status: 500 })
+    );
+
+    const config = { url: 'https://api.example.com/dict' };
+    await request.request(config);
+    await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fetch again after per-request ttl expired', async () => {
+    request.usePlugin(new FetchCachePlugin({ ttl: 10000 }));
+
+    const config = {
+      url: 'https://api.example.com/dict',
+      cacheOptions: { ttl: 100 }
+    };
+    await request.request(config);
+
+    now += 50;
+    await request.request(config);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    now += 100;
+    const result = await request.request(config);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result.fromCache).toBeUndefined();
+  });
+
+  it('should revalidate with ETag and reuse cache on 304', async () => {
+    request.usePlugin(new FetchCachePlugin({ ttl: 100 }));
+
+    fetchMock
+      .mockImplementationOnce(
+        async () =>
+          new Response('etag response', {
+            status: 200,
+            headers: { etag: '"v1"' }
+          })
+      )
+      .mockImplementationOnce(async () => new Response(null, { status: 304 }));
+
+    const config = { url: 'https://api.example.com/dict' };
+    await request.request(config);
+
+    now += 200;
+    const result = await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const revalidateRequest = fetchMock.mock.calls[1][0] as Request;
+    expect(revalidateRequest.headers.get('If-None-Match')).toBe('"v1"');
+    expect(result.fromCache).toBe(true);
+    expect(result.status).toBe(200);
+    await expect(result.response.text()).resolves.toBe('etag response');
+
+    // 304 refreshes the entry
+    await request.request(config);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return stale response while revalidating in the background', async () => {
+    const storage = createAsyncStorage();
+    request.usePlugin(
+      new FetchCachePlugin({ storage, ttl: 100, staleWhileRevalidate: 1000 })
+    );
+
+    fetchMock
+      .mockImplementationOnce(async () => new Response('old'))
+      .mockImplementationOnce(async () => new Response('new'));
+
+    const config = { url: 'https://api.example.com/dict' };
+    await request.request(config);
+
+    now += 200;
+    const stale = await request.request(config);
+    expect(stale.fromCache).toBe(true);
+    await expect(stale.response.text()).resolves.toBe('old');
+
+    // wait for background revalidation
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    const fresh = await request.request(config);
+    expect(fresh.fromCache).toBe(true);
+    await expect(fresh.response.text()).resolves.toBe('new');
+    expect(storage.store.size).toBe(1);
+  });
+
+  it('should cache parsed JSON data but not binary data', async () => {
+    request.usePlugin(new FetchCachePlugin());
+    fetchMock.mockImplementation(async () => new Response('{"id":1}'));
+
+    const jsonConfig = {
+      url: 'https://api.example.com/dict',
+      responseType: 'json' as const
+    };
+    await request.request(jsonConfig);
+    const cached = await request.request(jsonConfig);
+    expect(cached.fromCache).toBe(true);
+    expect(cached.data).toEqual({ id: 1 });
+
+    const blobConfig = {
+      url: 'https://api.example.com/file',
+      responseType: 'blob' as const
+    };
+    await request.request(blobConfig);
+    await request.request(blobConfig);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should invalidate cached entry', async () => {
+    const plugin = new FetchCachePlugin();
+    request.usePlugin(plugin);
+
+    const config = { url: 'https://api.example.com/dict' };
+    await request.request(config);
+    await plugin.invalidate(config);
+    await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only clear the keys with the prefix', async () => {
+    const storage = new JSONStorage();
+    const plugin = new FetchCachePlugin({ storage });
+    request.usePlugin(plugin);
+    storage.setItem('token', 'user token');
+
+    await request.request({ url: 'https://api.example.com/dict' });
+    await request.request({ url: 'https://api.example.com/list' });
+    expect(storage.length).toBe(3);
+    expect(storage.key(1)).toMatch(/^fetch-cache:/);
+
+    await plugin.clear();
+
+    expect(storage.length).toBe(1);
+    expect(storage.getItem('token')).toBe('user token');
+  });
+
+  it('should clear the entries of this session if the storage cannot list its keys', async () => {
+    const storage = createAsyncStorage();
+    const plugin = new FetchCachePlugin({ storage });
+    request.usePlugin(plugin);
+    await storage.setItem('token', 'user token');
+
+    await request.request({ url: 'https://api.example.com/dict' });
+    await plugin.clear();
+
+    expect(Array.from(storage.store.keys())).toEqual(['token']);
+  });
+
+  it('should not return the response of another user', async () => {
+    request.usePlugin(new FetchCachePlugin());
+
+    await request.request({
+      url: 'https://api.example.com/profile',
+      headers: { Authorization: 'Bearer a' }
+    });
+    await request.request({
+      url: 'https://api.example.com/profile',
+      headers: { authorization: 'Bearer b' }
+    });
+    const cached = await request.request({
+      url: 'https://api.example.com/profile',
+      headers: { Authorization: 'Bearer a' }
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(cached.fromCache).toBe(true);
+  });
+
+  it('should hash the names of the vary headers with their values', () => {
+    const plugin = new FetchCachePlugin();
+    const url = 'https://api.example.com/profile';
+
+    expect(
+      plugin.generateKey({ url, headers: { Authorization: 'x' } })
+    ).not.toBe(plugin.generateKey({ url, headers: { Cookie: 'x' } }));
+    expect(plugin.generateKey({ url, headers: { Authorization: 'x' } })).toBe(
+      plugin.generateKey({ url, headers: { authorization: 'x' } })
+    );
+  });
+
+  it('should only use the entry for the headers of the Vary header', async () => {
+    request.usePlugin(new FetchCachePlugin());
+    fetchMock.mockImplementation(
+      async () =>
+        new Response('response', { headers: { vary: 'Accept-Language' } })
+    );
+
+    const config = { url: 'https://api.example.com/dict' };
+    await request.request({ ...config, headers: { 'Accept-Language': 'en' } });
+    const cached = await request.request({
+      ...config,
+      headers: { 'Accept-Language': 'en' }
+    });
+    const other = await request.request({
+      ...config,
+      headers: { 'Accept-Language': 'fr' }
+    });
+
+    expect(cached.fromCache).toBe(true);
+    expect(other.fromCache).toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not cache responses with Vary: *', async () => {
+    request.usePlugin(new FetchCachePlugin());
+    fetchMock.mockImplementation(
+      async () => new Response('response', { headers: { vary: '*' } })
+    );
+
+    const config = { url: 'https://api.example.com/dict' };
+    await request.request(config);
+    await request.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reuse cache on 304 thrown by FetchURLPlugin', async () => {
+    request.usePlugin(new FetchURLPlugin());
+    const scheduler = new RequestScheduler(request).usePlugin(
+      new FetchCachePlugin({ ttl: 100 })
+    );
+
+    fetchMock
+      .mockImplementationOnce(
+        async () =>
+          new Response('etag response', {
+            status: 200,
+            headers: { etag: '"v1"' }
+          })
+      )
+      .mockImplementationOnce(async () => new Response(null, { status: 304 }));
+
+    const config = { url: 'https://api.example.com/dict' };
+    await scheduler.request(config);
+
+    now += 200;
+    const result = await scheduler.request(config);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result.fromCache).toBe(true);
+    expect(result.status).toBe(200);
+    await expect(result.response.text()).resolves.toBe('etag response');
+  });
+
+  it('should reject errors of other statuses thrown by FetchURLPlugin', async () => {
+    request.usePlugin(new FetchURLPlugin());
+    const scheduler = new RequestScheduler(request).usePlugin(
+      new FetchCachePlugin({ ttl: 100 })
+    );
+
+    fetchMock
+      .mockImplementationOnce(
+        async () => new Response('etag response', { headers: { etag: '"v1"' } })
+      )
+      .mockImplementationOnce(async () => new Response(null, { status: 500 }));
+
+    const config = { url: 'https://api.example.com/dict' };
+    await scheduler.request(config);
+
+    now += 200;
+    await expect(scheduler.request(config)).rejects.toMatchObject({
+      response: { status: 500 }
+    });
+  });
+});
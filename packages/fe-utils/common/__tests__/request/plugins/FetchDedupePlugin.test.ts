@@ -0,0 +1,228 @@
+import { RequestErrorID } from '../../../../interface';
+import { RequestAdapterFetch, FetchDedupePlugin } from '../../..';
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function abortableFetch(body: string, ms: number) {
+  return (request: Request): Promise<Response> =>
+    new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => resolve(new Response(body)), ms);
+
+      request.signal?.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(request.signal.reason);
+      });
+    });
+}
+
+describe('FetchDedupePlugin', () => {
+  let fetchMock: jest.Mock;
+  let request: RequestAdapterFetch;
+  let dedupePlugin: FetchDedupePlugin;
+
+  beforeEach(() => {
+    fetchMock = jest.fn(abortableFetch('shared response', 50));
+    request = new RequestAdapterFetch({ fetcher: fetchMock });
+    dedupePlugin = new FetchDedupePlugin();
+    request.usePlugin(dedupePlugin);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should share one fetch between identical concurrent requests', async () => {
+    const config = { url: 'https://api.example.com/userinfo' };
+
+    const results = await Promise.all([
+      request.request(config),
+      request.request(config),
+      request.request(config)
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(dedupePlugin.size).toBe(0);
+
+    // every caller can read its own copy
+    for (const result of results) {
+      await expect((result.data as Response).text()).resolves.toBe(
+        'shared response'
+      );
+      await expect(result.response.text()).resolves.toBe('shared response');
+    }
+  });
+
+  it('should not share different or sequential requests', async () => {
+    await Promise.all([
+      request.request({ url: 'https://api.example.com/a' }),
+      request.request({ url: 'https://api.example.com/b' })
+    ]);
+    await request.request({ url: 'https://api.example.com/a' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not share requests with different auth headers', async () => {
+    const url = 'https://api.example.com/userinfo';
+
+    await Promise.all([
+      request.request({ url, headers: { Authorization: 'Bearer a' } }),
+      request.request({ url, headers: { authorization: 'Bearer a' } }),
+      request.request({ url, headers: { Authorization: 'Bearer b' } }),
+      request.request({ url, headers: { Cookie: 'session=a' } }),
+      request.request({ url })
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+    expect(
+      dedupePlugin.generateKey({ url, headers: { Authorization: 'Bearer a' } })
+    ).not.toContain('Bearer');
+  });
+
+  it('should not dedupe POST requests or requests with dedupe false', async () => {
+    const url = 'https://api.example.com/userinfo';
+
+    await Promise.all([
+      request.request({ url, method: 'POST' }),
+      request.request({ url, method: 'POST' }),
+      request.request({ url, dedupe: false }),
+      request.request({ url, dedupe: false })
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+  });
+
+  it('should cancel only the caller own copy', async () => {
+    const url = 'https://api.example.com/userinfo';
+    const controller = new AbortController();
+
+    const first = request.request({ url, signal: controller.signal });
+    const second = request.request({ url });
+
+    // wait for both requests to join the shared fetch
+    await sleep(10);
+    controller.abort();
+
+    const [firstResult, secondResult] = await Promise.allSettled([
+      first,
+      second
+    ]);
+
+    expect(firstResult.status).toBe('rejected');
+    expect(secondResult.status).toBe('fulfilled');
+    if (secondResult.status === 'fulfilled') {
+      await expect(secondResult.value.response.text()).resolves.toBe(
+        'shared response'
+      );
+    }
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should abort the shared fetch when all callers cancelled', async () => {
+    const url = 'https://api.example.com/userinfo';
+    const controller1 = new AbortController();
+    const controller2 = new AbortController();
+
+    const first = request.request({ url, signal: controller1.signal });
+    const second = request.request({ url, signal: controller2.signal });
+
+    await sleep(10);
+    controller1.abort();
+    controller2.abort();
+
+    await expect(first).rejects.toBeDefined();
+    await expect(second).rejects.toBeDefined();
+
+    const sharedRequest = fetchMock.mock.calls[0][0] as Request;
+    expect(sharedRequest.signal.aborted).toBe(true);
+    expect(sharedRequest.signal.reason).toMatchObject({
+      id: RequestErrorID.ABORT_ERROR
+    });
+    expect(dedupePlugin.size).toBe(0);
+  });
+
+  it('should reject every caller when the shared fetch fails', async () => {
+    fetchMock.mockImplementation(async () => {
+      throw new Error('Network error');
+    });
+    const config = { url: 'https://api.example.com/userinfo' };
+
+    const results = await Promise.allSettled([
+      request.request(config),
+      request.request(config)
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.status)).toEqual([
+      'rejected',
+      'rejected'
+    ]);
+  });
+});
+
+describe('FetchDedupePlugin with responseType', () => {
+  it('should share the parsed data', async () => {
+    const fetchMock = jest.fn(async () => new Response('{"id":1}'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin(new FetchDedupePlugin());
+
+    const config = {
+      url: 'https://api.example.com/userinfo',
+      responseType: 'json' as const
+    };
+    const results = await Promise.all([
+      request.request(config),
+      request.request(config)
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.data)).toEqual([
+      { id: 1 },
+      { id: 1 }
+    ]);
+  });
+
+  it('should give each caller its own copy of the parsed data', async () => {
+    const fetchMock = jest.fn(async () => new Response('{"user":{"id":1}}'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin(new FetchDedupePlugin());
+
+    const config = {
+      url: 'https://api.example.com/userinfo',
+      responseType: 'json' as const
+    };
+    const [first, second] = await Promise.all([
+      request.request(config),
+      request.request(config)
+    ]);
+
+    (first.data as { user: { id: number } }).user.id = 2;
+
+    expect(second.data).toEqual({ user: { id: 1 } });
+  });
+
+  it('should give each caller its own stream', async () => {
+    const fetchMock = jest.fn(async () => new Response('shared stream'));
+    const request = new RequestAdapterFetch({ fetcher: fetchMock });
+    request.usePlugin(new FetchDedupePlugin());
+
+    const config = {
+      url: 'https://api.example.com/userinfo',
+      responseType: 'stream' as const
+    };
+    const results = await Promise.all([
+      request.request(config),
+      request.request(config)
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(results[0].data).not.toBe(results[1].data);
+
+    for (const result of results) {
+      const text = await new Response(result.data as ReadableStream).text();
+      expect(text).toBe('shared stream');
+    }
+  });
+});
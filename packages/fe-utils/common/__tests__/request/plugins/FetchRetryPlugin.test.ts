@@ -0,0 +1,232 @@
+import { ExecutorContext, RequestErrorID } from '../../../../interface';
+import {
+  RequestAdapterFetch,
+  FetchCachePlugin,
+  FetchRetryPlugin,
+  FetchURLPlugin,
+  RetryAttempt
+} from '../../..';
+
+describe('FetchRetryPlugin', () => {
+  let fetchMock: jest.Mock;
+  let request: RequestAdapterFetch;
+
+  beforeEach(() => {
+    fetchMock = jest.fn(async () => new Response('response'));
+    request = new RequestAdapterFetch({ fetcher: fetchMock });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should retry 5xx and 429 responses', async () => {
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+    fetchMock
+      .mockImplementationOnce(async () => new Response(null, { status: 503 }))
+      .mockImplementationOnce(async () => new Response(null, { status: 429 }));
+
+    const result = await request.request({ url: 'https://api.example.com/a' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result.status).toBe(200);
+  });
+
+  it('should not retry other responses', async () => {
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+    fetchMock.mockImplementation(
+      async () => new Response(null, { status: 404 })
+    );
+
+    const result = await request.request({ url: 'https://api.example.com/a' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe(404);
+  });
+
+  it('should retry network errors and timeouts', async () => {
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+    fetchMock
+      .mockImplementationOnce(async () => {
+        throw new TypeError('fetch failed');
+      })
+      .mockImplementationOnce(
+        (req: Request) =>
+          new Promise((_resolve, reject) => {
+            req.signal.addEventListener('abort', () =>
+              reject(req.signal.reason)
+            );
+          })
+      );
+
+    const result = await request.request({
+      url: 'https://api.example.com/a',
+      timeout: 20
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result.status).toBe(200);
+  });
+
+  it('should not retry other errors', async () => {
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+    fetchMock.mockImplementation(async () => {
+      throw new Error('Other error');
+    });
+
+    await expect(
+      request.request({ url: 'https://api.example.com/a' })
+    ).rejects.toThrow('Other error');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only retry idempotent methods', async () => {
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+    fetchMock.mockImplementation(
+      async () => new Response(null, { status: 503 })
+    );
+
+    const post = await request.request({
+      url: 'https://api.example.com/a',
+      method: 'POST'
+    });
+    expect(post.status).toBe(503);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await request.request({ url: 'https://api.example.com/a', method: 'PUT' });
+    expect(fetchMock).toHaveBeenCalledTimes(5);
+  });
+
+  it('should return the last response when all attempts failed', async () => {
+    request.usePlugin(new FetchURLPlugin());
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 2, retryDelay: 0 }));
+    fetchMock.mockImplementation(
+      async () =>
+        new Response(null, { status: 503, statusText: 'Service Unavailable' })
+    );
+
+    await expect(
+      request.request({ url: 'https://api.example.com/a' })
+    ).rejects.toMatchObject({
+      id: RequestErrorID.RESPONSE_NOT_OK,
+      message: 'Request failed with status: 503 Service Unavailable'
+    });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should honour Retry-After header', async () => {
+    request.usePlugin(
+      new FetchRetryPlugin({ maxRetries: 1, retryDelay: 10000 })
+    );
+    fetchMock.mockImplementationOnce(
+      async () =>
+        new Response(null, { status: 429, headers: { 'Retry-After': '0.02' } })
+    );
+
+    const start = Date.now();
+    await request.request({ url: 'https://api.example.com/a' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  it('should clamp Retry-After to maxDelay', async () => {
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 2, maxDelay: 20 }));
+    fetchMock
+      .mockImplementationOnce(
+        async () =>
+          new Response(null, {
+            status: 503,
+            headers: { 'Retry-After': '86400' }
+          })
+      )
+      .mockImplementationOnce(
+        async () =>
+          new Response(null, {
+            status: 503,
+            headers: { 'Retry-After': 'Fri, 31 Dec 2100 23:59:59 GMT' }
+          })
+      );
+
+    const start = Date.now();
+    const result = await request.request({ url: 'https://api.example.com/a' });
+
+    expect(result.status).toBe(200);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  it('should cancel the body of a retried response', async () => {
+    const cancel = jest.fn();
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 1, retryDelay: 0 }));
+    fetchMock.mockImplementationOnce(
+      async () => new Response(new ReadableStream({ cancel }), { status: 503 })
+    );
+
+    const result = await request.request({ url: 'https://api.example.com/a' });
+
+    expect(result.status).toBe(200);
+    expect(cancel).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pass the response error and context to shouldRetry', async () => {
+    const shouldRetry = jest.fn(() => false);
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 2, shouldRetry }));
+    fetchMock.mockImplementation(
+      async () => new Response(null, { status: 500 })
+    );
+
+    const result = await request.request({ url: 'https://api.example.com/a' });
+
+    expect(result.status).toBe(500);
+    expect(shouldRetry).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: RequestErrorID.RESPONSE_NOT_OK,
+        response: expect.any(Response)
+      }),
+      expect.objectContaining({
+        parameters: expect.objectContaining({
+          url: 'https://api.example.com/a'
+        })
+      })
+    );
+  });
+
+  it('should compose with FetchCachePlugin', async () => {
+    request.usePlugin(new FetchCachePlugin({ ttl: 1000 }));
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 3, retryDelay: 0 }));
+    fetchMock.mockImplementationOnce(
+      async () => new Response(null, { status: 503 })
+    );
+
+    const config = {
+      url: 'https://api.example.com/a',
+      responseType: 'text' as const
+    };
+    const first = await request.request(config);
+    const second = await request.request(config);
+
+    // retried once, then cached
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(first.data).toBe('response');
+    expect(second.data).toBe('response');
+  });
+
+  it('should expose attempt metadata to other plugins', async () => {
+    let retry: RetryAttempt | undefined;
+    request.usePlugin(new FetchRetryPlugin({ maxRetries: 2, retryDelay: 0 }));
+    request.usePlugin({
+      pluginName: 'LogPlugin',
+      onSuccess(context: ExecutorContext): void {
+        retry = context.hooksRuntimes.retry as RetryAttempt;
+      }
+    });
+    fetchMock.mockImplementationOnce(
+      async () => new Response(null, { status: 502 })
+    );
+
+    await request.request({ url: 'https://api.example.com/a' });
+
+    expect(retry).toMatchObject({ attempt: 2, maxRetries: 2 });
+  });
+});
@@ -0,0 +1,217 @@
+import { RequestErrorID } from '../../../../interface';
+import {
+  RequestAdapterFetch,
+  RequestAdapterFetchConfig,
+  RequestScheduler,
+  FetchTokenRefreshPlugin
+} from '../../..';
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('FetchTokenRefreshPlugin', () => {
+  let token: string;
+  let fetchMock: jest.Mock;
+  let scheduler: RequestScheduler<RequestAdapterFetchConfig>;
+
+  beforeEach(() => {
+    token = 'old';
+    // the server accepts only the new token
+    fetchMock = jest.fn(async (request: Request) => {
+      await sleep(10);
+      return request.headers.get('Authorization') === 'Bearer new'
+        ? new Response('ok')
+        : new Response(null, { status: 401 });
+    });
+    scheduler = new RequestScheduler(
+      new RequestAdapterFetch({ fetcher: fetchMock })
+    );
+  });
+
+  it('should refresh once and replay concurrent requests', async () => {
+    const refreshToken = jest.fn(async () => {
+      await sleep(20);
+      token = 'new';
+      return token;
+    });
+    scheduler.usePlugin(
+      new FetchTokenRefreshPlugin({
+        getToken: (): string => token,
+        refreshToken
+      })
+    );
+
+    const results = await Promise.all([
+      scheduler.get('https://api.example.com/a'),
+      scheduler.get('https://api.example.com/b'),
+      scheduler.get('https://api.example.com/c')
+    ]);
+
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.status)).toEqual([200, 200, 200]);
+    // 3 unauthorized + 3 replayed
+    expect(fetchMock).toHaveBeenCalledTimes(6);
+  });
+
+  it('should hold requests sent while refreshing', async () => {
+    const plugin = new FetchTokenRefreshPlugin({
+      getToken: (): string => token,
+      refreshToken: async (): Promise<string> => {
+        await sleep(50);
+        token = 'new';
+        return token;
+      }
+    });
+    scheduler.usePlugin(plugin);
+
+    const first = scheduler.get('https://api.example.com/a');
+    await sleep(20);
+    expect(plugin.isRefreshing).toBe(true);
+
+    const second = scheduler.get('https://api.example.com/b');
+
+    await expect(first).resolves.toMatchObject({ status: 200 });
+    await expect(second).resolves.toMatchObject({ status: 200 });
+    // the held request is sent once with the new token
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should use the refreshed token without getToken', async () => {
+    const refreshToken = jest.fn(async () => 'new');
+    scheduler.usePlugin(new FetchTokenRefreshPlugin({ refreshToken }));
+
+    await scheduler.get('https://api.example.com/a');
+    const result = await scheduler.get('https://api.example.com/b');
+
+    expect(result.status).toBe(200);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should use the refreshed token while getToken has the replaced token', async () => {
+    // refreshToken does not write the store of getToken
+    const refreshToken = jest.fn(async () => 'new');
+    scheduler.usePlugin(
+      new FetchTokenRefreshPlugin({
+        getToken: (): string => token,
+        refreshToken
+      })
+    );
+
+    await scheduler.get('https://api.example.com/a');
+    const result = await scheduler.get('https://api.example.com/b');
+
+    expect(result.status).toBe(200);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+
+    // the store has a token again, e.g. after a new login
+    token = 'other';
+    await scheduler.get('https://api.example.com/c');
+    const lastRequest = fetchMock.mock.calls[3][0] as Request;
+    expect(lastRequest.headers.get('Authorization')).toBe('Bearer other');
+  });
+
+  it('should reject all requests when refreshing failed', async () => {
+    const onRefreshError = jest.fn();
+    scheduler.usePlugin(
+      new FetchTokenRefreshPlugin({
+        getToken: (): string => token,
+        refreshToken: async (): Promise<string> => {
+          await sleep(20);
+          throw new Error('refresh token expired');
+        },
+        onRefreshError
+      })
+    );
+
+    const results = await Promise.allSettled([
+      scheduler.get('https://api.example.com/a'),
+      scheduler.get('https://api.example.com/b')
+    ]);
+
+    for (const result of results) {
+      expect(result).toMatchObject({
+        status: 'rejected',
+        reason: {
+          id: RequestErrorID.TOKEN_REFRESH_ERROR,
+          message: 'refresh token expired'
+        }
+      });
+    }
+    expect(onRefreshError).toHaveBeenCalledTimes(1);
+  });
+
+  it('should replay only once', async () => {
+    const refreshToken = jest.fn(async () => 'still invalid');
+    scheduler.usePlugin(new FetchTokenRefreshPlugin({ refreshToken }));
+
+    const result = await scheduler.get('https://api.example.com/a');
+
+    expect(result.status).toBe(401);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip requests with tokenRefresh false', async () => {
+    const refreshToken = jest.fn(async () => 'new');
+    scheduler.usePlugin(new FetchTokenRefreshPlugin({ refreshToken }));
+
+    const result = await scheduler.get('https://api.example.com/refresh', {
+      tokenRefresh: false
+    });
+
+    expect(result.status).toBe(401);
+    expect(refreshToken).not.toHaveBeenCalled();
+  });
+
+  it('should detect unauthorized error of the adapter', async () => {
+    const refreshToken = jest.fn(async () => 'new');
+    const next = jest
+      .fn()
+      .mockRejectedValueOnce(
+        Object.assign(new Error('Unauthorized'), { response: { status: 401 } })
+      )
+      .mockResolvedValueOnce({ status: 200 });
+
+    const plugin = new FetchTokenRefreshPlugin({ refreshToken });
+    const result = await plugin.around(
+      { parameters: { url: '/a' }, hooksRuntimes: {} },
+      next
+    );
+
+    expect(result).toEqual({ status: 200 });
+    expect(next.mock.calls[1][0].parameters.headers).toEqual({
+      Authorization: 'Bearer new'
+    });
+  });
+
+  it('should replace the stale token set with another case', async () => {
+    const next = jest
+      .fn()
+      .mockRejectedValueOnce(
+        Object.assign(new Error('Unauthorized'), { response: { status: 401 } })
+      )
+      .mockResolvedValueOnce({ status: 200 });
+
+    const plugin = new FetchTokenRefreshPlugin({
+      refreshToken: async (): Promise<string> => 'new'
+    });
+    await plugin.around(
+      {
+        parameters: {
+          url: '/a',
+          headers: { authorization: 'Bearer old', 'x-id': '1' }
+        },
+        hooksRuntimes: {}
+      },
+      next
+    );
+
+    expect(next.mock.calls[1][0].parameters.headers).toEqual({
+      'x-id': '1',
+      Authorization: 'Bearer new'
+    });
+  });
+});
@@ -1,4 +1,11 @@
-import { JSONSerializer, Base64Serializer } from '../..';
+import {
+  JSONSerializer,
+  Base64Serializer,
+  JSONStorage,
+  SerializerPipeline,
+  AesGcmEncryptor
+} from '../..';
+import { StringEntrypt } from '../../../server';
 
 describe('JSONSerializer', () => {
   describe('Serializer interface', () => {
@@ -200,3 +207,76 @@ describe('JSONSerializer Performance', () => {
     expect(normalStats.mean).toBeDefined();
   });
 });
+
+describe('SerializerPipeline', () => {
+  const reverse = (value: string): string => value.split('').reverse().join('');
+
+  it('should serialize, compress and encrypt in order', () => {
+    const steps: string[] = [];
+    const pipeline = new SerializerPipeline({
+      compressor: {
+        serialize: (value): string => {
+          steps.push('compress');
+          return `compressed(${value})`;
+        },
+        deserialize: (value): string => {
+          steps.push('decompress');
+          return value.slice('compressed('.length, -1);
+        }
+      },
+      encryptor: {
+        encrypt: (value): string => {
+          steps.push('encrypt');
+          return reverse(value);
+        },
+        decrypt: (value): string => {
+          steps.push('decrypt');
+          return reverse(value);
+        }
+      }
+    });
+
+    const serialized = pipeline.serialize({ name: 'test' });
+
+    expect(serialized).toBe(reverse('compressed({"name":"test"})'));
+    expect(pipeline.deserialize(serialized)).toEqual({ name: 'test' });
+    expect(steps).toEqual(['compress', 'encrypt', 'decrypt', 'decompress']);
+  });
+
+  it('should work without the optional steps', () => {
+    const pipeline = new SerializerPipeline();
+
+    expect(pipeline.serialize([1, 2])).toBe('[1,2]');
+    expect(pipeline.deserialize('[1,2]')).toEqual([1, 2]);
+  });
+
+  it('should return the default value if a step fails', () => {
+    const pipeline = new SerializerPipeline({
+      encryptor: new StringEntrypt('test-encryption-key-32-bytes-long!!!')
+    });
+
+    expect(pipeline.deserialize('invalid', 'default')).toBe('default');
+  });
+
+  it('should be the serializer of a JSONStorage', () => {
+    const backend = new JSONStorage();
+    const storage = new JSONStorage(
+      backend,
+      new SerializerPipeline({ compressor: new Base64Serializer() })
+    );
+
+    storage.setItem('token', 'abc');
+
+    expect(storage.getItem('token')).toBe('abc');
+    expect(backend.getItem('token')).not.toContain('abc');
+  });
+
+  it('should reject async encryptors at compile time', () => {
+    const pipeline = new SerializerPipeline({
+      // @ts-expect-error the pipeline is sync, use the encryptor of AsyncJSONStorage
+      encryptor: new AesGcmEncryptor({ key: 'test-secret' })
+    });
+
+    expect(pipeline).toBeInstanceOf(SerializerPipeline);
+  });
+});
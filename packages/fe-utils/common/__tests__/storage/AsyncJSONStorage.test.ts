@@ -0,0 +1,154 @@
+import {
+  AesGcmEncryptor,
+  AsyncJSONStorage,
+  Base64Serializer,
+  JSONStorage,
+  SerializerPipeline
+} from '../..';
+
+describe('AsyncJSONStorage', () => {
+  it('should store and retrieve a value in memory', async () => {
+    const storage = new AsyncJSONStorage();
+
+    await storage.setItem('key', { data: 'value' });
+
+    await expect(storage.getItem('key')).resolves.toEqual({ data: 'value' });
+    expect(storage.length).toBe(1);
+
+    await storage.removeItem('key');
+    await expect(storage.getItem('key', 'default')).resolves.toBe('default');
+  });
+
+  it('should remove an expired item when it is read', async () => {
+    const storage = new AsyncJSONStorage();
+
+    await storage.setItem('expired', 'value', Date.now() - 1);
+
+    await expect(storage.getItem('expired')).resolves.toBeNull();
+    expect(storage.length).toBe(0);
+  });
+
+  it('should encrypt the items of a sync storage with an async encryptor', async () => {
+    const backend = new JSONStorage();
+    const storage = new AsyncJSONStorage({
+      storage: backend,
+      encryptor: new AesGcmEncryptor({ key: 'test-secret' })
+    });
+
+    await storage.setItem('token', 'secret-token');
+
+    expect(backend.length).toBe(1);
+    expect(backend.getItem('async-storage:token')).not.toContain(
+      'secret-token'
+    );
+    await expect(storage.getItem('token')).resolves.toBe('secret-token');
+
+    await storage.clear();
+    expect(backend.length).toBe(0);
+  });
+
+  it('should compress with a SerializerPipeline before the async encryptor', async () => {
+    const backend = new JSONStorage();
+    const encryptor = new AesGcmEncryptor({ key: 'test-secret' });
+    const compressor = new Base64Serializer();
+    const storage = new AsyncJSONStorage({
+      storage: backend,
+      serializer: new SerializerPipeline({ compressor }),
+      encryptor
+    });
+
+    await storage.setItem('token', 'secret-token');
+
+    const compressed = await encryptor.decrypt(
+      backend.getItem('async-storage:token') as string
+    );
+    expect(JSON.parse(compressor.deserialize(compressed))).toEqual({
+      key: 'token',
+      value: 'secret-token'
+    });
+    await expect(storage.getItem('token')).resolves.toBe('secret-token');
+  });
+
+  it('should read modified items as the default value', async () => {
+    const backend = new JSONStorage();
+    const storage = new AsyncJSONStorage({
+      storage: backend,
+      encryptor: new AesGcmEncryptor({ key: 'test-secret' })
+    });
+
+    await storage.setItem('token', 'secret-token');
+    backend.setItem(
+      'async-storage:token',
+      'A' + (backend.getItem('async-storage:token') as string)
+    );
+
+    await expect(storage.getItem('token', 'default')).resolves.toBe('default');
+  });
+
+  it('should not read the item of another key', async () => {
+    const backend = new JSONStorage();
+    const storage = new AsyncJSONStorage({
+      storage: backend,
+      encryptor: new AesGcmEncryptor({ key: 'test-secret' })
+    });
+
+    await storage.setItem('adminToken', 'admin-token');
+    backend.setItem(
+      'async-storage:userToken',
+      backend.getItem('async-storage:adminToken') as string
+    );
+
+    await expect(storage.getItem('userToken', 'default')).resolves.toBe(
+      'default'
+    );
+    await expect(storage.getItem('adminToken')).resolves.toBe('admin-token');
+  });
+
+  it('should keep the other keys of a shared storage', async () => {
+    const backend = new JSONStorage();
+    const storage = new AsyncJSONStorage({ storage: backend });
+
+    backend.setItem('other-lib-state', 'other');
+    await storage.setItem('a', 1);
+    await storage.setItem('b', 2);
+
+    expect(storage.length).toBe(2);
+    expect(backend.length).toBe(3);
+
+    await storage.clear();
+
+    expect(storage.length).toBe(0);
+    expect(backend.getItem('other-lib-state')).toBe('other');
+  });
+
+  it('should use the whole storage with an empty prefix', async () => {
+    const backend = new JSONStorage();
+    const storage = new AsyncJSONStorage({ storage: backend, prefix: '' });
+
+    backend.setItem('other-lib-state', 'other');
+    await storage.setItem('a', 1);
+
+    expect(backend.getItem('a')).toBeTruthy();
+    expect(storage.length).toBe(2);
+
+    await storage.clear();
+    expect(backend.length).toBe(0);
+  });
+
+  it('should require key() of the storage with a prefix', () => {
+    const backend = {
+      length: 0,
+      setItem: jest.fn(),
+      getItem: jest.fn(),
+      removeItem: jest.fn(),
+      clear: jest.fn()
+    };
+
+    expect(() => new AsyncJSONStorage({ storage: backend })).toThrow(
+      'AsyncJSONStorage: the storage must implement `key()`'
+    );
+    expect(
+      () => new AsyncJSONStorage({ storage: backend, prefix: '' })
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,118 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { Encryptor } from '../../../interface';
+import { IndexedDBStorage } from '../../storage/impl/IndexedDBStorage';
+
+const reverseEncryptor: Encryptor<string, string> = {
+  encrypt: (value) => value.split('').reverse().join(''),
+  decrypt: (value) => value.split('').reverse().join('')
+};
+
+describe('IndexedDBStorage', () => {
+  let factory: IDBFactory;
+  let storage: IndexedDBStorage;
+
+  beforeEach(() => {
+    factory = new IDBFactory();
+    storage = new IndexedDBStorage({ indexedDB: factory });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should store and retrieve a value', async () => {
+    await storage.setItem('key1', { data: 'value1' });
+
+    await expect(storage.getItem('key1')).resolves.toEqual({
+      data: 'value1'
+    });
+  });
+
+  it('should return the default value for non-existent key', async () => {
+    await expect(storage.getItem('nonExistentKey')).resolves.toBeNull();
+    await expect(storage.getItem('nonExistentKey', 'default')).resolves.toBe(
+      'default'
+    );
+  });
+
+  it('should remove an item and clear all items', async () => {
+    await storage.setItem('key1', 'value1');
+    await storage.setItem('key2', 'value2');
+    await storage.setItem('key3', 'value3');
+    expect(storage.length).toBe(3);
+
+    await storage.removeItem('key1');
+    expect(storage.length).toBe(2);
+    await expect(storage.getItem('key1')).resolves.toBeNull();
+
+    await storage.clear();
+    expect(storage.length).toBe(0);
+    await expect(storage.getItem('key2')).resolves.toBeNull();
+  });
+
+  it('should remove an expired item when it is read', async () => {
+    await storage.setItem('expired', 'value', Date.now() - 1);
+    await storage.setItem('valid', 'value', Date.now() + 60000);
+
+    await expect(storage.getItem('expired')).resolves.toBeNull();
+    await expect(storage.getItem('valid')).resolves.toBe('value');
+    expect(storage.length).toBe(1);
+  });
+
+  it('should keep the items after the database is opened again', async () => {
+    await storage.setItem('key', { large: 'x'.repeat(1024 * 1024) });
+    await storage.close();
+
+    const other = new IndexedDBStorage({ indexedDB: factory });
+
+    await expect(other.getItem('key')).resolves.toEqual({
+      large: 'x'.repeat(1024 * 1024)
+    });
+    expect(other.length).toBe(1);
+    await other.close();
+  });
+
+  it('should encrypt the stored data', async () => {
+    const encrypted = new IndexedDBStorage({
+      indexedDB: factory,
+      dbName: 'encrypted',
+      encryptor: reverseEncryptor
+    });
+    // without the encryptor the data can't be deserialized
+    const plain = new IndexedDBStorage({
+      indexedDB: factory,
+      dbName: 'encrypted'
+    });
+
+    await encrypted.setItem('token', 'secret');
+
+    await expect(encrypted.getItem('token')).resolves.toBe('secret');
+    await expect(plain.getItem('token', 'default')).resolves.toBe('default');
+    await encrypted.close();
+    await plain.close();
+  });
+
+  it('should add the object store of another storage to the database', async () => {
+    await storage.setItem('key', 'default store');
+
+    const other = new IndexedDBStorage({
+      indexedDB: factory,
+      storeName: 'other'
+    });
+
+    await other.setItem('key', 'other store');
+
+    await expect(other.getItem('key')).resolves.toBe('other store');
+    await expect(storage.getItem('key')).resolves.toBe('default store');
+    expect(storage.length).toBe(1);
+    await other.close();
+  });
+
+  it('should reject when IndexedDB is not available', async () => {
+    const unavailable = new IndexedDBStorage();
+
+    await expect(unavailable.getItem('key')).rejects.toThrow(
+      'IndexedDB is not available'
+    );
+  });
+});
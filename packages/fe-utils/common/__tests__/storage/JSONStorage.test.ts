@@ -1,3 +1,4 @@
+import { SyncStorage } from '../../../interface';
 import { JSONStorage } from '../../storage/impl/JSONStorage';
 
 describe('JSONStorage', () => {
@@ -69,3 +70,738 @@ describe('JSONStorage', () => {
     expect(value).toEqual(largeData);
   });
 });
+
+class MapStorage implements SyncStorage<string, string> {
+  readonly items = new Map<string, string>();
+
+  get length(): number {
+    return this.items.size;
+  }
+
+  setItem<T>(key: string, value: T): void {
+    this.items.set(key, value as unknown as string);
+  }
+
+  getItem<T extends string>(key: string): T | null {
+    return (this.items.get(key) as T) ?? null;
+  }
+
+  removeItem(key: string): void {
+    this.items.delete(key);
+  }
+
+  clear(): void {
+    this.items.clear();
+  }
+
+  key(index: number): string | null {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+}
+
+describe('JSONStorage namespace', () => {
+  it('should keep the namespaces apart', () => {
+    const backend = new MapStorage();
+    const app1 = new JSONStorage(backend, undefined, { namespace: 'app1' });
+    const app2 = new JSONStorage(backend, undefined, { namespace: 'app2' });
+
+    app1.setItem('token', 'token1');
+    app2.setItem('token', 'token2');
+
+    expect(Array.from(backend.items.keys())).toEqual([
+      'app1:token',
+      'app2:token'
+    ]);
+    expect(app1.getItem('token')).toBe('token1');
+    expect(app2.getItem('token')).toBe('token2');
+    expect(app1.length).toBe(1);
+    expect(app1.key(0)).toBe('token');
+    expect(app1.key(1)).toBeNull();
+  });
+
+  it('should clear only the keys of the namespace', () => {
+    const backend = new MapStorage();
+    const app1 = new JSONStorage(backend, undefined, { namespace: 'app1' });
+    const app2 = new JSONStorage(backend, undefined, { namespace: 'app2' });
+
+    app1.setItem('a', 1);
+    app1.setItem('b', 2);
+    app2.setItem('a', 3);
+    backend.setItem('other', 'other');
+
+    app1.clear();
+
+    expect(app1.length).toBe(0);
+    expect(app2.getItem('a')).toBe(3);
+    expect(backend.getItem('other')).toBe('other');
+  });
+
+  it('should reject nested namespaces', () => {
+    const backend = new JSONStorage();
+    const app = new JSONStorage(backend, undefined, { namespace: 'app' });
+
+    expect(
+      () => new JSONStorage(backend, undefined, { namespace: 'app:admin' })
+    ).toThrow('must not contain `:`');
+
+    // a key with `:` stays in its namespace
+    app.setItem('admin:token', 'token');
+    expect(app.key(0)).toBe('admin:token');
+    expect(backend.key(0)).toBe('app:admin:token');
+  });
+
+  it('should clear the namespace of the in-memory store', () => {
+    const storage = new JSONStorage(undefined, undefined, { namespace: 'app' });
+
+    storage.setItem('a', 1);
+    storage.setItem('b', 2);
+    expect(storage.length).toBe(2);
+
+    storage.removeItem('a');
+    expect(storage.getItem('a')).toBeNull();
+
+    storage.clear();
+    expect(storage.length).toBe(0);
+  });
+
+  it('should throw if the storage backend can not list its keys', () => {
+    const backend = new MapStorage();
+
+    expect(
+      () =>
+        new JSONStorage(
+          {
+            get length(): number {
+              return backend.length;
+            },
+            setItem: backend.setItem.bind(backend),
+            getItem: backend.getItem.bind(backend),
+            removeItem: backend.removeItem.bind(backend),
+            clear: backend.clear.bind(backend)
+          },
+          undefined,
+          { namespace: 'app' }
+        )
+    ).toThrow('must implement `key()`');
+  });
+});
+
+describe('JSONStorage version', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should migrate the old values when they are read', () => {
+    const backend = new MapStorage();
+    new JSONStorage(backend).setItem('theme', 'dark');
+
+    const migrations = {
+      1: jest.fn((value: unknown) => ({ name: value })),
+      2: jest.fn((value: unknown) => ({
+        theme: (value as { name: string }).name
+      }))
+    };
+    const storage = new JSONStorage(backend, undefined, {
+      version: 2,
+      migrations
+    });
+
+    expect(storage.getItem('theme')).toEqual({ theme: 'dark' });
+    expect(migrations[1]).toHaveBeenCalledWith('dark', 'theme');
+
+    // the migrated value is stored again
+    expect(JSON.parse(backend.getItem('theme') as string)).toMatchObject({
+      value: { theme: 'dark' },
+      version: 2
+    });
+    expect(storage.getItem('theme')).toEqual({ theme: 'dark' });
+    expect(migrations[2]).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run only the migrations after the stored version', () => {
+    const backend = new MapStorage();
+    new JSONStorage(backend, undefined, { version: 1 }).setItem('user', {
+      name: 'qlover'
+    });
+
+    const migrations = {
+      1: jest.fn(),
+      3: jest.fn((value: unknown) => ({ ...(value as object), role: 'user' }))
+    };
+    const storage = new JSONStorage(backend, undefined, {
+      version: 3,
+      migrations
+    });
+
+    expect(storage.getItem('user')).toEqual({ name: 'qlover', role: 'user' });
+    expect(migrations[1]).not.toHaveBeenCalled();
+  });
+
+  it('should keep the expiration of the migrated value', () => {
+    const backend = new MapStorage();
+    const expire = Date.now() + 1000;
+    new JSONStorage(backend).setItem('token', 'abc', expire);
+
+    const storage = new JSONStorage(backend, undefined, {
+      version: 1,
+      migrations: { 1: (value): unknown => ({ token: value }) }
+    });
+
+    expect(storage.getItem('token')).toEqual({ token: 'abc' });
+    jest.advanceTimersByTime(1001);
+    expect(storage.getItem('token')).toBeNull();
+  });
+
+  it('should not return the values of a newer version', () => {
+    const backend = new MapStorage();
+    new JSONStorage(backend, undefined, { version: 3 }).setItem('key', 'new');
+
+    const storage = new JSONStorage(backend, undefined, { version: 2 });
+
+    expect(storage.getItem('key', 'default')).toBe('default');
+    expect(backend.length).toBe(1);
+  });
+
+  it('should remove the value if the migration fails', () => {
+    const backend = new MapStorage();
+    new JSONStorage(backend).setItem('key', 'old');
+
+    const storage = new JSONStorage(backend, undefined, {
+      version: 1,
+      migrations: {
+        1: (): never => {
+          throw new Error('migration failed');
+        }
+      }
+    });
+
+    expect(storage.getItem('key', 'default')).toBe('default');
+    expect(backend.length).toBe(0);
+  });
+});
+
+describe('JSONStorage subscribe', () => {
+  it('should notify the changes of the key', () => {
+    const storage = new JSONStorage();
+    const listener = jest.fn();
+    const other = jest.fn();
+
+    storage.subscribe('token', listener);
+    storage.subscribe('other', other);
+
+    storage.setItem('token', 'abc');
+    storage.removeItem('token');
+
+    expect(listener.mock.calls).toEqual([
+      [{ key: 'token', value: 'abc', reason: 'set', remote: false }],
+      [{ key: 'token', value: null, reason: 'remove', remote: false }]
+    ]);
+    expect(other).not.toHaveBeenCalled();
+  });
+
+  it('should notify the expired and cleared keys', () => {
+    jest.useFakeTimers();
+    const storage = new JSONStorage(undefined, undefined, { namespace: 'app' });
+    const listener = jest.fn();
+
+    storage.subscribe('token', listener);
+    storage.setItem('token', 'abc', Date.now() + 1000);
+    jest.advanceTimersByTime(1001);
+
+    expect(storage.getItem('token')).toBeNull();
+    expect(listener).toHaveBeenLastCalledWith({
+      key: 'token',
+      value: null,
+      reason: 'expire',
+      remote: false
+    });
+
+    storage.clear();
+    expect(listener).toHaveBeenLastCalledWith({
+      key: 'token',
+      value: null,
+      reason: 'clear',
+      remote: false
+    });
+    jest.useRealTimers();
+  });
+
+  it('should remove the listener and ignore listener errors', () => {
+    const storage = new JSONStorage();
+    const listener = jest.fn();
+
+    storage.subscribe('key', () => {
+      throw new Error('listener error');
+    });
+    const unsubscribe = storage.subscribe('key', listener);
+
+    expect(() => storage.setItem('key', 1)).not.toThrow();
+    unsubscribe();
+    storage.setItem('key', 2);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(storage.getItem('key')).toBe(2);
+  });
+});
+
+describe('JSONStorage cross-tab sync', () => {
+  function waitForMessage(): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  it('should sync the changes over a BroadcastChannel', async () => {
+    const options = { namespace: 'app', sync: 'broadcast' as const };
+    const tab1 = new JSONStorage(undefined, undefined, options);
+    const tab2 = new JSONStorage(undefined, undefined, options);
+    const listener = jest.fn();
+
+    tab2.subscribe('token', listener);
+
+    try {
+      tab1.setItem('token', 'abc');
+      await waitForMessage();
+
+      expect(tab2.getItem('token')).toBe('abc');
+      expect(listener).toHaveBeenLastCalledWith({
+        key: 'token',
+        value: 'abc',
+        reason: 'set',
+        remote: true
+      });
+
+      tab1.clear();
+      await waitForMessage();
+
+      expect(tab2.getItem('token')).toBeNull();
+      expect(listener).toHaveBeenLastCalledWith({
+        key: 'token',
+        value: null,
+        reason: 'clear',
+        remote: true
+      });
+      expect(listener).toHaveBeenCalledTimes(2);
+    } finally {
+      tab1.destroy();
+      tab2.destroy();
+    }
+  });
+
+  it('should not sync other namespaces or destroyed storages', async () => {
+    const tab1 = new JSONStorage(undefined, undefined, {
+      namespace: 'app1',
+      sync: 'broadcast'
+    });
+    const tab2 = new JSONStorage(undefined, undefined, {
+      namespace: 'app2',
+      sync: 'broadcast'
+    });
+    const tab3 = new JSONStorage(undefined, undefined, {
+      namespace: 'app1',
+      sync: 'broadcast'
+    });
+    tab3.destroy();
+
+    tab1.setItem('token', 'abc');
+    await waitForMessage();
+    tab1.destroy();
+    tab2.destroy();
+
+    expect(tab2.getItem('token')).toBeNull();
+    expect(tab3.getItem('token')).toBeNull();
+  });
+
+  it('should ignore the messages of other namespaces on a shared channel', async () => {
+    const create = (namespace?: string): JSONStorage =>
+      new JSONStorage(undefined, undefined, {
+        namespace,
+        sync: 'broadcast',
+        channelName: 'shared'
+      });
+    const app1 = create('app1');
+    const app2 = create('app2');
+    const global = create();
+    const other = create('app1');
+
+    try {
+      app1.setItem('token', 'app1');
+      global.setItem('token', 'global');
+      await waitForMessage();
+
+      expect(app2.getItem('token')).toBeNull();
+      expect(other.getItem('token')).toBe('app1');
+
+      app2.clear();
+      await waitForMessage();
+
+      expect(other.getItem('token')).toBe('app1');
+    } finally {
+      [app1, app2, global, other].forEach((storage) => storage.destroy());
+    }
+  });
+
+  it('should notify the storage events of the other tabs', () => {
+    const backend = new MapStorage();
+    const target = new EventTarget();
+    const storage = new JSONStorage(backend, undefined, {
+      namespace: 'app',
+      sync: 'storage',
+      syncTarget: target
+    });
+    const listener = jest.fn();
+    const dispatch = (
+      key: string | null,
+      newValue: string | null,
+      storageArea: unknown = backend
+    ): void => {
+      target.dispatchEvent(
+        Object.assign(new Event('storage'), { key, newValue, storageArea })
+      );
+    };
+
+    storage.subscribe('token', listener);
+
+    // written by another tab
+    new JSONStorage(backend, undefined, { namespace: 'app' }).setItem(
+      'token',
+      'abc'
+    );
+    dispatch('app:token', backend.getItem('app:token'));
+    dispatch('app:token', null);
+    dispatch('other:token', null);
+    dispatch('app:token', null, new MapStorage());
+    dispatch(null, null);
+
+    expect(listener.mock.calls).toEqual([
+      [{ key: 'token', value: 'abc', reason: 'set', remote: true }],
+      [{ key: 'token', value: null, reason: 'remove', remote: true }],
+      [{ key: 'token', value: null, reason: 'clear', remote: true }]
+    ]);
+
+    storage.destroy();
+    dispatch('app:token', null);
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it('should notify a removed item of another tab that had expired as expire', () => {
+    const backend = new MapStorage();
+    const target = new EventTarget();
+    const storage = new JSONStorage(backend, undefined, {
+      sync: 'storage',
+      syncTarget: target
+    });
+    const listener = jest.fn();
+    const dispatch = (
+      key: string,
+      newValue: string | null,
+      oldValue: string | null
+    ): void => {
+      target.dispatchEvent(
+        Object.assign(new Event('storage'), {
+          key,
+          newValue,
+          oldValue,
+          storageArea: backend
+        })
+      );
+    };
+
+    storage.subscribe('token', listener);
+
+    const expired = JSON.stringify({
+      key: 'token',
+      value: 'abc',
+      expire: Date.now() - 1
+    });
+    dispatch('token', null, expired);
+    dispatch('token', null, JSON.stringify({ key: 'token', value: 'abc' }));
+
+    expect(listener.mock.calls).toEqual([
+      [{ key: 'token', value: null, reason: 'expire', remote: true }],
+      [{ key: 'token', value: null, reason: 'remove', remote: true }]
+    ]);
+
+    storage.destroy();
+  });
+
+  it('should ignore the storage events the serializer can not read', () => {
+    let onStorage: (event: Event) => void = () => {};
+    const storage = new JSONStorage(
+      new MapStorage(),
+      { serialize: JSON.stringify, deserialize: JSON.parse },
+      {
+        sync: 'storage',
+        syncTarget: {
+          addEventListener: (_: string, listener: unknown): void => {
+            onStorage = listener as (event: Event) => void;
+          },
+          removeEventListener: jest.fn()
+        }
+      }
+    );
+    const listener = jest.fn();
+
+    storage.subscribe('i18nextLng', listener);
+
+    expect(() =>
+      onStorage(
+        Object.assign(new Event('storage'), {
+          key: 'i18nextLng',
+          newValue: 'en',
+          oldValue: null
+        })
+      )
+    ).not.toThrow();
+    expect(listener).not.toHaveBeenCalled();
+
+    storage.destroy();
+  });
+});
+
+describe('JSONStorage eviction', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function quotaError(): Error {
+    return Object.assign(new Error('The quota has been exceeded.'), {
+      name: 'QuotaExceededError'
+    });
+  }
+
+  it('should prune the expired items of the namespace', () => {
+    const backend = new MapStorage();
+    const storage = new JSONStorage(backend, undefined, { namespace: 'app' });
+    const listener = jest.fn();
+
+    storage.subscribe('expired1', listener);
+    storage.setItem('expired1', 1, Date.now() + 1000);
+    storage.setItem('expired2', 2, Date.now() + 1000);
+    storage.setItem('valid', 3, Date.now() + 5000);
+    storage.setItem('forever', 4);
+    new JSONStorage(backend, undefined, { namespace: 'other' }).setItem(
+      'expired',
+      5,
+      Date.now() + 1000
+    );
+    backend.setItem('app:raw', 'not a JSONStorage item');
+
+    jest.advanceTimersByTime(1001);
+
+    expect(storage.prune()).toEqual(['expired1', 'expired2']);
+    expect(storage.length).toBe(3);
+    expect(backend.length).toBe(4);
+    expect(listener).toHaveBeenLastCalledWith({
+      key: 'expired1',
+      value: null,
+      reason: 'expire',
+      remote: false
+    });
+  });
+
+  it('should prune in the background until destroyed', () => {
+    const storage = new JSONStorage(undefined, undefined, {
+      pruneInterval: 1000
+    });
+
+    storage.setItem('key1', 1, Date.now() + 500);
+    jest.advanceTimersByTime(1000);
+    expect(storage.length).toBe(0);
+
+    storage.destroy();
+    storage.setItem('key2', 2, Date.now() + 500);
+    jest.advanceTimersByTime(1000);
+    expect(storage.length).toBe(1);
+  });
+
+  it('should not keep the process alive with the prune timer', () => {
+    jest.useRealTimers();
+    const setInterval = jest.spyOn(global, 'setInterval');
+    const storage = new JSONStorage(undefined, undefined, {
+      pruneInterval: 1000
+    });
+    const timer = setInterval.mock.results[0].value as NodeJS.Timeout;
+
+    try {
+      expect(timer.hasRef()).toBe(false);
+    } finally {
+      storage.destroy();
+      setInterval.mockRestore();
+    }
+  });
+
+  it('should evict the least recently used items over maxEntries', () => {
+    const storage = new JSONStorage(undefined, undefined, { maxEntries: 2 });
+    const listener = jest.fn();
+
+    storage.subscribe('b', listener);
+    storage.setItem('a', 1);
+    jest.advanceTimersByTime(1);
+    storage.setItem('b', 2);
+    jest.advanceTimersByTime(1);
+    // `a` is used after `b`
+    storage.getItem('a');
+    jest.advanceTimersByTime(1);
+    storage.setItem('c', 3);
+
+    expect(storage.getItem('a')).toBe(1);
+    expect(storage.getItem('b')).toBeNull();
+    expect(storage.getItem('c')).toBe(3);
+    expect(listener).toHaveBeenLastCalledWith({
+      key: 'b',
+      value: null,
+      reason: 'evict',
+      remote: false
+    });
+  });
+
+  it('should evict by the write time of the items of a previous session', () => {
+    const backend = new MapStorage();
+    const previous = new JSONStorage(backend, undefined, { maxEntries: 10 });
+
+    const now = Date.now();
+
+    previous.setItem('new', 1);
+    jest.setSystemTime(now - 1000);
+    previous.setItem('old', 2);
+    jest.setSystemTime(now + 1000);
+
+    const storage = new JSONStorage(backend, undefined, { maxEntries: 2 });
+    storage.setItem('latest', 3);
+
+    expect(Array.from(backend.items.keys())).toEqual(['new', 'latest']);
+  });
+
+  it('should only list the items when a limit is exceeded', () => {
+    const backend = new MapStorage();
+    const storage = new JSONStorage(backend, undefined, { maxEntries: 3 });
+
+    storage.setItem('a', 1);
+    const key = jest.spyOn(backend, 'key');
+
+    jest.advanceTimersByTime(1);
+    storage.setItem('b', 2);
+    jest.advanceTimersByTime(1);
+    storage.setItem('c', 3);
+    jest.advanceTimersByTime(1);
+    storage.setItem('a', 4);
+    storage.removeItem('b');
+    storage.setItem('b', 5);
+    expect(key).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    storage.setItem('d', 6);
+
+    expect(key).toHaveBeenCalled();
+    expect(Array.from(backend.items.keys()).sort()).toEqual(['a', 'b', 'd']);
+  });
+
+  it('should evict the items over maxBytes', () => {
+    const storage = new JSONStorage(undefined, undefined, { maxBytes: 200 });
+
+    storage.setItem('a', 'x'.repeat(20));
+    jest.advanceTimersByTime(1);
+    storage.setItem('b', 'x'.repeat(20));
+
+    expect(storage.length).toBe(1);
+    expect(storage.getItem('b')).toBe('x'.repeat(20));
+
+    // an item larger than maxBytes is kept
+    storage.setItem('large', 'x'.repeat(200));
+    expect(storage.key(0)).toBe('large');
+    expect(storage.length).toBe(1);
+  });
+
+  it('should evict the oldest items and retry when the quota is exceeded', () => {
+    const backend = new MapStorage();
+    const storage = new JSONStorage(backend, undefined, {
+      evictOnQuota: true
+    });
+    const setItem = backend.setItem.bind(backend);
+
+    storage.setItem('expired', 0, Date.now() + 500);
+    jest.advanceTimersByTime(1);
+    storage.setItem('old', 1);
+    jest.advanceTimersByTime(1);
+    storage.setItem('recent', 2);
+    jest.advanceTimersByTime(1000);
+
+    // the backend has room for 2 items
+    jest.spyOn(backend, 'setItem').mockImplementation((key, value) => {
+      if (!backend.items.has(key) && backend.length >= 2) {
+        throw quotaError();
+      }
+      setItem(key, value);
+    });
+
+    storage.setItem('new', 3);
+
+    expect(Array.from(backend.items.keys())).toEqual(['recent', 'new']);
+  });
+
+  it('should throw when the quota is exceeded without evictOnQuota or items', () => {
+    const backend = new MapStorage();
+    jest.spyOn(backend, 'setItem').mockImplementation(() => {
+      throw quotaError();
+    });
+
+    expect(() => new JSONStorage(backend).setItem('key', 1)).toThrow(
+      'The quota has been exceeded.'
+    );
+    expect(() =>
+      new JSONStorage(backend, undefined, { evictOnQuota: true }).setItem(
+        'key',
+        1
+      )
+    ).toThrow('The quota has been exceeded.');
+  });
+
+  it('should keep the keys of other libraries without a namespace', () => {
+    const backend = new MapStorage();
+    backend.setItem('other-lib-state', '{"expire":1}');
+    backend.setItem('i18nextLng', 'en');
+
+    const storage = new JSONStorage(backend, undefined, { maxEntries: 2 });
+    storage.setItem('expired', 0, Date.now() + 500);
+    jest.advanceTimersByTime(1000);
+
+    expect(storage.prune()).toEqual(['expired']);
+
+    storage.setItem('a', 1);
+    jest.advanceTimersByTime(1);
+    storage.setItem('b', 2);
+    jest.advanceTimersByTime(1);
+    storage.setItem('c', 3);
+
+    expect(Array.from(backend.items.keys())).toEqual([
+      'other-lib-state',
+      'i18nextLng',
+      'b',
+      'c'
+    ]);
+  });
+
+  it('should throw if the storage backend can not list its keys', () => {
+    expect(
+      () =>
+        new JSONStorage(
+          {
+            length: 0,
+            setItem: jest.fn(),
+            getItem: jest.fn(),
+            removeItem: jest.fn(),
+            clear: jest.fn()
+          },
+          undefined,
+          { maxEntries: 10 }
+        )
+    ).toThrow('must implement `key()`');
+  });
+});
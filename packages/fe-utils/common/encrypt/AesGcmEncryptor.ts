@@ -0,0 +1,161 @@
+import { AsyncEncryptor } from '../../interface';
+
+/**
+ * Options of the AesGcmEncryptor
+ *
+ * @since 1.1.4
+ */
+export interface AesGcmEncryptorOptions {
+  /**
+   * AES-GCM key, or a secret the 256-bit key is derived from with SHA-256
+   *
+   * A secret in the code of a web app is only obfuscation,
+   * the integrity of the data is checked either way.
+   */
+  key: CryptoKey | string;
+
+  /**
+   * Web Crypto implementation
+   *
+   * @default `crypto` of the global object
+   */
+  crypto?: Crypto;
+}
+
+const IV_LENGTH = 12;
+
+/**
+ * AES-GCM encryption with the Web Crypto API
+ *
+ * - Core Idea: The encryptors of `server` need Node `crypto`, browsers have Web Crypto.
+ * - Main Function: Encrypt strings with AES-GCM, a random IV for each value.
+ * - Main Purpose: Keep tokens at rest encrypted, and reject the modified ones.
+ *
+ * Features:
+ * - Works in browsers and Node 19+, or with the `crypto` option
+ * - The result is base64 of the IV followed by the ciphertext and the authentication tag
+ * - `decrypt` rejects if the data was modified or encrypted with another key
+ * - The ciphertext is not bound to a storage key, `AsyncJSONStorage` checks the key kept in the item,
+ *   so a value copied to another key is not returned
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const storage = new AsyncJSONStorage({
+ *   storage: localStorage,
+ *   encryptor: new AesGcmEncryptor({ key: 'my-app-storage-secret' })
+ * });
+ *
+ * await storage.setItem('token', token);
+ * ```
+ */
+export class AesGcmEncryptor implements AsyncEncryptor<string, string> {
+  private key?: Promise<CryptoKey>;
+
+  constructor(protected readonly options: AesGcmEncryptorOptions) {}
+
+  /**
+   * Encrypts a string
+   *
+   * @param value - String to encrypt
+   * @returns Base64 of the IV and the ciphertext
+   */
+  async encrypt(value: string): Promise<string> {
+    const crypto = this.getCrypto();
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.getKey(),
+      new TextEncoder().encode(value)
+    );
+
+    const result = new Uint8Array(IV_LENGTH + encrypted.byteLength);
+    result.set(iv);
+    result.set(new Uint8Array(encrypted), IV_LENGTH);
+
+    return toBase64(result);
+  }
+
+  /**
+   * Decrypts a string
+   *
+   * @param encryptedData - Base64 of the IV and the ciphertext
+   * @returns The original string
+   * @throws If the data is invalid, was modified or was encrypted with another key
+   */
+  async decrypt(encryptedData: string): Promise<string> {
+    const data = fromBase64(encryptedData);
+
+    if (data.length <= IV_LENGTH) {
+      throw new Error('Invalid encrypted data');
+    }
+
+    const decrypted = await this.getCrypto().subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(0, IV_LENGTH) },
+      await this.getKey(),
+      data.subarray(IV_LENGTH)
+    );
+
+    return new TextDecoder().decode(decrypted);
+  }
+
+  private getCrypto(): Crypto {
+    const crypto = this.options.crypto || globalThis.crypto;
+
+    if (!crypto || !crypto.subtle) {
+      throw new Error('Web Crypto is not available');
+    }
+
+    return crypto;
+  }
+
+  private getKey(): Promise<CryptoKey> {
+    if (!this.key) {
+      const { key } = this.options;
+
+      this.key =
+        typeof key === 'string' ? this.deriveKey(key) : Promise.resolve(key);
+    }
+
+    return this.key;
+  }
+
+  private async deriveKey(secret: string): Promise<CryptoKey> {
+    const { subtle } = this.getCrypto();
+    const hash = await subtle.digest(
+      'SHA-256',
+      new TextEncoder().encode(secret)
+    );
+
+    return subtle.importKey('raw', hash, 'AES-GCM', false, [
+      'encrypt',
+      'decrypt'
+    ]);
+  }
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+
+  // String.fromCharCode can't take too many arguments
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode.apply(
+      null,
+      Array.prototype.slice.call(bytes.subarray(index, index + 0x8000))
+    );
+  }
+
+  return btoa(binary);
+}
+
+function fromBase64(base64: string): Uint8Array {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+
+  return bytes;
+}
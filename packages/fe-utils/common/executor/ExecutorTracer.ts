@@ -0,0 +1,211 @@
+import {
+  ExecutorTraceResult,
+  ExecutorTraceSpan,
+  ExecutorTracerInterface
+} from '../../interface';
+
+/**
+ * Configuration options for the ExecutorTracer
+ *
+ * @since 1.1.4
+ */
+export interface ExecutorTracerOptions {
+  /**
+   * Maximum number of recorded events, the oldest events are dropped
+   *
+   * @default 10000
+   */
+  maxEvents: number;
+
+  /**
+   * Process ID of the events, used to separate the executors in the viewer
+   *
+   * @default 1
+   */
+  pid: number;
+
+  /**
+   * Returns the current time in milliseconds
+   *
+   * @default `performance.now` if available, otherwise `Date.now`
+   */
+  now: () => number;
+}
+
+/**
+ * A complete event of the Chrome trace-event format
+ *
+ * Times are in microseconds.
+ *
+ * @see https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ *
+ * @since 1.1.4
+ */
+export type ExecutorTraceEvent = {
+  name: string;
+  cat: string;
+  ph: 'X';
+  /**
+   * Start time in microseconds
+   */
+  ts: number;
+  /**
+   * Duration in microseconds
+   */
+  dur: number;
+  pid: number;
+  /**
+   * ID of the run, concurrent runs are shown in different rows
+   */
+  tid: number;
+  args: Record<string, unknown>;
+};
+
+/**
+ * Trace data in the JSON object format of the Chrome trace-event format
+ *
+ * @since 1.1.4
+ */
+export type ExecutorTraceJSON = {
+  traceEvents: ExecutorTraceEvent[];
+  displayTimeUnit: 'ms';
+};
+
+/**
+ * Tracer that records executor runs in the Chrome trace-event format
+ *
+ * - Core Idea: See where the time of a run goes, plugin by plugin.
+ * - Main Function: Record a span for each run, plugin hook and task, with durations and errors.
+ * - Main Purpose: Find the slow plugin of a request chain.
+ *
+ * Features:
+ * - Each run has its own `tid`, so concurrent runs don't overlap in the viewer
+ * - `around` hooks contain the spans of the inner hooks and the task
+ * - Errors and return-value presence are recorded in `args`
+ * - `toJSON()` can be loaded by `chrome://tracing` or https://ui.perfetto.dev
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const tracer = new ExecutorTracer();
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch(), { tracer });
+ *
+ * await scheduler.get('/api/userinfo');
+ *
+ * // save as trace.json and open it in https://ui.perfetto.dev
+ * JSON.stringify(tracer);
+ * ```
+ */
+export class ExecutorTracer implements ExecutorTracerInterface {
+  private readonly options: ExecutorTracerOptions;
+
+  private events: ExecutorTraceEvent[] = [];
+
+  private runId = 0;
+
+  constructor(options: Partial<ExecutorTracerOptions> = {}) {
+    this.options = {
+      maxEvents: 10000,
+      pid: 1,
+      now: defaultNow,
+      ...options
+    };
+  }
+
+  /**
+   * Starts the span of an executor run
+   *
+   * @param name - Name of the executor
+   * @param args - Extra data of the run
+   */
+  startRun(name: string, args?: Record<string, unknown>): ExecutorTraceSpan {
+    return this.startSpan(name, 'run', ++this.runId, args);
+  }
+
+  /**
+   * Gets the recorded events, in the order they ended
+   */
+  getEvents(): ExecutorTraceEvent[] {
+    return this.events.slice();
+  }
+
+  /**
+   * Removes the recorded events
+   */
+  clear(): void {
+    this.events = [];
+  }
+
+  /**
+   * Exports the recorded events in the Chrome trace-event format
+   */
+  toJSON(): ExecutorTraceJSON {
+    return {
+      traceEvents: this.getEvents(),
+      displayTimeUnit: 'ms'
+    };
+  }
+
+  private startSpan(
+    name: string,
+    category: string,
+    tid: number,
+    args: Record<string, unknown> = {}
+  ): ExecutorTraceSpan {
+    const start = this.options.now();
+    let ended = false;
+
+    return {
+      child: (childName, childCategory, childArgs): ExecutorTraceSpan =>
+        this.startSpan(childName, childCategory, tid, childArgs),
+      end: (result: ExecutorTraceResult = {}): void => {
+        if (ended) {
+          return;
+        }
+        ended = true;
+
+        this.record({
+          name,
+          cat: category,
+          ph: 'X',
+          ts: Math.round(start * 1000),
+          dur: Math.round((this.options.now() - start) * 1000),
+          pid: this.options.pid,
+          tid,
+          args: { ...args, ...this.formatResult(result) }
+        });
+      }
+    };
+  }
+
+  private formatResult(result: ExecutorTraceResult): Record<string, unknown> {
+    const args: Record<string, unknown> = {};
+
+    if (result.hasReturnValue !== undefined) {
+      args.hasReturnValue = result.hasReturnValue;
+    }
+
+    if (result.error !== undefined) {
+      const { error } = result;
+      args.error = error instanceof Error ? error.message : String(error);
+    }
+
+    return args;
+  }
+
+  private record(event: ExecutorTraceEvent): void {
+    this.events.push(event);
+
+    if (this.events.length > this.options.maxEvents) {
+      this.events.splice(0, this.events.length - this.options.maxEvents);
+    }
+  }
+}
+
+function defaultNow(): number {
+  return typeof performance !== 'undefined' &&
+    typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now();
+}
@@ -2,10 +2,46 @@ import {
   Executor,
   ExecutorContext,
   ExecutorError,
+  ExecutorErrorID,
+  ExecutorExecOptions,
+  ExecutorNext,
   ExecutorPlugin,
   PromiseTask
 } from '../../../interface';
 
+/**
+ * Options of the task combinators, e.g. `AsyncExecutor.all`
+ *
+ * The plugins and the signal apply to the group run and to each sub-task.
+ *
+ * @since 1.1.4
+ */
+export interface ExecutorGroupOptions extends ExecutorExecOptions {
+  /**
+   * Parameters of the group run, each sub-task receives them,
+   * for `pipeline` they are the parameters of the first step
+   */
+  data?: unknown;
+
+  /**
+   * Maximum number of sub-tasks running at the same time, for `all` and `allSettled`
+   *
+   * Rounded down, `0` or `NaN` means no limit, a negative number runs one at a time.
+   *
+   * @default Infinity
+   */
+  concurrency?: number;
+}
+
+/**
+ * Result of a sub-task of `AsyncExecutor.allSettled`
+ *
+ * @since 1.1.4
+ */
+export type ExecutorSettledResult<Result> =
+  | { status: 'fulfilled'; value: Result }
+  | { status: 'rejected'; reason: ExecutorError };
+
 /**
  * Asynchronous implementation of the Executor pattern
  *
@@ -101,13 +137,28 @@ export class AsyncExecutor extends Executor {
         break;
       }
 
+      // onError hooks still run for an aborted run
+      if (hookName !== 'onError') {
+        this.throwIfAborted(_context);
+      }
+
       _context.hooksRuntimes.pluginName = plugin.pluginName;
       _context.hooksRuntimes.hookName = hookName;
       _context.hooksRuntimes.times++;
       _context.hooksRuntimes.index = _index;
 
-      // @ts-expect-error
-      const pluginReturn = await plugin[hookName](context, ...args);
+      const span = this.startHookTrace(_context, plugin.pluginName, hookName);
+      let pluginReturn: unknown;
+
+      try {
+        // @ts-expect-error
+        pluginReturn = await plugin[hookName](context, ...args);
+      } catch (error) {
+        span?.end({ error });
+        throw error;
+      }
+
+      span?.end({ hasReturnValue: pluginReturn !== undefined });
 
       if (pluginReturn !== undefined) {
         returnValue = pluginReturn;
@@ -124,6 +175,77 @@ export class AsyncExecutor extends Executor {
     return returnValue;
   }
 
+  /**
+   * Execute the around hooks of the plugins, like Koa middlewares
+   *
+   * - Purpose: Composes the plugins that wrap the task execution
+   * - Core Concept: Onion model, the first plugin is the outermost layer
+   * - Main Features:
+   *  - Plugin enablement checking
+   *  - `next` can be called more than once, e.g. to retry
+   *  - `next` can be called with a new context for the inner layers
+   * - Primary Use: Internal task execution, the innermost layer runs `onExec` and the task
+   *
+   * @since 1.1.4
+   * @param plugins - Array of plugins to execute
+   * @param context - Executor context
+   * @param inner - Innermost layer
+   * @returns Promise resolving to the result of the outermost layer
+   *
+   * @example
+   * ```typescript
+   * const result = await this.runAroundHooks(plugins, context, (ctx) =>
+   *   task(ctx)
+   * );
+   * ```
+   */
+  async runAroundHooks<Params>(
+    plugins: ExecutorPlugin[],
+    context: ExecutorContext<Params>,
+    inner: ExecutorNext
+  ): Promise<unknown> {
+    const arounds = plugins.filter(
+      (plugin) =>
+        typeof plugin.around === 'function' &&
+        !(
+          typeof plugin.enabled == 'function' &&
+          !plugin.enabled('around', context)
+        )
+    );
+
+    const dispatch = async (
+      index: number,
+      ctx: ExecutorContext<unknown>
+    ): Promise<unknown> => {
+      const plugin = arounds[index];
+
+      // e.g. a retrying plugin calls next again after the run is aborted
+      this.throwIfAborted(ctx);
+
+      if (!plugin) {
+        return inner(ctx);
+      }
+
+      ctx.hooksRuntimes.pluginName = plugin.pluginName;
+      ctx.hooksRuntimes.hookName = 'around';
+
+      const span = this.startHookTrace(ctx, plugin.pluginName, 'around');
+
+      try {
+        const result = await plugin.around!(ctx, (nextContext) =>
+          dispatch(index + 1, nextContext || ctx)
+        );
+        span?.end({ hasReturnValue: result !== undefined });
+        return result;
+      } catch (error) {
+        span?.end({ error });
+        throw error;
+      }
+    };
+
+    return dispatch(0, context as ExecutorContext<unknown>);
+  }
+
   /**
    * Execute task without throwing errors
    *
@@ -138,6 +260,7 @@ export class AsyncExecutor extends Executor {
    * @template T - Type of task return value
    * @param dataOrTask - Task data or task function
    * @param task - Task function (optional)
+   * @param options - Scoped plugins and abort signal of this execution, since 1.1.4
    * @returns Promise resolving to either result or ExecutorError
    *
    * @example
@@ -154,16 +277,20 @@ export class AsyncExecutor extends Executor {
    */
   async execNoError<Result, Params = unknown>(
     dataOrTask: unknown | PromiseTask<Result, Params>,
-    task?: PromiseTask<Result, Params>
+    task?: PromiseTask<Result, Params>,
+    options?: ExecutorExecOptions
   ): Promise<Result | ExecutorError> {
     try {
-      return await this.exec(dataOrTask as Params, task);
+      return await this.exec(dataOrTask as Params, task, options);
     } catch (error) {
       if (error instanceof ExecutorError) {
         return error;
       }
 
-      return new ExecutorError('UNKNOWN_ASYNC_ERROR', error as Error);
+      return new ExecutorError(
+        ExecutorErrorID.UNKNOWN_ASYNC_ERROR,
+        error as Error
+      );
     }
   }
 
@@ -187,6 +314,7 @@ export class AsyncExecutor extends Executor {
    * @template D - Type of task data
    * @param dataOrTask - Task data or task function
    * @param task - Task function (optional)
+   * @param options - Scoped plugins and abort signal of this execution, since 1.1.4
    * @throws {Error} When task is not an async function
    * @returns Promise resolving to task result
    *
@@ -206,7 +334,8 @@ export class AsyncExecutor extends Executor {
    */
   exec<Result, Params = unknown>(
     dataOrTask: Params | PromiseTask<Result, Params>,
-    task?: PromiseTask<Result, Params>
+    task?: PromiseTask<Result, Params>,
+    options?: ExecutorExecOptions
   ): Promise<Result> {
     const actualTask = (task || dataOrTask) as PromiseTask<Result, Params>;
     const data = (task ? dataOrTask : undefined) as Params;
@@ -215,7 +344,7 @@ export class AsyncExecutor extends Executor {
       throw new Error('Task must be a async function!');
     }
 
-    return this.run(data, actualTask);
+    return this.run(data, actualTask, options);
   }
 
   /**
@@ -231,14 +360,18 @@ export class AsyncExecutor extends Executor {
    *
    * Pipeline stages:
    * 1. onBefore hooks - Pre-process input data
-   * 2. Task execution - Run the actual task
+   * 2. Task execution - Run the actual task, wrapped by the around hooks (since 1.1.4)
    * 3. onSuccess hooks - Post-process results
    * 4. onError hooks - Handle any errors
    *
+   * If `options.signal` is aborted, the run fails with the abort error before the next hook or task,
+   * or at once while the task is running (since 1.1.4).
+   *
    * @template T - Type of task return value
    * @template D - Type of task data
    * @param data - Input data for the task
    * @param actualTask - Task function to execute
+   * @param options - Scoped plugins and abort signal of this execution, since 1.1.4
    * @throws {ExecutorError} When task execution fails
    * @returns Promise resolving to task result(context.returnValue)
    *
@@ -263,8 +396,10 @@ export class AsyncExecutor extends Executor {
    */
   async run<Result, Params = unknown>(
     data: Params,
-    actualTask: PromiseTask<Result, Params>
+    actualTask: PromiseTask<Result, Params>,
+    options?: ExecutorExecOptions
   ): Promise<Result> {
+    const plugins = this.getExecPlugins(options);
     const context: ExecutorContext<Params> = {
       parameters: data,
       returnValue: undefined,
@@ -275,27 +410,49 @@ export class AsyncExecutor extends Executor {
         returnValue: undefined,
         returnBreakChain: false,
         times: 0
-      }
+      },
+      signal: options?.signal || options?.parent?.signal,
+      parent: options?.parent
     };
+    const span = this.startTrace(context);
 
-    const runExec = async (ctx: ExecutorContext<Params>): Promise<void> => {
-      await this.runHooks(this.plugins, 'onExec', ctx, actualTask);
+    this.emit('before', context);
+
+    const runTask = async (ctx: ExecutorContext<Params>): Promise<unknown> => {
+      await this.runHooks(plugins, 'onExec', ctx, actualTask);
 
       // if exec times is 0, then execute task, otherwise return the result of the last hook
       if (ctx.hooksRuntimes.times === 0) {
-        ctx.returnValue = await actualTask(ctx);
-        return;
+        const taskSpan = ctx.hooksRuntimes.traceSpan?.child('task', 'task');
+
+        try {
+          const result = await actualTask(ctx);
+          taskSpan?.end({ hasReturnValue: result !== undefined });
+          return result;
+        } catch (error) {
+          taskSpan?.end({ error });
+          throw error;
+        }
       }
 
-      ctx.returnValue = ctx.hooksRuntimes.returnValue;
+      return ctx.hooksRuntimes.returnValue;
+    };
+
+    const runExec = async (ctx: ExecutorContext<Params>): Promise<void> => {
+      // around hooks wrap the onExec hooks and the task
+      ctx.returnValue = await this.runAroundHooks(plugins, ctx, (innerCtx) =>
+        runTask(innerCtx as ExecutorContext<Params>)
+      );
     };
 
     try {
-      await this.runHooks(this.plugins, 'onBefore', context);
+      await this.runHooks(plugins, 'onBefore', context);
+
+      await this.raceAbort(runExec(context), context.signal);
 
-      await runExec(context);
+      await this.runHooks(plugins, 'onSuccess', context);
 
-      await this.runHooks(this.plugins, 'onSuccess', context);
+      this.emit('success', context);
 
       return context.returnValue as Result;
     } catch (error) {
@@ -304,19 +461,32 @@ export class AsyncExecutor extends Executor {
       // if onError hook return a Error, then break the chain
       Object.assign(context.hooksRuntimes, { returnBreakChain: true });
 
-      await this.runHooks(this.plugins, 'onError', context);
+      await this.runHooks(plugins, 'onError', context);
 
       // if onError hook return a ExecutorError, then throw it
       if (context.hooksRuntimes.returnValue) {
         context.error = context.hooksRuntimes.returnValue as Error;
       }
 
+      this.emit('error', context);
+
       if (context.error instanceof ExecutorError) {
         throw context.error;
       }
 
-      throw new ExecutorError('UNKNOWN_ASYNC_ERROR', context.error);
+      throw new ExecutorError(
+        ExecutorErrorID.UNKNOWN_ASYNC_ERROR,
+        context.error
+      );
     } finally {
+      this.emit('settled', context);
+
+      span?.end(
+        context.error
+          ? { error: context.error }
+          : { hasReturnValue: context.returnValue !== undefined }
+      );
+
       // reset hooksRuntimes
       context.hooksRuntimes = {
         pluginName: '',
@@ -327,4 +497,305 @@ export class AsyncExecutor extends Executor {
       };
     }
   }
+
+  /**
+   * Execute tasks in parallel, like `Promise.all`
+   *
+   * - Purpose: Declarative parallel steps instead of nested `exec` calls
+   * - Core Concept: A group run whose task runs each sub-task as a child run
+   * - Main Features:
+   *  - Each sub-task goes through the plugins, with `context.parent` set to the group run
+   *  - Concurrency limit with `options.concurrency`
+   *  - Fails fast, the running sub-tasks are aborted when one fails
+   * - Primary Use: Loading independent resources of a page
+   *
+   * @since 1.1.4
+   * @param tasks - Sub-tasks, each receives `options.data` as parameters
+   * @param options - Plugins, signal, data and concurrency of the group
+   * @throws {ExecutorError} The error of the first failed sub-task
+   * @returns Promise resolving to the results in the order of the tasks
+   *
+   * @example
+   * ```typescript
+   * const [user, menus] = await executor.all([
+   *   async () => fetchUser(),
+   *   async () => fetchMenus()
+   * ]);
+   * ```
+   */
+  all<Results extends unknown[], Params = unknown>(
+    tasks: { [K in keyof Results]: PromiseTask<Results[K], Params> },
+    options: ExecutorGroupOptions = {}
+  ): Promise<Results> {
+    return this.runGroup(options, (parent, childOptions, abort) =>
+      this.runConcurrent(tasks.length, options.concurrency, (index) =>
+        this.run(
+          parent.parameters as Params,
+          tasks[index] as PromiseTask<unknown, Params>,
+          childOptions
+        )
+      ).catch((error) => {
+        abort();
+        throw error;
+      })
+    ) as Promise<Results>;
+  }
+
+  /**
+   * Execute tasks in parallel, and settle with the first settled task, like `Promise.race`
+   *
+   * The other sub-tasks are aborted when the first one settles.
+   *
+   * @since 1.1.4
+   * @param tasks - Sub-tasks, each receives `options.data` as parameters
+   * @param options - Plugins, signal and data of the group
+   * @throws {ExecutorError} The error of the first settled sub-task
+   * @returns Promise resolving to the result of the first settled task
+   *
+   * @example
+   * ```typescript
+   * const config = await executor.race([
+   *   async () => loadFromCache(),
+   *   async () => loadFromServer()
+   * ]);
+   * ```
+   */
+  race<Result, Params = unknown>(
+    tasks: PromiseTask<Result, Params>[],
+    options: ExecutorGroupOptions = {}
+  ): Promise<Result> {
+    return this.runGroup(options, (parent, childOptions, abort) =>
+      new Promise<Result>((resolve, reject) => {
+        tasks.forEach((task) => {
+          this.run(parent.parameters as Params, task, childOptions).then(
+            resolve,
+            reject
+          );
+        });
+      }).then(
+        (result) => {
+          abort();
+          return result;
+        },
+        (error) => {
+          abort();
+          throw error;
+        }
+      )
+    ) as Promise<Result>;
+  }
+
+  /**
+   * Execute tasks in parallel, and wait for all of them, like `Promise.allSettled`
+   *
+   * @since 1.1.4
+   * @param tasks - Sub-tasks, each receives `options.data` as parameters
+   * @param options - Plugins, signal, data and concurrency of the group
+   * @returns Promise resolving to the results in the order of the tasks, errors are ExecutorError
+   *
+   * @example
+   * ```typescript
+   * const results = await executor.allSettled(uploadTasks, { concurrency: 3 });
+   *
+   * results.forEach((result) => {
+   *   if (result.status === 'rejected') {
+   *     console.error(result.reason.id);
+   *   }
+   * });
+   * ```
+   */
+  allSettled<Results extends unknown[], Params = unknown>(
+    tasks: { [K in keyof Results]: PromiseTask<Results[K], Params> },
+    options: ExecutorGroupOptions = {}
+  ): Promise<{ [K in keyof Results]: ExecutorSettledResult<Results[K]> }> {
+    return this.runGroup(options, (parent, childOptions) =>
+      this.runConcurrent(tasks.length, options.concurrency, (index) =>
+        this.run(
+          parent.parameters as Params,
+          tasks[index] as PromiseTask<unknown, Params>,
+          childOptions
+        ).then(
+          (value): ExecutorSettledResult<unknown> => ({
+            status: 'fulfilled',
+            value
+          }),
+          (reason): ExecutorSettledResult<unknown> => ({
+            status: 'rejected',
+            reason:
+              reason instanceof ExecutorError
+                ? reason
+                : new ExecutorError(ExecutorErrorID.UNKNOWN_ASYNC_ERROR, reason)
+          })
+        )
+      )
+    ) as Promise<{ [K in keyof Results]: ExecutorSettledResult<Results[K]> }>;
+  }
+
+  /**
+   * Execute tasks one after another, each step receives the result of the previous step as parameters
+   *
+   * @since 1.1.4
+   * @param steps - Steps of the pipeline, the first step receives `options.data`
+   * @param options - Plugins, signal and data of the group
+   * @throws {ExecutorError} The error of the failed step, the next steps are not run
+   * @returns Promise resolving to the result of the last step, `options.data` if there is no step
+   *
+   * @example
+   * ```typescript
+   * const page = await executor.pipeline(
+   *   [
+   *     async ({ parameters }) => loadConfig(parameters.route),
+   *     async ({ parameters }) => loadI18n(parameters.locale),
+   *     async ({ parameters }) => render(parameters)
+   *   ],
+   *   { data: { route: '/home' } }
+   * );
+   * ```
+   */
+  pipeline<Result>(
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    steps: PromiseTask<any, any>[],
+    options: ExecutorGroupOptions = {}
+  ): Promise<Result> {
+    return this.runGroup(options, async (parent, childOptions) => {
+      let result: unknown = parent.parameters;
+
+      for (const step of steps) {
+        result = await this.run(result, step, childOptions);
+      }
+
+      return result;
+    }) as Promise<Result>;
+  }
+
+  /**
+   * Execute the group run of a task combinator
+   *
+   * @since 1.1.4
+   * @param options - Options of the combinator
+   * @param runChildren - Runs the sub-tasks, with the options of the child runs
+   * and a function to abort the running sub-tasks
+   */
+  protected runGroup(
+    options: ExecutorGroupOptions,
+    runChildren: (
+      parent: ExecutorContext<unknown>,
+      childOptions: ExecutorExecOptions,
+      abort: () => void
+    ) => Promise<unknown>
+  ): Promise<unknown> {
+    const { data, concurrency: _concurrency, ...execOptions } = options;
+
+    return this.run(
+      data,
+      async (parent) => {
+        // aborts the children, without aborting the signal of the group
+        const controller = new AbortController();
+        const onAbort = (): void => controller.abort(parent.signal?.reason);
+
+        if (parent.signal?.aborted) {
+          onAbort();
+        } else {
+          parent.signal?.addEventListener('abort', onAbort);
+        }
+
+        try {
+          return await runChildren(
+            parent,
+            { ...execOptions, parent, signal: controller.signal },
+            () => controller.abort()
+          );
+        } finally {
+          parent.signal?.removeEventListener('abort', onAbort);
+        }
+      },
+      execOptions
+    );
+  }
+
+  /**
+   * Run tasks with a concurrency limit, rejects with the first error
+   */
+  private runConcurrent<T>(
+    count: number,
+    concurrency: number = Infinity,
+    run: (index: number) => Promise<T>
+  ): Promise<T[]> {
+    return new Promise<T[]>((resolve, reject) => {
+      const results: T[] = [];
+      let started = 0;
+      let settled = 0;
+      let failed = false;
+
+      if (!count) {
+        resolve(results);
+        return;
+      }
+
+      const start = (): void => {
+        const index = started++;
+
+        run(index).then(
+          (result) => {
+            results[index] = result;
+            settled++;
+
+            if (settled === count) {
+              resolve(results);
+            } else if (started < count && !failed) {
+              start();
+            }
+          },
+          (error) => {
+            failed = true;
+            reject(error);
+          }
+        );
+      };
+
+      // NaN would never start a task
+      const limit = Math.max(1, Math.floor(concurrency) || Infinity);
+
+      while (started < Math.min(count, limit)) {
+        start();
+      }
+    });
+  }
+
+  /**
+   * Reject as soon as the signal is aborted, without waiting for the promise
+   *
+   * @since 1.1.4
+   * @param promise - Promise of the task execution
+   * @param signal - Signal of the run
+   */
+  protected raceAbort<T>(
+    promise: Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    if (!signal) {
+      return promise;
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = (): void => reject(this.createAbortError(signal));
+
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      promise.then(
+        (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
 }
@@ -1,10 +1,42 @@
 import {
   Executor,
+  ExecutorConfig,
   ExecutorContext,
   ExecutorError,
+  ExecutorErrorID,
+  ExecutorExecOptions,
   ExecutorPlugin,
+  SyncPluginGuard,
   SyncTask
 } from '../../../interface';
+import { Logger } from '../../logger';
+
+/**
+ * Configuration of the SyncExecutor
+ *
+ * @since 1.1.4
+ * @category SyncExecutor
+ */
+export interface SyncExecutorConfig extends ExecutorConfig {
+  /**
+   * How to handle async plugins and hooks returning a Promise,
+   * the SyncExecutor doesn't await them
+   *
+   * - `true`: throw an ExecutorError of `ExecutorErrorID.ASYNC_HOOK`
+   * - `false`: warn through the `logger`, ignore the returned Promise,
+   *   and log the error of the Promise if it rejects
+   *
+   * @default false
+   */
+  strict?: boolean;
+
+  /**
+   * Logger of the warnings in lenient mode
+   *
+   * @default new Logger()
+   */
+  logger?: Logger;
+}
 
 /**
  * Synchronous executor class that extends the base Executor
@@ -52,6 +84,45 @@ import {
  * @category SyncExecutor
  */
 export class SyncExecutor extends Executor {
+  protected logger: Logger;
+
+  /**
+   * @param config - Executor configuration, `strict` and `logger` since 1.1.4
+   */
+  constructor(protected config: SyncExecutorConfig = {}) {
+    super(config);
+
+    this.logger = config.logger || new Logger();
+  }
+
+  /**
+   * Add a plugin to the executor
+   *
+   * A plugin type with `mode: 'async'` or an `around` hook is a compile error, see `SyncPluginGuard`.
+   * At runtime such a plugin is reported like a hook returning a Promise.
+   *
+   * @override
+   * @since 1.1.4
+   * @param plugin - Plugin instance to add
+   * @throws {ExecutorError} With `ExecutorErrorID.ASYNC_HOOK` in strict mode, if the plugin is async
+   */
+  use<Plugin extends ExecutorPlugin>(
+    plugin: Plugin & SyncPluginGuard<Plugin>
+  ): void {
+    const asyncPlugin = plugin as ExecutorPlugin;
+
+    if (
+      asyncPlugin.mode === 'async' ||
+      typeof asyncPlugin.around === 'function'
+    ) {
+      this.reportAsync(
+        `Plugin ${plugin.pluginName} is async, SyncExecutor can't run it, use AsyncExecutor instead`
+      );
+    }
+
+    super.use(plugin);
+  }
+
   /**
    * Execute plugin hook functions synchronously
    * Manages the plugin execution chain and handles results
@@ -121,13 +192,35 @@ export class SyncExecutor extends Executor {
         break;
       }
 
+      // onError hooks still run for an aborted run
+      if (hookName !== 'onError') {
+        this.throwIfAborted(_context);
+      }
+
       _context.hooksRuntimes.pluginName = plugin.pluginName;
       _context.hooksRuntimes.hookName = hookName;
       _context.hooksRuntimes.times++;
       _context.hooksRuntimes.index = _index;
 
-      // @ts-expect-error
-      const pluginReturn = plugin[hookName](context, ...args);
+      const span = this.startHookTrace(_context, plugin.pluginName, hookName);
+      let pluginReturn: unknown;
+
+      try {
+        // @ts-expect-error
+        pluginReturn = plugin[hookName](context, ...args);
+      } catch (error) {
+        span?.end({ error });
+        throw error;
+      }
+
+      if (isThenable(pluginReturn)) {
+        span?.end({ hasReturnValue: true });
+        this.handleThenable(plugin, hookName, pluginReturn);
+        // a Promise is not a value of the sync chain, e.g. the result of onSuccess
+        continue;
+      }
+
+      span?.end({ hasReturnValue: pluginReturn !== undefined });
 
       if (pluginReturn !== undefined) {
         returnValue = pluginReturn as Params;
@@ -156,6 +249,7 @@ export class SyncExecutor extends Executor {
    * @template T - Type of task return value
    * @param dataOrTask - Task data or task function
    * @param task - Task function (optional)
+   * @param options - Scoped plugins and abort signal of this execution, since 1.1.4
    * @returns Task result or ExecutorError
    *
    * @example
@@ -176,16 +270,20 @@ export class SyncExecutor extends Executor {
    */
   execNoError<Result, Params = unknown>(
     dataOrTask: Params | SyncTask<Result, Params>,
-    task?: SyncTask<Result, Params>
+    task?: SyncTask<Result, Params>,
+    options?: ExecutorExecOptions
   ): Result | ExecutorError {
     try {
-      return this.exec(dataOrTask as Params, task);
+      return this.exec(dataOrTask as Params, task, options);
     } catch (error) {
       if (error instanceof ExecutorError) {
         return error;
       }
 
-      return new ExecutorError('UNKNOWN_SYNC_ERROR', error as Error);
+      return new ExecutorError(
+        ExecutorErrorID.UNKNOWN_SYNC_ERROR,
+        error as Error
+      );
     }
   }
 
@@ -207,6 +305,7 @@ export class SyncExecutor extends Executor {
    * @template D - Type of task data
    * @param dataOrTask - Task data or task function
    * @param task - Task function (optional)
+   * @param options - Scoped plugins and abort signal of this execution, since 1.1.4
    * @throws {Error} When task is not a function
    * @returns Task execution result
    *
@@ -231,7 +330,8 @@ export class SyncExecutor extends Executor {
    */
   exec<Result, Params = unknown>(
     dataOrTask: Params | SyncTask<Result, Params>,
-    task?: SyncTask<Result, Params>
+    task?: SyncTask<Result, Params>,
+    options?: ExecutorExecOptions
   ): Result {
     const actualTask = (task || dataOrTask) as SyncTask<Result, Params>;
     const data = (task ? dataOrTask : undefined) as Params;
@@ -240,7 +340,7 @@ export class SyncExecutor extends Executor {
       throw new Error('Task must be a function!');
     }
 
-    return this.run(data, actualTask);
+    return this.run(data, actualTask, options);
   }
 
   /**
@@ -253,6 +353,8 @@ export class SyncExecutor extends Executor {
    * 3. onSuccess hooks - Post-process results
    * 4. onError hooks - Handle any errors
    *
+   * If `options.signal` is aborted, the run fails with the abort error before the next hook or task (since 1.1.4).
+   *
    * Error handling strategy:
    * - Catches all errors
    * - Passes errors through plugin chain
@@ -262,6 +364,7 @@ export class SyncExecutor extends Executor {
    * @template D - Type of task data
    * @param data - Data to pass to the task
    * @param actualTask - Actual task function to execute
+   * @param options - Scoped plugins and abort signal of this execution, since 1.1.4
    * @throws {ExecutorError} When task execution fails
    * @returns Task execution result
    *
@@ -287,8 +390,10 @@ export class SyncExecutor extends Executor {
    */
   run<Result, Params = unknown>(
     data: Params,
-    actualTask: SyncTask<Result, Params>
+    actualTask: SyncTask<Result, Params>,
+    options?: ExecutorExecOptions
   ): Result {
+    const plugins = this.getExecPlugins(options);
     const context: ExecutorContext<Params> = {
       parameters: data,
       returnValue: undefined,
@@ -299,24 +404,44 @@ export class SyncExecutor extends Executor {
         returnValue: undefined,
         returnBreakChain: false,
         times: 0
-      }
+      },
+      signal: options?.signal || options?.parent?.signal,
+      parent: options?.parent
     };
+    const span = this.startTrace(context);
+
+    this.emit('before', context);
 
     const runExec = (ctx: ExecutorContext<Params>): void => {
-      this.runHooks(this.plugins, 'onExec', ctx, actualTask);
+      this.runHooks(plugins, 'onExec', ctx, actualTask);
 
       // if exec times is 0, then execute task, otherwise return the result of the last hook
-      ctx.returnValue = !ctx.hooksRuntimes.times
-        ? actualTask(ctx)
-        : ctx.hooksRuntimes.returnValue;
+      if (ctx.hooksRuntimes.times) {
+        ctx.returnValue = ctx.hooksRuntimes.returnValue;
+        return;
+      }
+
+      this.throwIfAborted(ctx);
+
+      const taskSpan = ctx.hooksRuntimes.traceSpan?.child('task', 'task');
+
+      try {
+        ctx.returnValue = actualTask(ctx);
+        taskSpan?.end({ hasReturnValue: ctx.returnValue !== undefined });
+      } catch (error) {
+        taskSpan?.end({ error });
+        throw error;
+      }
     };
 
     try {
-      this.runHooks(this.plugins, 'onBefore', context);
+      this.runHooks(plugins, 'onBefore', context);
 
       runExec(context);
 
-      this.runHooks(this.plugins, 'onSuccess', context);
+      this.runHooks(plugins, 'onSuccess', context);
+
+      this.emit('success', context);
 
       return context.returnValue as Result;
     } catch (error) {
@@ -325,19 +450,32 @@ export class SyncExecutor extends Executor {
       // if onError hook return a Error, then break the chain
       Object.assign(context.hooksRuntimes, { returnBreakChain: true });
 
-      this.runHooks(this.plugins, 'onError', context);
+      this.runHooks(plugins, 'onError', context);
 
       // if onError hook return a ExecutorError, then throw it
       if (context.hooksRuntimes.returnValue) {
         context.error = context.hooksRuntimes.returnValue as Error;
       }
 
+      this.emit('error', context);
+
       if (context.error instanceof ExecutorError) {
         throw context.error;
       }
 
-      throw new ExecutorError('UNKNOWN_SYNC_ERROR', context.error);
+      throw new ExecutorError(
+        ExecutorErrorID.UNKNOWN_SYNC_ERROR,
+        context.error
+      );
     } finally {
+      this.emit('settled', context);
+
+      span?.end(
+        context.error
+          ? { error: context.error }
+          : { hasReturnValue: context.returnValue !== undefined }
+      );
+
       // reset hooksRuntimes
       context.hooksRuntimes = {
         pluginName: '',
@@ -348,4 +486,52 @@ export class SyncExecutor extends Executor {
       };
     }
   }
+
+  /**
+   * Report a Promise returned by a hook, it runs detached from the execution
+   *
+   * @since 1.1.4
+   * @param plugin - Plugin of the hook
+   * @param hookName - Name of the hook
+   * @param thenable - Return value of the hook
+   * @throws {ExecutorError} With `ExecutorErrorID.ASYNC_HOOK` in strict mode
+   */
+  protected handleThenable(
+    plugin: ExecutorPlugin,
+    hookName: string,
+    thenable: PromiseLike<unknown>
+  ): void {
+    // the rejection can't be handled by the execution, don't leave it unhandled
+    thenable.then(undefined, (error: unknown) => {
+      if (!this.config.strict) {
+        this.logger.error(
+          `Async ${plugin.pluginName}.${hookName} failed after the execution:`,
+          error
+        );
+      }
+    });
+
+    this.reportAsync(
+      `${plugin.pluginName}.${hookName} returned a Promise, SyncExecutor doesn't await it, use AsyncExecutor instead`
+    );
+  }
+
+  /**
+   * Throw in strict mode, warn otherwise
+   */
+  private reportAsync(message: string): void {
+    if (this.config.strict) {
+      throw new ExecutorError(ExecutorErrorID.ASYNC_HOOK, message);
+    }
+
+    this.logger.warn(message);
+  }
+}
+
+function isThenable(value: unknown): value is PromiseLike<unknown> {
+  return (
+    (typeof value === 'object' || typeof value === 'function') &&
+    value !== null &&
+    typeof (value as PromiseLike<unknown>).then === 'function'
+  );
 }
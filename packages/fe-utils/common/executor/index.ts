@@ -1,2 +1,3 @@
 export * from './impl';
 export * from './plugins';
+export * from './ExecutorTracer';
@@ -0,0 +1,443 @@
+import {
+  ExecutorContext,
+  ExecutorError,
+  ExecutorErrorID,
+  ExecutorNext,
+  ExecutorPlugin
+} from '../../../interface';
+
+/**
+ * State of a circuit
+ *
+ * - `closed`: tasks run, failures are counted
+ * - `open`: tasks fail fast without running
+ * - `half-open`: trial tasks run, a success closes the circuit, a failure opens it again
+ *
+ * @since 1.1.4
+ * @category CircuitBreakerPlugin
+ */
+export type CircuitBreakerState = 'closed' | 'open' | 'half-open';
+
+/**
+ * Configuration options for the CircuitBreakerPlugin
+ *
+ * @since 1.1.4
+ * @category CircuitBreakerPlugin
+ */
+export interface CircuitBreakerOptions {
+  /**
+   * Number of failures within `windowTime` that opens the circuit
+   *
+   * @default 5
+   */
+  failureThreshold: number;
+
+  /**
+   * Length of the rolling window of the failures in milliseconds
+   *
+   * @default 60000
+   */
+  windowTime: number;
+
+  /**
+   * Time in milliseconds the circuit stays open before trial tasks are allowed
+   *
+   * @default 30000
+   */
+  resetTimeout: number;
+
+  /**
+   * Maximum number of trial tasks running at the same time while half-open
+   *
+   * @default 1
+   */
+  halfOpenMaxCalls: number;
+
+  /**
+   * Gets the key of the circuit of a task, each key has its own circuit
+   *
+   * @default all tasks share one circuit
+   */
+  getKey: (context: ExecutorContext<unknown>) => string;
+
+  /**
+   * Whether an error counts as a failure of the dependency
+   *
+   * @default every error except aborts and errors with a 4xx status other than 429,
+   * e.g. `RESPONSE_NOT_OK` of `FetchURLPlugin`, the status is read from `details.status` or `response.status`
+   */
+  isFailure: (error: unknown, context: ExecutorContext<unknown>) => boolean;
+
+  /**
+   * Whether a result of the task counts as a failure of the dependency,
+   * e.g. a response of an adapter that doesn't throw for HTTP errors
+   *
+   * @default a result with a `status` of 500 or more
+   */
+  isFailureResult: (
+    result: unknown,
+    context: ExecutorContext<unknown>
+  ) => boolean;
+
+  /**
+   * Returns the current time in milliseconds
+   *
+   * @default Date.now
+   */
+  now: () => number;
+}
+
+/**
+ * State change event of a circuit
+ *
+ * @since 1.1.4
+ * @category CircuitBreakerPlugin
+ */
+export type CircuitBreakerStateChange = {
+  key: string;
+  from: CircuitBreakerState;
+  to: CircuitBreakerState;
+  /**
+   * Number of failures within the window when the state changed
+   */
+  failures: number;
+};
+
+/**
+ * Listener of the state changes
+ *
+ * @since 1.1.4
+ * @category CircuitBreakerPlugin
+ */
+export type CircuitBreakerListener = (event: CircuitBreakerStateChange) => void;
+
+type Circuit = {
+  state: CircuitBreakerState;
+  /**
+   * Times of the failures within the window
+   */
+  failures: number[];
+  openedAt: number;
+  /**
+   * Number of running trial tasks while half-open
+   */
+  trials: number;
+  /**
+   * Number of running tasks, a circuit is only forgotten when none is running
+   */
+  running: number;
+};
+
+const defaultIsFailure = (error: unknown): boolean => {
+  if (
+    error instanceof ExecutorError &&
+    error.id === ExecutorErrorID.ABORT_ERROR
+  ) {
+    return false;
+  }
+
+  const { details, response } = (error || {}) as {
+    details?: { status?: unknown };
+    response?: { status?: unknown };
+  };
+  const status = details?.status ?? response?.status;
+
+  // client errors, e.g. 404, don't mean the dependency is down, too many requests do
+  return typeof status !== 'number' || status >= 500 || status === 429;
+};
+
+const defaultIsFailureResult = (result: unknown): boolean => {
+  const status = (result as { status?: unknown } | undefined)?.status;
+
+  return typeof status === 'number' && status >= 500;
+};
+
+/**
+ * Plugin that stops running tasks of a failing dependency
+ *
+ * - Core Idea: Retrying a dependency that is down makes the outage worse.
+ * - Main Function: Count failures per key and fail fast while the circuit is open.
+ * - Main Purpose: Give a failing dependency time to recover, and fail quickly meanwhile.
+ *
+ * Features:
+ * - `closed`, `open` and `half-open` states
+ * - Failure threshold over a rolling window
+ * - Errors and results with a 5xx `status` count as failures, errors with a 4xx `status` other than 429 don't,
+ *   see `isFailure` and `isFailureResult`
+ * - A circuit per key, e.g. per host of a request
+ * - Fails fast with an ExecutorError of `ExecutorErrorID.CIRCUIT_OPEN`,
+ *   `details.retryAfter` is the time until trial tasks are allowed
+ * - State change listeners, e.g. for logging
+ *
+ * Use it before the RetryPlugin, so a run counts once after its retries,
+ * and an open circuit is not retried.
+ *
+ * @since 1.1.4
+ * @category CircuitBreakerPlugin
+ *
+ * @example
+ * ```typescript
+ * const breaker = new CircuitBreakerPlugin({
+ *   failureThreshold: 3,
+ *   resetTimeout: 10000,
+ *   getKey: ({ parameters }) =>
+ *     new URL((parameters as RequestAdapterConfig).url!).host
+ * });
+ *
+ * breaker.onStateChange(({ key, from, to }) => {
+ *   logger.warn(`circuit ${key}: ${from} -> ${to}`);
+ * });
+ *
+ * executor.use(breaker);
+ * executor.use(new RetryPlugin());
+ * ```
+ */
+export class CircuitBreakerPlugin implements ExecutorPlugin {
+  readonly pluginName = 'CircuitBreakerPlugin';
+
+  readonly onlyOne = true;
+
+  protected readonly options: CircuitBreakerOptions;
+
+  private circuits: Map<string, Circuit> = new Map();
+
+  private listeners: CircuitBreakerListener[] = [];
+
+  constructor(options: Partial<CircuitBreakerOptions> = {}) {
+    this.options = {
+      failureThreshold: 5,
+      windowTime: 60000,
+      resetTimeout: 30000,
+      halfOpenMaxCalls: 1,
+      getKey: (): string => '',
+      isFailure: defaultIsFailure,
+      isFailureResult: defaultIsFailureResult,
+      now: Date.now,
+      ...options
+    };
+  }
+
+  /**
+   * Middleware hook, fails fast while the circuit is open,
+   * and records the result of the task
+   *
+   * @param context - Executor context
+   * @param next - Runs the task
+   * @throws {ExecutorError} With `ExecutorErrorID.CIRCUIT_OPEN` if the circuit is open
+   */
+  async around(
+    context: ExecutorContext<unknown>,
+    next: ExecutorNext
+  ): Promise<unknown> {
+    const key = this.options.getKey(context);
+    const circuit = this.getCircuit(key);
+
+    if (
+      circuit.state === 'open' ||
+      (circuit.state === 'half-open' &&
+        circuit.trials >= this.options.halfOpenMaxCalls)
+    ) {
+      throw new ExecutorError(
+        ExecutorErrorID.CIRCUIT_OPEN,
+        `Circuit breaker is open${key ? `: ${key}` : ''}`,
+        {
+          details: {
+            key,
+            retryAfter: Math.max(
+              0,
+              circuit.openedAt + this.options.resetTimeout - this.options.now()
+            )
+          }
+        }
+      );
+    }
+
+    const trial = circuit.state === 'half-open';
+    if (trial) {
+      circuit.trials++;
+    }
+    circuit.running++;
+
+    let outcome: 'success' | 'failure' | 'ignored' = 'ignored';
+
+    try {
+      const result = await next();
+      outcome = this.options.isFailureResult(result, context)
+        ? 'failure'
+        : 'success';
+      return result;
+    } catch (error) {
+      if (this.options.isFailure(error, context)) {
+        outcome = 'failure';
+      }
+
+      throw error;
+    } finally {
+      this.settle(key, circuit, trial, outcome);
+    }
+  }
+
+  /**
+   * Gets the state of a circuit
+   *
+   * @param key - Key of the circuit
+   */
+  getState(key = ''): CircuitBreakerState {
+    return this.circuits.has(key) ? this.getCircuit(key).state : 'closed';
+  }
+
+  /**
+   * Closes a circuit and clears its failures, or all circuits if no key is given
+   *
+   * @param key - Key of the circuit
+   */
+  reset(key?: string): void {
+    const keys = key === undefined ? Array.from(this.circuits.keys()) : [key];
+
+    keys.forEach((item) => {
+      const circuit = this.circuits.get(item);
+
+      if (circuit) {
+        this.circuits.delete(item);
+        this.setState(item, circuit, 'closed');
+      }
+    });
+  }
+
+  /**
+   * Listens to the state changes of the circuits
+   *
+   * @param listener - Called when a circuit opens, becomes half-open or closes
+   * @returns Function to remove the listener
+   */
+  onStateChange(listener: CircuitBreakerListener): () => void {
+    this.listeners.push(listener);
+
+    return (): void => {
+      this.listeners = this.listeners.filter((item) => item !== listener);
+    };
+  }
+
+  /**
+   * Gets the circuit of a key, an open circuit becomes half-open after `resetTimeout`
+   */
+  private getCircuit(key: string): Circuit {
+    let circuit = this.circuits.get(key);
+
+    if (!circuit) {
+      circuit = {
+        state: 'closed',
+        failures: [],
+        openedAt: 0,
+        trials: 0,
+        running: 0
+      };
+      this.circuits.set(key, circuit);
+    }
+
+    if (
+      circuit.state === 'open' &&
+      this.options.now() - circuit.openedAt >= this.options.resetTimeout
+    ) {
+      circuit.trials = 0;
+      this.setState(key, circuit, 'half-open');
+    }
+
+    return circuit;
+  }
+
+  /**
+   * Records the outcome of a finished task
+   */
+  private settle(
+    key: string,
+    circuit: Circuit,
+    trial: boolean,
+    outcome: 'success' | 'failure' | 'ignored'
+  ): void {
+    circuit.running--;
+    if (trial) {
+      circuit.trials--;
+    }
+
+    // the circuit was reset while the task was running
+    const current =
+      this.circuits.get(key) === circuit ? circuit : this.getCircuit(key);
+
+    if (outcome === 'success') {
+      this.recordSuccess(key, current);
+    } else if (outcome === 'failure') {
+      this.recordFailure(key, current);
+    }
+
+    this.pruneFailures(current);
+
+    // forget the healthy circuits, the running tasks still record on them
+    if (
+      current.state === 'closed' &&
+      !current.failures.length &&
+      !current.running
+    ) {
+      this.circuits.delete(key);
+    }
+  }
+
+  private recordSuccess(key: string, circuit: Circuit): void {
+    if (circuit.state === 'half-open') {
+      circuit.failures = [];
+      this.setState(key, circuit, 'closed');
+    }
+  }
+
+  private recordFailure(key: string, circuit: Circuit): void {
+    const now = this.options.now();
+
+    circuit.failures.push(now);
+    this.pruneFailures(circuit);
+
+    if (
+      circuit.state === 'half-open' ||
+      (circuit.state === 'closed' &&
+        circuit.failures.length >= this.options.failureThreshold)
+    ) {
+      circuit.openedAt = now;
+      this.setState(key, circuit, 'open');
+    }
+  }
+
+  private pruneFailures(circuit: Circuit): void {
+    const start = this.options.now() - this.options.windowTime;
+
+    while (circuit.failures.length && circuit.failures[0] <= start) {
+      circuit.failures.shift();
+    }
+  }
+
+  private setState(
+    key: string,
+    circuit: Circuit,
+    state: CircuitBreakerState
+  ): void {
+    const from = circuit.state;
+    circuit.state = state;
+
+    if (from === state) {
+      return;
+    }
+
+    const event: CircuitBreakerStateChange = {
+      key,
+      from,
+      to: state,
+      failures: circuit.failures.length
+    };
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch {
+        // ignore listener error
+      }
+    });
+  }
+}
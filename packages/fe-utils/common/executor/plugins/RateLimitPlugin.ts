@@ -0,0 +1,419 @@
+import {
+  ExecutorContext,
+  ExecutorError,
+  ExecutorErrorID,
+  ExecutorPlugin,
+  RequestAdapterConfig,
+  SyncStorage
+} from '../../../interface';
+
+/**
+ * Configuration options for the RateLimitPlugin
+ *
+ * @since 1.1.4
+ * @category RateLimitPlugin
+ */
+export interface RateLimitOptions {
+  /**
+   * Maximum number of tasks per `interval`
+   *
+   * @default 10
+   */
+  limit: number;
+
+  /**
+   * Length of the interval in milliseconds
+   *
+   * @default 1000
+   */
+  interval: number;
+
+  /**
+   * Limiting algorithm
+   *
+   * - `token-bucket`: allows bursts of `limit` tasks, refills evenly over the interval
+   * - `sliding-window`: at most `limit` tasks start within any `interval`
+   *
+   * @default 'token-bucket'
+   */
+  strategy: 'token-bucket' | 'sliding-window';
+
+  /**
+   * What to do when the limit is reached
+   *
+   * - `delay`: waits until the task is allowed
+   * - `reject`: fails with an ExecutorError of `ExecutorErrorID.RATE_LIMITED`
+   *
+   * @default 'delay'
+   */
+  mode: 'delay' | 'reject';
+
+  /**
+   * Maximum delay in milliseconds in `delay` mode, a task that would wait longer is rejected
+   *
+   * @default Infinity
+   */
+  maxDelay: number;
+
+  /**
+   * Gets the key of the bucket of a task, each key has its own limit
+   *
+   * @default all tasks share one bucket
+   */
+  getKey: (context: ExecutorContext<unknown>) => string;
+
+  /**
+   * Storage of the bucket states, e.g. `new JSONStorage(localStorage)`,
+   * so the limits survive page reloads
+   *
+   * The storage must be able to store plain objects.
+   *
+   * @default states are kept in memory
+   */
+  storage?: SyncStorage<string>;
+
+  /**
+   * Prefix of the storage keys
+   *
+   * @default 'RateLimitPlugin'
+   */
+  storageKey: string;
+
+  /**
+   * Returns the current time in milliseconds
+   *
+   * @default Date.now
+   */
+  now: () => number;
+}
+
+/**
+ * Persisted state of a bucket
+ *
+ * @since 1.1.4
+ * @category RateLimitPlugin
+ */
+export type RateLimitState = {
+  /**
+   * Remaining tokens of the token bucket, negative when tasks are waiting
+   */
+  tokens?: number;
+
+  /**
+   * Time of the last token bucket refill
+   */
+  updatedAt?: number;
+
+  /**
+   * Start times of the tasks of the sliding window
+   */
+  times?: number[];
+};
+
+/**
+ * Plugin that limits the number of tasks per interval
+ *
+ * - Core Idea: Stay within the rate limits of a third-party API instead of being rejected by it.
+ * - Main Function: Delay or reject the tasks over the limit before they run.
+ * - Main Purpose: Throttle the requests of a `RequestScheduler` or `RequestAdapterFetch`.
+ *
+ * Features:
+ * - Token bucket and sliding window algorithms
+ * - A bucket per key, e.g. per host of a request
+ * - Delay mode, waiting tasks keep their order, or reject mode with `details.retryAfter`
+ * - Optional persisted bucket states in a `SyncStorage`
+ * - A waiting task stops waiting when the `signal` of the run, or of the request config, is aborted,
+ *   its slot is given back
+ * - Idle buckets (full, or with an expired window) are dropped from memory and from the storage
+ *
+ * The limit is applied in `onBefore`, once per run, so the attempts of a RetryPlugin are not limited.
+ *
+ * @since 1.1.4
+ * @category RateLimitPlugin
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch());
+ *
+ * // 5 requests per second to each host, survives page reloads
+ * scheduler.usePlugin(
+ *   new RateLimitPlugin({
+ *     limit: 5,
+ *     interval: 1000,
+ *     getKey: ({ parameters }) =>
+ *       new URL((parameters as RequestAdapterConfig).url!).host,
+ *     storage: new JSONStorage(localStorage)
+ *   })
+ * );
+ * ```
+ */
+export class RateLimitPlugin implements ExecutorPlugin {
+  readonly pluginName = 'RateLimitPlugin';
+
+  readonly onlyOne = true;
+
+  readonly mode = 'async';
+
+  protected readonly options: RateLimitOptions;
+
+  private states: Map<string, RateLimitState> = new Map();
+
+  constructor(options: Partial<RateLimitOptions> = {}) {
+    this.options = {
+      limit: 10,
+      interval: 1000,
+      strategy: 'token-bucket',
+      mode: 'delay',
+      maxDelay: Infinity,
+      getKey: (): string => '',
+      storageKey: 'RateLimitPlugin',
+      now: Date.now,
+      ...options
+    };
+  }
+
+  /**
+   * Waits until the task is allowed, or rejects it
+   *
+   * @param context - Executor context
+   * @throws {ExecutorError} With `ExecutorErrorID.RATE_LIMITED` if the task is rejected
+   */
+  async onBefore(context: ExecutorContext<unknown>): Promise<void> {
+    const key = this.options.getKey(context);
+    const { delay, time } = this.take(key);
+
+    if (delay <= 0) {
+      return;
+    }
+
+    // a request can be cancelled by its own signal, e.g. of FetchAbortPlugin
+    const requestSignal = (context.parameters as RequestAdapterConfig | null)
+      ?.signal;
+    const signals = [context.signal, requestSignal].filter(
+      (signal): signal is AbortSignal => !!signal
+    );
+
+    if (!(await this.wait(delay, signals))) {
+      // the run is cancelled, it does not use the slot
+      this.release(key, time);
+
+      if (!context.signal?.aborted) {
+        throw requestSignal!.reason;
+      }
+    }
+  }
+
+  /**
+   * Number of buckets kept in memory
+   */
+  get size(): number {
+    return this.states.size;
+  }
+
+  /**
+   * Takes a slot of the bucket
+   *
+   * @param key - Key of the bucket
+   * @returns Delay in milliseconds until the slot starts
+   * @throws {ExecutorError} With `ExecutorErrorID.RATE_LIMITED` if the slot is not allowed
+   */
+  acquire(key = ''): number {
+    return this.take(key).delay;
+  }
+
+  /**
+   * Clears the state of a bucket, or of all buckets if no key is given
+   *
+   * Persisted states of other keys are not removed from the storage.
+   *
+   * @param key - Key of the bucket
+   */
+  reset(key?: string): void {
+    const keys = key === undefined ? Array.from(this.states.keys()) : [key];
+
+    keys.forEach((item) => {
+      this.states.delete(item);
+      this.options.storage?.removeItem(this.getStorageKey(item));
+    });
+  }
+
+  /**
+   * Takes a slot of the bucket
+   *
+   * @returns Delay until the slot starts, and the start time of the slot
+   */
+  private take(key: string): { delay: number; time: number } {
+    const now = this.options.now();
+
+    this.dropIdleStates(now);
+
+    const state = this.getState(key);
+    const delay =
+      this.options.strategy === 'sliding-window'
+        ? this.nextWindowSlot(state, now)
+        : this.nextToken(state, now);
+
+    const limit = this.options.mode === 'reject' ? 0 : this.options.maxDelay;
+
+    if (delay > limit) {
+      throw new ExecutorError(
+        ExecutorErrorID.RATE_LIMITED,
+        `Rate limit exceeded${key ? `: ${key}` : ''}`,
+        { details: { key, retryAfter: Math.ceil(delay - limit) } }
+      );
+    }
+
+    if (this.options.strategy === 'sliding-window') {
+      state.times!.push(now + delay);
+    } else {
+      state.tokens!--;
+    }
+
+    this.setState(key, state);
+
+    return { delay, time: now + delay };
+  }
+
+  /**
+   * Gives back a slot taken by `take`
+   *
+   * @param time - Start time of the slot
+   */
+  private release(key: string, time: number): void {
+    const state = this.getState(key);
+
+    if (this.options.strategy === 'sliding-window') {
+      const index = (state.times || []).indexOf(time);
+
+      if (index === -1) {
+        return;
+      }
+
+      state.times!.splice(index, 1);
+    } else {
+      if (state.tokens === undefined) {
+        return;
+      }
+
+      state.tokens = Math.min(this.options.limit, state.tokens + 1);
+    }
+
+    this.setState(key, state);
+  }
+
+  /**
+   * Drops the buckets that are full or whose window has expired,
+   * they are the same as new buckets, so keys like URLs don't pile up in memory or in the storage
+   *
+   * The storage can be shared by other pages, a persisted state is only removed if it is idle too.
+   */
+  private dropIdleStates(now: number): void {
+    const { storage } = this.options;
+
+    this.states.forEach((state, key) => {
+      if (!this.isIdle(state, now)) {
+        return;
+      }
+
+      this.states.delete(key);
+
+      if (storage && this.isIdle(this.getState(key), now)) {
+        storage.removeItem(this.getStorageKey(key));
+      }
+    });
+  }
+
+  private isIdle(state: RateLimitState, now: number): boolean {
+    const { limit, interval } = this.options;
+
+    if (this.options.strategy === 'sliding-window') {
+      return (state.times || []).every((time) => time <= now - interval);
+    }
+
+    return (
+      (state.tokens ?? limit) +
+        Math.max(0, now - (state.updatedAt ?? now)) * (limit / interval) >=
+      limit
+    );
+  }
+
+  /**
+   * Refills the token bucket
+   *
+   * @returns Delay until a token is available
+   */
+  private nextToken(state: RateLimitState, now: number): number {
+    const { limit, interval } = this.options;
+    const rate = limit / interval;
+    const tokens = state.tokens ?? limit;
+    const updatedAt = state.updatedAt ?? now;
+
+    state.tokens = Math.min(
+      limit,
+      tokens + Math.max(0, now - updatedAt) * rate
+    );
+    state.updatedAt = now;
+
+    return state.tokens >= 1 ? 0 : (1 - state.tokens) / rate;
+  }
+
+  /**
+   * Removes the tasks out of the sliding window
+   *
+   * @returns Delay until a slot of the window is available
+   */
+  private nextWindowSlot(state: RateLimitState, now: number): number {
+    const { limit, interval } = this.options;
+    const times = (state.times || []).filter((time) => time > now - interval);
+
+    state.times = times;
+
+    return times.length < limit
+      ? 0
+      : times[times.length - limit] + interval - now;
+  }
+
+  private getState(key: string): RateLimitState {
+    const { storage } = this.options;
+
+    if (storage) {
+      return storage.getItem<RateLimitState>(this.getStorageKey(key)) || {};
+    }
+
+    return this.states.get(key) || {};
+  }
+
+  private setState(key: string, state: RateLimitState): void {
+    this.states.set(key, state);
+    this.options.storage?.setItem(this.getStorageKey(key), state);
+  }
+
+  private getStorageKey(key: string): string {
+    return `${this.options.storageKey}:${key}`;
+  }
+
+  /**
+   * Waits for the delay, stops waiting when one of the signals is aborted,
+   * the executor then fails the run with the abort error
+   *
+   * @returns `false` if a signal is aborted
+   */
+  private wait(delay: number, signals: AbortSignal[]): Promise<boolean> {
+    const isAborted = (): boolean => signals.some((signal) => signal.aborted);
+
+    if (isAborted()) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const done = (): void => {
+        clearTimeout(timer);
+        signals.forEach((signal) => signal.removeEventListener('abort', done));
+        resolve(!isAborted());
+      };
+      const timer = setTimeout(done, delay);
+
+      signals.forEach((signal) => signal.addEventListener('abort', done));
+    });
+  }
+}
@@ -2,7 +2,9 @@ import {
   ExecutorPlugin,
   PromiseTask,
   ExecutorError,
-  ExecutorContext
+  ExecutorErrorID,
+  ExecutorContext,
+  ExecutorNext
 } from '../../../interface';
 
 /**
@@ -23,6 +25,8 @@ import {
  *   maxRetries: 5,
  *   retryDelay: 2000,
  *   useExponentialBackoff: true,
+ *   jitter: 0.5,
+ *   maxElapsedTime: 30000,
  *   shouldRetry: (error) => error.message !== 'Invalid credentials'
  * };
  * ```
@@ -49,13 +53,83 @@ export interface RetryOptions {
    */
   useExponentialBackoff: boolean;
 
+  /**
+   * Randomization factor of the delay, between 0 and 1
+   *
+   * The delay is randomized between `delay * (1 - jitter)` and `delay`,
+   * avoids many clients retrying at the same time.
+   *
+   * @since 1.1.4
+   * @default 0
+   */
+  jitter: number;
+
+  /**
+   * Maximum total time in milliseconds spent on the attempts,
+   * no retry is made if the next attempt would start after it
+   *
+   * @since 1.1.4
+   * @default Infinity
+   */
+  maxElapsedTime: number;
+
   /**
    * Custom function to determine if a retry should be attempted
    * @param error - The error that caused the failure
+   * @param context - The executor context, since 1.1.4
    * @returns boolean indicating if retry should be attempted
    * @default () => true (always retry)
    */
-  shouldRetry: (error: Error) => boolean;
+  shouldRetry: (error: Error, context: ExecutorContext<unknown>) => boolean;
+}
+
+/**
+ * Attempt metadata of the RetryPlugin
+ *
+ * Available on `context.hooksRuntimes.retry` during and after the execution,
+ * so other plugins (e.g. logging) can report it.
+ *
+ * @since 1.1.4
+ * @category RetryPlugin
+ *
+ * @example
+ * ```typescript
+ * onError(context) {
+ *   const retry = context.hooksRuntimes.retry as RetryAttempt | undefined;
+ *   console.log(`failed after ${retry?.attempt} attempts`);
+ * }
+ * ```
+ */
+export interface RetryAttempt {
+  /**
+   * Current attempt number, starting from 1 (the first call)
+   */
+  attempt: number;
+
+  /**
+   * Maximum number of retries
+   */
+  maxRetries: number;
+
+  /**
+   * Delay in milliseconds before the current attempt
+   */
+  delay: number;
+
+  /**
+   * Timestamp when the first attempt started
+   */
+  startTime: number;
+
+  /**
+   * Time in milliseconds elapsed since the first attempt started
+   */
+  elapsed: number;
+
+  /**
+   * Error of the previous attempt
+   */
+  error?: unknown;
 }
 
 /**
@@ -104,7 +178,7 @@ export class RetryPlugin implements ExecutorPlugin {
   /**
    * The pluginName of the plugin
    */
-  readonly pluginName = 'RetryPlugin';
+  readonly pluginName: string = 'RetryPlugin';
 
   /**
    * Ensures only one instance of RetryPlugin is used per executor
@@ -114,7 +188,7 @@ export class RetryPlugin implements ExecutorPlugin {
   /**
    * Normalized options with defaults applied
    */
-  private readonly options: RetryOptions;
+  protected readonly options: RetryOptions;
 
   /**
    * Constructs a new instance of RetryPlugin with specified options.
@@ -137,6 +211,8 @@ export class RetryPlugin implements ExecutorPlugin {
     this.options = {
       retryDelay: 1000,
       useExponentialBackoff: false,
+      jitter: 0,
+      maxElapsedTime: Infinity,
       shouldRetry: defaultShouldRetry,
       ...options,
       // Clamp maxRetries between 1 and SAFE_MAX_RETRIES
@@ -148,52 +224,102 @@ export class RetryPlugin implements ExecutorPlugin {
   }
 
   /**
-   * Implements delay between retry attempts
+   * Calculates the delay before the next attempt
    *
-   * This method calculates and applies a delay between retry attempts,
-   * using either a fixed delay or an exponential backoff strategy.
+   * Uses either a fixed delay or an exponential backoff strategy,
+   * randomized by `jitter`. Subclasses can override it, e.g. to honour a server hint.
    *
-   * @param attempt - Current attempt number
-   * @returns Promise that resolves after the delay
+   * @since 1.1.4
+   * @param attempt - Number of the failed attempts before, starting from 0
+   * @param _error - Error of the failed attempt
+   * @param _context - Executor context
+   * @returns Delay in milliseconds
    *
    * @example
    * ```typescript
-   * await this.delay(2); // Applies delay for the third attempt
+   * this.getDelay(2, error, context); // delay for the third retry
    * ```
    */
-  private async delay(attempt: number): Promise<void> {
-    const delayTime = this.options.useExponentialBackoff
-      ? this.options.retryDelay * Math.pow(2, attempt)
-      : this.options.retryDelay;
+  protected getDelay(
+    attempt: number,
+    _error: unknown,
+    _context: ExecutorContext<unknown>
+  ): number {
+    const { retryDelay, useExponentialBackoff, jitter } = this.options;
+    const delayTime = useExponentialBackoff
+      ? retryDelay * Math.pow(2, attempt)
+      : retryDelay;
+    const factor = Math.min(Math.max(jitter, 0), 1);
+
+    return factor > 0 ? delayTime * (1 - factor * Math.random()) : delayTime;
+  }
 
+  /**
+   * Implements delay between retry attempts
+   *
+   * @param delayTime - Delay in milliseconds
+   * @returns Promise that resolves after the delay
+   */
+  private async delay(delayTime: number): Promise<void> {
     return new Promise((resolve) => setTimeout(resolve, delayTime));
   }
 
   /**
-   * Custom execution hook that implements retry logic
+   * Middleware hook that implements retry logic
    *
-   * This method intercepts task execution to add retry capability,
-   * executing the task with the configured retry logic.
+   * This method wraps task execution to add retry capability,
+   * calling `next` again with the configured retry logic.
+   * The plugins after it are retried too, e.g. a timeout plugin limits each attempt.
    *
-   * @template T - Type of task return value
-   * @param task - Task to be executed with retry support
+   * @since 1.1.4 uses `around` instead of `onExec`
+   * @param context - Executor context
+   * @param next - Runs the inner plugins and the task
    * @returns Promise resolving to task result
    *
    * @example
    * ```typescript
-   * const result = await retryPlugin.onExec(() => fetchData());
+   * const result = await retryPlugin.around(context, () => fetchData());
    * ```
    */
-  async onExec(
+  async around(
     context: ExecutorContext<unknown>,
-    task: PromiseTask<unknown, unknown>
+    next: ExecutorNext
   ): Promise<unknown> {
     // no retry, just execute
     if (this.options.maxRetries < 1) {
-      return task(context);
+      return next(context);
     }
 
-    return this.retry(task, context, this.options, this.options.maxRetries);
+    return this.retry(next, context, this.options, this.options.maxRetries);
+  }
+
+  /**
+   * Runs the task with retry logic
+   *
+   * Kept for the direct calls, the executor only runs `around`,
+   * so overriding `onExec` in a subclass has no effect since 1.1.4.
+   *
+   * @deprecated since 1.1.4, use `around`
+   * @param context - Executor context
+   * @param task - Task to be executed with retry support
+   * @returns Promise resolving to task result
+   */
+  onExec(
+    context: ExecutorContext<unknown>,
+    task: PromiseTask<unknown, unknown>
+  ): Promise<unknown> {
+    return this.around(context, (nextContext) => task(nextContext || context));
+  }
+
+  /**
+   * Disables the deprecated `onExec` hook in the executor,
+   * the retry logic runs in `around`
+   *
+   * @param name - Name of the hook
+   * @returns `false` for `onExec`
+   */
+  enabled(name: keyof ExecutorPlugin): boolean {
+    return name !== 'onExec';
   }
 
   /**
@@ -204,36 +330,63 @@ export class RetryPlugin implements ExecutorPlugin {
    *
    * @param error - Error from failed attempt
    * @param retryCount - Number of retries remaining
+   * @param context - Executor context
    * @returns boolean indicating if retry should be attempted
    *
    * @example
    * ```typescript
-   * if (this.shouldRetry({ error, retryCount })) {
+   * if (this.shouldRetry({ error, retryCount, context })) {
    *   // Proceed with retry
    * }
    * ```
    */
   private shouldRetry({
     error,
-    retryCount
+    retryCount,
+    context
   }: {
     error: unknown;
     retryCount: number;
+    context: ExecutorContext<unknown>;
   }): boolean {
     return (
       // must be greater than 0
       retryCount > 0 &&
       // must satisfy should retry function
-      this.options.shouldRetry(error as Error)
+      this.options.shouldRetry(error as Error, context)
     );
   }
 
+  /**
+   * Gets the attempt metadata of the context, creates it on the first attempt
+   */
+  private getAttempt(context: ExecutorContext<unknown>): RetryAttempt {
+    const current = context.hooksRuntimes.retry as RetryAttempt | undefined;
+
+    if (current) {
+      return current;
+    }
+
+    const attempt: RetryAttempt = {
+      attempt: 1,
+      maxRetries: this.options.maxRetries,
+      delay: 0,
+      startTime: Date.now(),
+      elapsed: 0
+    };
+    context.hooksRuntimes.retry = attempt;
+
+    return attempt;
+  }
+
   /**
    * Core retry implementation
    *
    * This method recursively attempts to execute the task until it succeeds
    * or the maximum number of retries is reached, applying the configured delay strategy.
    *
+   * The attempt metadata is updated on `context.hooksRuntimes.retry`.
+   *
    * @template T - Type of task return value
    * @param fn - Function to retry
    * @param options - Retry configuration options
@@ -252,21 +405,52 @@ export class RetryPlugin implements ExecutorPlugin {
     options: RetryOptions,
     retryCount: number
   ): Promise<Result | undefined> {
+    const attempt = this.getAttempt(context as ExecutorContext<unknown>);
+
     try {
       return await fn(context);
     } catch (error) {
-      if (!this.shouldRetry({ error, retryCount })) {
+      const retryContext = context as ExecutorContext<unknown>;
+
+      attempt.error = error;
+      attempt.elapsed = Date.now() - attempt.startTime;
+
+      // the run is cancelled, don't retry
+      if (context.signal?.aborted) {
+        throw error;
+      }
+
+      const delayTime = this.shouldRetry({
+        error,
+        retryCount,
+        context: retryContext
+      })
+        ? this.getDelay(options.maxRetries - retryCount, error, retryContext)
+        : -1;
+
+      if (
+        delayTime < 0 ||
+        attempt.elapsed + delayTime > this.options.maxElapsedTime
+      ) {
         throw new ExecutorError(
-          'RETRY_ERROR',
-          `All ${options.maxRetries} attempts failed: ${(error as Error).message}`
+          ExecutorErrorID.RETRY_ERROR,
+          `All ${options.maxRetries} attempts failed: ${(error as Error).message}`,
+          {
+            cause: error,
+            details: {
+              attempt: attempt.attempt,
+              maxRetries: options.maxRetries,
+              elapsed: attempt.elapsed
+            }
+          }
         );
       }
 
-      // console.info(
-      //   `Attempt ${options.maxRetries - retryCount + 1} failed. Retrying in ${options.retryDelay}ms... (${retryCount} attempts remaining)`
-      // );
+      await this.delay(delayTime);
 
-      await this.delay(options.maxRetries - retryCount);
+      attempt.attempt++;
+      attempt.delay = delayTime;
+      attempt.elapsed = Date.now() - attempt.startTime;
 
       // decrement retry count
       retryCount--;
@@ -1 +1,3 @@
 export * from './RetryPlugin';
+export * from './CircuitBreakerPlugin';
+export * from './RateLimitPlugin';
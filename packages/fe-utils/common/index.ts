@@ -4,6 +4,7 @@
  * we need to export the interface here.
  */
 export * from '../interface';
+export * from './encrypt';
 export * from './executor';
 export * from './logger';
 export * from './request';
@@ -0,0 +1,315 @@
+import {
+  RequestAdapterConfig,
+  RequestError,
+  RequestErrorID
+} from '../../interface';
+
+/**
+ * Configuration options for the RequestQueue
+ *
+ * @since 1.1.4
+ */
+export interface RequestQueueOptions {
+  /**
+   * Maximum number of concurrent requests
+   *
+   * @default Infinity
+   */
+  maxConcurrent: number;
+
+  /**
+   * Maximum number of concurrent requests to the same host
+   *
+   * @default Infinity
+   */
+  maxPerHost: number;
+
+  /**
+   * Custom function to get the host of a request
+   *
+   * @default host of the `url`, or of the `baseURL` for a relative `url`
+   */
+  getHost?: (config: RequestAdapterConfig) => string;
+}
+
+/**
+ * Queue statistics
+ *
+ * @since 1.1.4
+ */
+export type RequestQueueStats = {
+  /**
+   * Number of requests waiting in the queue
+   */
+  pending: number;
+  /**
+   * Number of requests running
+   */
+  active: number;
+};
+
+/**
+ * Listener of the queue statistics
+ *
+ * @since 1.1.4
+ */
+export type RequestQueueListener = (stats: RequestQueueStats) => void;
+
+type QueueItem = {
+  priority: number;
+  host: string;
+  start: () => void;
+};
+
+const PRIORITIES: Record<string, number> = {
+  high: 1,
+  auto: 0,
+  low: -1
+};
+
+/**
+ * Queue that limits the number of concurrent requests
+ *
+ * - Core Idea: Too many requests at once slow down the important ones.
+ * - Main Function: Run requests by priority within the concurrency limits.
+ * - Main Purpose: Control the requests of a `RequestScheduler`.
+ *
+ * Features:
+ * - Global and per host concurrency limits
+ * - `priority` of the request config, a number or `'high'`/`'auto'`/`'low'`,
+ *   higher runs first, same priority runs in order
+ * - Queued requests are cancelled by the `signal` of the config, e.g. with `FetchAbortPlugin`
+ *   of the `RequestScheduler`. The signal is checked again when the request starts,
+ *   but a `FetchAbortPlugin` of the adapter only creates it after the request left the queue.
+ * - Statistics (`pending`, `active`) and change listeners
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const queue = new RequestQueue({ maxConcurrent: 6, maxPerHost: 2 });
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch(), { queue });
+ *
+ * queue.onChange(({ pending, active }) => {
+ *   loading.visible = pending + active > 0;
+ * });
+ *
+ * scheduler.get('/api/userinfo', { priority: 'high' });
+ * scheduler.get('/api/logs', { priority: -10 });
+ * ```
+ */
+export class RequestQueue {
+  private readonly options: RequestQueueOptions;
+
+  /**
+   * Queued requests, sorted by priority
+   */
+  private queue: QueueItem[] = [];
+
+  private active = 0;
+
+  private hostActive: Record<string, number> = {};
+
+  private listeners: RequestQueueListener[] = [];
+
+  constructor(options: Partial<RequestQueueOptions> = {}) {
+    this.options = {
+      maxConcurrent: Infinity,
+      maxPerHost: Infinity,
+      ...options
+    };
+  }
+
+  /**
+   * Runs a task when the limits of the queue allow it
+   *
+   * @param config - Request configuration, used for `priority`, host and `signal`,
+   * `signal` is read again when the task starts
+   * @param task - Task that sends the request
+   * @returns The result of the task
+   * @throws The reason of the `signal` if it is aborted while queued,
+   * or a `RequestError` with `RequestErrorID.ABORT_ERROR`
+   */
+  run<T>(config: RequestAdapterConfig, task: () => Promise<T>): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      // read lazily, a plugin can set the signal after the request is queued
+      const getSignal = (): AbortSignal | undefined =>
+        config.signal as AbortSignal | undefined;
+      const abortReason = (signal?: AbortSignal): unknown =>
+        signal?.reason ||
+        new RequestError(
+          RequestErrorID.ABORT_ERROR,
+          'The operation was aborted'
+        );
+      const signal = getSignal();
+
+      if (signal?.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+
+      const host = this.getHost(config);
+
+      const onAbort = (): void => {
+        const index = this.queue.indexOf(item);
+
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(abortReason(signal));
+          this.emit();
+        }
+      };
+
+      const item: QueueItem = {
+        priority: this.getPriority(config),
+        host,
+        start: (): void => {
+          signal?.removeEventListener('abort', onAbort);
+
+          const current = getSignal();
+          if (current?.aborted) {
+            reject(abortReason(current));
+            return;
+          }
+
+          this.active++;
+          this.hostActive[host] = (this.hostActive[host] || 0) + 1;
+
+          const done = (): void => {
+            this.active--;
+            this.hostActive[host]--;
+            if (!this.hostActive[host]) {
+              delete this.hostActive[host];
+            }
+            this.next();
+          };
+
+          Promise.resolve()
+            .then(task)
+            .then(
+              (result) => {
+                done();
+                resolve(result);
+              },
+              (error) => {
+                done();
+                reject(error);
+              }
+            );
+        }
+      };
+
+      signal?.addEventListener('abort', onAbort);
+
+      this.enqueue(item);
+      this.next();
+    });
+  }
+
+  /**
+   * Gets the queue statistics
+   */
+  getStats(): RequestQueueStats {
+    return {
+      pending: this.queue.length,
+      active: this.active
+    };
+  }
+
+  /**
+   * Listens to the changes of the queue statistics
+   *
+   * @param listener - Called when a request is queued, started, finished or cancelled
+   * @returns Function to remove the listener
+   */
+  onChange(listener: RequestQueueListener): () => void {
+    this.listeners.push(listener);
+
+    return (): void => {
+      this.listeners = this.listeners.filter((item) => item !== listener);
+    };
+  }
+
+  /**
+   * Gets the priority of a request, higher runs first
+   *
+   * @param config - Request configuration
+   */
+  protected getPriority(config: RequestAdapterConfig): number {
+    const { priority } = config;
+
+    if (typeof priority === 'number') {
+      return priority;
+    }
+
+    return typeof priority === 'string' && priority in PRIORITIES
+      ? PRIORITIES[priority]
+      : 0;
+  }
+
+  /**
+   * Gets the host of a request, used by `maxPerHost`
+   *
+   * @param config - Request configuration
+   */
+  protected getHost(config: RequestAdapterConfig): string {
+    if (typeof this.options.getHost === 'function') {
+      return this.options.getHost(config);
+    }
+
+    const { url = '', baseURL = '' } = config;
+
+    for (const target of [url, baseURL]) {
+      const match = /^[a-z][a-z\d+\-.]*:\/\/([^/?#]+)/i.exec(target);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+    }
+
+    return '';
+  }
+
+  private enqueue(item: QueueItem): void {
+    // insert after the items with the same or higher priority
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].priority < item.priority) {
+      index--;
+    }
+
+    this.queue.splice(index, 0, item);
+  }
+
+  /**
+   * Starts the queued requests that the limits allow
+   */
+  private next(): void {
+    const { maxConcurrent, maxPerHost } = this.options;
+    let index = 0;
+
+    while (this.active < maxConcurrent && index < this.queue.length) {
+      const item = this.queue[index];
+
+      if ((this.hostActive[item.host] || 0) >= maxPerHost) {
+        index++;
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      item.start();
+    }
+
+    this.emit();
+  }
+
+  private emit(): void {
+    const stats = this.getStats();
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(stats);
+      } catch {
+        // ignore listener error
+      }
+    });
+  }
+}
@@ -2,17 +2,75 @@ import {
   RequestAdapterInterface,
   RequestAdapterResponse,
   RequestAdapterConfig,
-  ExecutorPlugin
+  ExecutorPlugin,
+  ExecutorExecOptions,
+  ExecutorTracerInterface,
+  RequestError,
+  RequestErrorID
 } from '../../interface';
 import { AsyncExecutor } from '../executor';
+import { RequestQueue } from './RequestQueue';
+import {
+  ServerSentEvent,
+  ServerSentEventParser
+} from './ServerSentEventParser';
 import merge from 'merge';
 
+/**
+ * Options of the RequestScheduler
+ *
+ * @since 1.1.4
+ */
+export type RequestSchedulerOptions = {
+  /**
+   * Queue that limits the concurrent requests sent by the adapter
+   */
+  queue?: RequestQueue;
+
+  /**
+   * Tracer of the plugin chain, e.g. `ExecutorTracer`
+   */
+  tracer?: ExecutorTracerInterface;
+};
+
+/**
+ * Configuration of `RequestScheduler.stream`
+ *
+ * @since 1.1.4
+ */
+export type RequestStreamConfig<Request = unknown> =
+  RequestAdapterConfig<Request> & {
+    /**
+     * Maximum number of reconnections when the connection is closed or lost,
+     * `true` reconnects without limit
+     *
+     * The counter is reset when a connection receives an event.
+     *
+     * @default 0
+     */
+    reconnect?: boolean | number;
+
+    /**
+     * Delay in milliseconds before reconnecting, the `retry` field of the server takes precedence
+     *
+     * @default 3000
+     */
+    retryDelay?: number;
+
+    /**
+     * Last event ID of the first connection, sent as `Last-Event-ID`
+     */
+    lastEventId?: string;
+  };
+
 /**
  * Represents a scheduler for managing HTTP requests.
  *
  * This class provides a unified API for making HTTP requests with support for plugins,
- * streaming responses, and request cancellation. Future enhancements may include caching,
- * upload/download progress, retries, timeouts, and mock data.
+ * streaming responses, and request cancellation. Responses can be cached with `FetchCachePlugin`,
+ * upload/download progress is reported by `RequestAdapterFetch`, requests can be limited by `timeout`
+ * and retried with `FetchRetryPlugin`. Use `RequestAdapterMock` to respond with mock data without network,
+ * and `RequestQueue` to limit the concurrent requests. Server-sent events are read with `stream()`.
  *
  * @since 1.0.14
  * @example
@@ -64,15 +122,30 @@ import merge from 'merge';
 export class RequestScheduler<Config extends RequestAdapterConfig> {
   readonly executor: AsyncExecutor;
 
+  /**
+   * Queue of the requests sent by the adapter, no limit if not set
+   *
+   * @since 1.1.4
+   */
+  readonly queue?: RequestQueue;
+
   /**
    * Initializes a new instance of the RequestScheduler class.
    *
    * @since 1.0.14
    *
    * @param adapter - The request adapter interface to be used for making requests.
+   * @param options - Scheduler options, since 1.1.4
    */
-  constructor(readonly adapter: RequestAdapterInterface<Config>) {
-    this.executor = new AsyncExecutor();
+  constructor(
+    readonly adapter: RequestAdapterInterface<Config>,
+    options: RequestSchedulerOptions = {}
+  ) {
+    this.executor = new AsyncExecutor({
+      name: 'RequestScheduler',
+      tracer: options.tracer
+    });
+    this.queue = options.queue;
   }
 
   /**
@@ -94,19 +167,27 @@ export class RequestScheduler<Config extends RequestAdapterConfig> {
    * @since 1.0.14
    *
    * @param config - The configuration for the request.
+   * @param options - Scoped plugins of this request, e.g. `{ exclude: ['FetchRetryPlugin'] }`, since 1.1.4
    * @returns A promise that resolves to the response of the request.
    */
   async request<Request, Response>(
-    config: RequestAdapterConfig<Request>
+    config: RequestAdapterConfig<Request>,
+    options?: ExecutorExecOptions
   ): Promise<RequestAdapterResponse<Response, Request>> {
     const thisConfig = this.adapter.getConfig();
     const mergedConfig = merge({}, thisConfig, config);
     return this.executor.exec(
       mergedConfig,
-      (context) =>
-        this.adapter.request<Request, Response>(
-          context.parameters
-        ) as unknown as Promise<RequestAdapterResponse<Response, Request>>
+      (context) => {
+        const send = (): Promise<RequestAdapterResponse<Response, Request>> =>
+          this.adapter.request<Request, Response>(
+            context.parameters
+          ) as unknown as Promise<RequestAdapterResponse<Response, Request>>;
+
+        // plugins run before the request is queued, e.g. cached responses don't wait
+        return this.queue ? this.queue.run(context.parameters, send) : send();
+      },
+      options
     );
   }
 
@@ -242,4 +323,216 @@ export class RequestScheduler<Config extends RequestAdapterConfig> {
       method: 'CONNECT'
     });
   }
+
+  /**
+   * Requests a server-sent events stream
+   *
+   * Returns an async iterator of the parsed events, each event is yielded as soon as it arrives.
+   * Requires an adapter that returns a `ReadableStream` body, e.g. `RequestAdapterFetch`.
+   *
+   * - Reconnects with `Last-Event-ID` when the connection is closed or lost, if `reconnect` is set
+   * - Stops when the `signal` is aborted or the request is aborted by `FetchAbortPlugin`,
+   *   the iteration fails with `RequestErrorID.ABORT_ERROR`
+   * - Stops when the consumer breaks the loop, the connection is closed
+   * - Fails with `RequestErrorID.RESPONSE_NOT_OK` on a non-2xx response, without reconnecting
+   *
+   * @since 1.1.4
+   *
+   * @param url - The URL of the stream
+   * @param config - The configuration of the stream request
+   * @returns Async iterator of the server-sent events
+   *
+   * @example
+   * ```typescript
+   * for await (const event of scheduler.stream('/api/chat', {
+   *   method: 'POST',
+   *   data: { messages }
+   * })) {
+   *   if (event.data === '[DONE]') {
+   *     break;
+   *   }
+   *   render(JSON.parse(event.data).choices[0].delta.content);
+   * }
+   * ```
+   */
+  async *stream<Request>(
+    url: string,
+    config: RequestStreamConfig<Request> = {}
+  ): AsyncGenerator<ServerSentEvent, void, undefined> {
+    const { reconnect = 0, retryDelay = 3000, lastEventId, ...rest } = config;
+    const requestConfig = rest as RequestAdapterConfig<Request>;
+    const maxReconnects =
+      reconnect === true ? Infinity : Number(reconnect) || 0;
+    const parser = new ServerSentEventParser();
+    let reconnects = 0;
+
+    parser.lastEventId = lastEventId || '';
+
+    while (true) {
+      let received = false;
+
+      try {
+        const body = await this.openStream(url, requestConfig, parser);
+
+        if (!body) {
+          return;
+        }
+
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let done = false;
+
+        try {
+          while (!done) {
+            const result = await reader.read();
+            done = result.done;
+
+            const chunk = done
+              ? decoder.decode()
+              : decoder.decode(result.value, { stream: true });
+
+            for (const event of parser.feed(chunk)) {
+              received = true;
+              yield event;
+            }
+          }
+        } finally {
+          // the consumer stopped the iteration, close the connection
+          if (!done) {
+            reader.cancel().catch(() => {
+              // ignore cancel error
+            });
+          }
+        }
+      } catch (error) {
+        if (this.isAbortError(error, requestConfig.signal)) {
+          throw error instanceof RequestError
+            ? error
+            : new RequestError(RequestErrorID.ABORT_ERROR, error as Error);
+        }
+
+        if (
+          (error instanceof RequestError &&
+            error.id === RequestErrorID.RESPONSE_NOT_OK) ||
+          reconnects >= maxReconnects
+        ) {
+          throw error;
+        }
+      }
+
+      parser.reset();
+
+      if (received) {
+        reconnects = 0;
+      }
+
+      if (reconnects >= maxReconnects) {
+        return;
+      }
+
+      reconnects++;
+
+      await this.wait(
+        parser.retry !== undefined ? parser.retry : retryDelay,
+        requestConfig.signal
+      );
+    }
+  }
+
+  /**
+   * Sends the stream request
+   *
+   * @returns The response body, `null` if the server responded 204 (no reconnection)
+   */
+  private async openStream<Request>(
+    url: string,
+    config: RequestAdapterConfig<Request>,
+    parser: ServerSentEventParser
+  ): Promise<ReadableStream<Uint8Array> | null> {
+    const response = await this.request<Request, unknown>({
+      ...config,
+      url,
+      method: config.method || 'GET',
+      responseType: 'stream',
+      headers: {
+        Accept: 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        ...config.headers,
+        ...(parser.lastEventId ? { 'Last-Event-ID': parser.lastEventId } : {})
+      }
+    });
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new RequestError(
+        RequestErrorID.RESPONSE_NOT_OK,
+        `Request failed with status: ${response.status} ${response.statusText}`,
+        {
+          details: {
+            status: response.status,
+            statusText: response.statusText,
+            url,
+            method: config.method || 'GET'
+          },
+          response: response.response
+        }
+      );
+    }
+
+    const body = this.isReadableStream(response.data)
+      ? response.data
+      : (response.response as { body?: unknown } | undefined)?.body;
+
+    if (!this.isReadableStream(body)) {
+      throw new RequestError(
+        RequestErrorID.REQUEST_ERROR,
+        'Response body is not a ReadableStream'
+      );
+    }
+
+    return body as ReadableStream<Uint8Array>;
+  }
+
+  private isReadableStream(data: unknown): data is ReadableStream {
+    return (
+      typeof ReadableStream !== 'undefined' && data instanceof ReadableStream
+    );
+  }
+
+  private isAbortError(error: unknown, signal?: AbortSignal): boolean {
+    return (
+      !!signal?.aborted ||
+      (error instanceof RequestError &&
+        error.id === RequestErrorID.ABORT_ERROR) ||
+      (error instanceof Error && error.name === 'AbortError')
+    );
+  }
+
+  private wait(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const onAbort = (): void => {
+        clearTimeout(timer);
+        reject(
+          new RequestError(
+            RequestErrorID.ABORT_ERROR,
+            signal?.reason instanceof Error ? signal.reason : undefined
+          )
+        );
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort);
+    });
+  }
 }
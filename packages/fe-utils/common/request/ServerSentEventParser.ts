@@ -0,0 +1,185 @@
+/**
+ * A parsed server-sent event
+ *
+ * @since 1.1.4
+ */
+export type ServerSentEvent = {
+  /**
+   * Event type, `message` if the event has no `event` field
+   */
+  event: string;
+
+  /**
+   * Event data, lines of multiple `data` fields are joined with `\n`
+   */
+  data: string;
+
+  /**
+   * Last event ID, the `id` field of this or a previous event
+   */
+  id: string;
+
+  /**
+   * Reconnection time in milliseconds, if the event has a `retry` field
+   */
+  retry?: number;
+};
+
+/**
+ * Parser of the `text/event-stream` format
+ *
+ * - Core Idea: Turn the chunks of a stream into events as they arrive.
+ * - Main Function: Parse `event`, `data`, `id` and `retry` fields, ignore comments.
+ * - Main Purpose: Read server-sent events from any stream, not only `EventSource`.
+ *
+ * Follows the parsing rules of the HTML specification,
+ * lines can end with `\r\n`, `\n` or `\r` and can be split across chunks.
+ *
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const parser = new ServerSentEventParser();
+ *
+ * parser.feed('data: hel');
+ * // => []
+ * parser.feed('lo\n\n');
+ * // => [{ event: 'message', data: 'hello', id: '' }]
+ * ```
+ */
+export class ServerSentEventParser {
+  /**
+   * Last event ID, sent as `Last-Event-ID` when reconnecting
+   */
+  lastEventId = '';
+
+  /**
+   * Reconnection time of the last `retry` field
+   */
+  retry?: number;
+
+  private buffer = '';
+  private started = false;
+  private eventType = '';
+  private data: string[] = [];
+  private eventRetry?: number;
+
+  /**
+   * Parses a chunk of the stream
+   *
+   * @param chunk - Decoded text chunk
+   * @returns The events completed by this chunk
+   */
+  feed(chunk: string): ServerSentEvent[] {
+    const events: ServerSentEvent[] = [];
+
+    this.buffer += chunk;
+
+    // strip the UTF-8 BOM of the stream
+    if (!this.started && this.buffer) {
+      this.started = true;
+      if (this.buffer.charCodeAt(0) === 0xfeff) {
+        this.buffer = this.buffer.slice(1);
+      }
+    }
+
+    const lineEnd = /\r\n|\r|\n/g;
+    let start = 0;
+    let match: RegExpExecArray | null;
+
+    while ((match = lineEnd.exec(this.buffer))) {
+      // `\r` at the end of the buffer may be followed by `\n` in the next chunk
+      if (match[0] === '\r' && match.index === this.buffer.length - 1) {
+        break;
+      }
+
+      const event = this.parseLine(this.buffer.slice(start, match.index));
+      if (event) {
+        events.push(event);
+      }
+
+      start = lineEnd.lastIndex;
+    }
+
+    this.buffer = this.buffer.slice(start);
+
+    return events;
+  }
+
+  /**
+   * Discards the incomplete event, e.g. when the connection is lost
+   *
+   * `lastEventId` and `retry` are kept for reconnection.
+   */
+  reset(): void {
+    this.buffer = '';
+    this.started = false;
+    this.eventType = '';
+    this.data = [];
+    this.eventRetry = undefined;
+  }
+
+  private parseLine(line: string): ServerSentEvent | undefined {
+    // empty line dispatches the event
+    if (!line) {
+      return this.dispatch();
+    }
+
+    // comment
+    if (line.charAt(0) === ':') {
+      return;
+    }
+
+    const index = line.indexOf(':');
+    const field = index === -1 ? line : line.slice(0, index);
+    let value = index === -1 ? '' : line.slice(index + 1);
+    if (value.charAt(0) === ' ') {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'data':
+        this.data.push(value);
+        break;
+      case 'id':
+        if (value.indexOf('\0') === -1) {
+          this.lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = this.eventRetry = parseInt(value, 10);
+        }
+        break;
+    }
+  }
+
+  private dispatch(): ServerSentEvent | undefined {
+    const { eventType, data, eventRetry } = this;
+
+    this.eventType = '';
+    this.data = [];
+    this.eventRetry = undefined;
+
+    if (!data.length) {
+      return;
+    }
+
+    const event: ServerSentEvent = {
+      event: eventType || 'message',
+      data: data.join('\n'),
+      id: this.lastEventId
+    };
+
+    if (eventRetry !== undefined) {
+      event.retry = eventRetry;
+    }
+
+    return event;
+  }
+}
@@ -5,9 +5,13 @@ import {
   ExecutorError,
   ExecutorPlugin,
   RequestErrorID,
-  PromiseTask
+  PromiseTask,
+  RequestProgressEvent,
+  ExecutorContext,
+  RequestError
 } from '../../../interface';
 import { AsyncExecutor } from '../../executor';
+import { getHeader } from '../plugins/headers';
 import { merge } from 'merge';
 import pick from 'lodash/pick';
 
@@ -22,21 +26,81 @@ import pick from 'lodash/pick';
  */
 export type RequestAdapterFetchConfig<Request = unknown> = Omit<
   globalThis.RequestInit,
-  'headers'
+  'headers' | 'priority'
 > &
   RequestAdapterConfig<Request> & {
     fetcher?: typeof fetch;
 
+    /**
+     * Download progress percentage, same as `onDownloadProgress` `percent`
+     */
     onStreamProgress?: (progress: number) => void;
 
+    /**
+     * Download progress of the response body
+     *
+     * The progress is reported while the response body is read.
+     *
+     * @since 1.1.4
+     */
+    onDownloadProgress?: (event: RequestProgressEvent) => void;
+
+    /**
+     * Upload progress of the request body
+     *
+     * Only `ReadableStream` and `Blob` bodies are supported, only the requests with this callback
+     * are tracked, the plugins of the adapter receive their events too.
+     *
+     * A tracked `Blob` is sent as a stream with `duplex: 'half'`, where fetch supports
+     * request streams (Chromium, only over HTTP/2), without `Content-Length`.
+     * Elsewhere it is sent as it is, and the progress is reported once when it is sent.
+     *
+     * @since 1.1.4
+     */
+    onUploadProgress?: (event: RequestProgressEvent) => void;
+
     signal?: AbortSignal;
 
     onAbort?(config: RequestAdapterFetchConfig): void;
   };
 
+/**
+ * Plugin of `RequestAdapterFetch` that observes progress events
+ *
+ * The progress hooks are executed with `runHooks`,
+ * their context is separate from the context of the request.
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const progressPlugin: RequestAdapterFetchPlugin = {
+ *   pluginName: 'ProgressPlugin',
+ *   onDownloadProgress(context, event) {
+ *     console.log(context.parameters.url, event.percent);
+ *   }
+ * };
+ * adapter.usePlugin(progressPlugin);
+ * ```
+ */
+export interface RequestAdapterFetchPlugin extends ExecutorPlugin<RequestAdapterFetchConfig> {
+  onDownloadProgress?(
+    context: ExecutorContext<RequestAdapterFetchConfig>,
+    event: RequestProgressEvent
+  ): void | Promise<void>;
+
+  onUploadProgress?(
+    context: ExecutorContext<RequestAdapterFetchConfig>,
+    event: RequestProgressEvent
+  ): void | Promise<void>;
+}
+
+type ProgressHookName = 'onDownloadProgress' | 'onUploadProgress';
+
 const reqInitAttrs = [
   'cache',
   'credentials',
+  'duplex',
   'headers',
   'integrity',
   'keepalive',
@@ -47,6 +111,12 @@ const reqInitAttrs = [
   'referrerPolicy',
   'signal'
 ];
+
+/**
+ * Whether fetch can send a `ReadableStream` body, detected on the first tracked upload
+ */
+let supportsRequestStream: boolean | undefined;
+
 export class RequestAdapterFetch
   implements RequestAdapterInterface<RequestAdapterFetchConfig>
 {
@@ -88,7 +158,7 @@ export class RequestAdapterFetch
     return this.config;
   }
 
-  usePlugin(plugin: ExecutorPlugin): void {
+  usePlugin(plugin: ExecutorPlugin | RequestAdapterFetchPlugin): void {
     this.executor.use(plugin);
   }
 
@@ -133,17 +203,59 @@ export class RequestAdapterFetch
       RequestAdapterResponse<Request, Response>,
       RequestAdapterFetchConfig<Request>
     > = async (context) => {
-      const response = await fetcher(
-        this.parametersToRequest(context.parameters)
-      );
+      let parameters: RequestAdapterFetchConfig = context.parameters;
 
-      const result = this.toAdapterResponse(
-        response,
-        response,
-        context.parameters
-      );
+      // only the request asks for upload progress, a stream body changes how it is sent
+      if (typeof parameters.onUploadProgress === 'function') {
+        parameters = this.trackUploadProgress(parameters);
+      }
+
+      // each attempt has its own timer, so a timed-out attempt can be retried
+      const timeout = this.createTimeoutSignal(parameters);
+      if (timeout) {
+        parameters = { ...parameters, signal: timeout.signal };
+      }
 
-      return result as RequestAdapterResponse<Request, Response>;
+      try {
+        let response = await fetcher(this.parametersToRequest(parameters));
+
+        // a Blob that could not be streamed is sent as it is
+        if (parameters.onUploadProgress && this.isBlob(parameters.data)) {
+          const { size } = parameters.data;
+          this.emitProgress('onUploadProgress', parameters, {
+            loaded: size,
+            total: size,
+            percent: 100
+          });
+        }
+
+        if (this.hasProgressListener('onDownloadProgress', parameters)) {
+          response = this.trackDownloadProgress(response, parameters);
+        }
+
+        const result = this.toAdapterResponse(
+          await this.parseResponse(response, parameters.responseType).catch(
+            (error) => {
+              // the body of a failed response, e.g. the HTML page of a 502, may not match `responseType`,
+              // the status and the response are kept for the status check, e.g. of `FetchURLPlugin`
+              if (response.ok) {
+                throw error;
+              }
+
+              return null;
+            }
+          ),
+          response,
+          context.parameters
+        );
+
+        return result as RequestAdapterResponse<Request, Response>;
+      } catch (error) {
+        // fetcher may not reject with the signal reason
+        throw timeout && timeout.isTimeout() ? timeout.signal.reason : error;
+      } finally {
+        timeout?.clear();
+      }
     };
 
     return this.executor.exec(rest, task);
@@ -152,16 +264,395 @@ export class RequestAdapterFetch
   parametersToRequest(parameters: RequestAdapterFetchConfig): Request {
     const { url = '/', method = 'GET', data } = parameters;
     const init = pick(parameters, reqInitAttrs);
+    const { body, contentType } = this.serializeBody(data);
+
+    // numeric priority is only used by `RequestQueue`
+    if (typeof init.priority !== 'string') {
+      delete init.priority;
+    }
+
+    // stream body must be sent with duplex
+    if (this.isReadableStream(data) && !init.duplex) {
+      Object.assign(init, { duplex: 'half' });
+    }
+
+    if (contentType && !getHeader(parameters.headers, 'content-type')) {
+      init.headers = { ...parameters.headers, 'Content-Type': contentType };
+    }
+
     return new Request(
       url,
       Object.assign(init, {
-        // FIXME: data is unknown type
-        body: data as BodyInit,
+        body,
         method: method.toUpperCase()
       })
     );
   }
 
+  /**
+   * Serializes the request data to a fetch body
+   *
+   * - Plain object and array: JSON, `application/json`
+   * - `URLSearchParams`: `application/x-www-form-urlencoded`
+   * - `FormData`: multipart, the `Content-Type` with boundary is set by fetch
+   * - Other values (`string`, `Blob`, `ArrayBuffer`, `ReadableStream`...) are sent as they are
+   *
+   * @since 1.1.4
+   * @param data - Request data
+   * @returns The body and its `Content-Type`, the `Content-Type` of the config takes precedence
+   */
+  protected serializeBody(data: unknown): {
+    body: BodyInit | null | undefined;
+    contentType?: string;
+  } {
+    if (data === undefined || data === null) {
+      return { body: data };
+    }
+
+    if (
+      typeof URLSearchParams !== 'undefined' &&
+      data instanceof URLSearchParams
+    ) {
+      return {
+        body: data,
+        contentType: 'application/x-www-form-urlencoded;charset=UTF-8'
+      };
+    }
+
+    if (Array.isArray(data) || this.isPlainObject(data)) {
+      return {
+        body: JSON.stringify(data),
+        contentType: 'application/json;charset=UTF-8'
+      };
+    }
+
+    return { body: data as BodyInit };
+  }
+
+  /**
+   * Parses the response body according to `responseType`
+   *
+   * If `responseType` is not set, the `Response` is returned as it is.
+   *
+   * - `json`: parsed JSON, `null` for an empty body,
+   *   the text if the body of a failed (not `ok`) response is not JSON
+   * - `text`, `blob`, `arraybuffer`, `formdata`: same as the `Response` methods
+   * - `stream`: the body `ReadableStream`
+   * - `document`: text, `DOMParser` is not available in every environment
+   *
+   * @since 1.1.4
+   * @param response - Fetch response
+   * @param responseType - Response type of the config
+   * @returns The parsed response data
+   */
+  protected async parseResponse(
+    response: Response,
+    responseType?: RequestAdapterFetchConfig['responseType']
+  ): Promise<unknown> {
+    switch (responseType) {
+      case 'json': {
+        const text = await response.text();
+
+        if (!text) {
+          return null;
+        }
+
+        if (!response.ok) {
+          try {
+            return JSON.parse(text);
+          } catch {
+            return text;
+          }
+        }
+
+        return JSON.parse(text);
+      }
+      case 'blob':
+        return response.blob();
+      case 'arraybuffer':
+        return response.arrayBuffer();
+      case 'formdata':
+        return response.formData();
+      case 'stream':
+        return response.body;
+      case 'text':
+      case 'document':
+        return response.text();
+      default:
+        return response;
+    }
+  }
+
+  /**
+   * Creates a signal that is aborted when the timeout expires,
+   * combined with the `signal` of the config
+   *
+   * The signal is aborted with a `RequestErrorID.TIMEOUT` error when the timeout expires,
+   * or with the reason of the config `signal`.
+   *
+   * @param parameters - Request configuration
+   * @returns The combined signal, or `undefined` if no timeout
+   */
+  protected createTimeoutSignal(parameters: RequestAdapterFetchConfig):
+    | {
+        signal: AbortSignal;
+        isTimeout: () => boolean;
+        clear: () => void;
+      }
+    | undefined {
+    const { timeout, signal } = parameters;
+
+    if (typeof timeout !== 'number' || timeout <= 0) {
+      return;
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = (): void => controller.abort(signal?.reason);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+      }
+    }
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(
+        new RequestError(
+          RequestErrorID.TIMEOUT,
+          `Request timeout of ${timeout}ms exceeded`
+        )
+      );
+    }, timeout);
+
+    return {
+      signal: controller.signal,
+      isTimeout: () => timedOut,
+      clear: (): void => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  /**
+   * Whether anyone listens to the progress event,
+   * the config callbacks or the plugins of the adapter
+   *
+   * @param hookName - Progress hook name
+   * @param parameters - Request configuration
+   */
+  protected hasProgressListener(
+    hookName: ProgressHookName,
+    parameters: RequestAdapterFetchConfig
+  ): boolean {
+    if (
+      typeof parameters[hookName] === 'function' ||
+      (hookName === 'onDownloadProgress' &&
+        typeof parameters.onStreamProgress === 'function')
+    ) {
+      return true;
+    }
+
+    return this.executor
+      .getPlugins()
+      .some(
+        (plugin) =>
+          typeof (plugin as RequestAdapterFetchPlugin)[hookName] === 'function'
+      );
+  }
+
+  /**
+   * Reports a progress event to the config callbacks and the plugins of the adapter
+   *
+   * Errors of the listeners are ignored, they should not break the transfer.
+   *
+   * @param hookName - Progress hook name
+   * @param parameters - Request configuration
+   * @param event - Progress event
+   */
+  protected emitProgress(
+    hookName: ProgressHookName,
+    parameters: RequestAdapterFetchConfig,
+    event: RequestProgressEvent
+  ): void {
+    try {
+      parameters[hookName]?.(event);
+
+      if (hookName === 'onDownloadProgress') {
+        parameters.onStreamProgress?.(event.percent);
+      }
+    } catch {
+      // ignore listener error
+    }
+
+    // use a separate context, avoid changing the hooksRuntimes of the running request
+    this.executor
+      .runHooks(
+        this.executor.getPlugins(),
+        hookName,
+        { parameters, hooksRuntimes: {} },
+        event
+      )
+      .catch(() => {
+        // ignore plugin error
+      });
+  }
+
+  /**
+   * Wraps the request body, reports the upload progress when fetch reads it
+   *
+   * @param parameters - Request configuration
+   * @returns Request configuration with the tracked body
+   */
+  protected trackUploadProgress(
+    parameters: RequestAdapterFetchConfig
+  ): RequestAdapterFetchConfig {
+    const { data } = parameters;
+    const isBlob = this.isBlob(data);
+
+    if (
+      (!isBlob && !this.isReadableStream(data)) ||
+      (isBlob && !this.supportsRequestStream())
+    ) {
+      return parameters;
+    }
+
+    const total = isBlob
+      ? (data as Blob).size
+      : Number(getHeader(parameters.headers, 'content-length')) || 0;
+    const stream = isBlob
+      ? (data as Blob).stream()
+      : (data as ReadableStream<Uint8Array>);
+
+    const type = isBlob ? (data as Blob).type : '';
+
+    return {
+      ...parameters,
+      // the stream loses the type of the Blob
+      headers:
+        type && !getHeader(parameters.headers, 'content-type')
+          ? { ...parameters.headers, 'Content-Type': type }
+          : parameters.headers,
+      data: this.createProgressStream(stream, total, (event) =>
+        this.emitProgress('onUploadProgress', parameters, event)
+      ),
+      duplex: 'half'
+    };
+  }
+
+  /**
+   * Whether fetch can send a `ReadableStream` body
+   *
+   * Firefox and Safari can't, a `Blob` is not streamed there.
+   *
+   * @since 1.1.4
+   */
+  protected supportsRequestStream(): boolean {
+    if (supportsRequestStream === undefined) {
+      supportsRequestStream = detectRequestStream();
+    }
+
+    return supportsRequestStream;
+  }
+
+  /**
+   * Wraps the response body, reports the download progress when it is read
+   *
+   * The total is read from `Content-Length`.
+   *
+   * @param response - Fetch response
+   * @param parameters - Request configuration
+   * @returns A new response with the tracked body
+   */
+  protected trackDownloadProgress(
+    response: Response,
+    parameters: RequestAdapterFetchConfig
+  ): Response {
+    if (!response.body) {
+      return response;
+    }
+
+    const total = Number(response.headers.get('content-length')) || 0;
+    const tracked = new Response(
+      this.createProgressStream(response.body, total, (event) =>
+        this.emitProgress('onDownloadProgress', parameters, event)
+      ),
+      {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      }
+    );
+
+    // a constructed response has no url, and is not redirected
+    Object.defineProperties(tracked, {
+      url: { value: response.url },
+      redirected: { value: response.redirected },
+      type: { value: response.type }
+    });
+
+    return tracked;
+  }
+
+  private createProgressStream(
+    source: ReadableStream<Uint8Array>,
+    total: number,
+    onProgress: (event: RequestProgressEvent) => void
+  ): ReadableStream<Uint8Array> {
+    const reader = source.getReader();
+    let loaded = 0;
+
+    return new ReadableStream<Uint8Array>({
+      async pull(controller): Promise<void> {
+        const { done, value } = await reader.read();
+
+        if (done) {
+          // unknown total, report the end
+          if (!total) {
+            onProgress({ loaded, total: loaded, percent: 100 });
+          }
+          controller.close();
+          return;
+        }
+
+        loaded += value.byteLength;
+        onProgress({
+          loaded,
+          total,
+          percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : 0
+        });
+        controller.enqueue(value);
+      },
+      cancel(reason): Promise<void> {
+        return reader.cancel(reason);
+      }
+    });
+  }
+
+  private isBlob(data: unknown): data is Blob {
+    return typeof Blob !== 'undefined' && data instanceof Blob;
+  }
+
+  private isPlainObject(data: unknown): data is Record<string, unknown> {
+    if (Object.prototype.toString.call(data) !== '[object Object]') {
+      return false;
+    }
+
+    const proto = Object.getPrototypeOf(data);
+    return proto === null || proto === Object.prototype;
+  }
+
+  private isReadableStream(data: unknown): data is ReadableStream {
+    return (
+      typeof ReadableStream !== 'undefined' && data instanceof ReadableStream
+    );
+  }
+
   /**
    * Converts the raw fetch response into a standardized adapter response.
    *
@@ -200,3 +691,30 @@ export class RequestAdapterFetch
     return headersObj;
   }
 }
+
+/**
+ * Feature detection of request streams, browsers without them ignore `duplex`
+ * and send the stream as the text `[object ReadableStream]`
+ */
+function detectRequestStream(): boolean {
+  if (typeof ReadableStream === 'undefined' || typeof Request === 'undefined') {
+    return false;
+  }
+
+  let duplexAccessed = false;
+
+  try {
+    const hasContentType = new Request('http://localhost', {
+      body: new ReadableStream(),
+      method: 'POST',
+      get duplex(): string {
+        duplexAccessed = true;
+        return 'half';
+      }
+    } as RequestInit).headers.has('Content-Type');
+
+    return duplexAccessed && !hasContentType;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,595 @@
+import {
+  RequestAdapterInterface,
+  RequestError,
+  RequestErrorID
+} from '../../../interface';
+import {
+  RequestAdapterFetch,
+  RequestAdapterFetchConfig
+} from './RequestAdapterFetch';
+
+/**
+ * Request received by a mock handler
+ *
+ * @since 1.1.4
+ */
+export type RequestMockRequest = {
+  /**
+   * Upper case HTTP method
+   */
+  method: string;
+  /**
+   * Request URL with query string
+   */
+  url: string;
+  /**
+   * Request path without query string, relative to `baseURL`
+   */
+  path: string;
+  /**
+   * Path params of the route, e.g. `/users/:id` => `{ id: '1' }`
+   */
+  params: Record<string, string>;
+  /**
+   * Query of the URL merged with the `params` of the config
+   */
+  query: Record<string, string>;
+  headers: Record<string, unknown>;
+  data: unknown;
+  config: RequestAdapterMockConfig;
+};
+
+/**
+ * Response of a mock handler
+ *
+ * @since 1.1.4
+ */
+export type RequestMockResponse = {
+  /**
+   * @default 200
+   */
+  status?: number;
+  statusText?: string;
+  headers?: Record<string, string>;
+  /**
+   * Response data, objects are sent as JSON
+   */
+  data?: unknown;
+  /**
+   * Delay in milliseconds before responding, overrides the `delay` of the config
+   */
+  delay?: number;
+};
+
+/**
+ * A mock response, or a function that creates it from the request
+ *
+ * @since 1.1.4
+ */
+export type RequestMockHandler =
+  | RequestMockResponse
+  | ((
+      request: RequestMockRequest
+    ) => RequestMockResponse | Promise<RequestMockResponse>);
+
+/**
+ * Request adapter mock configuration
+ *
+ * @since 1.1.4
+ */
+export type RequestAdapterMockConfig<Request = unknown> =
+  RequestAdapterFetchConfig<Request> & {
+    /**
+     * Default delay in milliseconds before responding
+     *
+     * @default 0
+     */
+    delay?: number;
+  };
+
+/**
+ * Options of `RequestAdapterMock`
+ *
+ * @since 1.1.4
+ */
+export type RequestAdapterMockOptions = {
+  /**
+   * Fixture data, keys are `"METHOD url"`, values are the response data
+   *
+   * @example
+   * ```json
+   * {
+   *   "GET /api/users/:id": { "id": 1, "name": "John" },
+   *   "POST /api/login": { "token": "xxx" }
+   * }
+   * ```
+   */
+  fixtures?: Record<string, unknown>;
+
+  /**
+   * Handler used when no route matches
+   *
+   * @default 404 response
+   */
+  fallback?: RequestMockHandler;
+};
+
+/**
+ * Responders of the requests created by the mock adapters, read by `mockFetch`
+ */
+const mockResponders = new WeakMap<Request, () => Promise<Response>>();
+
+type MockRoute = {
+  method: string;
+  url: string;
+  pattern: RegExp;
+  paramNames: string[];
+  absolute: boolean;
+  query: Record<string, string>;
+  handlers: RequestMockHandler[];
+  calls: number;
+};
+
+/**
+ * Request adapter that responds with mock data, without network
+ *
+ * - Core Idea: Replace `fetch` with routes for dev-server mocks and tests.
+ * - Main Function: Match requests with routes, respond with mock responses.
+ * - Main Purpose: Develop and test requests without a server.
+ *
+ * Features:
+ * - Path params (`/users/:id`) and wildcard (`/files/*`)
+ * - Query matching, `/users?page=1` matches requests that have `page=1`
+ * - Handler functions with status, headers and delay
+ * - Sequences of responses, the last one is repeated
+ * - Call history and `expectCalled` assertions
+ *
+ * Routes are matched in the order they are added.
+ *
+ * The mock replaces `fetch` of `RequestAdapterFetch`, plugins, `responseType`, `timeout`
+ * and progress work like in production: `data` is the `Response` unless `responseType` is set.
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const adapter = new RequestAdapterMock({ baseURL: '/api' });
+ * const scheduler = new RequestScheduler(adapter);
+ *
+ * adapter
+ *   .mock('GET', '/users/:id', ({ params }) => ({ data: { id: params.id } }))
+ *   .mock('POST', '/login', { status: 401 }, { data: { token: 'xxx' } });
+ *
+ * // requests `/api/users/1`, routes are relative to `baseURL`
+ * await scheduler.get('/users/1', { responseType: 'json' });
+ * // => data: { id: '1' }
+ *
+ * adapter.expectCalled('GET', '/users/:id', 1);
+ * ```
+ *
+ * @example
+ *
+ * Use the fixture json like `"METHOD url": data`
+ *
+ * ```typescript
+ * const adapter = new RequestAdapterMock({}, { fixtures: mockJson });
+ * ```
+ */
+export class RequestAdapterMock
+  extends RequestAdapterFetch
+  implements RequestAdapterInterface<RequestAdapterMockConfig>
+{
+  private routes: MockRoute[] = [];
+
+  private history: RequestMockRequest[] = [];
+
+  private readonly fallback?: RequestMockHandler;
+
+  constructor(
+    config: Partial<RequestAdapterMockConfig> = {},
+    options: RequestAdapterMockOptions = {}
+  ) {
+    super({ ...config, fetcher: mockFetch });
+
+    this.fallback = options.fallback;
+
+    if (options.fixtures) {
+      Object.keys(options.fixtures).forEach((key) => {
+        const [method, url] = key.trim().split(/\s+/);
+        const data = options.fixtures![key];
+
+        this.mock(url ? method : 'GET', url || method, { data });
+      });
+    }
+  }
+
+  getConfig(): RequestAdapterMockConfig {
+    return this.config;
+  }
+
+  /**
+   * Creates the fetch `Request`, the mock responds to it instead of `fetch`
+   *
+   * @override
+   * @param parameters - Request configuration
+   * @returns The request, with a relative URL resolved against `http://localhost`
+   */
+  parametersToRequest(parameters: RequestAdapterMockConfig): Request {
+    const mockRequest = this.createRequest(parameters);
+    const request = super.parametersToRequest({
+      ...parameters,
+      url: this.isAbsoluteURL(mockRequest.url)
+        ? mockRequest.url
+        : new URL(mockRequest.url, 'http://localhost').toString(),
+      params: undefined
+    });
+
+    mockResponders.set(request, () =>
+      this.respond(mockRequest, request.signal)
+    );
+
+    return request;
+  }
+
+  /**
+   * Adds a route
+   *
+   * If more than one handler is given, they respond in sequence,
+   * the last one responds to the rest of the requests.
+   *
+   * @param method - HTTP method, `*` matches any method
+   * @param url - Route path, can have params, wildcard and query
+   * @param handlers - Mock responses or handler functions
+   * @returns The adapter itself
+   *
+   * @example
+   * ```typescript
+   * adapter.mock('GET', '/users?page=1', { data: [] });
+   * ```
+   */
+  mock(method: string, url: string, ...handlers: RequestMockHandler[]): this {
+    this.routes.push(this.createRoute(method, url, handlers));
+
+    return this;
+  }
+
+  /**
+   * Responds to a request with the matched route
+   *
+   * @param request - The mock request
+   * @param signal - Signal of the request, aborts the delay
+   * @returns The mock response as a fetch `Response`
+   * @throws The reason of the signal, e.g. `RequestErrorID.TIMEOUT`, when it is aborted
+   */
+  protected async respond(
+    request: RequestMockRequest,
+    signal?: AbortSignal
+  ): Promise<Response> {
+    const route = this.findRoute(request);
+
+    this.history.push(request);
+
+    let handler: RequestMockHandler | undefined = this.fallback;
+    if (route) {
+      handler =
+        route.handlers[Math.min(route.calls, route.handlers.length - 1)];
+      route.calls++;
+    }
+
+    const mockResponse: RequestMockResponse = handler
+      ? typeof handler === 'function'
+        ? await handler(request)
+        : handler
+      : {
+          status: 404,
+          statusText: 'Not Found',
+          data: `No mock for ${request.method} ${request.url}`
+        };
+
+    await this.delay(mockResponse.delay ?? request.config.delay ?? 0, signal);
+
+    return this.toResponse(mockResponse);
+  }
+
+  /**
+   * Gets the requests received, in order
+   *
+   * @param method - Filter by method
+   * @param url - Filter by route path, can have params, wildcard and query
+   */
+  getCalls(method?: string, url?: string): RequestMockRequest[] {
+    if (!method) {
+      return this.history.slice();
+    }
+
+    const route = url ? this.createRoute(method, url, []) : null;
+
+    return this.history.filter((request) =>
+      route
+        ? !!this.matchRoute(route, request)
+        : method === '*' || request.method === method.toUpperCase()
+    );
+  }
+
+  /**
+   * Asserts that a request was received
+   *
+   * @param method - HTTP method
+   * @param url - Route path, can have params, wildcard and query
+   * @param times - Expected number of calls, any number greater than 0 if not set
+   * @returns The matched requests
+   * @throws {Error} When the assertion fails
+   *
+   * @example
+   * ```typescript
+   * const [request] = adapter.expectCalled('POST', '/login', 1);
+   * expect(request.data).toEqual({ name: 'John' });
+   * ```
+   */
+  expectCalled(
+    method: string,
+    url: string,
+    times?: number
+  ): RequestMockRequest[] {
+    const calls = this.getCalls(method, url);
+
+    if (times === undefined ? calls.length === 0 : calls.length !== times) {
+      throw new Error(
+        `Expected ${method.toUpperCase()} ${url} to be called ${
+          times === undefined ? 'at least once' : `${times} times`
+        }, but it was called ${calls.length} times`
+      );
+    }
+
+    return calls;
+  }
+
+  /**
+   * Clears the call history, the sequences restart
+   */
+  resetHistory(): void {
+    this.history = [];
+    this.routes.forEach((route) => {
+      route.calls = 0;
+    });
+  }
+
+  /**
+   * Removes all routes and clears the call history
+   */
+  reset(): void {
+    this.routes = [];
+    this.history = [];
+  }
+
+  private createRoute(
+    method: string,
+    url: string,
+    handlers: RequestMockHandler[]
+  ): MockRoute {
+    const [path, search = ''] = url.split('?');
+    const paramNames: string[] = [];
+    const source = this.normalizePath(path)
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/:(\w+)/g, (_, name) => {
+        paramNames.push(name);
+        return '([^/]+)';
+      });
+
+    return {
+      method: method.toUpperCase(),
+      url,
+      pattern: new RegExp(`^${source}$`),
+      paramNames,
+      absolute: this.isAbsoluteURL(path),
+      query: this.searchToObject(search),
+      handlers: handlers.length ? handlers : [{}],
+      calls: 0
+    };
+  }
+
+  private createRequest(config: RequestAdapterMockConfig): RequestMockRequest {
+    const { url = '/', baseURL = '', params, headers = {}, data } = config;
+    const [path, search = ''] = url.split('?');
+    const query = this.searchToObject(search);
+
+    if (params) {
+      Object.keys(params).forEach((key) => {
+        query[key] = String(params[key]);
+      });
+    }
+
+    const queryString = new URLSearchParams(query).toString();
+    // e.g. `FetchURLPlugin` already joined the baseURL
+    const fullPath =
+      this.isAbsoluteURL(path) || this.stripBaseURL(path, baseURL) !== null
+        ? path
+        : `${baseURL.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+
+    return {
+      method: (config.method || 'GET').toUpperCase(),
+      url: queryString ? `${fullPath}?${queryString}` : fullPath,
+      path: this.normalizePath(path),
+      params: {},
+      query,
+      headers,
+      data,
+      config
+    };
+  }
+
+  private findRoute(request: RequestMockRequest): MockRoute | undefined {
+    for (const route of this.routes) {
+      const params = this.matchRoute(route, request);
+
+      if (params) {
+        request.params = params;
+        return route;
+      }
+    }
+  }
+
+  private matchRoute(
+    route: MockRoute,
+    request: RequestMockRequest
+  ): Record<string, string> | null {
+    if (route.method !== '*' && route.method !== request.method) {
+      return null;
+    }
+
+    const target = route.absolute
+      ? this.normalizePath(request.url.split('?')[0])
+      : this.getRelativePath(request);
+    const match = route.pattern.exec(target);
+
+    if (
+      !match ||
+      Object.keys(route.query).some(
+        (key) => request.query[key] !== route.query[key]
+      )
+    ) {
+      return null;
+    }
+
+    const params: Record<string, string> = {};
+    route.paramNames.forEach((name, index) => {
+      params[name] = decodeURIComponent(match[index + 1]);
+    });
+
+    return params;
+  }
+
+  /**
+   * Path relative to `baseURL`, the pathname if the request URL is absolute
+   */
+  private getRelativePath(request: RequestMockRequest): string {
+    const relativePath = this.stripBaseURL(
+      request.path,
+      request.config.baseURL || ''
+    );
+
+    if (relativePath !== null) {
+      return relativePath;
+    }
+
+    return this.isAbsoluteURL(request.path)
+      ? this.normalizePath(new URL(request.path).pathname)
+      : request.path;
+  }
+
+  /**
+   * Removes a leading `baseURL` from a path, absolute or relative
+   *
+   * @returns The path relative to `baseURL`, `null` if the path doesn't start with it
+   */
+  private stripBaseURL(path: string, baseURL: string): string | null {
+    const base = this.normalizePath(baseURL);
+
+    if (base === '/') {
+      return null;
+    }
+
+    const normalized = this.normalizePath(path);
+
+    if (normalized === base) {
+      return '/';
+    }
+
+    return normalized.indexOf(`${base}/`) === 0
+      ? normalized.slice(base.length)
+      : null;
+  }
+
+  private toResponse(mockResponse: RequestMockResponse): Response {
+    const { status = 200, data } = mockResponse;
+    const statusText = mockResponse.statusText ?? (status === 200 ? 'OK' : '');
+    const isJSON = data !== undefined && typeof data !== 'string';
+    const headers: Record<string, string> = {
+      ...(isJSON ? { 'content-type': 'application/json' } : {}),
+      ...mockResponse.headers
+    };
+
+    // null body status(204, 304...) cannot have a body
+    const hasBody =
+      data !== undefined && [101, 204, 205, 304].indexOf(status) === -1;
+    return new Response(
+      hasBody ? (isJSON ? JSON.stringify(data) : (data as string)) : null,
+      { status, statusText, headers }
+    );
+  }
+
+  private delay(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const abortError = (): unknown =>
+        signal?.reason ||
+        new RequestError(
+          RequestErrorID.ABORT_ERROR,
+          'The operation was aborted'
+        );
+
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      if (ms <= 0) {
+        resolve();
+        return;
+      }
+
+      const onAbort = (): void => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort);
+    });
+  }
+
+  private normalizePath(path: string): string {
+    const normalized = path.replace(/\/+$/, '');
+
+    if (this.isAbsoluteURL(normalized)) {
+      return normalized;
+    }
+
+    return `/${normalized.replace(/^\/+/, '')}`;
+  }
+
+  private isAbsoluteURL(url: string): boolean {
+    return /^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+  }
+
+  private searchToObject(search: string): Record<string, string> {
+    const query: Record<string, string> = {};
+
+    new URLSearchParams(search).forEach((value, key) => {
+      query[key] = value;
+    });
+
+    return query;
+  }
+}
+
+/**
+ * The `fetch` of the mock adapters, responds with the route of the request
+ */
+function mockFetch(input: RequestInfo | URL): Promise<Response> {
+  const respond =
+    input instanceof Request ? mockResponders.get(input) : undefined;
+
+  if (!respond) {
+    return Promise.reject(
+      new TypeError('RequestAdapterMock: the request is not created by it')
+    );
+  }
+
+  mockResponders.delete(input as Request);
+
+  return respond();
+}
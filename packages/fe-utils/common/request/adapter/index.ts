@@ -1,2 +1,3 @@
 export * from './RequestAdapterFetch';
 export * from './RequestAdapterAxios';
+export * from './RequestAdapterMock';
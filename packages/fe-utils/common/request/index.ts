@@ -1,3 +1,5 @@
 export * from './adapter';
 export * from './plugins';
 export * from './RequestScheduler';
+export * from './RequestQueue';
+export * from './ServerSentEventParser';
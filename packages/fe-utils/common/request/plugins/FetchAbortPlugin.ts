@@ -3,7 +3,8 @@ import {
   RequestErrorID,
   RequestError,
   ExecutorContext,
-  RequestAdapterConfig
+  RequestAdapterConfig,
+  RequestAdapterResponse
 } from '../../../interface';
 
 /**
@@ -123,11 +124,42 @@ export class FetchAbortPlugin implements ExecutorPlugin {
     }
   }
 
-  onSuccess({ parameters }: ExecutorContext<RequestAdapterConfig>): void {
-    // delete controller
-    if (parameters) {
-      this.controllers.delete(this.generateRequestKey(parameters));
+  /**
+   * Success hook that cleans up the controller
+   *
+   * The body of a stream response(`responseType: 'stream'`) is read after the request succeeded,
+   * its controller is kept until the body is consumed, so the stream can still be aborted.
+   *
+   * @since 1.1.4 keeps the controller of stream responses
+   */
+  onSuccess({
+    parameters,
+    returnValue
+  }: ExecutorContext<RequestAdapterConfig>): void {
+    if (!parameters) {
+      return;
     }
+
+    const key = this.generateRequestKey(parameters);
+    const controller = this.controllers.get(key);
+    const result = returnValue as RequestAdapterResponse | undefined;
+
+    if (
+      controller &&
+      result &&
+      typeof ReadableStream !== 'undefined' &&
+      result.data instanceof ReadableStream
+    ) {
+      result.data = this.trackStream(result.data, () => {
+        if (this.controllers.get(key) === controller) {
+          this.controllers.delete(key);
+        }
+      });
+      return;
+    }
+
+    // delete controller
+    this.controllers.delete(key);
   }
 
   /**
@@ -249,4 +281,37 @@ export class FetchAbortPlugin implements ExecutorPlugin {
     this.controllers.forEach((controller) => controller.abort());
     this.controllers.clear();
   }
+
+  /**
+   * Wraps the stream, calls `onEnd` when it is consumed, errored or cancelled
+   */
+  private trackStream(
+    source: ReadableStream,
+    onEnd: () => void
+  ): ReadableStream {
+    const reader = source.getReader();
+
+    return new ReadableStream({
+      async pull(streamController): Promise<void> {
+        try {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            onEnd();
+            streamController.close();
+            return;
+          }
+
+          streamController.enqueue(value);
+        } catch (error) {
+          onEnd();
+          streamController.error(error);
+        }
+      },
+      cancel(reason): Promise<void> {
+        onEnd();
+        return reader.cancel(reason);
+      }
+    });
+  }
 }
@@ -0,0 +1,577 @@
+import {
+  ExecutorPlugin,
+  ExecutorContext,
+  ExecutorNext,
+  PromiseTask,
+  RequestAdapterConfig,
+  RequestAdapterResponse,
+  SyncStorage,
+  AsyncStorage
+} from '../../../interface';
+import { JSONStorage } from '../../storage';
+import { getHeader, hashHeaders } from './headers';
+
+/**
+ * Per-request cache options
+ *
+ * Passed through the request config as `cacheOptions`,
+ * set `cacheOptions: false` to skip the cache for a single request.
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * scheduler.get('/api/dict', {
+ *   cacheOptions: { ttl: 10 * 60 * 1000, staleWhileRevalidate: 60 * 1000 }
+ * });
+ * ```
+ */
+export interface FetchCacheRequestOptions {
+  /**
+   * Time in milliseconds the cached response is considered fresh
+   */
+  ttl?: number;
+
+  /**
+   * Time in milliseconds after `ttl` during which the stale response
+   * is returned immediately while it is revalidated in the background
+   */
+  staleWhileRevalidate?: number;
+
+  /**
+   * Custom cache key, overrides the generated key
+   *
+   * The key should contain what tells the users apart, `varyHeaders` are not added to it.
+   */
+  key?: string;
+}
+
+/**
+ * Configuration options for the FetchCachePlugin
+ *
+ * @since 1.1.4
+ */
+export interface FetchCacheOptions {
+  /**
+   * Storage used to keep cache entries
+   *
+   * The storage must be able to store plain objects,
+   * e.g. `new JSONStorage(localStorage)`.
+   *
+   * @default `new JSONStorage()` (in memory)
+   */
+  storage: SyncStorage<string> | AsyncStorage<string>;
+
+  /**
+   * Prefix of the cache keys in the storage
+   *
+   * `clear()` only removes the keys with this prefix, the storage can be shared with other data.
+   *
+   * @default 'fetch-cache:'
+   */
+  prefix: string;
+
+  /**
+   * Request headers whose values are part of the generated cache key
+   *
+   * Responses of one user are not returned to another one,
+   * the values are hashed, tokens are not written into the keys.
+   *
+   * @default ['Authorization', 'Cookie']
+   */
+  varyHeaders: string[];
+
+  /**
+   * Default time in milliseconds the cached response is considered fresh
+   *
+   * @default 60000
+   */
+  ttl: number;
+
+  /**
+   * Default stale-while-revalidate window in milliseconds
+   *
+   * @default 0
+   */
+  staleWhileRevalidate: number;
+
+  /**
+   * HTTP methods that can be cached
+   *
+   * @default ['GET', 'HEAD']
+   */
+  methods: string[];
+
+  /**
+   * Custom function to generate the cache key of a request
+   */
+  generateKey?: (config: RequestAdapterConfig) => string;
+}
+
+/**
+ * A cached response entry, plain data so it can be persisted
+ *
+ * @since 1.1.4
+ */
+export type FetchCacheEntry = {
+  /**
+   * Response data, if the adapter returned a fetch `Response` as data,
+   * this is its body text
+   */
+  data: unknown;
+  /**
+   * Whether the original data is a fetch `Response`
+   */
+  isResponse: boolean;
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  etag?: string;
+  lastModified?: string;
+  /**
+   * Values of the request headers named by the `Vary` header of the response,
+   * the entry is only used by requests with the same values
+   */
+  vary?: Record<string, string>;
+  /**
+   * Timestamp when the entry was stored or last revalidated
+   */
+  storedAt: number;
+  ttl: number;
+  staleWhileRevalidate: number;
+};
+
+const DEFAULT_TTL = 60 * 1000;
+
+const DEFAULT_PREFIX = 'fetch-cache:';
+
+/**
+ * Plugin for caching request responses
+ *
+ * - Core Idea: Avoid fetching the same reference data again and again.
+ * - Main Function: Short-circuit cached GET/HEAD requests in `around`.
+ * - Main Purpose: Reduce network requests with a pluggable cache storage.
+ *
+ * Features:
+ * - Per-request TTL
+ * - ETag/Last-Modified revalidation (`If-None-Match`/`If-Modified-Since`, 304 reuses the cached entry)
+ * - Stale-while-revalidate
+ * - Any `SyncStorage`/`AsyncStorage` as cache storage
+ *
+ * Only successful (2xx) responses are cached, responses with `Cache-Control: no-store` or `Vary: *` are skipped.
+ * Responses parsed as binary data (`blob`, `arraybuffer`, `stream`...) are not cached.
+ * Cached responses are returned with `fromCache: true`.
+ *
+ * The `Authorization` and `Cookie` headers are part of the generated key (`varyHeaders`),
+ * and an entry is only used by requests with the same values of the headers named by its `Vary` header.
+ *
+ * A 304 response is handled when the task returns it, or throws it as the `response` of the error,
+ * e.g. with `FetchURLPlugin` on the executor of the adapter.
+ *
+ * @since 1.1.4
+ *
+ * @implements {ExecutorPlugin}
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch());
+ * scheduler.usePlugin(new FetchCachePlugin({ ttl: 5 * 60 * 1000 }));
+ *
+ * // only the first request hits the network
+ * await scheduler.get('/api/dict');
+ * await scheduler.get('/api/dict');
+ * ```
+ *
+ * @example
+ *
+ * Persist cache through localStorage
+ *
+ * ```typescript
+ * const cachePlugin = new FetchCachePlugin({
+ *   storage: new JSONStorage(localStorage),
+ *   staleWhileRevalidate: 60 * 1000
+ * });
+ *
+ * // only removes the keys starting with `fetch-cache:`
+ * await cachePlugin.clear();
+ * ```
+ */
+export class FetchCachePlugin implements ExecutorPlugin {
+  readonly pluginName = 'FetchCachePlugin';
+  readonly onlyOne = true;
+
+  private readonly options: FetchCacheOptions;
+
+  /**
+   * Keys currently revalidating in the background
+   */
+  private revalidating: Set<string> = new Set();
+
+  /**
+   * Keys written in this session, removed by `clear()` if the storage can't list its keys
+   */
+  private storedKeys: Set<string> = new Set();
+
+  constructor(options: Partial<FetchCacheOptions> = {}) {
+    this.options = {
+      storage: new JSONStorage(),
+      prefix: DEFAULT_PREFIX,
+      varyHeaders: ['Authorization', 'Cookie'],
+      ttl: DEFAULT_TTL,
+      staleWhileRevalidate: 0,
+      methods: ['GET', 'HEAD'],
+      ...options
+    };
+  }
+
+  /**
+   * Generates the cache key of a request
+   *
+   * Combines method, URL, params and a hash of the `varyHeaders`, `cacheOptions.key` takes precedence.
+   * The key is stored with the `prefix`.
+   *
+   * @param config - Request configuration
+   * @returns Cache key
+   */
+  generateKey(config: RequestAdapterConfig): string {
+    const requestOptions = config.cacheOptions as
+      FetchCacheRequestOptions | undefined;
+
+    if (requestOptions && requestOptions.key) {
+      return requestOptions.key;
+    }
+
+    if (typeof this.options.generateKey === 'function') {
+      return this.options.generateKey(config);
+    }
+
+    const params = config.params ? JSON.stringify(config.params) : '';
+    const key = `${(config.method || 'GET').toUpperCase()}-${config.url}-${params}`;
+    const vary = hashHeaders(config.headers, this.options.varyHeaders);
+
+    return vary ? `${key}-${vary}` : key;
+  }
+
+  /**
+   * Whether the request can use the cache
+   *
+   * @param config - Request configuration
+   */
+  isCacheable(config: RequestAdapterConfig): boolean {
+    if (config.cacheOptions === false) {
+      return false;
+    }
+
+    const method = (config.method || 'GET').toUpperCase();
+    return this.options.methods.some((item) => item.toUpperCase() === method);
+  }
+
+  /**
+   * Middleware hook that returns cached responses
+   *
+   * @param context - Executor context, parameters is the request config
+   * @param next - Sends the request
+   * @returns Cached response or the response of the task
+   */
+  async around(
+    context: ExecutorContext<unknown>,
+    next: ExecutorNext
+  ): Promise<unknown> {
+    const config = context.parameters as RequestAdapterConfig;
+
+    if (!this.isCacheable(config)) {
+      return next(context);
+    }
+
+    const key = this.generateKey(config);
+    const entry = await this.getEntry(key);
+
+    if (!entry || !this.matchVary(entry, config)) {
+      return this.fetchAndStore(key, context, next);
+    }
+
+    const age = Date.now() - entry.storedAt;
+
+    // fresh
+    if (age <= entry.ttl) {
+      return this.toAdapterResponse(entry, config);
+    }
+
+    // stale, but can be used while revalidating in the background
+    if (age <= entry.ttl + entry.staleWhileRevalidate) {
+      this.revalidateInBackground(key, entry, context, next);
+      return this.toAdapterResponse(entry, config);
+    }
+
+    return this.revalidate(key, entry, context, next);
+  }
+
+  /**
+   * Removes a cached entry
+   *
+   * @param config - Request configuration or cache key
+   */
+  async invalidate(config: RequestAdapterConfig | string): Promise<void> {
+    const key = typeof config === 'string' ? config : this.generateKey(config);
+    await this.options.storage.removeItem(this.options.prefix + key);
+  }
+
+  /**
+   * Removes the cached entries, the keys with the `prefix`
+   *
+   * If the storage can't list its keys (`key()`), only the entries written in this session are removed.
+   */
+  async clear(): Promise<void> {
+    const { storage, prefix } = this.options;
+    const keys = new Set(this.storedKeys);
+
+    if (typeof (storage as SyncStorage<string>).key === 'function') {
+      for (let index = 0; index < storage.length; index++) {
+        const key = (storage as SyncStorage<string>).key!(index);
+
+        if (key !== null && key.indexOf(prefix) === 0) {
+          keys.add(key);
+        }
+      }
+    }
+
+    this.storedKeys.clear();
+
+    await Promise.all(Array.from(keys, (key) => storage.removeItem(key)));
+  }
+
+  private async getEntry(key: string): Promise<FetchCacheEntry | null> {
+    const entry = await this.options.storage.getItem<FetchCacheEntry>(
+      this.options.prefix + key
+    );
+
+    return entry && typeof entry === 'object' ? entry : null;
+  }
+
+  /**
+   * Whether the request has the header values the entry varies on
+   */
+  private matchVary(
+    entry: FetchCacheEntry,
+    config: RequestAdapterConfig
+  ): boolean {
+    const { vary } = entry;
+
+    return (
+      !vary ||
+      Object.keys(vary).every(
+        (name) => (getHeader(config.headers, name) ?? '') === vary[name]
+      )
+    );
+  }
+
+  private async fetchAndStore(
+    key: string,
+    context: ExecutorContext<unknown>,
+    task: PromiseTask<unknown, unknown>
+  ): Promise<unknown> {
+    const result = (await task(context)) as RequestAdapterResponse;
+
+    await this.store(key, result, context.parameters as RequestAdapterConfig);
+
+    return result;
+  }
+
+  /**
+   * Sends a conditional request with the validators of the entry
+   *
+   * A 304 response refreshes the entry and returns the cached response,
+   * any other response replaces the entry.
+   */
+  private async revalidate(
+    key: string,
+    entry: FetchCacheEntry,
+    context: ExecutorContext<unknown>,
+    task: PromiseTask<unknown, unknown>
+  ): Promise<unknown> {
+    const config = context.parameters as RequestAdapterConfig;
+
+    if (!entry.etag && !entry.lastModified) {
+      return this.fetchAndStore(key, context, task);
+    }
+
+    const headers: Record<string, unknown> = { ...config.headers };
+    if (entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    let result: RequestAdapterResponse | undefined;
+
+    try {
+      result = (await task({
+        ...context,
+        parameters: { ...config, headers }
+      })) as RequestAdapterResponse;
+    } catch (error) {
+      // e.g. `FetchURLPlugin` throws for the 304 response
+      if (!isNotModifiedError(error)) {
+        throw error;
+      }
+    }
+
+    if (!result || result.status === 304) {
+      const refreshed = { ...entry, storedAt: Date.now() };
+      await this.setEntry(key, refreshed);
+      return this.toAdapterResponse(refreshed, config);
+    }
+
+    await this.store(key, result, config);
+
+    return result;
+  }
+
+  private revalidateInBackground(
+    key: string,
+    entry: FetchCacheEntry,
+    context: ExecutorContext<unknown>,
+    task: PromiseTask<unknown, unknown>
+  ): void {
+    if (this.revalidating.has(key)) {
+      return;
+    }
+
+    this.revalidating.add(key);
+
+    this.revalidate(key, entry, context, task)
+      .catch(() => {
+        // background revalidation errors are ignored, the stale entry is kept
+      })
+      .then(() => {
+        this.revalidating.delete(key);
+      });
+  }
+
+  private async store(
+    key: string,
+    result: RequestAdapterResponse,
+    config: RequestAdapterConfig
+  ): Promise<void> {
+    if (!result || !result.response || !result.response.ok) {
+      return;
+    }
+
+    // only text and JSON data can be persisted
+    if (
+      config.responseType &&
+      config.responseType !== 'json' &&
+      config.responseType !== 'text'
+    ) {
+      return;
+    }
+
+    const cacheControl = result.response.headers.get('cache-control') || '';
+    if (cacheControl.indexOf('no-store') !== -1) {
+      return;
+    }
+
+    const varyNames = (result.response.headers.get('vary') || '')
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (varyNames.indexOf('*') !== -1) {
+      return;
+    }
+
+    const requestOptions = (config.cacheOptions ||
+      {}) as FetchCacheRequestOptions;
+    const isResponse = result.data instanceof Response;
+
+    const entry: FetchCacheEntry = {
+      data: isResponse
+        ? await (result.data as Response).clone().text()
+        : result.data,
+      isResponse,
+      status: result.status,
+      statusText: result.statusText,
+      headers: this.getHeaders(result.response),
+      etag: result.response.headers.get('etag') || undefined,
+      lastModified: result.response.headers.get('last-modified') || undefined,
+      vary: varyNames.length
+        ? varyNames.reduce<Record<string, string>>((vary, name) => {
+            vary[name] = getHeader(config.headers, name) ?? '';
+            return vary;
+          }, {})
+        : undefined,
+      storedAt: Date.now(),
+      ttl: requestOptions.ttl ?? this.options.ttl,
+      staleWhileRevalidate:
+        requestOptions.staleWhileRevalidate ?? this.options.staleWhileRevalidate
+    };
+
+    await this.setEntry(key, entry);
+  }
+
+  private async setEntry(key: string, entry: FetchCacheEntry): Promise<void> {
+    // entries with validators are kept after expiration to be revalidated
+    const expire =
+      entry.etag || entry.lastModified
+        ? undefined
+        : entry.storedAt + entry.ttl + entry.staleWhileRevalidate;
+
+    const storageKey = this.options.prefix + key;
+
+    this.storedKeys.add(storageKey);
+    await this.options.storage.setItem(storageKey, entry, expire);
+  }
+
+  private getHeaders(response: Response): Record<string, string> {
+    const headers: Record<string, string> = {};
+
+    response.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    return headers;
+  }
+
+  /**
+   * Creates an adapter response from a cached entry
+   *
+   * @param entry - Cached entry
+   * @param config - Request configuration
+   * @returns Adapter response with `fromCache: true`
+   */
+  private toAdapterResponse(
+    entry: FetchCacheEntry,
+    config: RequestAdapterConfig
+  ): RequestAdapterResponse {
+    const init = {
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers
+    };
+    // null body status(204, 304...) cannot have a body
+    const response = new Response(
+      entry.isResponse && entry.data ? (entry.data as string) : null,
+      init
+    );
+
+    return {
+      data: entry.isResponse ? response.clone() : entry.data,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: { ...entry.headers },
+      config,
+      response,
+      fromCache: true
+    };
+  }
+}
+
+/**
+ * Whether the error is thrown for a 304 response, e.g. a `RequestError` of `FetchURLPlugin`
+ */
+function isNotModifiedError(error: unknown): boolean {
+  const response = (error as { response?: { status?: number } } | undefined)
+    ?.response;
+
+  return !!response && response.status === 304;
+}
@@ -0,0 +1,333 @@
+import {
+  ExecutorPlugin,
+  ExecutorContext,
+  ExecutorNext,
+  PromiseTask,
+  RequestAdapterConfig,
+  RequestAdapterResponse,
+  RequestError,
+  RequestErrorID
+} from '../../../interface';
+import { hashHeaders } from './headers';
+
+/**
+ * Configuration options for the FetchDedupePlugin
+ *
+ * @since 1.1.4
+ */
+export interface FetchDedupeOptions {
+  /**
+   * HTTP methods that can be deduplicated
+   *
+   * @default ['GET', 'HEAD']
+   */
+  methods: string[];
+
+  /**
+   * Request headers whose values are part of the generated key
+   *
+   * Requests of different users or tokens don't share a response,
+   * the values are hashed, tokens are not written into the keys.
+   *
+   * @default ['Authorization', 'Cookie']
+   */
+  varyHeaders: string[];
+
+  /**
+   * Custom function to generate the key of a request
+   */
+  generateKey?: (config: RequestAdapterConfig) => string;
+}
+
+type InFlightRequest = {
+  promise: Promise<RequestAdapterResponse>;
+  controller: AbortController;
+  subscribers: number;
+};
+
+/**
+ * Plugin for request deduplication (single-flight)
+ *
+ * - Core Idea: Identical concurrent requests share one underlying fetch.
+ * - Main Function: Join requests with the same key to the request already in flight.
+ * - Main Purpose: Avoid duplicate network calls when several callers request the same data.
+ *
+ * Features:
+ * - Every caller gets its own copy of the response (`Response` is cloned, parsed data is copied with `structuredClone`)
+ * - Every caller can cancel its own copy with its `signal`
+ * - The underlying fetch is aborted only when all callers cancelled
+ *
+ * The key is generated from method, URL, params and data like `FetchAbortPlugin`,
+ * and a hash of the `Authorization` and `Cookie` headers (`varyHeaders`) like `FetchCachePlugin`.
+ * A request can skip deduplication with `dedupe: false`.
+ *
+ * **Note**
+ * `FetchAbortPlugin` aborts the previous request with the same key, don't use both for the same requests,
+ * or give each caller a different `requestId`.
+ *
+ * @since 1.1.4
+ *
+ * @implements {ExecutorPlugin}
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch());
+ * scheduler.usePlugin(new FetchDedupePlugin());
+ *
+ * // only one network request
+ * const [a, b] = await Promise.all([
+ *   scheduler.get('/api/userinfo'),
+ *   scheduler.get('/api/userinfo')
+ * ]);
+ * ```
+ *
+ * @example
+ *
+ * Cancel one caller, other callers still get the response
+ *
+ * ```typescript
+ * const controller = new AbortController();
+ * const a = scheduler.get('/api/userinfo', { signal: controller.signal });
+ * const b = scheduler.get('/api/userinfo');
+ *
+ * controller.abort();
+ * // => a is rejected, b is resolved
+ * ```
+ */
+export class FetchDedupePlugin implements ExecutorPlugin {
+  readonly pluginName = 'FetchDedupePlugin';
+  readonly onlyOne = true;
+
+  private readonly options: FetchDedupeOptions;
+
+  /**
+   * Requests in flight, keys are generated from request config
+   */
+  private inFlight: Map<string, InFlightRequest> = new Map();
+
+  constructor(options: Partial<FetchDedupeOptions> = {}) {
+    this.options = {
+      methods: ['GET', 'HEAD'],
+      varyHeaders: ['Authorization', 'Cookie'],
+      ...options
+    };
+  }
+
+  /**
+   * Generates unique key for request identification
+   *
+   * @param config - Request configuration
+   * @returns Unique request identifier
+   */
+  generateKey(config: RequestAdapterConfig): string {
+    if (typeof this.options.generateKey === 'function') {
+      return this.options.generateKey(config);
+    }
+
+    const params = config.params ? JSON.stringify(config.params) : '';
+    const data = config.data ? JSON.stringify(config.data) : '';
+    const key = `${(config.method || 'GET').toUpperCase()}-${config.url}-${params}-${data}`;
+    const vary = hashHeaders(config.headers, this.options.varyHeaders);
+
+    return vary ? `${key}-${vary}` : key;
+  }
+
+  /**
+   * Number of requests in flight
+   */
+  get size(): number {
+    return this.inFlight.size;
+  }
+
+  /**
+   * Middleware hook that joins identical requests
+   *
+   * @param context - Executor context, parameters is the request config
+   * @param next - Sends the request
+   * @returns A copy of the shared response
+   */
+  async around(
+    context: ExecutorContext<unknown>,
+    next: ExecutorNext
+  ): Promise<unknown> {
+    const config = context.parameters as RequestAdapterConfig;
+    const method = (config.method || 'GET').toUpperCase();
+
+    if (
+      config.dedupe === false ||
+      !this.options.methods.some((item) => item.toUpperCase() === method)
+    ) {
+      return next(context);
+    }
+
+    const key = this.generateKey(config);
+    const flight = this.inFlight.get(key) || this.start(key, context, next);
+
+    return this.subscribe(key, flight, config.signal);
+  }
+
+  /**
+   * Starts the shared request, it uses its own signal so that
+   * one caller cancelling does not cancel the other callers
+   */
+  private start(
+    key: string,
+    context: ExecutorContext<unknown>,
+    task: PromiseTask<unknown, unknown>
+  ): InFlightRequest {
+    const controller = new AbortController();
+    const config = context.parameters as RequestAdapterConfig;
+
+    const promise = task({
+      ...context,
+      parameters: { ...config, signal: controller.signal }
+    }) as Promise<RequestAdapterResponse>;
+
+    const flight: InFlightRequest = { promise, controller, subscribers: 0 };
+
+    const cleanup = (): void => {
+      if (this.inFlight.get(key) === flight) {
+        this.inFlight.delete(key);
+      }
+    };
+
+    // subscribers handle the result, avoid unhandled rejection when all of them cancelled
+    promise.then(cleanup, cleanup);
+
+    this.inFlight.set(key, flight);
+
+    return flight;
+  }
+
+  private subscribe(
+    key: string,
+    flight: InFlightRequest,
+    signal?: AbortSignal
+  ): Promise<RequestAdapterResponse> {
+    flight.subscribers++;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const onAbort = (): void => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+
+        this.leave(key, flight);
+
+        reject(
+          signal?.reason ||
+            new RequestError(
+              RequestErrorID.ABORT_ERROR,
+              'The operation was aborted'
+            )
+        );
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+
+        signal.addEventListener('abort', onAbort);
+      }
+
+      flight.promise.then(
+        (result) => {
+          signal?.removeEventListener('abort', onAbort);
+          if (!settled) {
+            settled = true;
+            resolve(this.cloneResponse(result));
+          }
+        },
+        (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          if (!settled) {
+            settled = true;
+            reject(error);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * A caller cancelled, abort the shared request if no caller is waiting
+   */
+  private leave(key: string, flight: InFlightRequest): void {
+    flight.subscribers--;
+
+    if (flight.subscribers <= 0) {
+      if (this.inFlight.get(key) === flight) {
+        this.inFlight.delete(key);
+      }
+
+      flight.controller.abort(
+        new RequestError(
+          RequestErrorID.ABORT_ERROR,
+          'The operation was aborted'
+        )
+      );
+    }
+  }
+
+  /**
+   * Each caller gets its own copy, because a `Response` body can only be read once
+   *
+   * The shared response is never returned, each caller gets a clone of it,
+   * a `stream` data is the body of the clone.
+   * The body of a parsed response(`responseType`) is already read,
+   * the data is copied with `structuredClone`, so a caller can't change the data of the others.
+   */
+  private cloneResponse(
+    result: RequestAdapterResponse
+  ): RequestAdapterResponse {
+    if (!result || !(result.response instanceof Response)) {
+      return result;
+    }
+
+    const { response, data } = result;
+
+    if (response.bodyUsed) {
+      return { ...result, data: cloneData(data) };
+    }
+
+    // the body of the shared response is replaced by `clone()`, so a `stream` data is known by `responseType`
+    const isStream =
+      data === response.body ||
+      (result.config && result.config.responseType) === 'stream';
+    const clone = response.clone();
+
+    return {
+      ...result,
+      data: isStream
+        ? clone.body
+        : data instanceof Response
+          ? data.clone()
+          : cloneData(data),
+      response: clone
+    };
+  }
+}
+
+/**
+ * Copies parsed data, data that can't be cloned, e.g. with functions, is shared
+ */
+function cloneData(data: unknown): unknown {
+  if (
+    !data ||
+    typeof data !== 'object' ||
+    typeof structuredClone !== 'function'
+  ) {
+    return data;
+  }
+
+  try {
+    return structuredClone(data);
+  } catch {
+    return data;
+  }
+}
@@ -0,0 +1,312 @@
+import {
+  ExecutorContext,
+  ExecutorNext,
+  PromiseTask,
+  RequestAdapterConfig,
+  RequestAdapterResponse,
+  RequestError,
+  RequestErrorID
+} from '../../../interface';
+import { RetryAttempt, RetryOptions, RetryPlugin } from '../../executor';
+
+/**
+ * Configuration options for the FetchRetryPlugin
+ *
+ * @since 1.1.4
+ */
+export interface FetchRetryOptions extends RetryOptions {
+  /**
+   * HTTP methods that can be retried
+   *
+   * Only idempotent methods by default, retrying a `POST` may repeat its side effects.
+   *
+   * @default ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE']
+   */
+  methods: string[];
+
+  /**
+   * Whether a response status should be retried
+   *
+   * @default 5xx and 429
+   */
+  retryStatus: (status: number) => boolean;
+
+  /**
+   * Whether to use the `Retry-After` header of the response as the delay
+   *
+   * @default true
+   */
+  respectRetryAfter: boolean;
+
+  /**
+   * Maximum delay in milliseconds taken from `Retry-After`
+   *
+   * A larger `Retry-After`, e.g. a day or a far-future date, is clamped to it.
+   *
+   * @default 60000
+   */
+  maxDelay: number;
+}
+
+/**
+ * Error of a retryable response status, has the response of the attempt
+ *
+ * @since 1.1.4
+ */
+export type FetchRetryError = RequestError & {
+  response: Response;
+};
+
+const defaultRetryStatus = (status: number): boolean =>
+  status >= 500 || status === 429;
+
+/**
+ * Retry plugin aware of HTTP semantics
+ *
+ * - Core Idea: Retry only the requests that are safe and worth retrying.
+ * - Main Function: Retry network errors, timeouts and retryable response statuses of idempotent requests.
+ * - Main Purpose: Recover from transient server errors and rate limiting.
+ *
+ * Features:
+ * - Retries idempotent methods only by default
+ * - Retries network errors, `RequestErrorID.TIMEOUT`, 5xx and 429 by default, aborted requests are not retried
+ * - Honours the `Retry-After` header (seconds or HTTP date), up to `maxDelay`
+ * - Cancels the body of a retried response, its connection is released
+ * - Jittered exponential backoff and maximum elapsed time of `RetryPlugin`
+ *
+ * A retryable response status is thrown as a `RequestError` with `RequestErrorID.RESPONSE_NOT_OK`
+ * and the `response`, so `shouldRetry` can inspect it. If the last attempt still has a retryable status,
+ * its response is returned as it is, e.g. `FetchURLPlugin` throws it as a normal failed response.
+ *
+ * The attempt metadata is available on `context.hooksRuntimes.retry`, see `RetryAttempt`.
+ *
+ * @since 1.1.4
+ *
+ * @extends {RetryPlugin}
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch());
+ * scheduler.usePlugin(
+ *   new FetchRetryPlugin({
+ *     maxRetries: 3,
+ *     retryDelay: 500,
+ *     useExponentialBackoff: true,
+ *     jitter: 0.5,
+ *     maxElapsedTime: 10 * 1000
+ *   })
+ * );
+ * ```
+ *
+ * @example
+ *
+ * Custom condition, still based on the default one
+ *
+ * ```typescript
+ * const retryPlugin: FetchRetryPlugin = new FetchRetryPlugin({
+ *   shouldRetry: (error, context) =>
+ *     !context.parameters.noRetry && retryPlugin.isRetryable(error, context)
+ * });
+ * ```
+ */
+export class FetchRetryPlugin extends RetryPlugin {
+  readonly pluginName: string = 'FetchRetryPlugin';
+
+  private readonly fetchOptions: FetchRetryOptions;
+
+  constructor(options: Partial<FetchRetryOptions> = {}) {
+    super({
+      ...options,
+      shouldRetry:
+        options.shouldRetry ||
+        ((error, context): boolean => this.isRetryable(error, context))
+    });
+
+    this.fetchOptions = {
+      ...this.options,
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'],
+      retryStatus: defaultRetryStatus,
+      respectRetryAfter: true,
+      maxDelay: 60 * 1000,
+      ...options
+    };
+  }
+
+  /**
+   * Default retry condition
+   *
+   * The method must be retryable, and the error must be a network error,
+   * a timeout or a retryable response status.
+   *
+   * @param error - Error of the attempt
+   * @param context - Executor context, parameters is the request config
+   */
+  isRetryable(error: unknown, context: ExecutorContext<unknown>): boolean {
+    const config = context.parameters as RequestAdapterConfig;
+
+    if (!this.isRetryableMethod(config)) {
+      return false;
+    }
+
+    if (error instanceof RequestError) {
+      if (error.id === RequestErrorID.TIMEOUT) {
+        return true;
+      }
+
+      const response = (error as Partial<FetchRetryError>).response;
+      return (
+        error.id === RequestErrorID.RESPONSE_NOT_OK &&
+        !!response &&
+        this.fetchOptions.retryStatus(response.status)
+      );
+    }
+
+    // fetch rejects with TypeError on network failure
+    return error instanceof TypeError;
+  }
+
+  /**
+   * Whether the method of the request can be retried
+   *
+   * @param config - Request configuration
+   */
+  isRetryableMethod(config: RequestAdapterConfig): boolean {
+    const method = (config.method || 'GET').toUpperCase();
+
+    return this.fetchOptions.methods.some(
+      (item) => item.toUpperCase() === method
+    );
+  }
+
+  /**
+   * Middleware hook, retries the request
+   * when it fails or responds with a retryable status
+   *
+   * @param context - Executor context, parameters is the request config
+   * @param next - Sends the request
+   * @returns The response of the last attempt
+   */
+  async around(
+    context: ExecutorContext<unknown>,
+    next: ExecutorNext
+  ): Promise<unknown> {
+    let statusResult: RequestAdapterResponse | undefined;
+
+    const attemptTask: PromiseTask<unknown, unknown> = async (ctx) => {
+      // the previous response is retried, nobody reads it
+      if (statusResult) {
+        this.cancelBody(statusResult.response);
+        statusResult = undefined;
+      }
+
+      const result = (await next(ctx)) as RequestAdapterResponse;
+
+      if (this.isRetryableResult(result, ctx)) {
+        statusResult = result;
+
+        throw new RequestError(
+          RequestErrorID.RESPONSE_NOT_OK,
+          `Request failed with status: ${result.status} ${result.statusText}`,
+          {
+            details: {
+              status: result.status,
+              statusText: result.statusText,
+              url: result.config?.url,
+              method: result.config?.method,
+              attempt: (ctx.hooksRuntimes.retry as RetryAttempt | undefined)
+                ?.attempt
+            },
+            response: result.response
+          }
+        );
+      }
+
+      return result;
+    };
+
+    try {
+      return await this.retry(
+        attemptTask,
+        context,
+        this.options,
+        this.options.maxRetries
+      );
+    } catch (error) {
+      // the last attempt has a response, return it like without retry
+      if (statusResult) {
+        return statusResult;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Uses `Retry-After` of the response if it exists, clamped to `maxDelay`
+   *
+   * @override
+   */
+  protected getDelay(
+    attempt: number,
+    error: unknown,
+    context: ExecutorContext<unknown>
+  ): number {
+    const response = (error as Partial<FetchRetryError>)?.response;
+
+    if (this.fetchOptions.respectRetryAfter && response instanceof Response) {
+      const retryAfter = this.parseRetryAfter(
+        response.headers.get('retry-after')
+      );
+
+      if (retryAfter !== undefined) {
+        return Math.min(retryAfter, this.fetchOptions.maxDelay);
+      }
+    }
+
+    return super.getDelay(attempt, error, context);
+  }
+
+  /**
+   * Parses `Retry-After`, it can be seconds or an HTTP date
+   *
+   * @param value - Header value
+   * @returns Delay in milliseconds, `undefined` if invalid
+   */
+  protected parseRetryAfter(value: string | null): number | undefined {
+    if (!value) {
+      return;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  private cancelBody(response: Response): void {
+    const { body } = response;
+
+    if (body && !body.locked) {
+      body.cancel().catch(() => {
+        // ignore cancel error
+      });
+    }
+  }
+
+  private isRetryableResult(
+    result: RequestAdapterResponse,
+    context: ExecutorContext<unknown>
+  ): boolean {
+    return (
+      !!result &&
+      result.response instanceof Response &&
+      this.isRetryableMethod(context.parameters as RequestAdapterConfig) &&
+      this.fetchOptions.retryStatus(result.status)
+    );
+  }
+}
@@ -0,0 +1,281 @@
+import {
+  ExecutorPlugin,
+  ExecutorContext,
+  ExecutorNext,
+  RequestAdapterConfig,
+  RequestAdapterResponse,
+  RequestError,
+  RequestErrorID
+} from '../../../interface';
+
+/**
+ * Configuration options for the FetchTokenRefreshPlugin
+ *
+ * @since 1.1.4
+ */
+export interface FetchTokenRefreshOptions {
+  /**
+   * Refreshes the access token, resolves the new token
+   *
+   * It is called only once for all the requests that failed at the same time.
+   * If it sends the request with the same scheduler, set `tokenRefresh: false`
+   * on that request, otherwise it waits for itself.
+   */
+  refreshToken: () => Promise<string>;
+
+  /**
+   * Gets the current access token
+   *
+   * If not provided, the token resolved by `refreshToken` is used.
+   * While it still returns the token replaced by the last refresh,
+   * e.g. `refreshToken` does not write the store it reads, the refreshed token is used.
+   */
+  getToken?: () => string | null | undefined;
+
+  /**
+   * Header name of the token
+   *
+   * @default 'Authorization'
+   */
+  authKey: string;
+
+  /**
+   * Token prefix, e.g. `Bearer xxx`, `Token xxx`
+   *
+   * @default 'Bearer'
+   */
+  tokenPrefix: string;
+
+  /**
+   * Whether the response status means the token is expired
+   *
+   * @default status === 401
+   */
+  isUnauthorized: (status: number) => boolean;
+
+  /**
+   * Called when refreshing failed, e.g. to log out
+   */
+  onRefreshError?: (error: RequestError) => void;
+}
+
+/**
+ * Plugin that refreshes the access token when a request is unauthorized
+ *
+ * - Core Idea: Short-lived access tokens are refreshed transparently.
+ * - Main Function: Detect 401 responses, refresh the token once and replay the requests.
+ * - Main Purpose: Replace the token refresh logic written by hand in every app.
+ *
+ * Features:
+ * - `refreshToken` is called exactly once for concurrent unauthorized requests
+ * - Requests sent while refreshing are held until the refresh is done
+ * - Held and unauthorized requests are replayed with the new token
+ * - If refreshing fails, all of them are rejected with `RequestErrorID.TOKEN_REFRESH_ERROR`
+ *
+ * A request is replayed only once, if it is still unauthorized its response is returned.
+ * The status is read from the response, or from `error.response` if the adapter throws(e.g. axios).
+ *
+ * @since 1.1.4
+ *
+ * @implements {ExecutorPlugin}
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RequestScheduler(new RequestAdapterFetch());
+ * scheduler.usePlugin(
+ *   new FetchTokenRefreshPlugin({
+ *     getToken: () => tokenStorage.getItem('token'),
+ *     refreshToken: async () => {
+ *       const { data } = await scheduler.post('/api/refresh', {
+ *         tokenRefresh: false,
+ *         responseType: 'json'
+ *       });
+ *       tokenStorage.setItem('token', data.token);
+ *       return data.token;
+ *     },
+ *     onRefreshError: () => userController.logout()
+ *   })
+ * );
+ * ```
+ */
+export class FetchTokenRefreshPlugin implements ExecutorPlugin {
+  readonly pluginName = 'FetchTokenRefreshPlugin';
+  readonly onlyOne = true;
+
+  private readonly options: FetchTokenRefreshOptions;
+
+  /**
+   * Token resolved by the last refresh
+   */
+  private token?: string;
+
+  /**
+   * Token of `getToken` when the last refresh started
+   */
+  private replacedToken?: string | null;
+
+  /**
+   * Refresh in progress, requests wait for it
+   */
+  private refreshing: Promise<string> | null = null;
+
+  constructor(
+    options: Pick<FetchTokenRefreshOptions, 'refreshToken'> &
+      Partial<FetchTokenRefreshOptions>
+  ) {
+    this.options = {
+      authKey: 'Authorization',
+      tokenPrefix: 'Bearer',
+      isUnauthorized: (status): boolean => status === 401,
+      ...options
+    };
+  }
+
+  /**
+   * Whether the token is being refreshed
+   */
+  get isRefreshing(): boolean {
+    return this.refreshing !== null;
+  }
+
+  /**
+   * Gets the current token
+   *
+   * @returns The token of `getToken`, or the token of the last refresh
+   *   if `getToken` has no token or still has the token it replaced
+   */
+  getToken(): string | undefined {
+    const token = this.options.getToken ? this.options.getToken() : undefined;
+
+    if (this.token && token === this.replacedToken) {
+      return this.token;
+    }
+
+    return token || this.token;
+  }
+
+  /**
+   * Refreshes the token, concurrent calls share one refresh
+   *
+   * @returns The new token
+   * @throws {RequestError} `RequestErrorID.TOKEN_REFRESH_ERROR` when refreshing failed
+   */
+  refresh(): Promise<string> {
+    if (!this.refreshing) {
+      this.replacedToken = this.options.getToken
+        ? this.options.getToken()
+        : undefined;
+      this.refreshing = Promise.resolve()
+        .then(() => this.options.refreshToken())
+        .then(
+          (token) => {
+            this.refreshing = null;
+            this.token = token;
+            return token;
+          },
+          (error) => {
+            this.refreshing = null;
+
+            const refreshError = new RequestError(
+              RequestErrorID.TOKEN_REFRESH_ERROR,
+              error instanceof Error ? error : undefined,
+              { cause: error }
+            );
+            this.options.onRefreshError?.(refreshError);
+
+            throw refreshError;
+          }
+        );
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Middleware hook that refreshes the token and replays the request
+   *
+   * @param context - Executor context, parameters is the request config
+   * @param next - Sends the request
+   * @returns The response of the request, or of the replayed request
+   */
+  async around(
+    context: ExecutorContext<unknown>,
+    next: ExecutorNext
+  ): Promise<unknown> {
+    const config = context.parameters as RequestAdapterConfig;
+
+    if (config.tokenRefresh === false) {
+      return next(context);
+    }
+
+    // hold the request until the token is refreshed
+    if (this.refreshing) {
+      await this.refreshing;
+    }
+
+    const token = this.getToken();
+    let result: RequestAdapterResponse | undefined;
+
+    try {
+      result = (await next(
+        this.withToken(context, token)
+      )) as RequestAdapterResponse;
+    } catch (error) {
+      if (!this.isUnauthorized(this.getErrorStatus(error))) {
+        throw error;
+      }
+    }
+
+    if (result && !this.isUnauthorized(result.status)) {
+      return result;
+    }
+
+    // refreshed by another request after this one was sent
+    const currentToken = this.getToken();
+    const newToken =
+      currentToken && currentToken !== token
+        ? currentToken
+        : await this.refresh();
+
+    return next(this.withToken(context, newToken));
+  }
+
+  private isUnauthorized(status?: number): boolean {
+    return typeof status === 'number' && this.options.isUnauthorized(status);
+  }
+
+  private getErrorStatus(error: unknown): number | undefined {
+    const response = (error as { response?: { status?: unknown } })?.response;
+
+    return response && typeof response.status === 'number'
+      ? response.status
+      : undefined;
+  }
+
+  private withToken(
+    context: ExecutorContext<unknown>,
+    token?: string
+  ): ExecutorContext<unknown> {
+    if (!token) {
+      return context;
+    }
+
+    const { authKey, tokenPrefix } = this.options;
+    const config = context.parameters as RequestAdapterConfig;
+    const headers = { ...config.headers };
+
+    // the stale token may be set with another case, e.g. `authorization`
+    Object.keys(headers).forEach((name) => {
+      if (name.toLowerCase() === authKey.toLowerCase()) {
+        delete headers[name];
+      }
+    });
+
+    headers[authKey] = tokenPrefix ? `${tokenPrefix} ${token}` : token;
+
+    return {
+      ...context,
+      parameters: { ...config, headers }
+    };
+  }
+}
@@ -175,15 +175,19 @@ export class FetchURLPlugin implements ExecutorPlugin {
     const result = returnValue as RequestAdapterResponse<unknown, Response>;
     // if response is not ok, throw error
     if (!result.response.ok) {
-      const requestError = new RequestError(
+      throw new RequestError(
         RequestErrorID.RESPONSE_NOT_OK,
-        `Request failed with status: ${result.status} ${result.statusText}`
+        `Request failed with status: ${result.status} ${result.statusText}`,
+        {
+          details: {
+            status: result.status,
+            statusText: result.statusText,
+            url: result.response.url || result.config.url,
+            method: result.config.method
+          },
+          response: result.response
+        }
       );
-
-      // @ts-expect-error Experimental: add response to error
-      requestError.response = result.response;
-
-      throw requestError;
     }
   }
 
@@ -0,0 +1,60 @@
+import { RequestAdapterConfig } from '../../../interface';
+
+/**
+ * Gets a request header as a string, the name is case-insensitive
+ */
+export function getHeader(
+  headers: RequestAdapterConfig['headers'],
+  name: string
+): string | undefined {
+  if (!headers) {
+    return undefined;
+  }
+
+  const lowerName = name.toLowerCase();
+  const key = Object.keys(headers).find(
+    (item) => item.toLowerCase() === lowerName
+  );
+  const value = key === undefined ? undefined : headers[key];
+
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * Two 32-bit FNV-1a hashes with different offsets in base 36,
+ * keeps the header values out of the keys
+ */
+export function hash(value: string): string {
+  let first = 0x811c9dc5;
+  let second = 0x050c5d1f;
+
+  for (let index = 0; index < value.length; index++) {
+    const code = value.charCodeAt(index);
+    first = Math.imul(first ^ code, 0x01000193);
+    second = Math.imul(second ^ code, 0x01000193);
+  }
+
+  return (first >>> 0).toString(36) + (second >>> 0).toString(36);
+}
+
+/**
+ * Hash of the names and values of the named request headers, empty when none is set
+ *
+ * The lower case names are hashed with the values, `Authorization: x` and `Cookie: x` differ.
+ */
+export function hashHeaders(
+  headers: RequestAdapterConfig['headers'],
+  names: string[]
+): string {
+  const values = names.reduce<string[]>((values, name) => {
+    const value = getHeader(headers, name);
+
+    if (value !== undefined) {
+      values.push(`${name.toLowerCase()}:${value}`);
+    }
+
+    return values;
+  }, []);
+
+  return values.length ? hash(values.join('\n')) : '';
+}
@@ -1,2 +1,6 @@
 export * from './FetchAbortPlugin';
 export * from './FetchURLPlugin';
+export * from './FetchCachePlugin';
+export * from './FetchDedupePlugin';
+export * from './FetchRetryPlugin';
+export * from './FetchTokenRefreshPlugin';
@@ -0,0 +1,118 @@
+import { Encryptor, Serializer } from '../../interface';
+import { JSONSerializer } from './JSONSerializer';
+
+/**
+ * Steps of the SerializerPipeline
+ *
+ * @since 1.1.4
+ */
+export interface SerializerPipelineOptions {
+  /**
+   * Turns the data into a string
+   *
+   * @default `JSONSerializer`
+   */
+  serializer?: Serializer<unknown, string>;
+
+  /**
+   * Compresses the serialized string, e.g. a LZ-string or zlib serializer
+   */
+  compressor?: Serializer<string, string>;
+
+  /**
+   * Encrypts the compressed string, e.g. `StringEntrypt` on the server
+   *
+   * Only sync encryptors, the pipeline is a sync `Serializer`.
+   */
+  encryptor?: Encryptor<string, string>;
+}
+
+/**
+ * Serializer that chains a serializer, a compressor and an encryptor
+ *
+ * - Core Idea: Storages only know one serializer, the pipeline is one.
+ * - Main Function: Serialize, then compress, then encrypt, and the reverse order to read.
+ * - Main Purpose: Store data compressed and encrypted in any `SyncStorage` or `AsyncStorage`.
+ *
+ * Features:
+ * - The compressor and the encryptor are optional
+ * - `deserialize` returns the default value if a step fails,
+ *   e.g. the data was written with another key or was modified
+ *
+ * The pipeline is sync, so it can't run an async encryptor, e.g. `AesGcmEncryptor` with Web Crypto.
+ * Pass the pipeline without `encryptor` as the `serializer` of `AsyncJSONStorage`,
+ * and the async encryptor as its `encryptor`, the data is compressed before it is encrypted.
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const serializer = new SerializerPipeline({
+ *   compressor: lzStringSerializer,
+ *   encryptor: new StringEntrypt(process.env.STORAGE_KEY)
+ * });
+ *
+ * const storage = new JSONStorage(undefined, serializer);
+ * storage.setItem('token', token);
+ * ```
+ *
+ * @example
+ *
+ * Compress, then encrypt with an async encryptor
+ *
+ * ```typescript
+ * const storage = new AsyncJSONStorage({
+ *   storage: localStorage,
+ *   serializer: new SerializerPipeline({ compressor: lzStringSerializer }),
+ *   encryptor: new AesGcmEncryptor({ key: secret })
+ * });
+ * ```
+ */
+export class SerializerPipeline implements Serializer<unknown, string> {
+  protected readonly serializer: Serializer<unknown, string>;
+
+  constructor(protected readonly options: SerializerPipelineOptions = {}) {
+    this.serializer = options.serializer || new JSONSerializer();
+  }
+
+  /**
+   * Serializes, compresses and encrypts the data
+   *
+   * @param data - Data to serialize
+   * @returns The encrypted string
+   */
+  serialize(data: unknown): string {
+    const { compressor, encryptor } = this.options;
+    let value = this.serializer.serialize(data);
+
+    if (compressor) {
+      value = compressor.serialize(value);
+    }
+
+    return encryptor ? encryptor.encrypt(value) : value;
+  }
+
+  /**
+   * Decrypts, decompresses and deserializes the data
+   *
+   * @param data - The encrypted string
+   * @param defaultValue - Returned if a step fails
+   * @returns The data, or the default value
+   */
+  deserialize(data: string, defaultValue?: unknown): unknown {
+    const { compressor, encryptor } = this.options;
+    let value: string;
+
+    try {
+      value = encryptor ? encryptor.decrypt(data) : data;
+
+      if (compressor) {
+        value = compressor.deserialize(value);
+      }
+    } catch {
+      return defaultValue;
+    }
+
+    return this.serializer.deserialize(value, defaultValue);
+  }
+}
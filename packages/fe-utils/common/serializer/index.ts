@@ -1,2 +1,3 @@
 export * from './JSONSerializer';
 export * from './Base64Serializer';
+export * from './SerializerPipeline';
@@ -0,0 +1,327 @@
+import {
+  AsyncEncryptor,
+  AsyncStorage,
+  Encryptor,
+  Serializer,
+  SyncStorage
+} from '../../../interface';
+import { JSONSerializer } from '../../serializer';
+
+type JSONStorageValue<T> = {
+  key: string;
+  value: T;
+  expire?: number;
+};
+
+/**
+ * Options of the AsyncJSONStorage
+ *
+ * @since 1.1.4
+ */
+export interface AsyncJSONStorageOptions {
+  /**
+   * Synchronous storage backend of the strings, e.g. `localStorage`
+   *
+   * @default in memory
+   */
+  storage?: SyncStorage<string, string>;
+
+  /**
+   * Prefix of the keys in `storage`, so it can be shared with other data, e.g. `localStorage`
+   *
+   * `length` and `clear()` only cover the keys with this prefix,
+   * the storage backend must implement `key()`.
+   *
+   * **Note**
+   * With `''`, `length` counts and `clear()` removes every key of the storage backend.
+   *
+   * @default 'async-storage:'
+   */
+  prefix?: string;
+
+  /**
+   * The serializer used to serialize and deserialize the data,
+   * e.g. a `SerializerPipeline` with a compressor
+   *
+   * @default `JSONSerializer`
+   */
+  serializer?: Serializer<unknown, string>;
+
+  /**
+   * Encrypts the serialized data before it is written,
+   * and decrypts it after it is read
+   *
+   * Can be async, e.g. `AesGcmEncryptor`, since 1.1.4
+   */
+  encryptor?: Encryptor<string, string> | AsyncEncryptor<string, string>;
+}
+
+/**
+ * Async storage of serialized data, and base class of the async storage backends
+ *
+ * - Core Idea: Same values and expiry as `JSONStorage`, with async backends and encryptors.
+ * - Main Function: Serialize, encrypt and expire the items, subclasses only read and write strings.
+ * - Main Purpose: Store payloads that are too big for `localStorage`, or encrypted with Web Crypto.
+ *
+ * Items are stored as `{ key, value, expire }`, `expire` is a timestamp in milliseconds,
+ * expired items are removed when they are read.
+ * Items that can't be decrypted, e.g. modified or written with another key, are read as the default value.
+ * The stored item keeps its key, an item copied to another key is read as the default value too.
+ * In a `storage` backend, the keys are stored with the `prefix`, other keys are kept by `clear()`.
+ *
+ * @since 1.1.4
+ *
+ * @example
+ *
+ * Encrypt the token in `localStorage` with AES-GCM
+ *
+ * ```typescript
+ * const storage = new AsyncJSONStorage({
+ *   storage: localStorage,
+ *   encryptor: new AesGcmEncryptor({ key: secret })
+ * });
+ *
+ * await storage.setItem('token', token);
+ * const value = await storage.getItem('token');
+ * ```
+ *
+ * @example
+ *
+ * Subclasses override the access to the backend
+ *
+ * ```typescript
+ * class MapStorage extends AsyncJSONStorage {
+ *   private items = new Map<string, string>();
+ *
+ *   get length(): number {
+ *     return this.items.size;
+ *   }
+ *
+ *   protected async read(key: string): Promise<string | null> {
+ *     return this.items.get(key) ?? null;
+ *   }
+ *
+ *   protected async write(key: string, value: string): Promise<void> {
+ *     this.items.set(key, value);
+ *   }
+ *
+ *   protected async remove(key: string): Promise<void> {
+ *     this.items.delete(key);
+ *   }
+ *
+ *   protected async removeAll(): Promise<void> {
+ *     this.items.clear();
+ *   }
+ * }
+ * ```
+ */
+export class AsyncJSONStorage implements AsyncStorage<string> {
+  protected readonly storage?: SyncStorage<string, string>;
+
+  protected readonly serializer: Serializer<unknown, string>;
+
+  protected readonly encryptor?:
+    Encryptor<string, string> | AsyncEncryptor<string, string>;
+
+  /**
+   * Prefix of the keys in `storage`
+   */
+  protected readonly prefix: string;
+
+  /**
+   * The internal store, if `storage` is not provided
+   */
+  private store: Record<string, string> = {};
+
+  /**
+   * @param options - Storage backend, serializer and encryptor
+   * @throws If a `prefix` is set and the storage backend can't list its keys
+   */
+  constructor(options: AsyncJSONStorageOptions = {}) {
+    this.storage = options.storage;
+    this.serializer = options.serializer || new JSONSerializer();
+    this.encryptor = options.encryptor;
+    this.prefix = options.prefix ?? 'async-storage:';
+
+    // length and clear list the keys of the prefix
+    if (this.storage && this.prefix && typeof this.storage.key !== 'function') {
+      throw new Error('AsyncJSONStorage: the storage must implement `key()`');
+    }
+  }
+
+  /**
+   * The number of items stored
+   *
+   * In a `storage` backend, only the keys with the `prefix` are counted.
+   */
+  get length(): number {
+    if (!this.storage) {
+      return Object.keys(this.store).length;
+    }
+
+    return this.prefix ? this.storageKeys().length : this.storage.length;
+  }
+
+  /**
+   * Stores a value with an optional expiration time.
+   *
+   * @param key - The key under which the value is stored.
+   * @param value - The value to store, which must be serializable.
+   * @param expire - Optional expiration timestamp in milliseconds.
+   */
+  async setItem<T>(key: string, value: T, expire?: number): Promise<void> {
+    const parameters = { key, value } as JSONStorageValue<T>;
+
+    if (typeof expire === 'number' && expire > 0) {
+      parameters.expire = expire;
+    }
+
+    const valueString = this.serializer.serialize(parameters);
+
+    await this.write(
+      key,
+      this.encryptor ? await this.encryptor.encrypt(valueString) : valueString
+    );
+  }
+
+  /**
+   * Retrieves a stored value by its key.
+   *
+   * @param key - The key of the value to retrieve.
+   * @param defaultValue - An optional default value to return if the key is not found.
+   * @returns The stored value or the default value if the key is not found, expired, can't be decrypted
+   * or is stored for another key.
+   */
+  async getItem<T>(key: string, defaultValue?: T): Promise<T | null> {
+    const item = await this.read(key);
+    const _dv = defaultValue ?? null;
+
+    if (!item) {
+      return _dv;
+    }
+
+    let valueString: string;
+
+    try {
+      valueString = this.encryptor ? await this.encryptor.decrypt(item) : item;
+    } catch {
+      return _dv;
+    }
+
+    const value = this.serializer.deserialize(
+      valueString,
+      _dv
+    ) as JSONStorageValue<T>;
+
+    if (value && typeof value === 'object') {
+      // the item of another key, e.g. its encrypted value copied to this key
+      if (value.key !== key) {
+        return _dv;
+      }
+
+      if (typeof value.expire === 'number' && value.expire < Date.now()) {
+        await this.removeItem(key);
+        return _dv;
+      }
+
+      return value.value ?? _dv;
+    }
+
+    return _dv;
+  }
+
+  /**
+   * Removes a stored item by its key.
+   *
+   * @param key - The key of the item to remove.
+   */
+  removeItem(key: string): Promise<void> {
+    return this.remove(key);
+  }
+
+  /**
+   * Clears all stored items.
+   *
+   * In a `storage` backend, only the keys with the `prefix` are removed.
+   */
+  clear(): Promise<void> {
+    return this.removeAll();
+  }
+
+  /**
+   * Reads the stored string of a key
+   *
+   * @param key - The key of the item
+   * @returns The stored string, or `null` if the key is not found
+   */
+  protected async read(key: string): Promise<string | null> {
+    return this.storage
+      ? this.storage.getItem(this.prefix + key)
+      : (this.store[key] ?? null);
+  }
+
+  /**
+   * Writes the stored string of a key
+   *
+   * @param key - The key of the item
+   * @param value - Serialized and encrypted item
+   */
+  protected async write(key: string, value: string): Promise<void> {
+    if (this.storage) {
+      this.storage.setItem(this.prefix + key, value);
+      return;
+    }
+
+    this.store[key] = value;
+  }
+
+  /**
+   * Removes the stored string of a key
+   *
+   * @param key - The key of the item
+   */
+  protected async remove(key: string): Promise<void> {
+    if (this.storage) {
+      this.storage.removeItem(this.prefix + key);
+      return;
+    }
+
+    delete this.store[key];
+  }
+
+  /**
+   * Removes all the items of the storage
+   */
+  protected async removeAll(): Promise<void> {
+    const { storage } = this;
+
+    if (storage) {
+      if (this.prefix) {
+        this.storageKeys().forEach((key) => storage.removeItem(key));
+      } else {
+        storage.clear();
+      }
+      return;
+    }
+
+    this.store = {};
+  }
+
+  /**
+   * Lists the keys of `storage` with the `prefix`, the keys are listed before they are removed
+   */
+  private storageKeys(): string[] {
+    const { storage, prefix } = this;
+    const keys: string[] = [];
+
+    for (let index = 0; index < storage!.length; index++) {
+      const key = storage!.key!(index);
+
+      if (key !== null && key.indexOf(prefix) === 0) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+}
@@ -0,0 +1,229 @@
+import { AsyncJSONStorage, AsyncJSONStorageOptions } from './AsyncJSONStorage';
+
+/**
+ * Options of the IndexedDBStorage
+ *
+ * @since 1.1.4
+ */
+export interface IndexedDBStorageOptions extends Omit<
+  AsyncJSONStorageOptions,
+  'storage' | 'prefix'
+> {
+  /**
+   * Name of the database
+   *
+   * @default 'fe-utils'
+   */
+  dbName?: string;
+
+  /**
+   * Name of the object store, storages with other store names can share the database,
+   * a missing store is created by upgrading the database version
+   *
+   * @default 'storage'
+   */
+  storeName?: string;
+
+  /**
+   * IndexedDB factory, e.g. of `fake-indexeddb` in tests
+   *
+   * @default `indexedDB` of the global object
+   */
+  indexedDB?: IDBFactory;
+}
+
+/**
+ * Async storage in IndexedDB
+ *
+ * - Core Idea: `localStorage` is small and blocks the main thread.
+ * - Main Function: Store the items in an object store, with the values and expiry of `JSONStorage`.
+ * - Main Purpose: Keep large payloads of an offline-capable app.
+ *
+ * Features:
+ * - The database is opened on the first operation, a missing object store is added by a version upgrade
+ * - `serializer` and `encryptor` like `AsyncJSONStorage`
+ * - `length` is updated after each operation, it is `0` until the database is opened
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const storage = new IndexedDBStorage({ dbName: 'my-app' });
+ *
+ * await storage.setItem('articles', articles, Date.now() + 86400000);
+ * const value = await storage.getItem('articles', []);
+ * ```
+ */
+export class IndexedDBStorage extends AsyncJSONStorage {
+  protected readonly options: Required<
+    Pick<IndexedDBStorageOptions, 'dbName' | 'storeName'>
+  > &
+    IndexedDBStorageOptions;
+
+  private db?: Promise<IDBDatabase>;
+
+  private size = 0;
+
+  constructor(options: IndexedDBStorageOptions = {}) {
+    super(options);
+
+    this.options = {
+      dbName: 'fe-utils',
+      storeName: 'storage',
+      ...options
+    };
+  }
+
+  /**
+   * The number of items, at the end of the last operation
+   *
+   * It is `0` until the first operation opened the database,
+   * e.g. run `await storage.getItem(key)` before reading it.
+   */
+  get length(): number {
+    return this.size;
+  }
+
+  /**
+   * Closes the database, it is opened again by the next operation
+   */
+  async close(): Promise<void> {
+    const db = this.db;
+    this.db = undefined;
+
+    if (db) {
+      (await db).close();
+    }
+  }
+
+  protected async read(key: string): Promise<string | null> {
+    const value = await this.transaction<unknown>('readonly', (store) =>
+      store.get(key)
+    );
+
+    return typeof value === 'string' ? value : null;
+  }
+
+  protected async write(key: string, value: string): Promise<void> {
+    await this.transaction('readwrite', (store) => store.put(value, key));
+  }
+
+  protected async remove(key: string): Promise<void> {
+    await this.transaction('readwrite', (store) => store.delete(key));
+  }
+
+  protected async removeAll(): Promise<void> {
+    await this.transaction('readwrite', (store) => store.clear());
+  }
+
+  /**
+   * Runs a request in a transaction of the object store
+   *
+   * Resolves when the transaction is complete, `length` is counted in the same transaction.
+   *
+   * @param mode - Mode of the transaction
+   * @param run - Creates the request
+   * @returns The result of the request
+   */
+  protected async transaction<T>(
+    mode: IDBTransactionMode,
+    run: (store: IDBObjectStore) => IDBRequest<T>
+  ): Promise<T> {
+    const db = await this.open();
+
+    return new Promise<T>((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, mode);
+      const store = transaction.objectStore(this.options.storeName);
+      const request = run(store);
+      const count = store.count();
+
+      transaction.oncomplete = (): void => {
+        this.size = count.result;
+        resolve(request.result);
+      };
+      transaction.onerror = (): void => reject(transaction.error);
+      transaction.onabort = (): void => reject(transaction.error);
+    });
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (this.db) {
+      return this.db;
+    }
+
+    const { dbName, storeName } = this.options;
+    const factory = this.options.indexedDB || globalThis.indexedDB;
+
+    if (!factory) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const db = openDatabase(factory, dbName, storeName);
+
+    db.then(
+      (result) => {
+        // another tab or storage upgrades the database
+        result.onversionchange = (): void => {
+          result.close();
+          if (this.db === db) {
+            this.db = undefined;
+          }
+        };
+      },
+      () => {
+        // open again on the next operation if it failed
+        if (this.db === db) {
+          this.db = undefined;
+        }
+      }
+    );
+
+    this.db = db;
+
+    return db;
+  }
+}
+
+/**
+ * Opens a database that has the object store,
+ * upgrades the version if the database was created without it
+ */
+function openDatabase(
+  factory: IDBFactory,
+  dbName: string,
+  storeName: string,
+  version?: number
+): Promise<IDBDatabase> {
+  return new Promise<IDBDatabase>((resolve, reject) => {
+    const request = version
+      ? factory.open(dbName, version)
+      : factory.open(dbName);
+
+    request.onupgradeneeded = (): void => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName);
+      }
+    };
+    request.onsuccess = (): void => {
+      const result = request.result;
+
+      if (result.objectStoreNames.contains(storeName)) {
+        resolve(result);
+        return;
+      }
+
+      result.close();
+      resolve(openDatabase(factory, dbName, storeName, result.version + 1));
+    };
+    request.onerror = (): void => {
+      // another storage upgraded the database meanwhile
+      if (version && request.error?.name === 'VersionError') {
+        request.onerror = null;
+        resolve(openDatabase(factory, dbName, storeName));
+        return;
+      }
+
+      reject(request.error);
+    };
+  });
+}
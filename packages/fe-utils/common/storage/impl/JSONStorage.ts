@@ -5,6 +5,190 @@ type JSONStorageValue<T> = {
   key: string;
   value: T;
   expire?: number;
+  version?: number;
+  /**
+   * Time of the last write, used to evict the oldest items
+   */
+  time?: number;
+};
+
+type JSONStorageEntry = {
+  key: string;
+  /**
+   * Size of the key and the item in bytes
+   */
+  size: number;
+  /**
+   * Time of the last read or write
+   */
+  usedAt: number;
+};
+
+/**
+ * Number and size of the items, updated by the writes
+ */
+type JSONStorageUsage = {
+  sizes: Map<string, number>;
+  count: number;
+  bytes: number;
+};
+
+/**
+ * Migrates a stored value to the next schema version
+ *
+ * @since 1.1.4
+ * @param value - The value of the previous version
+ * @param key - The key of the value, without the namespace
+ * @returns The value of the version the migration is registered for
+ */
+export type JSONStorageMigration = (value: unknown, key: string) => unknown;
+
+/**
+ * Options of the JSONStorage
+ *
+ * @since 1.1.4
+ */
+export interface JSONStorageOptions {
+  /**
+   * Prefix of the keys in the storage backend, e.g. the name of the app
+   *
+   * Keys are stored as `${namespace}:${key}`, without a namespace keys are stored as they are.
+   * The storage backend must implement `key()`, e.g. `localStorage`.
+   * A namespace can't contain `:`, so `app` doesn't list the keys of `app:admin`.
+   */
+  namespace?: string;
+
+  /**
+   * Schema version of the values
+   *
+   * Values stored without a version are version `0`.
+   */
+  version?: number;
+
+  /**
+   * Migrations by the version they migrate to
+   *
+   * A value of version 1 read with version 3 runs the migrations `2` and `3` in order,
+   * a missing version keeps the value as it is.
+   */
+  migrations?: Record<number, JSONStorageMigration>;
+
+  /**
+   * Syncs the changes between the tabs, since 1.1.4
+   *
+   * - `storage`: listens to the `storage` events of the window, the backend must be `localStorage`,
+   *   the events have no reason: a removed item that had expired is an `expire` change,
+   *   other removals, e.g. evictions, are `remove` changes
+   * - `broadcast`: sends the changes over a `BroadcastChannel`, and writes the changes of the other tabs
+   *   to the backend, works with any backend
+   */
+  sync?: 'storage' | 'broadcast';
+
+  /**
+   * Target of the `storage` events
+   *
+   * @default the global object, e.g. `window`
+   */
+  syncTarget?: Pick<EventTarget, 'addEventListener' | 'removeEventListener'>;
+
+  /**
+   * Name of the `BroadcastChannel`
+   *
+   * Storages can share a channel, they only apply the messages of their namespace.
+   *
+   * @default `JSONStorage` and the namespace, e.g. `JSONStorage:my-app`
+   */
+  channelName?: string;
+
+  /**
+   * Removes the expired items every `pruneInterval` milliseconds, since 1.1.4
+   *
+   * The timer doesn't keep a Node process alive,
+   * call `destroy()` when the storage is not used anymore to stop it.
+   */
+  pruneInterval?: number;
+
+  /**
+   * Maximum number of items, the least recently used items are evicted, since 1.1.4
+   *
+   * The reads are only remembered in memory, the items of a previous session
+   * are evicted by the time of their last write.
+   * Only the items written by a JSONStorage are counted and evicted,
+   * other keys of a shared backend without a namespace are kept.
+   */
+  maxEntries?: number;
+
+  /**
+   * Maximum size of the items in bytes, the least recently used items are evicted, since 1.1.4
+   *
+   * Keys and items are counted as UTF-16, 2 bytes per character, like the quota of `localStorage`.
+   */
+  maxBytes?: number;
+
+  /**
+   * When the backend throws a `QuotaExceededError`, removes the expired items,
+   * then evicts the least recently used items until the item can be written, since 1.1.4
+   *
+   * @default false
+   */
+  evictOnQuota?: boolean;
+}
+
+/**
+ * Reason of a JSONStorage change
+ *
+ * - `set`: the item is stored
+ * - `remove`: the item is removed
+ * - `expire`: the item is removed because it expired
+ * - `evict`: the item is removed to make room, by `maxEntries`, `maxBytes` or `evictOnQuota`
+ * - `clear`: the storage is cleared
+ *
+ * @since 1.1.4
+ */
+export type JSONStorageChangeReason =
+  'set' | 'remove' | 'expire' | 'evict' | 'clear';
+
+/**
+ * A change of a JSONStorage item
+ *
+ * @since 1.1.4
+ */
+export type JSONStorageChange<T = unknown> = {
+  /**
+   * The key of the item, without the namespace
+   */
+  key: string;
+
+  /**
+   * The new value, `null` if the item is removed
+   */
+  value: T | null;
+
+  reason: JSONStorageChangeReason;
+
+  /**
+   * Whether the change comes from another tab
+   */
+  remote: boolean;
+};
+
+/**
+ * Listener of the changes of a JSONStorage item
+ *
+ * @since 1.1.4
+ */
+export type JSONStorageListener<T = unknown> = (
+  change: JSONStorageChange<T>
+) => void;
+
+type JSONStorageMessage = {
+  /**
+   * Namespace of the sender, `''` without a namespace
+   */
+  namespace: string;
+  key: string | null;
+  item: string | null;
+  reason: JSONStorageChangeReason;
 };
 
 /**
@@ -75,6 +259,65 @@ type JSONStorageValue<T> = {
  * const value = storage.getItem('key');
  * ```
  *
+ * @example
+ *
+ * Namespaces keep the apps of the same origin apart, and versions migrate the old values when they are read, since 1.1.4
+ *
+ * ```typescript
+ * const storage = new JSONStorage(localStorage, undefined, {
+ *   namespace: 'my-app',
+ *   version: 2,
+ *   migrations: {
+ *     // until version 1 the theme was a string
+ *     1: (value, key) => (key === 'theme' ? { name: value } : value),
+ *     // version 2 renamed `name` to `theme`
+ *     2: (value, key) =>
+ *       key === 'theme' ? { theme: (value as { name: string }).name } : value
+ *   }
+ * });
+ *
+ * storage.getItem('theme');
+ * // => { theme: 'dark' }, stored as `my-app:theme`
+ *
+ * // removes only the keys of `my-app`
+ * storage.clear();
+ * ```
+ *
+ * @example
+ *
+ * Keep the storage small, and make room when `localStorage` is full, since 1.1.4
+ *
+ * ```typescript
+ * const storage = new JSONStorage(localStorage, undefined, {
+ *   namespace: 'my-app',
+ *   maxEntries: 100,
+ *   maxBytes: 1024 * 1024,
+ *   evictOnQuota: true,
+ *   pruneInterval: 60000
+ * });
+ *
+ * // removes the expired items now
+ * storage.prune();
+ * ```
+ *
+ * @example
+ *
+ * Listen to the changes of an item, in this tab and the other tabs, since 1.1.4
+ *
+ * ```typescript
+ * const storage = new JSONStorage(localStorage, undefined, {
+ *   namespace: 'my-app',
+ *   sync: 'storage'
+ * });
+ *
+ * storage.subscribe<string>('token', ({ value, remote }) => {
+ *   if (!value) {
+ *     // logged out, maybe in another tab
+ *     userController.logout();
+ *   }
+ * });
+ * ```
+ *
  */
 export class JSONStorage implements SyncStorage<string> {
   /**
@@ -84,10 +327,38 @@ export class JSONStorage implements SyncStorage<string> {
    */
   private store: Record<string, string> = {};
 
+  /**
+   * Listeners of the changes, by key
+   */
+  private listeners: Record<string, JSONStorageListener[]> = {};
+
+  /**
+   * Stops the cross-tab sync
+   */
+  private stopSync?: () => void;
+
+  private channel?: BroadcastChannel;
+
+  private pruneTimer?: ReturnType<typeof setInterval>;
+
+  /**
+   * Time of the last read or write of the keys, in this session
+   */
+  private usedAt: Record<string, number> = {};
+
+  /**
+   * Number and size of the items, counted by the first eviction check
+   */
+  private usage?: JSONStorageUsage;
+
   /**
    * Initializes a new instance of the JSONStorage class.
    *
    * @param storage - An optional synchronous storage backend to use.
+   * @param serializer - The serializer of the stored items.
+   * @param options - Namespace, schema version, migrations, cross-tab sync and eviction, since 1.1.4
+   * @throws If a namespace or eviction is set and the storage backend can't list its keys
+   * @throws If the namespace contains `:`
    */
   constructor(
     /**
@@ -102,21 +373,77 @@ export class JSONStorage implements SyncStorage<string> {
     private readonly serializer: Serializer<
       unknown,
       string
-    > = new JSONSerializer()
-  ) {}
+    > = new JSONSerializer(),
+    /**
+     * Namespace, schema version, migrations, cross-tab sync and eviction.
+     */
+    private readonly options: JSONStorageOptions = {}
+  ) {
+    const { namespace, pruneInterval, maxEntries, maxBytes, evictOnQuota } =
+      options;
+
+    if (namespace && namespace.indexOf(':') !== -1) {
+      throw new Error('JSONStorage: the namespace must not contain `:`');
+    }
+
+    // length, clear and eviction list the keys
+    if (
+      (namespace || pruneInterval || maxEntries || maxBytes || evictOnQuota) &&
+      storage &&
+      typeof storage.key !== 'function'
+    ) {
+      throw new Error('JSONStorage: the storage must implement `key()`');
+    }
+
+    if (options.sync) {
+      this.startSync(options.sync);
+    }
+
+    if (pruneInterval) {
+      const timer = setInterval(() => this.prune(), pruneInterval);
+
+      // don't keep a Node process alive, `destroy()` stops the timer
+      (timer as { unref?: () => void }).unref?.();
+      this.pruneTimer = timer;
+    }
+  }
 
   /**
    * Gets the number of items stored in the local storage.
    *
+   * With a namespace, only the keys of the namespace are counted.
+   *
    * @returns The number of stored items.
    */
   get length(): number {
-    return this.storage ? this.storage.length : Object.keys(this.store).length;
+    if (!this.options.namespace) {
+      return this.storage
+        ? this.storage.length
+        : Object.keys(this.store).length;
+    }
+
+    return this.keys().length;
+  }
+
+  /**
+   * Gets the key at an index, without the namespace.
+   *
+   * @since 1.1.4
+   * @param index - The index of the key.
+   * @returns The key, or `null` if the index is out of range.
+   */
+  key(index: number): string | null {
+    const key = this.keys()[index];
+
+    return key === undefined ? null : key;
   }
 
   /**
    * Stores a value with an optional expiration time.
    *
+   * With `maxEntries` or `maxBytes`, the least recently used items are evicted after the write,
+   * the items are only listed when a limit is exceeded.
+   *
    * @param key - The key under which the value is stored.
    * @param value - The value to store, which must be JSON-serializable.
    * @param expire - Optional expiration time in milliseconds.
@@ -128,24 +455,41 @@ export class JSONStorage implements SyncStorage<string> {
       parameters.expire = expire;
     }
 
-    const valueString = this.serializer.serialize(parameters);
-    if (this.storage) {
-      this.storage.setItem(key, valueString);
-      return;
+    if (typeof this.options.version === 'number') {
+      parameters.version = this.options.version;
     }
 
-    this.store[key] = valueString;
+    if (this.evictable) {
+      parameters.time = Date.now();
+    }
+
+    const item = this.serializer.serialize(parameters);
+
+    this.writeOrEvict(key, item);
+
+    if (this.evictable) {
+      this.usedAt[key] = Date.now();
+    }
+    this.emit({ key, value, reason: 'set', remote: false }, item);
+
+    const { maxEntries, maxBytes } = this.options;
+    if (maxEntries || maxBytes) {
+      this.evict(key);
+    }
   }
 
   /**
    * Retrieves a stored value by its key.
    *
+   * A value of an older schema version is migrated and stored again,
+   * a value of a newer version, or whose migration fails, is not returned.
+   *
    * @param key - The key of the value to retrieve.
    * @param defaultValue - An optional default value to return if the key is not found.
    * @returns The stored value or the default value if the key is not found or expired.
    */
   getItem<T>(key: string, defaultValue?: T): T | null {
-    const item = this.storage ? this.storage.getItem(key) : this.store[key];
+    const item = this.read(key);
     const _dv = defaultValue ?? null;
 
     if (!item) {
@@ -154,13 +498,23 @@ export class JSONStorage implements SyncStorage<string> {
 
     const value = this.serializer.deserialize(item, _dv) as JSONStorageValue<T>;
 
-    if (typeof value === 'object') {
+    if (value && typeof value === 'object') {
       if (typeof value.expire === 'number' && value.expire < Date.now()) {
-        this.removeItem(key);
+        this.write(key, null);
+        this.emit({ key, value: null, reason: 'expire', remote: false }, null);
         return _dv;
       }
 
-      return value?.value ?? _dv;
+      if (this.evictable) {
+        this.usedAt[key] = Date.now();
+      }
+
+      const { version } = this.options;
+      if (typeof version === 'number' && (value.version || 0) !== version) {
+        return this.migrate(key, value, _dv);
+      }
+
+      return value.value ?? _dv;
     }
 
     return _dv;
@@ -172,18 +526,355 @@ export class JSONStorage implements SyncStorage<string> {
    * @param key - The key of the item to remove.
    */
   removeItem(key: string): void {
-    if (this.storage) {
-      this.storage.removeItem(key);
+    this.write(key, null);
+    this.emit({ key, value: null, reason: 'remove', remote: false }, null);
+  }
+
+  /**
+   * Clears all stored items.
+   *
+   * With a namespace, only the keys of the namespace are removed,
+   * the storage backend must implement `key()`.
+   *
+   * The listeners of all keys are called.
+   */
+  clear(): void {
+    this.clearStore();
+    this.notifyClear(false);
+    this.postMessage({ key: null, item: null, reason: 'clear' });
+  }
+
+  /**
+   * Listens to the changes of an item
+   *
+   * - Purpose: Keep the state of the app in sync with the storage
+   * - Core Concept: Changes by `setItem`, `removeItem`, `clear` and expiry,
+   *   and the changes of the other tabs with the `sync` option
+   * - Primary Use: Log out all tabs when the token is removed in one of them
+   *
+   * Listener errors are ignored.
+   *
+   * @since 1.1.4
+   * @param key - The key of the item, without the namespace
+   * @param listener - Called with the change
+   * @returns Function to remove the listener
+   */
+  subscribe<T = unknown>(
+    key: string,
+    listener: JSONStorageListener<T>
+  ): () => void {
+    const listeners = this.listeners[key] || (this.listeners[key] = []);
+    listeners.push(listener as JSONStorageListener);
+
+    return (): void => {
+      this.listeners[key] = (this.listeners[key] || []).filter(
+        (item) => item !== listener
+      );
+
+      if (!this.listeners[key].length) {
+        delete this.listeners[key];
+      }
+    };
+  }
+
+  /**
+   * Removes the expired items
+   *
+   * `getItem` only removes the expired item it reads, `prune` scans all the items,
+   * e.g. when the app starts. The listeners are called with the `expire` reason.
+   * Keys not written by a JSONStorage, e.g. of other libraries in `localStorage`, are kept.
+   *
+   * @since 1.1.4
+   * @returns The removed keys
+   * @throws If the storage backend can't list its keys
+   */
+  prune(): string[] {
+    const now = Date.now();
+
+    return this.keys().filter((key) => {
+      const value = this.readOwn(key)?.value;
+
+      if (value && typeof value.expire === 'number' && value.expire < now) {
+        this.write(key, null);
+        this.emit({ key, value: null, reason: 'expire', remote: false }, null);
+        return true;
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   * Stops the cross-tab sync and the prune interval, and removes the listeners
+   *
+   * Call it when the storage is not used anymore, e.g. when its page or module is disposed,
+   * the items are kept.
+   *
+   * @since 1.1.4
+   */
+  destroy(): void {
+    this.stopSync?.();
+    this.stopSync = undefined;
+    this.listeners = {};
+
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = undefined;
+    }
+  }
+
+  /**
+   * Gets the key in the storage backend, with the namespace
+   *
+   * @since 1.1.4
+   * @param key - The key of the item
+   */
+  protected getStorageKey(key: string): string {
+    const { namespace } = this.options;
+
+    return namespace ? `${namespace}:${key}` : key;
+  }
+
+  /**
+   * Lists the keys of the namespace, without the namespace
+   *
+   * @throws If the storage backend can't list its keys
+   */
+  private keys(): string[] {
+    const prefix = this.getStorageKey('');
+    const { storage } = this;
+    let storageKeys: string[];
+
+    if (!storage) {
+      storageKeys = Object.keys(this.store);
+    } else if (typeof storage.key === 'function') {
+      storageKeys = [];
+      for (let index = 0; index < storage.length; index++) {
+        const key = storage.key(index);
+        if (key !== null) {
+          storageKeys.push(key);
+        }
+      }
+    } else {
+      throw new Error('JSONStorage: the storage must implement `key()`');
+    }
+
+    return storageKeys
+      .filter((key) => key.indexOf(prefix) === 0)
+      .map((key) => key.slice(prefix.length));
+  }
+
+  /**
+   * Whether the items are evicted, and need the time of the last write
+   */
+  private get evictable(): boolean {
+    const { maxEntries, maxBytes, evictOnQuota } = this.options;
+
+    return !!(maxEntries || maxBytes || evictOnQuota);
+  }
+
+  private read(key: string): string | null {
+    const storageKey = this.getStorageKey(key);
+
+    return this.storage
+      ? this.storage.getItem(storageKey)
+      : (this.store[storageKey] ?? null);
+  }
+
+  /**
+   * Writes an item to the backend, `null` removes it
+   */
+  private write(key: string, item: string | null): void {
+    const storageKey = this.getStorageKey(key);
+
+    if (item === null) {
+      delete this.usedAt[key];
+
+      if (this.storage) {
+        this.storage.removeItem(storageKey);
+      } else {
+        delete this.store[storageKey];
+      }
+    } else if (this.storage) {
+      this.storage.setItem(storageKey, item);
+    } else {
+      this.store[storageKey] = item;
+    }
+
+    this.track(key, item);
+  }
+
+  /**
+   * Writes an item, and evicts the least recently used items
+   * while the backend throws a `QuotaExceededError`, if `evictOnQuota` is enabled
+   */
+  private writeOrEvict(key: string, item: string): void {
+    let entries: JSONStorageEntry[] | undefined;
+
+    for (;;) {
+      try {
+        this.write(key, item);
+        return;
+      } catch (error) {
+        if (!this.options.evictOnQuota || !isQuotaExceededError(error)) {
+          throw error;
+        }
+
+        // first try again without the expired items
+        if (!entries) {
+          this.prune();
+          entries = this.getEntries().filter((entry) => entry.key !== key);
+          continue;
+        }
+
+        const entry = entries.shift();
+        if (!entry) {
+          throw error;
+        }
+
+        this.removeEvicted(entry.key);
+      }
+    }
+  }
+
+  /**
+   * Evicts the least recently used items over `maxEntries` or `maxBytes`
+   *
+   * The items are counted once, then the usage is updated by the writes of this storage,
+   * the items are listed again only when a limit is exceeded.
+   * The writes of the other tabs are counted by the next listing.
+   *
+   * @param keep - The key just written, it is never evicted
+   */
+  private evict(keep: string): void {
+    if (!this.usage) {
+      this.usage = createUsage(this.getEntries());
+    }
+
+    if (!this.isOverLimit(this.usage)) {
       return;
     }
 
-    delete this.store[key];
+    this.prune();
+
+    const entries = this.getEntries();
+    const usage = createUsage(entries);
+    this.usage = usage;
+
+    for (const entry of entries) {
+      if (!this.isOverLimit(usage)) {
+        return;
+      }
+
+      if (entry.key !== keep) {
+        // updates the usage
+        this.removeEvicted(entry.key);
+      }
+    }
+  }
+
+  private isOverLimit({ count, bytes }: JSONStorageUsage): boolean {
+    const { maxEntries, maxBytes } = this.options;
+
+    return !!(
+      (maxEntries && count > maxEntries) ||
+      (maxBytes && bytes > maxBytes)
+    );
   }
 
   /**
-   * Clears all stored items.
+   * Updates the usage with a write, `null` removes the item
    */
-  clear(): void {
+  private track(key: string, item: string | null): void {
+    const usage = this.usage;
+
+    if (!usage) {
+      return;
+    }
+
+    const previous = usage.sizes.get(key);
+
+    if (previous !== undefined) {
+      usage.count--;
+      usage.bytes -= previous;
+      usage.sizes.delete(key);
+    }
+
+    if (item !== null) {
+      const size = this.getSize(key, item);
+
+      usage.sizes.set(key, size);
+      usage.count++;
+      usage.bytes += size;
+    }
+  }
+
+  /**
+   * Size of the stored key and item in bytes, 2 bytes per character
+   */
+  private getSize(key: string, item: string): number {
+    return (this.getStorageKey(key).length + item.length) * 2;
+  }
+
+  private removeEvicted(key: string): void {
+    this.write(key, null);
+    this.emit({ key, value: null, reason: 'evict', remote: false }, null);
+  }
+
+  /**
+   * Lists the items of the namespace, the least recently used first
+   *
+   * Reads are not persisted, the items not used in this session
+   * are ordered by the time of their last write.
+   */
+  private getEntries(): JSONStorageEntry[] {
+    return this.keys()
+      .reduce<JSONStorageEntry[]>((entries, key) => {
+        const own = this.readOwn(key);
+
+        if (own) {
+          entries.push({
+            key,
+            size: this.getSize(key, own.item),
+            usedAt: this.usedAt[key] || own.value.time || 0
+          });
+        }
+
+        return entries;
+      }, [])
+      .sort((a, b) => a.usedAt - b.usedAt);
+  }
+
+  /**
+   * Reads an item written by a JSONStorage, stored as `{ key, value, time }`
+   *
+   * @returns `null` for the other keys of a shared backend, e.g. of other libraries in `localStorage`
+   */
+  private readOwn(
+    key: string
+  ): { item: string; value: JSONStorageValue<unknown> } | null {
+    const item = this.read(key);
+    let value: JSONStorageValue<unknown> | null;
+
+    try {
+      value = this.parse(item);
+    } catch {
+      // e.g. a custom serializer that throws on foreign items
+      return null;
+    }
+
+    return item && value && value.key === key ? { item, value } : null;
+  }
+
+  private clearStore(): void {
+    if (this.options.namespace) {
+      this.keys().forEach((key) => this.write(key, null));
+      return;
+    }
+
+    this.usedAt = {};
+    this.usage = undefined;
+
     if (this.storage) {
       this.storage.clear();
       return;
@@ -191,4 +882,254 @@ export class JSONStorage implements SyncStorage<string> {
 
     this.store = {};
   }
+
+  /**
+   * Calls the listeners of a local change, and sends it to the other tabs
+   *
+   * @param change - The change
+   * @param item - The stored item of the change, sent to the other tabs
+   */
+  private emit(change: JSONStorageChange, item: string | null): void {
+    this.notify(change);
+    this.postMessage({ key: change.key, item, reason: change.reason });
+  }
+
+  private notify(change: JSONStorageChange): void {
+    const listeners = this.listeners[change.key];
+
+    if (listeners) {
+      listeners.slice().forEach((listener) => {
+        try {
+          listener(change);
+        } catch {
+          // ignore listener error
+        }
+      });
+    }
+  }
+
+  private notifyClear(remote: boolean): void {
+    Object.keys(this.listeners).forEach((key) =>
+      this.notify({ key, value: null, reason: 'clear', remote })
+    );
+  }
+
+  /**
+   * Deserializes a stored item, `null` if it is not an item of JSONStorage
+   */
+  private parse(item: string | null): JSONStorageValue<unknown> | null {
+    if (!item) {
+      return null;
+    }
+
+    const value = this.serializer.deserialize(
+      item,
+      null
+    ) as JSONStorageValue<unknown> | null;
+
+    return value && typeof value === 'object' ? value : null;
+  }
+
+  /**
+   * Reads the value of a stored item, `null` if it is invalid or expired
+   */
+  private parseItem(item: string | null): unknown {
+    const value = this.parse(item);
+
+    if (!value || this.isExpired(value)) {
+      return null;
+    }
+
+    return value.value ?? null;
+  }
+
+  private isExpired(value: JSONStorageValue<unknown> | null): boolean {
+    return (
+      !!value && typeof value.expire === 'number' && value.expire < Date.now()
+    );
+  }
+
+  private postMessage(message: Omit<JSONStorageMessage, 'namespace'>): void {
+    this.channel?.postMessage({
+      ...message,
+      namespace: this.options.namespace || ''
+    });
+  }
+
+  private startSync(sync: 'storage' | 'broadcast'): void {
+    if (sync === 'broadcast') {
+      if (typeof BroadcastChannel !== 'function') {
+        return;
+      }
+
+      const { namespace, channelName } = this.options;
+      const channel = new BroadcastChannel(
+        channelName || (namespace ? `JSONStorage:${namespace}` : 'JSONStorage')
+      );
+
+      channel.onmessage = (event: MessageEvent<JSONStorageMessage>): void =>
+        this.onMessage(event.data);
+
+      this.channel = channel;
+      this.stopSync = (): void => {
+        channel.close();
+        this.channel = undefined;
+      };
+      return;
+    }
+
+    const target =
+      this.options.syncTarget ||
+      (typeof globalThis.addEventListener === 'function'
+        ? globalThis
+        : undefined);
+
+    if (!target) {
+      return;
+    }
+
+    const onStorage = (event: Event): void =>
+      this.onStorage(event as StorageEvent);
+
+    target.addEventListener('storage', onStorage);
+    this.stopSync = (): void =>
+      target.removeEventListener('storage', onStorage);
+  }
+
+  /**
+   * Applies a change of another tab sent over the `BroadcastChannel`
+   */
+  private onMessage(message: JSONStorageMessage): void {
+    // the channel can be shared, e.g. with the same `channelName`
+    if (
+      !message ||
+      typeof message !== 'object' ||
+      message.namespace !== (this.options.namespace || '')
+    ) {
+      return;
+    }
+
+    const { key, item, reason } = message;
+
+    if (key === null) {
+      this.clearStore();
+      this.notifyClear(true);
+      return;
+    }
+
+    this.write(key, item);
+    this.notify({ key, value: this.parseItem(item), reason, remote: true });
+  }
+
+  /**
+   * Notifies a change of the backend by another tab
+   */
+  private onStorage(event: StorageEvent): void {
+    if (
+      event.storageArea &&
+      (event.storageArea as unknown) !== (this.storage as unknown)
+    ) {
+      return;
+    }
+
+    if (event.key === null) {
+      this.notifyClear(true);
+      return;
+    }
+
+    const prefix = this.getStorageKey('');
+
+    if (event.key.indexOf(prefix) !== 0) {
+      return;
+    }
+
+    let change: JSONStorageChange;
+
+    try {
+      change = {
+        key: event.key.slice(prefix.length),
+        value: this.parseItem(event.newValue),
+        reason:
+          event.newValue !== null
+            ? 'set'
+            : this.isExpired(this.parse(event.oldValue))
+              ? 'expire'
+              : 'remove',
+        remote: true
+      };
+    } catch {
+      // e.g. a custom serializer that throws on foreign items
+      return;
+    }
+
+    this.notify(change);
+  }
+
+  /**
+   * Migrates a value to the current schema version and stores it again
+   */
+  private migrate<T>(
+    key: string,
+    item: JSONStorageValue<T>,
+    defaultValue: T | null
+  ): T | null {
+    const version = this.options.version as number;
+    const migrations = this.options.migrations || {};
+    let from = item.version || 0;
+
+    // newer data, e.g. written by a newer version of the app
+    if (from > version) {
+      return defaultValue;
+    }
+
+    let value: unknown = item.value;
+
+    try {
+      while (from < version) {
+        from++;
+        const migration = migrations[from];
+        if (typeof migration === 'function') {
+          value = migration(value, key);
+        }
+      }
+    } catch {
+      this.removeItem(key);
+      return defaultValue;
+    }
+
+    this.write(key, this.serializer.serialize({ ...item, value, version }));
+
+    return (value as T) ?? defaultValue;
+  }
+}
+
+function createUsage(entries: JSONStorageEntry[]): JSONStorageUsage {
+  const usage: JSONStorageUsage = { sizes: new Map(), count: 0, bytes: 0 };
+
+  entries.forEach(({ key, size }) => {
+    usage.sizes.set(key, size);
+    usage.count++;
+    usage.bytes += size;
+  });
+
+  return usage;
+}
+
+/**
+ * Whether the error is thrown because the storage is full,
+ * the name and code differ between the browsers
+ */
+function isQuotaExceededError(error: unknown): boolean {
+  if (!error || typeof error !== 'object') {
+    return false;
+  }
+
+  const { name, code } = error as { name?: string; code?: number };
+
+  return (
+    name === 'QuotaExceededError' ||
+    name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    code === 22 ||
+    code === 1014
+  );
 }
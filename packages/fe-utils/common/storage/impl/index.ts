@@ -1 +1,3 @@
 export * from './JSONStorage';
+export * from './AsyncJSONStorage';
+export * from './IndexedDBStorage';
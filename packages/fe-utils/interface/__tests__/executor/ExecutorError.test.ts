@@ -12,7 +12,7 @@ describe('ExecutorError', () => {
     const error = new ExecutorError('ERROR_ID', originalError);
     expect(error.message).toBe('Original error message');
     expect(error.id).toBe('ERROR_ID');
-    // expect(error.stack).toContain(originalError.stack);
+    expect(error.stack).toBe(originalError.stack);
   });
 
   it('should create an error with the id as the message if no originalError is provided', () => {
@@ -28,6 +28,99 @@ describe('ExecutorError', () => {
     expect(error).toBeInstanceOf(Error);
   });
 
+  it('should keep the original error as cause', () => {
+    const originalError = new Error('Original error message');
+    const error = new ExecutorError('ERROR_ID', originalError);
+
+    expect(error.cause).toBe(originalError);
+    expect(new ExecutorError('ERROR_ID', 'message').cause).toBeUndefined();
+  });
+
+  it('should accept cause and details options', () => {
+    const cause = new Error('Database error');
+    const error = new ExecutorError('SAVE_FAILED', 'Failed to save', {
+      cause,
+      details: { userId: 1 }
+    });
+
+    expect(error.message).toBe('Failed to save');
+    expect(error.cause).toBe(cause);
+    expect(error.details).toEqual({ userId: 1 });
+    expect(new ExecutorError('ERROR_ID').details).toEqual({});
+  });
+
+  it('should serialize the cause chain with toJSON', () => {
+    const root = new TypeError('Failed to fetch');
+    const inner = new ExecutorError('INNER', root, {
+      details: { attempt: 2 }
+    });
+    const error = new ExecutorError('OUTER', 'Outer failed', { cause: inner });
+
+    const json = JSON.parse(JSON.stringify(error));
+
+    expect(json).toMatchObject({
+      name: 'ExecutorError',
+      id: 'OUTER',
+      message: 'Outer failed',
+      details: {},
+      cause: {
+        name: 'ExecutorError',
+        id: 'INNER',
+        message: 'Failed to fetch',
+        details: { attempt: 2 },
+        cause: { name: 'TypeError', message: 'Failed to fetch' }
+      }
+    });
+    expect(typeof json.stack).toBe('string');
+  });
+
+  it('should serialize a cyclic cause chain', () => {
+    const root = new Error('Root error');
+    const error = new ExecutorError('OUTER', 'Outer failed', { cause: root });
+    (root as { cause?: unknown }).cause = error;
+
+    const json = error.toJSON();
+
+    expect(json.cause).toEqual(
+      expect.objectContaining({ name: 'Error', message: 'Root error' })
+    );
+    expect(json.cause).not.toHaveProperty('cause');
+    expect(() => JSON.stringify(error)).not.toThrow();
+  });
+
+  it('should restore an error with fromJSON', () => {
+    const error = new ExecutorError('OUTER', 'Outer failed', {
+      cause: new ExecutorError('INNER', new TypeError('Failed to fetch')),
+      details: { url: '/users' }
+    });
+
+    const restored = ExecutorError.fromJSON(JSON.parse(JSON.stringify(error)));
+
+    expect(restored).toBeInstanceOf(ExecutorError);
+    expect(restored.id).toBe('OUTER');
+    expect(restored.message).toBe('Outer failed');
+    expect(restored.details).toEqual({ url: '/users' });
+    expect(restored.stack).toBe(error.stack);
+
+    const inner = restored.cause as ExecutorError;
+    expect(inner).toBeInstanceOf(ExecutorError);
+    expect(inner.id).toBe('INNER');
+
+    const root = inner.cause as Error;
+    expect(root).toBeInstanceOf(Error);
+    expect(root.name).toBe('TypeError');
+    expect(root.message).toBe('Failed to fetch');
+  });
+
+  it('should keep non-error causes as they are', () => {
+    const error = new ExecutorError('ERROR_ID', 'message', {
+      cause: { code: 42 }
+    });
+
+    const restored = ExecutorError.fromJSON(error.toJSON());
+    expect(restored.cause).toEqual({ code: 42 });
+  });
+
   // it('should have a stack trace starting with ExecutorError', () => {
   //   const executorError = new ExecutorError('EXECUTOR_ERROR');
 
@@ -34,3 +34,36 @@ export interface Encryptor<ValueType, EncryptResult> {
    */
   decrypt(encryptedData: EncryptResult): ValueType;
 }
+
+/**
+ * Interface of the asynchronous encryption/decryption operations,
+ * e.g. with the Web Crypto API
+ *
+ * @since 1.1.4
+ *
+ * @template ValueType - Type of value to encrypt/decrypt
+ * @template EncryptResult - Type of encrypted result
+ *
+ * @example
+ * ```typescript
+ * const encryptor: AsyncEncryptor<string, string> = new AesGcmEncryptor({ key });
+ *
+ * const encrypted = await encryptor.encrypt('token');
+ * const token = await encryptor.decrypt(encrypted);
+ * ```
+ */
+export interface AsyncEncryptor<ValueType, EncryptResult> {
+  /**
+   * Encrypts the provided value
+   * @param value - Value to encrypt
+   * @returns Promise of the encrypted result
+   */
+  encrypt(value: ValueType): Promise<EncryptResult>;
+
+  /**
+   * Decrypts the encrypted data
+   * @param encryptedData - Data to decrypt
+   * @returns Promise of the original value, rejected if the data can't be decrypted
+   */
+  decrypt(encryptedData: EncryptResult): Promise<ValueType>;
+}
@@ -1,5 +1,7 @@
-import { ExecutorError } from './ExecutorError';
+import { ExecutorError, ExecutorErrorID } from './ExecutorError';
+import { ExecutorContext } from './ExecutorContext';
 import { ExecutorPlugin, Task } from './ExecutorPlugin';
+import { ExecutorTraceSpan, ExecutorTracerInterface } from './ExecutorTracer';
 
 /**
  * Configuration interface for executor
@@ -80,7 +82,129 @@ import { ExecutorPlugin, Task } from './ExecutorPlugin';
  * // => result is 'test modified'
  * ```
  */
-export interface ExecutorConfig {}
+export interface ExecutorConfig {
+  /**
+   * Name of the executor, used by the `tracer`
+   *
+   * @since 1.1.4
+   * @default the class name, e.g. `AsyncExecutor`
+   */
+  name?: string;
+
+  /**
+   * Records a span for each run and each plugin hook, e.g. `ExecutorTracer`
+   *
+   * No tracing if not set.
+   *
+   * @since 1.1.4
+   */
+  tracer?: ExecutorTracerInterface;
+}
+
+/**
+ * Options of a single `exec` call
+ *
+ * - Purpose: Changes the plugins of one execution without mutating the executor
+ * - Core Concept: Scoped plugin set and cancellation
+ * - Main Features:
+ *  - Extra plugins, ordered by `priority` together with the executor plugins
+ *  - Excluded plugins, by instance or `pluginName`
+ *  - Cancellation with an `AbortSignal`
+ * - Primary Use: Adding a plugin for one request, or skipping a plugin for one request
+ *
+ * @since 1.1.4
+ * @category Executor
+ * @example
+ * ```typescript
+ * await executor.exec(data, task, {
+ *   plugins: [new LoggerPlugin()],
+ *   exclude: ['RetryPlugin']
+ * });
+ * ```
+ */
+export interface ExecutorExecOptions {
+  /**
+   * Extra plugins of this execution
+   *
+   * An extra plugin with `onlyOne` is skipped if the executor already has it.
+   */
+  plugins?: ExecutorPlugin[];
+
+  /**
+   * Plugins excluded from this execution, plugin instances or plugin names
+   */
+  exclude?: (ExecutorPlugin | string)[];
+
+  /**
+   * Cancels the run when aborted
+   *
+   * The signal is available as `context.signal`. The executor checks it before each hook and the task,
+   * and an AsyncExecutor run rejects as soon as it is aborted, without waiting for the task.
+   * The run fails with an ExecutorError of `ExecutorErrorID.ABORT_ERROR`,
+   * or with the reason of the signal if it is an ExecutorError, the `onError` hooks still run.
+   *
+   * @example
+   * ```typescript
+   * const controller = new AbortController();
+   * executor.exec(data, task, { signal: controller.signal });
+   *
+   * // e.g. when the page unmounts
+   * controller.abort();
+   * ```
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Context of the parent run, the run becomes its sub-task
+   *
+   * Set by the task combinators, e.g. `AsyncExecutor.all`.
+   * The sub-task uses the signal of the parent if it has no `signal`.
+   *
+   * @since 1.1.4
+   */
+  parent?: ExecutorContext<unknown>;
+}
+
+/**
+ * Events of the executor runs
+ *
+ * - `before`: a run starts, before the `onBefore` hooks
+ * - `success`: a run succeeded, after the `onSuccess` hooks
+ * - `error`: a run failed, after the `onError` hooks
+ * - `settled`: a run succeeded or failed
+ *
+ * @since 1.1.4
+ * @category Executor
+ */
+export type ExecutorEventName = 'before' | 'success' | 'error' | 'settled';
+
+/**
+ * Listener of the executor events, receives the context of the run
+ *
+ * @since 1.1.4
+ * @category Executor
+ */
+export type ExecutorEventListener = (context: ExecutorContext<unknown>) => void;
+
+/**
+ * Options of `Executor.runs`
+ *
+ * @since 1.1.4
+ * @category Executor
+ */
+export interface ExecutorRunsOptions {
+  /**
+   * Ends the iteration when aborted
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Maximum number of runs kept while the consumer is busy, the oldest are dropped
+   *
+   * @default 100
+   */
+  bufferSize?: number;
+}
 
 /**
  * Base executor class providing plugin management and execution pipeline
@@ -132,6 +256,14 @@ export abstract class Executor {
    */
   protected plugins: ExecutorPlugin[] = [];
 
+  /**
+   * Listeners of the executor events
+   *
+   * @since 1.1.4
+   */
+  private listeners: { [Name in ExecutorEventName]?: ExecutorEventListener[] } =
+    {};
+
   /**
    * Creates a new Executor instance
    *
@@ -158,7 +290,7 @@ export abstract class Executor {
    * - Core Concept: Plugin registration and deduplication
    * - Main Features:
    *  - Prevents duplicate plugins if onlyOne is true
-   *  - Maintains plugin execution order
+   *  - Maintains plugin execution order, plugins with higher `priority` run first (since 1.1.4)
    * - Primary Use: Adding new capabilities to executor
    *
    * @param plugin - Plugin instance to add
@@ -179,20 +311,382 @@ export abstract class Executor {
    * ```
    */
   use(plugin: ExecutorPlugin): void {
-    if (
-      this.plugins.find(
-        (p) =>
-          p === plugin ||
-          p.pluginName === plugin.pluginName ||
-          p.constructor === plugin.constructor
-      ) &&
-      plugin.onlyOne
-    ) {
+    if (plugin.onlyOne && this.isUsed(this.plugins, plugin)) {
       console.warn(`Plugin ${plugin.pluginName} is already used, skip adding`);
       return;
     }
 
-    this.plugins.push(plugin);
+    this.insertPlugin(this.plugins, plugin);
+  }
+
+  /**
+   * Remove a plugin from the executor
+   *
+   * - Purpose: Allows plugins to be ejected after they were added
+   * - Core Concept: Plugin lifecycle management
+   * - Main Features:
+   *  - Removes by plugin instance or by `pluginName`
+   *  - Removes every plugin with the same name
+   * - Primary Use: Disabling a feature at runtime, e.g. a mock plugin
+   *
+   * @since 1.1.4
+   * @param plugin - Plugin instance or plugin name to remove
+   * @returns `true` if any plugin was removed
+   *
+   * @example
+   * ```typescript
+   * executor.use(mockPlugin);
+   * executor.unuse(mockPlugin);
+   * // or by name
+   * executor.unuse('MockPlugin');
+   * ```
+   */
+  unuse(plugin: ExecutorPlugin | string): boolean {
+    const length = this.plugins.length;
+
+    this.plugins = this.plugins.filter(
+      (item) => !this.matchPlugin(item, plugin)
+    );
+
+    return this.plugins.length !== length;
+  }
+
+  /**
+   * Listen to the runs of the executor
+   *
+   * - Purpose: Observe the executor from outside, without registering a plugin
+   * - Core Concept: Events with the context of the run, emitted after the hooks of the stage
+   * - Main Features:
+   *  - `before`, `success`, `error` and `settled` events
+   *  - Listener errors are ignored, they can't break a run
+   * - Primary Use: A global loading indicator, or a devtools panel
+   *
+   * @since 1.1.4
+   * @param event - Name of the event
+   * @param listener - Called with the context of the run
+   * @returns Function to remove the listener
+   *
+   * @example
+   * ```typescript
+   * let pending = 0;
+   *
+   * scheduler.executor.on('before', () => {
+   *   spinner.visible = ++pending > 0;
+   * });
+   * scheduler.executor.on('settled', () => {
+   *   spinner.visible = --pending > 0;
+   * });
+   * ```
+   */
+  on(event: ExecutorEventName, listener: ExecutorEventListener): () => void {
+    const listeners = this.listeners[event] || (this.listeners[event] = []);
+    listeners.push(listener);
+
+    return (): void => {
+      this.listeners[event] = (this.listeners[event] || []).filter(
+        (item) => item !== listener
+      );
+    };
+  }
+
+  /**
+   * Iterate the settled runs of the executor
+   *
+   * - Purpose: Consume the runs as a stream, e.g. with `for await`
+   * - Core Concept: Async iterable over the `settled` event
+   * - Main Features:
+   *  - Starts listening when called, not on the first `next`
+   *  - Runs are buffered while the consumer is busy, up to `bufferSize`
+   *  - Ends with `break`, `return()` or the `signal`
+   * - Primary Use: Devtools and logging of every run
+   *
+   * @since 1.1.4
+   * @param options - Signal and buffer size
+   * @returns Async iterator of the contexts of the settled runs
+   *
+   * @example
+   * ```typescript
+   * for await (const context of executor.runs({ signal })) {
+   *   panel.add({
+   *     parameters: context.parameters,
+   *     error: context.error,
+   *     result: context.returnValue
+   *   });
+   * }
+   * ```
+   */
+  runs(
+    options: ExecutorRunsOptions = {}
+  ): AsyncIterableIterator<ExecutorContext<unknown>> {
+    const { signal, bufferSize = 100 } = options;
+    const buffer: ExecutorContext<unknown>[] = [];
+    let waiting:
+      ((result: IteratorResult<ExecutorContext<unknown>>) => void) | undefined;
+    let done = false;
+
+    const unsubscribe = this.on('settled', (context) => {
+      if (waiting) {
+        const resolve = waiting;
+        waiting = undefined;
+        resolve({ value: context, done: false });
+        return;
+      }
+
+      buffer.push(context);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+    });
+
+    const finish = (): void => {
+      if (done) {
+        return;
+      }
+
+      done = true;
+      unsubscribe();
+      signal?.removeEventListener('abort', finish);
+
+      if (waiting) {
+        const resolve = waiting;
+        waiting = undefined;
+        resolve({ value: undefined, done: true });
+      }
+    };
+
+    if (signal?.aborted) {
+      finish();
+    } else {
+      signal?.addEventListener('abort', finish);
+    }
+
+    const iterator: AsyncIterableIterator<ExecutorContext<unknown>> = {
+      next: () => {
+        if (buffer.length) {
+          return Promise.resolve({ value: buffer.shift()!, done: false });
+        }
+
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise((resolve) => {
+          waiting = resolve;
+        });
+      },
+      return: () => {
+        finish();
+        buffer.length = 0;
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]: () => iterator
+    };
+
+    return iterator;
+  }
+
+  /**
+   * Emit an executor event
+   *
+   * @since 1.1.4
+   * @param event - Name of the event
+   * @param context - Context of the run
+   */
+  protected emit<Params>(
+    event: ExecutorEventName,
+    context: ExecutorContext<Params>
+  ): void {
+    const listeners = this.listeners[event];
+
+    if (!listeners || !listeners.length) {
+      return;
+    }
+
+    listeners.slice().forEach((listener) => {
+      try {
+        listener(context as ExecutorContext<unknown>);
+      } catch {
+        // ignore listener error
+      }
+    });
+  }
+
+  /**
+   * Get the plugins used by the executor
+   *
+   * - Purpose: Allows running custom hooks of the plugins outside the pipeline
+   * - Core Concept: Read-only access to the plugin pipeline
+   * - Main Features: Returns a copy, mutating it does not change the executor
+   * - Primary Use: Dispatching custom hooks with `runHooks`, e.g. request progress events
+   *
+   * @since 1.1.4
+   * @returns A copy of the plugins array, in execution order
+   *
+   * @example
+   * ```typescript
+   * executor.runHooks(executor.getPlugins(), 'onDownloadProgress', context, event);
+   * ```
+   */
+  getPlugins(): ExecutorPlugin[] {
+    return this.plugins.slice();
+  }
+
+  /**
+   * Get the plugins of a single execution
+   *
+   * - Purpose: Resolves the scoped plugin set of `exec` options
+   * - Core Concept: Executor plugins are never mutated by an execution
+   * - Main Features:
+   *  - Removes excluded plugins
+   *  - Adds extra plugins in `priority` order
+   * - Primary Use: Used by the executor implementations before running the hooks
+   *
+   * @since 1.1.4
+   * @param options - Options of the `exec` call
+   * @returns The executor plugins if there is nothing to change, otherwise a new array
+   */
+  protected getExecPlugins(options?: ExecutorExecOptions): ExecutorPlugin[] {
+    const { plugins = [], exclude = [] } = options || {};
+
+    if (!plugins.length && !exclude.length) {
+      return this.plugins;
+    }
+
+    const execPlugins = this.plugins.filter(
+      (plugin) => !exclude.some((item) => this.matchPlugin(plugin, item))
+    );
+
+    plugins.forEach((plugin) => {
+      if (
+        execPlugins.indexOf(plugin) === -1 &&
+        !(plugin.onlyOne && this.isUsed(execPlugins, plugin))
+      ) {
+        this.insertPlugin(execPlugins, plugin);
+      }
+    });
+
+    return execPlugins;
+  }
+
+  /**
+   * Start the trace span of a run
+   *
+   * - Purpose: Opt-in tracing of the execution pipeline
+   * - Core Concept: The span is kept on `hooksRuntimes.traceSpan`, hooks of the run are its children
+   * - Main Features: Does nothing if the executor has no `tracer`
+   * - Primary Use: Used by the executor implementations at the start of a run
+   *
+   * @since 1.1.4
+   * @param context - Context of the run
+   * @returns The span of the run, `undefined` if not traced
+   */
+  protected startTrace<Params>(
+    context: ExecutorContext<Params>
+  ): ExecutorTraceSpan | undefined {
+    const { tracer, name } = this.config;
+
+    if (!tracer) {
+      return;
+    }
+
+    const span = tracer.startRun(name || this.constructor.name);
+    context.hooksRuntimes.traceSpan = span;
+
+    return span;
+  }
+
+  /**
+   * Start the trace span of a plugin hook, a child of the run span
+   *
+   * @since 1.1.4
+   * @param context - Context of the run
+   * @param pluginName - Name of the plugin
+   * @param hookName - Name of the hook
+   * @returns The span of the hook, `undefined` if the run is not traced
+   */
+  protected startHookTrace<Params>(
+    context: ExecutorContext<Params> | undefined,
+    pluginName: string,
+    hookName: string
+  ): ExecutorTraceSpan | undefined {
+    return context?.hooksRuntimes.traceSpan?.child(
+      `${pluginName}.${hookName}`,
+      'hook',
+      { pluginName, hookName }
+    );
+  }
+
+  /**
+   * Throw the abort error if the signal of the run is aborted
+   *
+   * @since 1.1.4
+   * @param context - Context of the run
+   * @throws {ExecutorError} When the run is aborted
+   */
+  protected throwIfAborted<Params>(
+    context: ExecutorContext<Params> | undefined
+  ): void {
+    if (context?.signal?.aborted) {
+      throw this.createAbortError(context.signal);
+    }
+  }
+
+  /**
+   * Create the error of an aborted run
+   *
+   * The reason of the signal is used if it is an ExecutorError, e.g. a `RequestError`,
+   * otherwise it is the cause of an ExecutorError with `ExecutorErrorID.ABORT_ERROR`.
+   *
+   * @since 1.1.4
+   * @param signal - Aborted signal of the run
+   */
+  protected createAbortError(signal: AbortSignal): ExecutorError {
+    const { reason } = signal;
+
+    if (reason instanceof ExecutorError) {
+      return reason;
+    }
+
+    return new ExecutorError(
+      ExecutorErrorID.ABORT_ERROR,
+      reason instanceof Error ? reason : 'The operation was aborted',
+      { cause: reason }
+    );
+  }
+
+  /**
+   * Insert a plugin after the plugins with the same or higher priority
+   */
+  private insertPlugin(
+    plugins: ExecutorPlugin[],
+    plugin: ExecutorPlugin
+  ): void {
+    const priority = plugin.priority || 0;
+    let index = plugins.length;
+
+    while (index > 0 && (plugins[index - 1].priority || 0) < priority) {
+      index--;
+    }
+
+    plugins.splice(index, 0, plugin);
+  }
+
+  private isUsed(plugins: ExecutorPlugin[], plugin: ExecutorPlugin): boolean {
+    return plugins.some(
+      (p) =>
+        p === plugin ||
+        p.pluginName === plugin.pluginName ||
+        p.constructor === plugin.constructor
+    );
+  }
+
+  private matchPlugin(
+    plugin: ExecutorPlugin,
+    target: ExecutorPlugin | string
+  ): boolean {
+    return typeof target === 'string'
+      ? plugin.pluginName === target
+      : plugin === target;
   }
 
   /**
@@ -257,6 +751,7 @@ export abstract class Executor {
    *
    * @param data - Input data for task
    * @param task - Task to execute
+   * @param options - Scoped plugins of this execution, since 1.1.4
    * @throws {ExecutorError} If task execution fails
    *
    * @example
@@ -268,7 +763,8 @@ export abstract class Executor {
    */
   abstract exec<Result, Params = unknown>(
     data: unknown,
-    task: Task<Result, Params>
+    task: Task<Result, Params>,
+    options?: ExecutorExecOptions
   ): Promise<Result> | Result;
 
   /**
@@ -309,6 +805,7 @@ export abstract class Executor {
    *
    * @param data - Input data for task
    * @param task - Task to execute
+   * @param options - Scoped plugins of this execution, since 1.1.4
    *
    * @example
    * ```typescript
@@ -322,6 +819,7 @@ export abstract class Executor {
    */
   abstract execNoError<Result, Params = unknown>(
     data: unknown,
-    task: Task<Result, Params>
+    task: Task<Result, Params>,
+    options?: ExecutorExecOptions
   ): Promise<Result | ExecutorError> | Result | ExecutorError;
 }
@@ -1,3 +1,5 @@
+import { ExecutorTraceSpan } from './ExecutorTracer';
+
 /**
  * Represents the context in which a task is executed.
  *
@@ -65,6 +67,22 @@ export interface ExecutorContext<Params = unknown> {
    *
    */
   hooksRuntimes: HookRuntimes;
+
+  /**
+   * Signal to cancel the run, from the options of the `exec` call
+   *
+   * Pass it to the cancellable operations of the task and the hooks, e.g. `fetch`.
+   *
+   * @since 1.1.4
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Context of the parent run, if this run is a sub-task, e.g. of `AsyncExecutor.all`
+   *
+   * @since 1.1.4
+   */
+  parent?: ExecutorContext<unknown>;
 }
 
 export interface HookRuntimes {
@@ -95,5 +113,12 @@ export interface HookRuntimes {
    */
   returnBreakChain?: boolean;
 
+  /**
+   * Span of the current run, only set if the executor has a `tracer`
+   *
+   * @since 1.1.4
+   */
+  traceSpan?: ExecutorTraceSpan;
+
   [key: string]: unknown;
 }
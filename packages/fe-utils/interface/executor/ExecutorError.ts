@@ -1,3 +1,84 @@
+/**
+ * Error ids used by the executors and their plugins
+ *
+ * @category Executor
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * if (error instanceof ExecutorError && error.id === ExecutorErrorID.ABORT_ERROR) {
+ *   // the run was cancelled
+ * }
+ * ```
+ */
+export enum ExecutorErrorID {
+  /** The run was cancelled by the `signal` of the exec options */
+  ABORT_ERROR = 'ABORT_ERROR',
+  /** Unhandled error of an AsyncExecutor run */
+  UNKNOWN_ASYNC_ERROR = 'UNKNOWN_ASYNC_ERROR',
+  /** Unhandled error of a SyncExecutor run */
+  UNKNOWN_SYNC_ERROR = 'UNKNOWN_SYNC_ERROR',
+  /** All attempts of the RetryPlugin failed */
+  RETRY_ERROR = 'RETRY_ERROR',
+  /** The circuit of the CircuitBreakerPlugin is open, the task is not run */
+  CIRCUIT_OPEN = 'CIRCUIT_OPEN',
+  /** The RateLimitPlugin rejected the task, the limit is reached */
+  RATE_LIMITED = 'RATE_LIMITED',
+  /** A SyncExecutor in strict mode got an async plugin or a Promise from a hook */
+  ASYNC_HOOK = 'ASYNC_HOOK'
+}
+
+/**
+ * Structured metadata of an error, e.g. HTTP status, url or attempt
+ *
+ * Values should be JSON serializable, so they survive `toJSON`.
+ *
+ * @category Executor
+ * @since 1.1.4
+ */
+export type ExecutorErrorDetails = Record<string, unknown>;
+
+/**
+ * Options of an ExecutorError
+ *
+ * @category Executor
+ * @since 1.1.4
+ */
+export interface ExecutorErrorOptions {
+  /**
+   * The error that caused this error
+   *
+   * @default `originalError` if it is an Error object
+   */
+  cause?: unknown;
+
+  /**
+   * Structured metadata of the error
+   */
+  details?: ExecutorErrorDetails;
+}
+
+/**
+ * JSON representation of an error, created by `ExecutorError.toJSON`
+ *
+ * @category Executor
+ * @since 1.1.4
+ */
+export type ExecutorErrorJSON = {
+  name: string;
+  /**
+   * Error id, only present for ExecutorError
+   */
+  id?: string;
+  message: string;
+  stack?: string;
+  details?: ExecutorErrorDetails;
+  /**
+   * Serialized cause, errors are serialized recursively
+   */
+  cause?: unknown;
+};
+
 /**
  * Custom error class for executor operations.
  *
@@ -5,6 +86,10 @@
  * It extends the standard Error class to include an error identification string, which can be used
  * to categorize and manage errors more effectively.
  *
+ * Since 1.1.4 the error keeps the original error as the standard `cause`,
+ * carries structured `details`, and can be serialized with `toJSON`
+ * and restored with `fromJSON`, e.g. for logging or across worker boundaries.
+ *
  * @category Executor
  *
  * @example
@@ -26,22 +111,55 @@
  * // => error.message is 'This is an error message'
  * // => error.id is 'ERROR_ID'
  * ```
+ *
+ * @example
+ *
+ * cause chain and details
+ *
+ * ```typescript
+ * const error = new ExecutorError('SAVE_FAILED', 'Failed to save user', {
+ *   cause: dbError,
+ *   details: { userId: 1 }
+ * });
+ *
+ * worker.postMessage(error.toJSON());
+ * // in the other side
+ * const restored = ExecutorError.fromJSON(message);
+ * // => restored.cause is an Error with the message of dbError
+ * ```
  */
 export class ExecutorError extends Error {
+  /**
+   * The error that caused this error
+   *
+   * @since 1.1.4
+   */
+  cause?: unknown;
+
+  /**
+   * Structured metadata of the error
+   *
+   * @since 1.1.4
+   */
+  details: ExecutorErrorDetails;
+
   /**
    * Constructs a new ExecutorError.
    *
    * if originalError is a string, it will be used as the error message.
-   * if originalError is an Error object, its message will be used as the error message.
+   * if originalError is an Error object, its message will be used as the error message,
+   * and it will be the `cause` of this error.
    * if originalError is not provided, the error message will be the id.
    *
    * @param id - A unique identifier for the error, used for categorization and tracking.
    * @param originalError - The original error message or Error object that triggered this error.
    *                        This parameter is optional.
+   * @param options - Cause and details of the error, since 1.1.4
    */
   constructor(
     public id: string,
-    originalError?: string | Error
+    originalError?: string | Error,
+    options: ExecutorErrorOptions = {}
   ) {
     super(
       originalError instanceof Error
@@ -55,5 +173,152 @@ export class ExecutorError extends Error {
     }
 
     Object.setPrototypeOf(this, new.target.prototype);
+
+    this.name = 'ExecutorError';
+    this.details = options.details || {};
+
+    const cause =
+      'cause' in options
+        ? options.cause
+        : originalError instanceof Error
+          ? originalError
+          : undefined;
+
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Serializes the error and its cause chain to a plain object
+   *
+   * Only `name`, `id`, `message`, `stack`, `details` and `cause` are kept,
+   * other properties such as a response object are dropped.
+   * A cause that is already in the chain is dropped, so a cyclic chain can be serialized.
+   *
+   * @since 1.1.4
+   */
+  toJSON(): ExecutorErrorJSON {
+    return serializeExecutorError(this, new Set());
+  }
+
+  /**
+   * Restores an error serialized by `toJSON`
+   *
+   * Called on a subclass, e.g. `RequestError.fromJSON`, it creates an instance of the subclass.
+   * Causes with an `id` are restored as ExecutorError, other serialized errors as Error.
+   *
+   * @since 1.1.4
+   *
+   * @param json - Serialized error
+   */
+  static fromJSON<T extends ExecutorError>(
+    this: new (
+      id: string,
+      originalError?: string | Error,
+      options?: ExecutorErrorOptions
+    ) => T,
+    json: ExecutorErrorJSON
+  ): T {
+    const error = new this(json.id || json.name, json.message, {
+      details: json.details,
+      cause: deserializeCause(json.cause)
+    });
+
+    error.name = json.name;
+    if (json.stack) {
+      error.stack = json.stack;
+    }
+
+    return error;
+  }
+}
+
+function isErrorJSON(value: unknown): value is ExecutorErrorJSON {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof (value as ExecutorErrorJSON).name === 'string' &&
+    typeof (value as ExecutorErrorJSON).message === 'string'
+  );
+}
+
+function serializeExecutorError(
+  error: ExecutorError,
+  seen: Set<unknown>
+): ExecutorErrorJSON {
+  const json: ExecutorErrorJSON = {
+    name: error.name,
+    id: error.id,
+    message: error.message,
+    details: { ...error.details }
+  };
+
+  if (error.stack) {
+    json.stack = error.stack;
   }
+
+  seen.add(error);
+  assignCause(json, error.cause, seen);
+
+  return json;
+}
+
+/**
+ * Serializes a cause, `seen` has the errors of the chain that are already serialized
+ */
+function serializeCause(cause: unknown, seen: Set<unknown>): unknown {
+  if (cause instanceof ExecutorError) {
+    return serializeExecutorError(cause, seen);
+  }
+
+  if (cause instanceof Error) {
+    const json: ExecutorErrorJSON = {
+      name: cause.name,
+      message: cause.message
+    };
+
+    if (cause.stack) {
+      json.stack = cause.stack;
+    }
+
+    seen.add(cause);
+    assignCause(json, (cause as { cause?: unknown }).cause, seen);
+
+    return json;
+  }
+
+  return cause;
+}
+
+function assignCause(
+  json: ExecutorErrorJSON,
+  cause: unknown,
+  seen: Set<unknown>
+): void {
+  // a cyclic cause would never end
+  if (cause !== undefined && !seen.has(cause)) {
+    json.cause = serializeCause(cause, seen);
+  }
+}
+
+function deserializeCause(cause: unknown): unknown {
+  if (!isErrorJSON(cause)) {
+    return cause;
+  }
+
+  if (typeof cause.id === 'string') {
+    return ExecutorError.fromJSON(cause);
+  }
+
+  const error = new Error(cause.message);
+  error.name = cause.name;
+  if (cause.stack) {
+    error.stack = cause.stack;
+  }
+  if (cause.cause !== undefined) {
+    (error as { cause?: unknown }).cause = deserializeCause(cause.cause);
+  }
+
+  return error;
 }
@@ -43,6 +43,28 @@ export type Task<Result, Params> =
   | PromiseTask<Result, Params>
   | SyncTask<Result, Params>;
 
+/**
+ * Function that runs the next layer of the `around` hooks
+ *
+ * The innermost layer runs the `onExec` hooks and the task.
+ * It can be called more than once, e.g. to retry the task,
+ * and with a new context to change the parameters of the inner layers.
+ *
+ * @since 1.1.4
+ * @category ExecutorPlugin
+ */
+export type ExecutorNext = (
+  context?: ExecutorContext<unknown>
+) => Promise<unknown>;
+
+/**
+ * Executor a plugin works with, see `ExecutorPlugin.mode`
+ *
+ * @since 1.1.4
+ * @category ExecutorPlugin
+ */
+export type ExecutorPluginMode = 'sync' | 'async';
+
 /**
  * Base plugin class for extending executor functionality.
  *
@@ -51,6 +73,7 @@ export type Task<Result, Params> =
  * - After successful execution (onSuccess)
  * - On error (onError)
  * - Custom execution logic (onExec)
+ * - Wrapping the execution like a middleware (around, `AsyncExecutor` only)
  *
  * LifeCycle:
  *
@@ -67,6 +90,14 @@ export type Task<Result, Params> =
  *   - Use first plugin's onExec return value or exec's task.
  *   - The exec execution is only allowed to be modified once, so only the first onExec lifecycle method registered in the plugins list will be used.
  *
+ * **around** (since 1.1.4)
+ *   - around wraps the execution of the task like a Koa middleware, the first plugin is the outermost layer.
+ *   - Code before `await next()` runs before the task, code after it runs after the task.
+ *   - The return value of `next()` is the result of the inner layers, the return value of around is the result of the execution.
+ *   - `next()` can be called more than once to retry, or not at all to skip the task, e.g. with a cached result.
+ *   - Use around instead of onExec when plugins need to compose, e.g. retry, timeout, cache and timing.
+ *   - If around throws an error, it enters the onError chain.
+ *
  * **onSuccess**
  *   - When call exec, onSuccess will be executed after onExec.
  *   - onSuccess accept the result of previous plugin's onSuccess, and can return a new result to the next plugin's onSuccess.
@@ -124,6 +155,29 @@ export interface ExecutorPlugin<T = unknown> {
    */
   readonly onlyOne?: boolean;
 
+  /**
+   * Execution order of the plugin, plugins with higher priority run first
+   *
+   * Plugins with the same priority run in the order they were added.
+   *
+   * @since 1.1.4
+   * @default 0
+   */
+  readonly priority?: number;
+
+  /**
+   * Executor the plugin works with
+   *
+   * - `sync`: the hooks don't return a Promise, works with both executors
+   * - `async`: the hooks return a Promise, only works with `AsyncExecutor`
+   *
+   * Not set means unknown. Use `SyncExecutorPlugin` or `AsyncExecutorPlugin`
+   * to catch a wrong executor at compile time.
+   *
+   * @since 1.1.4
+   */
+  readonly mode?: ExecutorPluginMode;
+
   /**
    * Controls whether the plugin is active for specific hook executions
    * @param name - Name of the hook being executed
@@ -181,4 +235,98 @@ export interface ExecutorPlugin<T = unknown> {
     context: ExecutorContext<unknown>,
     task: Task<unknown, unknown>
   ): Promise<unknown> | unknown;
+
+  /**
+   * Middleware hook that wraps the execution of the task
+   *
+   * Every plugin with around nests around the next one, so they compose,
+   * unlike `onExec` where only one return value is used.
+   * Only supported by `AsyncExecutor`.
+   *
+   * @since 1.1.4
+   * @param context - Executor context
+   * @param next - Runs the inner layers and resolves to their result
+   * @returns Result of the execution
+   *
+   * @example
+   * ```typescript
+   * const timingPlugin: ExecutorPlugin = {
+   *   pluginName: 'TimingPlugin',
+   *   async around(context, next) {
+   *     const start = Date.now();
+   *     try {
+   *       return await next();
+   *     } finally {
+   *       console.log('took', Date.now() - start);
+   *     }
+   *   }
+   * };
+   * ```
+   */
+  around?(
+    context: ExecutorContext<unknown>,
+    next: ExecutorNext
+  ): Promise<unknown>;
 }
+
+/**
+ * Plugin that can be used by a `SyncExecutor`
+ *
+ * It has no `around` hook and its `mode` can't be `async`,
+ * so `SyncExecutor.use` accepts it, while an async plugin is a compile error.
+ *
+ * @since 1.1.4
+ * @category ExecutorPlugin
+ *
+ * @example
+ * ```typescript
+ * class TrimPlugin implements SyncExecutorPlugin<string> {
+ *   readonly pluginName = 'TrimPlugin';
+ *   readonly mode = 'sync';
+ *
+ *   onBefore(context: ExecutorContext<string>): void {
+ *     context.parameters = context.parameters.trim();
+ *   }
+ * }
+ * ```
+ */
+export type SyncExecutorPlugin<T = unknown> = ExecutorPlugin<T> & {
+  readonly mode?: 'sync';
+  around?: never;
+};
+
+/**
+ * Resolves to `never` for a plugin type that only works with an `AsyncExecutor`,
+ * i.e. with `mode: 'async'` or an `around` hook, `unknown` otherwise
+ *
+ * Used by `SyncExecutor.use` to reject async plugins at compile time.
+ *
+ * @since 1.1.4
+ * @category ExecutorPlugin
+ */
+export type SyncPluginGuard<Plugin> = Plugin extends
+  { readonly mode: 'async' } | { around: NonNullable<ExecutorPlugin['around']> }
+  ? never
+  : unknown;
+
+/**
+ * Plugin that must be used by an `AsyncExecutor`, e.g. it has async hooks or an `around` hook
+ *
+ * @since 1.1.4
+ * @category ExecutorPlugin
+ *
+ * @example
+ * ```typescript
+ * class LoadConfigPlugin implements AsyncExecutorPlugin {
+ *   readonly pluginName = 'LoadConfigPlugin';
+ *   readonly mode = 'async';
+ *
+ *   async onBefore(context: ExecutorContext): Promise<void> {
+ *     context.parameters = await loadConfig();
+ *   }
+ * }
+ * ```
+ */
+export type AsyncExecutorPlugin<T = unknown> = ExecutorPlugin<T> & {
+  readonly mode: 'async';
+};
@@ -0,0 +1,71 @@
+/**
+ * Result of a traced span
+ *
+ * @since 1.1.4
+ * @category Executor
+ */
+export type ExecutorTraceResult = {
+  /**
+   * Error thrown in the span
+   */
+  error?: unknown;
+
+  /**
+   * Whether the span returned a value, e.g. a hook that changed the result
+   */
+  hasReturnValue?: boolean;
+};
+
+/**
+ * A span of a traced executor run, e.g. the run itself or a plugin hook
+ *
+ * @since 1.1.4
+ * @category Executor
+ */
+export interface ExecutorTraceSpan {
+  /**
+   * Starts a child span, it belongs to the same run
+   *
+   * @param name - Name of the span, e.g. `RetryPlugin.around`
+   * @param category - Category of the span, e.g. `hook` or `task`
+   * @param args - Extra data of the span
+   */
+  child(
+    name: string,
+    category: string,
+    args?: Record<string, unknown>
+  ): ExecutorTraceSpan;
+
+  /**
+   * Ends the span
+   *
+   * @param result - Result of the span
+   */
+  end(result?: ExecutorTraceResult): void;
+}
+
+/**
+ * Tracer that records the runs of an executor
+ *
+ * - Purpose: Opt-in instrumentation of the executor pipeline
+ * - Core Concept: One span for each run, one child span for each plugin hook and the task
+ * - Main Features: Implementations decide how to store or report the spans
+ * - Primary Use: Set as `tracer` of `ExecutorConfig`
+ *
+ * @since 1.1.4
+ * @category Executor
+ * @example
+ * ```typescript
+ * const tracer = new ExecutorTracer();
+ * const executor = new AsyncExecutor({ tracer });
+ * ```
+ */
+export interface ExecutorTracerInterface {
+  /**
+   * Starts the span of an executor run
+   *
+   * @param name - Name of the executor
+   * @param args - Extra data of the run
+   */
+  startRun(name: string, args?: Record<string, unknown>): ExecutorTraceSpan;
+}
@@ -2,3 +2,4 @@ export * from './Executor';
 export * from './ExecutorContext';
 export * from './ExecutorError';
 export * from './ExecutorPlugin';
+export * from './ExecutorTracer';
@@ -105,10 +105,71 @@ export type RequestAdapterConfig<RequestData = unknown> = {
    */
   requestId?: string;
 
+  /**
+   * Request timeout in milliseconds
+   *
+   * When it expires the request is aborted and fails with `RequestErrorID.TIMEOUT`.
+   * Can be set as the adapter default config, `0` or not set means no timeout.
+   *
+   * @since 1.1.4
+   * @example
+   * ```typescript
+   * timeout: 5000
+   * ```
+   */
+  timeout?: number;
+
+  /**
+   * Request priority, used by `RequestQueue`, higher runs first
+   *
+   * `'high'`, `'auto'` and `'low'` are also passed to fetch as `RequestInit.priority`.
+   *
+   * @since 1.1.4
+   * @default 0
+   * @example
+   * ```typescript
+   * priority: 'high'
+   * // or
+   * priority: 10
+   * ```
+   */
+  priority?: number | 'high' | 'auto' | 'low';
+
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   [key: string]: any;
 };
 
+/**
+ * Request progress event
+ *
+ * Reported when uploading the request body or downloading the response body.
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * onDownloadProgress: ({ loaded, total, percent }) => {
+ *   console.log(`${loaded}/${total} ${percent}%`);
+ * }
+ * ```
+ */
+export type RequestProgressEvent = {
+  /**
+   * Number of bytes transferred
+   */
+  loaded: number;
+
+  /**
+   * Total number of bytes, `0` if unknown(e.g. no `Content-Length`)
+   */
+  total: number;
+
+  /**
+   * Percentage between 0 and 100, `0` if total is unknown until done
+   */
+  percent: number;
+};
+
 /**
  * Request adapter response
  *
@@ -1,4 +1,50 @@
-import { ExecutorError } from '../executor';
+import {
+  ExecutorError,
+  ExecutorErrorDetails,
+  ExecutorErrorOptions
+} from '../executor';
+
+/**
+ * Structured metadata of a request error
+ *
+ * @since 1.1.4
+ */
+export type RequestErrorDetails = ExecutorErrorDetails & {
+  /**
+   * HTTP status of the response
+   */
+  status?: number;
+  /**
+   * HTTP status text of the response
+   */
+  statusText?: string;
+  /**
+   * Request url
+   */
+  url?: string;
+  /**
+   * Request method
+   */
+  method?: string;
+  /**
+   * Attempt number of the request, starting from 1, when it is retried
+   */
+  attempt?: number;
+};
+
+/**
+ * Options of a RequestError
+ *
+ * @since 1.1.4
+ */
+export interface RequestErrorOptions extends ExecutorErrorOptions {
+  details?: RequestErrorDetails;
+
+  /**
+   * Response of the failed request, e.g. a fetch `Response`
+   */
+  response?: unknown;
+}
 
 /**
  * Represents a custom error class for handling request-related errors in the application
@@ -7,6 +53,9 @@ import { ExecutorError } from '../executor';
  * for HTTP requests and fetch operations. It works in conjunction with RequestErrorID
  * to categorize different types of request failures.
  *
+ * Since 1.1.4 the response of a failed request is kept in `response`,
+ * and the HTTP metadata in `details`, which survive `toJSON`.
+ *
  * @since 1.0.14
  *
  * @example
@@ -20,8 +69,67 @@ import { ExecutorError } from '../executor';
  *   }
  * }
  * ```
+ *
+ * @example
+ * ```typescript
+ * if (isRequestError(error, RequestErrorID.RESPONSE_NOT_OK)) {
+ *   console.error(error.details.status, error.details.url);
+ *   const body = await (error.response as Response).text();
+ * }
+ * ```
  */
-export class RequestError extends ExecutorError {}
+export class RequestError extends ExecutorError {
+  declare details: RequestErrorDetails;
+
+  /**
+   * Response of the failed request, not serialized by `toJSON`
+   *
+   * @since 1.1.4
+   */
+  response?: unknown;
+
+  /**
+   * @param id - Error id, usually a `RequestErrorID`
+   * @param originalError - The original error message or Error object
+   * @param options - Cause, details and response of the error, since 1.1.4
+   */
+  constructor(
+    id: string,
+    originalError?: string | Error,
+    options: RequestErrorOptions = {}
+  ) {
+    super(id, originalError, options);
+
+    this.name = 'RequestError';
+
+    if (options.response !== undefined) {
+      this.response = options.response;
+    }
+  }
+}
+
+/**
+ * Checks if an error is a RequestError, optionally with the given id
+ *
+ * @since 1.1.4
+ *
+ * @param error - Error to check
+ * @param id - Expected error id
+ *
+ * @example
+ * ```typescript
+ * if (isRequestError(error, RequestErrorID.ABORT_ERROR)) {
+ *   // error.id is RequestErrorID.ABORT_ERROR
+ *   return;
+ * }
+ * ```
+ */
+export function isRequestError<ID extends RequestErrorID = RequestErrorID>(
+  error: unknown,
+  id?: ID
+): error is RequestError & { id: ID } {
+  return error instanceof RequestError && (id === undefined || error.id === id);
+}
 
 /**
  * Error IDs for different fetch request failure scenarios
@@ -53,5 +161,9 @@ export enum RequestErrorID {
   /** Request was aborted */
   ABORT_ERROR = 'ABORT_ERROR',
   /** URL is not provided */
-  URL_NONE = 'URL_NONE'
+  URL_NONE = 'URL_NONE',
+  /** Request timeout exceeded */
+  TIMEOUT = 'TIMEOUT',
+  /** Refreshing the access token failed */
+  TOKEN_REFRESH_ERROR = 'TOKEN_REFRESH_ERROR'
 }
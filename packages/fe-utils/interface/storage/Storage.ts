@@ -52,6 +52,17 @@ export interface SyncStorage<Key, ValueType = unknown> {
    * Clears all stored values.
    */
   clear(): void;
+
+  /**
+   * Gets the key at an index, like `Storage.key` of the Web Storage API.
+   *
+   * Used to list the keys, e.g. to clear only the keys of a namespace.
+   *
+   * @since 1.1.4
+   * @param index - The index of the key.
+   * @returns The key, or `null` if the index is out of range.
+   */
+  key?(index: number): Key | null;
 }
 
 /**
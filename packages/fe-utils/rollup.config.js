@@ -11,7 +11,7 @@ const NODE_ENV = env.get('NODE_ENV');
 const isProduction = NODE_ENV === 'production';
 console.log('Enveronment is', NODE_ENV);
 
-const serverExternal = ['crypto', 'buffer', 'zlib', 'axios'];
+const serverExternal = ['crypto', 'buffer', 'zlib', 'fs', 'path', 'axios'];
 const commonExternal = ['axios'];
 const buildDir = 'dist';
 
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStorage } from '../../storage';
+import { StringEntrypt } from '../../encrypt';
+
+function itemFile(key: string): string {
+  return `item-${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+}
+
+describe('FileStorage', () => {
+  let directory: string;
+  let storage: FileStorage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fe-utils-storage-'));
+    storage = new FileStorage({ directory: path.join(directory, 'data') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store and retrieve a value', async () => {
+    await storage.setItem('key1', { data: 'value1' });
+
+    await expect(storage.getItem('key1')).resolves.toEqual({
+      data: 'value1'
+    });
+  });
+
+  it('should return the default value for non-existent key', async () => {
+    expect(storage.length).toBe(0);
+    await expect(storage.getItem('nonExistentKey')).resolves.toBeNull();
+    await expect(storage.getItem('nonExistentKey', 'default')).resolves.toBe(
+      'default'
+    );
+  });
+
+  it('should store any key in its own file', async () => {
+    const keys = ['a/b', '../escape', '.', 'a:b*c?', 'A', 'a', 'k'.repeat(300)];
+
+    for (const key of keys) {
+      await storage.setItem(key, key);
+    }
+
+    for (const key of keys) {
+      await expect(storage.getItem(key)).resolves.toBe(key);
+    }
+    expect(storage.length).toBe(keys.length);
+    expect(fs.readdirSync(directory)).toEqual(['data']);
+
+    // case-insensitive filesystems, e.g. of macOS and Windows, don't mix up `Token` and `token`
+    const files = fs.readdirSync(path.join(directory, 'data'));
+    expect(new Set(files.map((file) => file.toLowerCase())).size).toBe(
+      keys.length
+    );
+  });
+
+  it('should remove an item and clear only the item files', async () => {
+    await storage.setItem('key1', 'value1');
+    await storage.setItem('key2', 'value2');
+    fs.writeFileSync(path.join(directory, 'data', 'other.txt'), 'other');
+    fs.writeFileSync(path.join(directory, 'data', 'config.json'), '{}');
+
+    await storage.removeItem('key1');
+    expect(storage.length).toBe(1);
+    await expect(storage.getItem('key1')).resolves.toBeNull();
+
+    await storage.clear();
+    expect(storage.length).toBe(0);
+    expect(fs.readdirSync(path.join(directory, 'data')).sort()).toEqual([
+      'config.json',
+      'other.txt'
+    ]);
+  });
+
+  it('should remove an expired item when it is read', async () => {
+    await storage.setItem('expired', 'value', Date.now() - 1);
+    await storage.setItem('valid', 'value', Date.now() + 60000);
+
+    await expect(storage.getItem('expired')).resolves.toBeNull();
+    await expect(storage.getItem('valid')).resolves.toBe('value');
+    expect(storage.length).toBe(1);
+  });
+
+  it('should replace the item file without leaving temporary files', async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, index) =>
+        storage.setItem('key', { index })
+      )
+    );
+
+    await expect(storage.getItem('key')).resolves.toHaveProperty('index');
+    expect(fs.readdirSync(path.join(directory, 'data'))).toEqual([
+      itemFile('key')
+    ]);
+  });
+
+  it('should remove the temporary file when the write fails', async () => {
+    const rename = jest
+      .spyOn(fs.promises, 'rename')
+      .mockRejectedValueOnce(new Error('rename failed'));
+
+    await expect(storage.setItem('key', 'value')).rejects.toThrow(
+      'rename failed'
+    );
+    expect(fs.readdirSync(path.join(directory, 'data'))).toEqual([]);
+
+    rename.mockRestore();
+  });
+
+  it('should encrypt the stored data', async () => {
+    const encrypted = new FileStorage({
+      directory,
+      encryptor: new StringEntrypt('test-encryption-key-32-bytes-long!!!')
+    });
+
+    await encrypted.setItem('token', 'secret');
+
+    await expect(encrypted.getItem('token')).resolves.toBe('secret');
+    expect(
+      fs.readFileSync(path.join(directory, itemFile('token')), 'utf8')
+    ).not.toContain('secret');
+  });
+});
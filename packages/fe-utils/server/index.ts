@@ -3,3 +3,9 @@
  * @module encrypt
  */
 export * from './encrypt';
+
+/**
+ * Export storage related modules
+ * @module storage
+ */
+export * from './storage';
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  AsyncJSONStorage,
+  AsyncJSONStorageOptions
+} from '../../common/storage';
+
+/**
+ * Options of the FileStorage
+ *
+ * @since 1.1.4
+ */
+export interface FileStorageOptions extends Omit<
+  AsyncJSONStorageOptions,
+  'storage' | 'prefix'
+> {
+  /**
+   * Directory of the item files, created on the first write
+   */
+  directory: string;
+
+  /**
+   * Prefix of the item files, `clear()` only removes the files with this prefix and the extension,
+   * so other files in the directory are kept
+   *
+   * @default 'item-'
+   */
+  prefix?: string;
+
+  /**
+   * Extension of the item files
+   *
+   * @default '.json'
+   */
+  extension?: string;
+}
+
+/**
+ * Async storage on the filesystem, one file per item
+ *
+ * - Core Idea: A process can crash in the middle of a write.
+ * - Main Function: Write each item to a temporary file, then rename it over the item file.
+ * - Main Purpose: Persist the storage of a server or a CLI between runs.
+ *
+ * Features:
+ * - Atomic writes, readers see the old or the new item, never a partial one
+ * - Any string can be a key, item files are named by the SHA-256 hash of the key in hex,
+ *   so keys that only differ in case don't share a file on case-insensitive filesystems, and long keys fit
+ * - Item files are named `prefix + hash + extension`, `clear()` keeps the other files of the directory
+ * - `serializer`, `encryptor` and expiry like `AsyncJSONStorage`
+ *
+ * @since 1.1.4
+ *
+ * @example
+ * ```typescript
+ * const storage = new FileStorage({
+ *   directory: path.join(os.homedir(), '.my-cli'),
+ *   encryptor: new StringEntrypt(process.env.STORAGE_KEY)
+ * });
+ *
+ * await storage.setItem('token', token, Date.now() + 3600000);
+ * const value = await storage.getItem('token');
+ * ```
+ */
+export class FileStorage extends AsyncJSONStorage {
+  protected readonly options: Required<FileStorageOptions>;
+
+  constructor(options: FileStorageOptions) {
+    super(options);
+
+    this.options = {
+      prefix: 'item-',
+      extension: '.json',
+      ...options
+    } as Required<FileStorageOptions>;
+  }
+
+  /**
+   * The number of item files in the directory
+   */
+  get length(): number {
+    try {
+      return this.listFiles(fs.readdirSync(this.options.directory)).length;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return 0;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the path of the item file of a key
+   *
+   * The key is hashed, the item keeps the original key.
+   *
+   * @param key - The key of the item
+   */
+  protected getFilePath(key: string): string {
+    const name = crypto.createHash('sha256').update(key).digest('hex');
+    const { directory, prefix, extension } = this.options;
+
+    return path.join(directory, prefix + name + extension);
+  }
+
+  protected async read(key: string): Promise<string | null> {
+    try {
+      return await fs.promises.readFile(this.getFilePath(key), 'utf8');
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  protected async write(key: string, value: string): Promise<void> {
+    const filePath = this.getFilePath(key);
+    const tempPath = `${filePath}.${process.pid}.${crypto
+      .randomBytes(6)
+      .toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(this.options.directory, { recursive: true });
+
+    try {
+      await fs.promises.writeFile(tempPath, value, 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  protected async remove(key: string): Promise<void> {
+    await fs.promises.rm(this.getFilePath(key), { force: true });
+  }
+
+  protected async removeAll(): Promise<void> {
+    let files: string[];
+
+    try {
+      files = this.listFiles(await fs.promises.readdir(this.options.directory));
+    } catch (error) {
+      if (isNotFound(error)) {
+        return;
+      }
+
+      throw error;
+    }
+
+    await Promise.all(
+      files.map((file) =>
+        fs.promises.rm(path.join(this.options.directory, file), {
+          force: true
+        })
+      )
+    );
+  }
+
+  private listFiles(files: string[]): string[] {
+    const { prefix, extension } = this.options;
+
+    return files.filter(
+      (file) =>
+        file.length > prefix.length + extension.length &&
+        file.startsWith(prefix) &&
+        file.endsWith(extension)
+    );
+  }
+}
+
+function isNotFound(error: unknown): boolean {
+  return (error as NodeJS.ErrnoException)?.code === 'ENOENT';
+}